@@ -66,6 +66,7 @@ const windowConfig = {
             id: 'scanner',
             title: 'Scanner - Alpha V1',
             file: path.join(__dirname, '..', 'src', 'renderer', 'index.html'),
+            view: 'scanner',            // Tab this window hosts (no view: every tab)
             width: 1200,
             height: 700,
             alwaysOnTop: false,
@@ -77,12 +78,34 @@ const windowConfig = {
             id: 'positions',
             title: 'Positions - Alpha V1',
             file: path.join(__dirname, '..', 'src', 'renderer', 'index.html'),
+            view: 'positions',
             width: 1000,
             height: 600,
             alwaysOnTop: true,
             resizable: true
         },
         
+        // Chart window
+        chart: {
+            id: 'chart',
+            title: 'Chart - Alpha V1',
+            file: path.join(__dirname, '..', 'src', 'renderer', 'index.html'),
+            view: 'chart',
+            width: 1200,
+            height: 800,
+            resizable: true
+        },
+        
+        // Torn-out tab (hosts whichever tab was detached into it)
+        view: {
+            id: 'view',
+            title: 'Alpha V1',
+            file: path.join(__dirname, '..', 'src', 'renderer', 'index.html'),
+            width: 1000,
+            height: 650,
+            resizable: true
+        },
+        
         // Settings window (placeholder for future)
         settings: {
             id: 'settings',
@@ -94,6 +117,44 @@ const windowConfig = {
             minimizable: false,
             maximizable: false
         }
+    },
+    
+    // Built-in layouts for Trading > Layouts (applied by WindowManager.applyLayout)
+    // Each window is placed on a display (0 = primary, then left to right) in an
+    // area given as [x, y, width, height] fractions of that display's work area.
+    // A display that isn't connected falls back to the primary display.
+    layouts: {
+        default: {
+            name: 'Default Layout',
+            windows: [
+                { type: 'main', display: 0, area: [0, 0, 1, 1] }
+            ]
+        },
+        scanner: {
+            name: 'Scanner Focus',
+            windows: [
+                { type: 'scanner', display: 0, area: [0, 0, 0.6, 1] },
+                { type: 'main', display: 0, area: [0.6, 0, 0.4, 0.5] },
+                { type: 'chart', display: 0, area: [0.6, 0.5, 0.4, 0.5] }
+            ]
+        },
+        positions: {
+            name: 'Position Management',
+            windows: [
+                { type: 'positions', display: 0, area: [0, 0, 0.5, 0.6] },
+                { type: 'chart', display: 0, area: [0.5, 0, 0.5, 0.6] },
+                { type: 'main', display: 0, area: [0, 0.6, 1, 0.4] }
+            ]
+        },
+        multi: {
+            name: 'Multi-Monitor',
+            windows: [
+                { type: 'main', display: 0, area: [0, 0, 1, 1] },
+                { type: 'scanner', display: 1, area: [0, 0, 0.5, 1] },
+                { type: 'chart', display: 1, area: [0.5, 0, 0.5, 0.6] },
+                { type: 'positions', display: 1, area: [0.5, 0.6, 0.5, 0.4] }
+            ]
+        }
     }
 };
 
@@ -14,6 +14,23 @@ const MenuBuilder = require('./src/main/MenuBuilder');
 const StateManager = require('./src/main/StateManager');
 const AppUpdater = require('./src/main/AppUpdater');
 const PolygonBridge = require('./src/main/PolygonBridge');
+const MarketCalendar = require('./src/main/MarketCalendar');
+const MarketDataRecorder = require('./src/main/MarketDataRecorder');
+const ReplayService = require('./src/main/ReplayService');
+const ScannerService = require('./src/main/ScannerService');
+const PositionBook = require('./src/main/PositionBook');
+const OrderSimulator = require('./src/main/OrderSimulator');
+const OrderRouter = require('./src/main/OrderRouter');
+const RiskManager = require('./src/main/RiskManager');
+const StrategyHost = require('./src/main/StrategyHost');
+const Backtester = require('./src/main/Backtester');
+const LevelService = require('./src/main/LevelService');
+const AlertEngine = require('./src/main/AlertEngine');
+const WatchlistManager = require('./src/main/WatchlistManager');
+const WorkspaceManager = require('./src/main/WorkspaceManager');
+const DialogPaths = require('./src/main/DialogPaths');
+const PaperBrokerAdapter = require('./src/main/brokers/PaperBrokerAdapter');
+const MockBrokerAdapter = require('./src/main/brokers/MockBrokerAdapter');
 
 // Import configuration files
 const appConfig = require('./config/app.config');
@@ -31,6 +48,23 @@ let ipcHandler = null;     // Handles all IPC communication
 let stateManager = null;   // Manages persistent application state
 let appUpdater = null;     // Handles auto-updates
 let polygonBridge = null;  // Manages Polygon server connection
+let mockPolygonServer = null; // In-process stand-in for the Polygon server (offline development)
+let marketCalendar = null; // US equity sessions, holidays and early closes
+let marketDataRecorder = null; // Opt-in recording of the live stream for replay
+let replayService = null;  // Replays recorded or historical data through the bridge
+let scannerService = null; // Populates the Scanner table from the live stream
+let positionBook = null;   // Tracks fills and P&L for the Positions table
+let orderSimulator = null; // Paper-trading order management
+let orderRouter = null;    // Routes orders to the broker selected in trading settings
+let riskManager = null;    // Pre-trade risk checks and position sizing
+let strategyHost = null;   // Runs strategy plugins that fill the Signals table
+let backtester = null;     // Runs strategy plugins over historical bars for the Backtest tab
+let levelService = null;   // Detects support/resistance and HVN levels for the Levels table
+let alertEngine = null;    // Evaluates user alerts against streaming data
+let watchlistManager = null; // Named watchlists with live quotes for the Watchlist tab
+let workspaceManager = null; // Saves and opens .alpha workspace files
+let dialogPaths = null;    // Files the user picked in menu dialogs (renderer file access)
+let dataServicesStarted = false; // Services consuming market data have been started
 
 // Single instance lock - ensures only one instance of the app runs
 const gotTheLock = app.requestSingleInstanceLock();
@@ -82,18 +116,36 @@ app.whenReady().then(async () => {
             isDevelopment: isDevelopment
         });
         
+        // Renderer file reads and writes are limited to paths the menu dialogs return
+        dialogPaths = new DialogPaths();
+        
         // Initialize IPC handler for inter-process communication
         ipcHandler = new IPCHandler({
             windowManager: windowManager,
-            stateManager: stateManager
+            stateManager: stateManager,
+            dialogPaths: dialogPaths
         });
 
+        // Serve synthetic data in-process when asked to (--mock-polygon or dataFeed.mockServer)
+        let serverAddress = '127.0.0.1:8200';
+        const useMockServer = process.argv.includes('--mock-polygon') || stateManager.get('dataFeed.mockServer', false);
+        if (useMockServer && app.isPackaged) {
+            // The mock is a development tool and is left out of packaged builds
+            console.warn('[Main] The mock Polygon server is not available in packaged builds; using the data server');
+        } else if (useMockServer) {
+            // Required here so packaged builds never load it
+            const MockPolygonServer = require('./mock/mock-polygon');
+            mockPolygonServer = new MockPolygonServer({ port: 0 });
+            serverAddress = `127.0.0.1:${await mockPolygonServer.start()}`;
+            console.log(`[Main] Using the mock Polygon server at ${serverAddress}`);
+        }
+
         // Initialize Polygon Bridge
         polygonBridge = new PolygonBridge({
             ipcHandler: ipcHandler,
             autoStartServer: false, // Never auto-start (assume server is running)
-            serverUrl: 'http://127.0.0.1:8200',
-            wsUrl: 'ws://127.0.0.1:8200'
+            serverUrl: `http://${serverAddress}`,
+            wsUrl: `ws://${serverAddress}`
         });
 
         // Set up Polygon Bridge event handlers
@@ -128,10 +180,164 @@ app.whenReady().then(async () => {
             }
         });
 
+        // Initialize the market calendar (no server needed, so it starts right away)
+        marketCalendar = new MarketCalendar({
+            windowManager: windowManager,
+            stateManager: stateManager,
+            ipcHandler: ipcHandler
+        });
+        marketCalendar.start();
+
+        // Initialize the stream recorder (records only when recorder.enabled is set)
+        marketDataRecorder = new MarketDataRecorder({
+            polygonBridge: polygonBridge,
+            marketCalendar: marketCalendar,
+            stateManager: stateManager,
+            ipcHandler: ipcHandler,
+            directory: path.join(app.getPath('userData'), 'recordings')
+        });
+        marketDataRecorder.start().catch(error => {
+            console.error('[Main] Failed to start MarketDataRecorder:', error);
+        });
+
+        // Initialize replay (stands in for the live stream while a replay runs)
+        replayService = new ReplayService({
+            polygonBridge: polygonBridge,
+            recorder: marketDataRecorder,
+            marketCalendar: marketCalendar,
+            windowManager: windowManager,
+            ipcHandler: ipcHandler
+        });
+
+        // A replay can run with the server offline; the services still need to start
+        replayService.on('started', () => {
+            startDataServices();
+        });
+
+        // Initialize scanner service (registers its IPC handlers immediately)
+        scannerService = new ScannerService({
+            polygonBridge: polygonBridge,
+            marketCalendar: marketCalendar,
+            windowManager: windowManager,
+            stateManager: stateManager,
+            ipcHandler: ipcHandler
+        });
+
+        // Initialize position book (fills can be recorded before the bridge connects)
+        positionBook = new PositionBook({
+            polygonBridge: polygonBridge,
+            windowManager: windowManager,
+            stateManager: stateManager,
+            ipcHandler: ipcHandler
+        });
+
+        // Initialize paper-trading simulator
+        orderSimulator = new OrderSimulator({
+            polygonBridge: polygonBridge,
+            positionBook: positionBook,
+            stateManager: stateManager
+        });
+
+        // Initialize pre-trade risk checks (account equity and working orders come from the active broker)
+        riskManager = new RiskManager({
+            polygonBridge: polygonBridge,
+            marketCalendar: marketCalendar,
+            positionBook: positionBook,
+            stateManager: stateManager,
+            ipcHandler: ipcHandler,
+            getAccount: () => orderRouter.getAccount(),
+            getOrders: () => orderRouter.getOrders()
+        });
+
+        // Initialize order routing (fills from any broker feed the position book)
+        orderRouter = new OrderRouter({
+            positionBook: positionBook,
+            riskManager: riskManager,
+            windowManager: windowManager,
+            stateManager: stateManager,
+            ipcHandler: ipcHandler
+        });
+        orderRouter.registerAdapter(new PaperBrokerAdapter({
+            simulator: orderSimulator,
+            positionBook: positionBook,
+            stateManager: stateManager
+        }));
+        orderRouter.registerAdapter(new MockBrokerAdapter({
+            polygonBridge: polygonBridge,
+            serverUrl: stateManager.get('trading.mockBrokerUrl', 'http://127.0.0.1:8300')
+        }));
+
+        // Orders don't need the market data server; start routing straight away
+        orderRouter.start().catch(error => {
+            console.error('[Main] Failed to start OrderRouter:', error);
+        });
+
+        // Initialize strategy host (user strategies live next to the app state)
+        strategyHost = new StrategyHost({
+            polygonBridge: polygonBridge,
+            marketCalendar: marketCalendar,
+            windowManager: windowManager,
+            stateManager: stateManager,
+            ipcHandler: ipcHandler,
+            userStrategiesPath: path.join(app.getPath('userData'), 'strategies')
+        });
+
+        // Initialize the backtester (runs the strategy host's modules on cached bars)
+        backtester = new Backtester({
+            polygonBridge: polygonBridge,
+            strategyHost: strategyHost,
+            marketCalendar: marketCalendar,
+            windowManager: windowManager,
+            stateManager: stateManager,
+            ipcHandler: ipcHandler
+        });
+
+        // Initialize level detection
+        levelService = new LevelService({
+            polygonBridge: polygonBridge,
+            marketCalendar: marketCalendar,
+            windowManager: windowManager,
+            stateManager: stateManager,
+            ipcHandler: ipcHandler
+        });
+
+        // Initialize alerts (level touches and signals come from the services above)
+        alertEngine = new AlertEngine({
+            polygonBridge: polygonBridge,
+            marketCalendar: marketCalendar,
+            windowManager: windowManager,
+            stateManager: stateManager,
+            ipcHandler: ipcHandler,
+            scannerService: scannerService,
+            levelService: levelService,
+            strategyHost: strategyHost
+        });
+
+        // Initialize watchlists (lists are served over IPC before the stream starts)
+        watchlistManager = new WatchlistManager({
+            polygonBridge: polygonBridge,
+            marketCalendar: marketCalendar,
+            windowManager: windowManager,
+            stateManager: stateManager,
+            ipcHandler: ipcHandler,
+            scannerService: scannerService,
+            dialogPaths: dialogPaths
+        });
+
+        // Initialize workspace files (replaces watchlists when a workspace is opened)
+        workspaceManager = new WorkspaceManager({
+            windowManager: windowManager,
+            stateManager: stateManager,
+            ipcHandler: ipcHandler,
+            watchlistManager: watchlistManager
+        });
+
         // Initialize the bridge
         try {
             await polygonBridge.initialize();
             console.log('[Main] PolygonBridge initialized successfully');
+            
+            startDataServices();
         } catch (error) {
             console.error('[Main] Failed to initialize PolygonBridge:', error);
             if (!isDevelopment) {
@@ -143,84 +349,40 @@ app.whenReady().then(async () => {
         // Set up application menu
         const menuBuilder = new MenuBuilder({
             windowManager: windowManager,
+            stateManager: stateManager,
+            replayService: replayService,
+            dialogPaths: dialogPaths,
             isDevelopment: isDevelopment
         });
         Menu.setApplicationMenu(menuBuilder.buildMenu());
         
+        // Rebuild the menu so File > Open Recent Workspace, Trading > Layouts and
+        // Data > Recording / Replay stay current
+        workspaceManager.on('recent-files-changed', () => {
+            Menu.setApplicationMenu(menuBuilder.buildMenu());
+        });
+        windowManager.on('layouts-changed', () => {
+            Menu.setApplicationMenu(menuBuilder.buildMenu());
+        });
+        marketDataRecorder.on('recording-changed', () => {
+            Menu.setApplicationMenu(menuBuilder.buildMenu());
+        });
+        replayService.on('started', () => {
+            Menu.setApplicationMenu(menuBuilder.buildMenu());
+        });
+        replayService.on('stopped', () => {
+            Menu.setApplicationMenu(menuBuilder.buildMenu());
+        });
+        
         // Initialize auto-updater (production only)
         if (!isDevelopment && appConfig.common.autoUpdate) {
             appUpdater = new AppUpdater();
             appUpdater.checkForUpdates();
         }
         
-        // Get window dimensions and position
-        // Note: WindowManager creates IDs like "main-1", so we need to check both
-        const windowId = 'main-1'; // First main window
-        const width = stateManager.get(`windowStates.${windowId}.width`) || 
-                     stateManager.get('windowStates.main.width', 1600);
-        const height = stateManager.get(`windowStates.${windowId}.height`) || 
-                      stateManager.get('windowStates.main.height', 900);
-        let x = stateManager.get(`windowStates.${windowId}.x`) || 
-                stateManager.get('windowStates.main.x');
-        let y = stateManager.get(`windowStates.${windowId}.y`) || 
-                stateManager.get('windowStates.main.y');
-        
-        // Validate window position - reset if off-screen
-        const { screen } = require('electron');
-        const displays = screen.getAllDisplays();
-        const primaryDisplay = screen.getPrimaryDisplay();
-        
-        console.log('[Main] Available displays:', displays.length);
-        displays.forEach((display, index) => {
-            console.log(`[Main] Display ${index}:`, {
-                id: display.id,
-                bounds: display.bounds,
-                workArea: display.workArea,
-                scaleFactor: display.scaleFactor
-            });
-        });
-        
-        const { width: screenWidth, height: screenHeight } = primaryDisplay.workAreaSize;
-        const scaleFactor = primaryDisplay.scaleFactor || 1;
-        
-        console.log('[Main] Primary display scale factor:', scaleFactor);
-        
-        // Check if window position is valid
-        let isPositionValid = false;
-        if (x !== undefined && y !== undefined) {
-            // Check if position is within any display
-            isPositionValid = displays.some(display => {
-                const bounds = display.bounds;
-                return x >= bounds.x && x < bounds.x + bounds.width &&
-                       y >= bounds.y && y < bounds.y + bounds.height;
-            });
-        }
-        
-        if (!isPositionValid) {
-            console.log('[Main] Window position invalid or off-screen, centering on primary display');
-            x = primaryDisplay.bounds.x + Math.round((screenWidth - width) / 2);
-            y = primaryDisplay.bounds.y + Math.round((screenHeight - height) / 2);
-        }
-        
-        // Ensure reasonable dimensions
-        const finalWidth = Math.min(width, screenWidth);
-        const finalHeight = Math.min(height, screenHeight);
-        
-        console.log('[Main] Screen dimensions:', { screenWidth, screenHeight });
-        console.log('[Main] Creating main window with dimensions:', { 
-            width: finalWidth, 
-            height: finalHeight, 
-            x, 
-            y 
-        });
-        
-        // Create the main application window - don't pass saved state, let WindowManager handle it
-        const mainWindow = await windowManager.createWindow('main', {
-            width: 1600,
-            height: 900,
-            center: true, // Always center on first launch
-            show: false   // Don't show until positioned
-        });
+        // Create the main application window - WindowManager restores its saved
+        // position and monitor (or centers it on first launch)
+        const mainWindow = await windowManager.createWindow('main');
         
         // Add debugging and ensure window is shown
         if (mainWindow) {
@@ -243,22 +405,6 @@ app.whenReady().then(async () => {
                 mainWindow.restore();
             }
             
-            // Force correct window bounds after creation
-            setTimeout(() => {
-                if (mainWindow && !mainWindow.isDestroyed()) {
-                    console.log('[Main] Force-setting window bounds to correct values');
-                    mainWindow.setBounds({
-                        x: x,
-                        y: y,
-                        width: finalWidth,
-                        height: finalHeight
-                    });
-                    mainWindow.center();
-                    mainWindow.show();
-                    mainWindow.focus();
-                }
-            }, 100);
-            
             // Set up event handlers for debugging
             
             mainWindow.on('show', () => {
@@ -338,6 +484,40 @@ app.on('activate', async () => {
     }
 });
 
+/**
+ * Start the services that consume market data (once the bridge connects,
+ * or when a replay stands in for the server)
+ */
+function startDataServices() {
+    if (dataServicesStarted) return;
+    dataServicesStarted = true;
+    
+    // Start scanning in the background (seeding history can take a while)
+    scannerService.start().catch(error => {
+        console.error('[Main] Failed to start ScannerService:', error);
+    });
+
+    positionBook.start().catch(error => {
+        console.error('[Main] Failed to start PositionBook:', error);
+    });
+
+    strategyHost.start().catch(error => {
+        console.error('[Main] Failed to start StrategyHost:', error);
+    });
+
+    levelService.start().catch(error => {
+        console.error('[Main] Failed to start LevelService:', error);
+    });
+
+    alertEngine.start().catch(error => {
+        console.error('[Main] Failed to start AlertEngine:', error);
+    });
+
+    watchlistManager.start().catch(error => {
+        console.error('[Main] Failed to start WatchlistManager:', error);
+    });
+}
+
 // Handle app termination
 app.on('before-quit', async (event) => {
     console.log('[Main] Application shutting down...');
@@ -349,6 +529,7 @@ app.on('before-quit', async (event) => {
         // Save all window states
         if (windowManager) {
             windowManager.saveAllWindowStates();
+            windowManager.cleanup();
         }
         
         // Save any pending state changes
@@ -361,10 +542,65 @@ app.on('before-quit', async (event) => {
             ipcHandler.cleanup();
         }
 
+        if (workspaceManager) {
+            workspaceManager.cleanup();
+        }
+
+        if (marketCalendar) {
+            marketCalendar.stop();
+        }
+
+        // Back to the live path before the services unsubscribe
+        if (replayService) {
+            await replayService.stop();
+        }
+
+        // Close the open recording so its last messages are on disk
+        if (marketDataRecorder) {
+            await marketDataRecorder.stop();
+        }
+
+        // Stop the scanner before its subscription's bridge goes away
+        if (scannerService) {
+            await scannerService.stop();
+        }
+
+        if (alertEngine) {
+            await alertEngine.stop();
+        }
+
+        if (watchlistManager) {
+            await watchlistManager.stop();
+        }
+
+        if (backtester) {
+            backtester.cancel();
+        }
+
+        if (strategyHost) {
+            await strategyHost.stop();
+        }
+
+        if (levelService) {
+            await levelService.stop();
+        }
+
+        if (orderRouter) {
+            await orderRouter.stop();
+        }
+
+        if (positionBook) {
+            await positionBook.stop();
+        }
+
         // Shutdown Polygon Bridge
         if (polygonBridge) {
             await polygonBridge.shutdown();
         }
+
+        if (mockPolygonServer) {
+            await mockPolygonServer.stop();
+        }
         
         console.log('[Main] Cleanup complete, quitting...');
         
@@ -412,5 +648,25 @@ function setupGlobalShortcuts() {
     });
 }
 
-// Export for testing purposes
-module.exports = { windowManager, ipcHandler, stateManager, polygonBridge };
\ No newline at end of file
+// Export for testing purposes (getters: the services are created once the app is ready)
+module.exports = {
+    get windowManager() { return windowManager; },
+    get ipcHandler() { return ipcHandler; },
+    get stateManager() { return stateManager; },
+    get polygonBridge() { return polygonBridge; },
+    get mockPolygonServer() { return mockPolygonServer; },
+    get marketCalendar() { return marketCalendar; },
+    get marketDataRecorder() { return marketDataRecorder; },
+    get replayService() { return replayService; },
+    get scannerService() { return scannerService; },
+    get positionBook() { return positionBook; },
+    get orderSimulator() { return orderSimulator; },
+    get orderRouter() { return orderRouter; },
+    get riskManager() { return riskManager; },
+    get strategyHost() { return strategyHost; },
+    get backtester() { return backtester; },
+    get levelService() { return levelService; },
+    get alertEngine() { return alertEngine; },
+    get watchlistManager() { return watchlistManager; },
+    get workspaceManager() { return workspaceManager; }
+};
\ No newline at end of file
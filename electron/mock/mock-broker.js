@@ -0,0 +1,445 @@
+// electron/mock/mock-broker.js
+/**
+ * Mock Broker - Offline stand-in for a broker API
+ *
+ * Used by MockBrokerAdapter to exercise the order routing path without a
+ * real account. It simulates:
+ * - Acknowledgements (PENDING -> WORKING after a short delay)
+ * - Partial fills (orders fill in one to three executions)
+ * - Rejects (invalid orders, missing market price, buying power, random rate)
+ *
+ * REST:
+ *   GET    /health
+ *   GET    /account
+ *   GET    /positions
+ *   GET    /orders
+ *   POST   /orders        { symbol, side, quantity, type, limitPrice, stopPrice, referencePrice }
+ *   DELETE /orders/:id
+ *
+ * WebSocket (/stream):
+ *   { type: 'connected' }
+ *   { type: 'order_status', order, fill }   fill = { quantity, price, timestamp } or null
+ *   { type: 'pong' }                        reply to { action: 'ping' }
+ *
+ * Usage: node mock/mock-broker.js [--port 8300] [--reject-rate 0.05] [--seed 42]
+ */
+
+const http = require('http');
+const { WebSocketServer } = require('ws');
+
+const ORDER_TYPES = ['market', 'limit', 'stop', 'stop-limit'];
+const FINAL_STATUSES = ['FILLED', 'CANCELLED', 'REJECTED'];
+
+/**
+ * Small seeded PRNG so test runs are repeatable
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+class MockBroker {
+    constructor(options = {}) {
+        this.port = options.port ?? 8300;
+        this.host = options.host || '127.0.0.1';
+        this.startingCash = options.startingCash || 100000;
+        this.rejectRate = options.rejectRate || 0;
+        this.ackDelay = options.ackDelay ?? 50;
+        this.fillDelay = options.fillDelay ?? 250;
+        this.slippageBps = options.slippageBps ?? 2;
+        this.random = createRandom(options.seed ?? Date.now());
+
+        this.cash = this.startingCash;
+        this.realizedPL = 0;
+        this.positions = new Map();     // symbol -> { quantity (signed), avgPrice }
+        this.orders = new Map();        // orderId -> order
+        this.timers = new Map();        // orderId -> pending timers
+        this.sequence = 0;
+
+        this.server = null;
+        this.wss = null;
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<number>} Bound port
+     */
+    start() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.wss = new WebSocketServer({ server: this.server, path: '/stream' });
+
+        this.wss.on('connection', (socket) => {
+            socket.send(JSON.stringify({ type: 'connected', timestamp: Date.now() }));
+
+            socket.on('message', (raw) => {
+                try {
+                    const message = JSON.parse(raw.toString());
+                    if (message.action === 'ping') {
+                        socket.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
+                    }
+                } catch (error) {
+                    // Ignore malformed client messages
+                }
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.port = this.server.address().port;
+                resolve(this.port);
+            });
+        });
+    }
+
+    /**
+     * Stop listening and drop pending executions
+     */
+    stop() {
+        for (const timers of this.timers.values()) {
+            timers.forEach(clearTimeout);
+        }
+        this.timers.clear();
+
+        return new Promise((resolve) => {
+            if (!this.server) return resolve();
+
+            this.wss.clients.forEach(client => client.terminate());
+            this.wss.close();
+            this.server.close(() => resolve());
+        });
+    }
+
+    // ===== HTTP =====
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const parts = url.pathname.split('/').filter(Boolean);
+
+        try {
+            if (req.method === 'GET' && url.pathname === '/health') {
+                return this.send(res, 200, { status: 'ok', timestamp: Date.now() });
+            }
+
+            if (req.method === 'GET' && url.pathname === '/account') {
+                return this.send(res, 200, { account: this.getAccount() });
+            }
+
+            if (req.method === 'GET' && url.pathname === '/positions') {
+                return this.send(res, 200, { positions: this.getPositions() });
+            }
+
+            if (req.method === 'GET' && url.pathname === '/orders') {
+                return this.send(res, 200, { orders: Array.from(this.orders.values()) });
+            }
+
+            if (req.method === 'POST' && url.pathname === '/orders') {
+                const order = this.placeOrder(await this.readBody(req));
+                return this.send(res, order.status === 'REJECTED' ? 422 : 200, { order });
+            }
+
+            if (req.method === 'DELETE' && parts[0] === 'orders' && parts[1]) {
+                const order = this.cancelOrder(decodeURIComponent(parts[1]));
+                if (!order) {
+                    return this.send(res, 404, { error: `Order not found: ${parts[1]}` });
+                }
+                return this.send(res, 200, { order });
+            }
+
+            this.send(res, 404, { error: `Not found: ${req.method} ${url.pathname}` });
+
+        } catch (error) {
+            this.send(res, 400, { error: error.message });
+        }
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                try {
+                    resolve(body ? JSON.parse(body) : {});
+                } catch (error) {
+                    reject(new Error('Invalid JSON body'));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    send(res, status, payload) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+    }
+
+    broadcast(message) {
+        const payload = JSON.stringify(message);
+        this.wss.clients.forEach(client => {
+            if (client.readyState === client.OPEN) {
+                client.send(payload);
+            }
+        });
+    }
+
+    // ===== Orders =====
+
+    placeOrder(request) {
+        const now = Date.now();
+        const order = {
+            id: `mock-${now}-${++this.sequence}`,
+            symbol: String(request.symbol || '').trim().toUpperCase(),
+            side: String(request.side || '').toUpperCase(),
+            quantity: Number(request.quantity),
+            type: String(request.type || 'market').toLowerCase(),
+            limitPrice: request.limitPrice ?? null,
+            stopPrice: request.stopPrice ?? null,
+            referencePrice: request.referencePrice ?? null,
+            status: 'PENDING',
+            reason: null,
+            filledQuantity: 0,
+            avgFillPrice: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.orders.set(order.id, order);
+
+        const reason = this.checkOrder(order);
+        if (reason) {
+            this.update(order, { status: 'REJECTED', reason });
+            return { ...order };
+        }
+
+        this.schedule(order, this.ackDelay, () => {
+            this.update(order, { status: 'WORKING' });
+            this.scheduleFills(order);
+        });
+
+        return { ...order };
+    }
+
+    /**
+     * @returns {string|null} Rejection reason
+     */
+    checkOrder(order) {
+        if (!order.symbol) return 'Symbol is required';
+        if (order.side !== 'BUY' && order.side !== 'SELL') return `Invalid side: ${order.side}`;
+        if (!Number.isInteger(order.quantity) || order.quantity <= 0) return `Invalid quantity: ${order.quantity}`;
+        if (!ORDER_TYPES.includes(order.type)) return `Invalid order type: ${order.type}`;
+        if ((order.type === 'limit' || order.type === 'stop-limit') && !(order.limitPrice > 0)) {
+            return 'Limit price required';
+        }
+        if ((order.type === 'stop' || order.type === 'stop-limit') && !(order.stopPrice > 0)) {
+            return 'Stop price required';
+        }
+
+        const price = this.executionPrice(order);
+        if (!(price > 0)) return 'No market price available';
+
+        // Only orders that add exposure use buying power
+        const position = this.positions.get(order.symbol);
+        const signed = order.side === 'BUY' ? order.quantity : -order.quantity;
+        const reducing = position && Math.sign(position.quantity) === -Math.sign(signed) &&
+            Math.abs(signed) <= Math.abs(position.quantity);
+
+        if (!reducing && price * order.quantity > this.getAccount().buyingPower) {
+            return 'Insufficient buying power';
+        }
+
+        if (this.random() < this.rejectRate) return 'Simulated broker reject';
+
+        return null;
+    }
+
+    /**
+     * Price the mock fills at (no market data here)
+     */
+    executionPrice(order) {
+        switch (order.type) {
+            case 'limit':
+            case 'stop-limit':
+                return order.limitPrice;
+            case 'stop':
+                return order.stopPrice;
+            default:
+                return order.referencePrice;
+        }
+    }
+
+    /**
+     * Split the order into one to three executions
+     */
+    scheduleFills(order) {
+        const executions = Math.min(order.quantity, 1 + Math.floor(this.random() * 3));
+        const base = Math.floor(order.quantity / executions);
+        let delay = 0;
+
+        for (let i = 0; i < executions; i++) {
+            const quantity = i === executions - 1 ? order.quantity - base * (executions - 1) : base;
+            delay += this.fillDelay;
+
+            this.schedule(order, delay, () => this.fill(order, quantity));
+        }
+    }
+
+    fill(order, quantity) {
+        if (FINAL_STATUSES.includes(order.status)) return;
+
+        let price = this.executionPrice(order);
+
+        // Market and stop orders take a little slippage
+        if (order.type === 'market' || order.type === 'stop') {
+            const slip = price * (this.slippageBps / 10000) * this.random();
+            price = order.side === 'BUY' ? price + slip : price - slip;
+        }
+        price = Math.round(price * 100) / 100;
+
+        const filled = order.filledQuantity + quantity;
+        const avgFillPrice = ((order.avgFillPrice || 0) * order.filledQuantity + price * quantity) / filled;
+
+        this.applyExecution(order.symbol, order.side, quantity, price);
+
+        const fill = { quantity, price, timestamp: Date.now() };
+        this.update(order, {
+            status: filled >= order.quantity ? 'FILLED' : 'PARTIALLY_FILLED',
+            filledQuantity: filled,
+            avgFillPrice: Math.round(avgFillPrice * 10000) / 10000
+        }, fill);
+
+        if (order.status === 'FILLED') {
+            this.timers.delete(order.id);
+        }
+    }
+
+    cancelOrder(orderId) {
+        const order = this.orders.get(orderId);
+        if (!order) return null;
+
+        if (!FINAL_STATUSES.includes(order.status)) {
+            (this.timers.get(orderId) || []).forEach(clearTimeout);
+            this.timers.delete(orderId);
+            this.update(order, { status: 'CANCELLED', reason: 'Cancelled by user' });
+        }
+
+        return { ...order };
+    }
+
+    schedule(order, delay, callback) {
+        const timer = setTimeout(callback, delay);
+        if (!this.timers.has(order.id)) {
+            this.timers.set(order.id, []);
+        }
+        this.timers.get(order.id).push(timer);
+    }
+
+    update(order, changes, fill = null) {
+        Object.assign(order, changes, { updatedAt: Date.now() });
+        this.broadcast({ type: 'order_status', order: { ...order }, fill });
+    }
+
+    // ===== Account =====
+
+    /**
+     * Apply an execution to cash and average-cost positions
+     */
+    applyExecution(symbol, side, quantity, price) {
+        const signed = side === 'BUY' ? quantity : -quantity;
+        const position = this.positions.get(symbol) || { quantity: 0, avgPrice: 0 };
+
+        this.cash -= signed * price;
+
+        if (position.quantity !== 0 && Math.sign(position.quantity) !== Math.sign(signed)) {
+            // Closing (and possibly flipping)
+            const closing = Math.min(Math.abs(signed), Math.abs(position.quantity));
+            this.realizedPL += (price - position.avgPrice) * closing * Math.sign(position.quantity);
+
+            const remaining = position.quantity + signed;
+            if (Math.sign(remaining) !== Math.sign(position.quantity) && remaining !== 0) {
+                position.avgPrice = price;
+            }
+            position.quantity = remaining;
+        } else {
+            const total = position.quantity + signed;
+            position.avgPrice = (position.avgPrice * Math.abs(position.quantity) + price * quantity) / Math.abs(total);
+            position.quantity = total;
+        }
+
+        if (position.quantity === 0) {
+            this.positions.delete(symbol);
+        } else {
+            this.positions.set(symbol, position);
+        }
+    }
+
+    getPositions() {
+        return Array.from(this.positions.entries()).map(([symbol, position]) => ({
+            symbol,
+            side: position.quantity > 0 ? 'LONG' : 'SHORT',
+            quantity: Math.abs(position.quantity),
+            avgPrice: Math.round(position.avgPrice * 10000) / 10000
+        }));
+    }
+
+    getAccount() {
+        // Positions are carried at cost; the mock has no prices to mark them
+        let longValue = 0;
+        let shortValue = 0;
+        for (const position of this.positions.values()) {
+            const value = Math.abs(position.quantity) * position.avgPrice;
+            if (position.quantity > 0) longValue += value;
+            else shortValue += value;
+        }
+
+        const equity = this.cash + longValue - shortValue;
+
+        return {
+            accountId: 'MOCK-001',
+            equity,
+            cash: this.cash,
+            buyingPower: Math.max(0, equity - longValue - shortValue),
+            realizedPL: this.realizedPL,
+            unrealizedPL: 0
+        };
+    }
+}
+
+/**
+ * Parse --key value command line options
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([a-z-]+)$/.exec(argv[i]);
+        if (!match) continue;
+
+        const key = match[1].replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        const value = argv[i + 1];
+        options[key] = value !== undefined && !isNaN(value) ? Number(value) : value;
+        i++;
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const broker = new MockBroker(parseArgs(process.argv.slice(2)));
+
+    broker.start().then((port) => {
+        console.log(`[MockBroker] Listening on http://${broker.host}:${port}`);
+    }).catch((error) => {
+        console.error('[MockBroker] Failed to start:', error.message);
+        process.exit(1);
+    });
+
+    const shutdown = () => broker.stop().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+module.exports = MockBroker;
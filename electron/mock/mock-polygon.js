@@ -0,0 +1,832 @@
+// electron/mock/mock-polygon.js
+/**
+ * Mock Polygon Server - Offline stand-in for the Polygon data server
+ *
+ * Speaks the same REST and WebSocket protocol as polygon_server, so the
+ * Electron shell and test-polygon-integration.js run without network access
+ * or an API key. All data is synthetic and deterministic:
+ * - Bars are a function of seed, symbol and time, so a bar is the same in
+ *   whatever range it is requested (weekdays, regular session, no holidays)
+ * - The live stream walks on from the last close with a seeded PRNG
+ * - Only the symbols in SYMBOLS exist; others answer like unknown tickers
+ *
+ * With --now the clock starts at that time and advances one interval per
+ * stream tick, which makes /latest and the stream repeatable as well.
+ *
+ * REST (errors come back as { detail }, like FastAPI):
+ *   GET    /health
+ *   GET    /status
+ *   POST   /api/v1/bars            { symbol, timeframe, start_date, end_date, limit }
+ *   POST   /api/v1/bars/multiple   { symbols, timeframe, start_date, end_date }
+ *   GET    /api/v1/latest/:symbol
+ *   POST   /api/v1/validate        { symbols }
+ *   GET    /api/v1/search?query=
+ *   GET    /api/v1/cache/stats
+ *   GET    /ws/status
+ *
+ * WebSocket (/ws/:client_id):
+ *   { type: 'connected', client_id }
+ *   { type: 'subscribed', symbols, channels }   reply to { action: 'subscribe', symbols, channels }
+ *   { type: 'unsubscribed', symbols }           reply to { action: 'unsubscribe', symbols }
+ *   { type: 'market_data', data }               T trades, Q quotes, A second and AM minute aggregates
+ *   { type: 'pong' }                            reply to { action: 'ping' }
+ *
+ * Usage: node mock/mock-polygon.js [--port 8200] [--seed 42] [--interval 250] [--now 2025-01-15T15:00:00Z]
+ */
+
+const http = require('http');
+const { WebSocketServer } = require('ws');
+
+// Symbol universe: [symbol, name, type, exchange, reference price]
+const SYMBOLS = [
+    ['AAPL', 'Apple Inc.', 'CS', 'XNAS', 190],
+    ['MSFT', 'Microsoft Corporation', 'CS', 'XNAS', 410],
+    ['NVDA', 'NVIDIA Corporation', 'CS', 'XNAS', 120],
+    ['AMZN', 'Amazon.com Inc.', 'CS', 'XNAS', 180],
+    ['GOOGL', 'Alphabet Inc. Class A', 'CS', 'XNAS', 165],
+    ['META', 'Meta Platforms Inc.', 'CS', 'XNAS', 500],
+    ['TSLA', 'Tesla Inc.', 'CS', 'XNAS', 220],
+    ['AMD', 'Advanced Micro Devices Inc.', 'CS', 'XNAS', 150],
+    ['INTC', 'Intel Corporation', 'CS', 'XNAS', 30],
+    ['NFLX', 'Netflix Inc.', 'CS', 'XNAS', 640],
+    ['JPM', 'JPMorgan Chase & Co.', 'CS', 'XNYS', 200],
+    ['BAC', 'Bank of America Corporation', 'CS', 'XNYS', 38],
+    ['XOM', 'Exxon Mobil Corporation', 'CS', 'XNYS', 115],
+    ['KO', 'The Coca-Cola Company', 'CS', 'XNYS', 62],
+    ['DIS', 'The Walt Disney Company', 'CS', 'XNYS', 100],
+    ['F', 'Ford Motor Company', 'CS', 'XNYS', 12],
+    ['SPY', 'SPDR S&P 500 ETF Trust', 'ETF', 'ARCX', 520],
+    ['QQQ', 'Invesco QQQ Trust', 'ETF', 'XNAS', 450],
+    ['IWM', 'iShares Russell 2000 ETF', 'ETF', 'ARCX', 205],
+    ['DIA', 'SPDR Dow Jones Industrial Average ETF', 'ETF', 'ARCX', 390]
+];
+
+// Minutes per intraday bar; longer bars are grouped by calendar period
+const TIMEFRAMES = {
+    '1min': 1, '5min': 5, '15min': 15, '30min': 30, '1hour': 60, '4hour': 240,
+    '1day': 'day', '1week': 'week', '1month': 'month'
+};
+
+const DAY_MS = 86400000;
+const OPEN_MINUTE = 570;        // 09:30 ET
+const CLOSE_MINUTE = 960;       // 16:00 ET
+const DEFAULT_DAYS = 30;        // Range when start_date is not given (as the real server)
+const MINUTE_CACHE_SIZE = 500;  // Generated sessions kept
+
+/**
+ * Small seeded PRNG so test runs are repeatable
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * FNV-1a over the parts, for per symbol and per day seeds
+ */
+function hash(...parts) {
+    let h = 0x811C9DC5;
+    for (const char of parts.join('|')) {
+        h = Math.imul(h ^ char.charCodeAt(0), 0x01000193);
+    }
+    return h >>> 0;
+}
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+const pad = (value) => String(value).padStart(2, '0');
+
+// ===== Eastern time =====
+// Days are numbered from 1970-01-01 by their New York calendar date
+
+function dayOf(date) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(date || ''));
+    if (!match) return null;
+    return Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) / DAY_MS;
+}
+
+function formatDay(day) {
+    return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+const weekday = (day) => (day + 4) % 7;  // 0 = Sunday
+const isTradingDay = (day) => weekday(day) >= 1 && weekday(day) <= 5;
+
+/**
+ * Daylight saving in the US: second Sunday in March to first Sunday in November
+ */
+function isDaylightSaving(day) {
+    const date = new Date(day * DAY_MS);
+    const year = date.getUTCFullYear();
+    const start = dayOf(`${year}-03-08`);
+    const end = dayOf(`${year}-11-01`);
+    const marchSunday = start + (7 - weekday(start)) % 7;
+    const novemberSunday = end + (7 - weekday(end)) % 7;
+    return day >= marchSunday && day < novemberSunday;
+}
+
+const offsetMinutes = (day) => isDaylightSaving(day) ? 240 : 300;
+
+/**
+ * @returns {{ day: number, minute: number }} New York day and minute of day
+ */
+function fromTime(time) {
+    let local = Math.floor(time / 60000) - 300;
+    if (isDaylightSaving(Math.floor(local / 1440))) {
+        local += 60;
+    }
+    return { day: Math.floor(local / 1440), minute: ((local % 1440) + 1440) % 1440 };
+}
+
+/**
+ * ISO timestamp with the New York offset, as the server's pandas index prints
+ */
+function formatTime(day, minute) {
+    const offset = offsetMinutes(day) / 60;
+    return `${formatDay(day)}T${pad(Math.floor(minute / 60))}:${pad(minute % 60)}:00-${pad(offset)}:00`;
+}
+
+class MockPolygonServer {
+    constructor(options = {}) {
+        this.port = options.port ?? 8200;
+        this.host = options.host || '127.0.0.1';
+        this.seed = options.seed ?? 42;
+        this.interval = options.interval ?? 250;
+        this.fixedNow = options.now ? new Date(options.now).getTime() : null;
+
+        this.symbols = new Map(SYMBOLS.map(([symbol, name, type, exchange, price]) => [
+            symbol, { symbol, name, type, exchange, price }
+        ]));
+
+        this.minuteCache = new Map();   // `${symbol}|${day}` -> minute bars of the session
+        this.live = new Map();          // symbol -> { price, random, second, minute }
+        this.clients = new Map();       // clientId -> { socket, symbols: Map(symbol -> Set(channels)) }
+        this.requests = new Map();      // `${symbol}|${timeframe}` -> bar request count
+        this.ticks = 0;
+        this.tradeSequence = 0;
+        this.startedAt = Date.now();
+
+        this.server = null;
+        this.wss = null;
+        this.timer = null;
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<number>} Bound port
+     */
+    start() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.wss = new WebSocketServer({ noServer: true });
+
+        this.server.on('upgrade', (req, socket, head) => {
+            const match = /^\/ws\/([^/?]+)/.exec(req.url);
+            if (!match) {
+                socket.destroy();
+                return;
+            }
+
+            this.wss.handleUpgrade(req, socket, head, (client) => {
+                this.handleConnection(client, decodeURIComponent(match[1]));
+            });
+        });
+
+        this.timer = setInterval(() => this.tick(), this.interval);
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.port = this.server.address().port;
+                resolve(this.port);
+            });
+        });
+    }
+
+    /**
+     * Stop listening and the stream
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+
+        return new Promise((resolve) => {
+            if (!this.server) return resolve();
+
+            this.wss.clients.forEach(client => client.terminate());
+            this.wss.close();
+            this.server.close(() => resolve());
+        });
+    }
+
+    /**
+     * Current time (with --now, advanced one interval per stream tick)
+     */
+    clock() {
+        return this.fixedNow === null ? Date.now() : this.fixedNow + this.ticks * this.interval;
+    }
+
+    // ===== HTTP =====
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const parts = url.pathname.split('/').filter(Boolean);
+        const route = parts.slice(0, 2).join('/') === 'api/v1' ? `/${parts.slice(2).join('/')}` : null;
+
+        try {
+            if (req.method === 'GET' && url.pathname === '/health') {
+                return this.send(res, 200, { status: 'healthy', timestamp: this.timestamp() });
+            }
+
+            if (req.method === 'GET' && url.pathname === '/status') {
+                return this.send(res, 200, this.getStatus());
+            }
+
+            if (req.method === 'GET' && url.pathname === '/ws/status') {
+                return this.send(res, 200, {
+                    active_clients: this.clients.size,
+                    client_ids: Array.from(this.clients.keys()),
+                    polygon_connected: true,
+                    polygon_status: { connected: true, mock: true }
+                });
+            }
+
+            if (req.method === 'POST' && route === '/bars') {
+                return this.sendBars(res, await this.readBody(req));
+            }
+
+            if (req.method === 'POST' && route === '/bars/multiple') {
+                return this.send(res, 200, this.getMultipleBars(await this.readBody(req)));
+            }
+
+            const latest = /^\/latest\/([^/]+)$/.exec(route || '');
+            if (req.method === 'GET' && latest) {
+                const symbol = decodeURIComponent(latest[1]).toUpperCase();
+                if (!this.symbols.has(symbol)) {
+                    return this.send(res, 404, { detail: `No price data for ${symbol}` });
+                }
+                return this.send(res, 200, { symbol, price: this.latestPrice(symbol), timestamp: this.timestamp() });
+            }
+
+            if (req.method === 'POST' && route === '/validate') {
+                const { symbols = [] } = await this.readBody(req);
+                return this.send(res, 200, Object.fromEntries(symbols.map(symbol => [
+                    symbol, { valid: this.symbols.has(String(symbol).toUpperCase()) }
+                ])));
+            }
+
+            if (req.method === 'GET' && route === '/search') {
+                const query = url.searchParams.get('query');
+                if (!query) {
+                    return this.send(res, 422, { detail: 'Missing query parameter: query' });
+                }
+                const results = this.search(query);
+                return this.send(res, 200, { query, count: results.length, results });
+            }
+
+            if (req.method === 'GET' && route === '/cache/stats') {
+                return this.send(res, 200, this.getCacheStats());
+            }
+
+            this.send(res, 404, { detail: 'Not Found' });
+
+        } catch (error) {
+            this.send(res, 400, { detail: error.message });
+        }
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                try {
+                    resolve(body ? JSON.parse(body) : {});
+                } catch (error) {
+                    reject(new Error('Invalid JSON body'));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    send(res, status, payload) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+    }
+
+    timestamp() {
+        return new Date(this.clock()).toISOString();
+    }
+
+    getStatus() {
+        return {
+            status: 'healthy',
+            version: 'mock',
+            uptime_seconds: (Date.now() - this.startedAt) / 1000,
+            polygon_connected: true,
+            websocket_clients: this.clients.size,
+            cache_stats: this.getCacheStats(),
+            rate_limit_status: { limited: false },
+            system_metrics: {
+                memory_mb: process.memoryUsage().rss / 1024 / 1024,
+                cpu_percent: 0,
+                threads: 1
+            }
+        };
+    }
+
+    /**
+     * Bar requests stand in for the cache: each symbol and timeframe asked for is an entry
+     */
+    getCacheStats() {
+        const entries = Array.from(this.requests.values());
+        const count = (key) => {
+            const totals = new Map();
+            entries.forEach(entry => totals.set(entry[key], (totals.get(entry[key]) || 0) + 1));
+            return Array.from(totals, ([value, total]) => ({ [key]: value, count: total, size: 0 }))
+                .sort((a, b) => b.count - a.count);
+        };
+
+        return {
+            total_entries: entries.length,
+            total_size_mb: 0,
+            top_symbols: count('symbol').slice(0, 10),
+            by_timeframe: count('timeframe'),
+            recent_access: entries
+                .map(({ symbol, timeframe, accesses }) => ({ symbol, timeframe, access_count: accesses }))
+                .sort((a, b) => b.access_count - a.access_count)
+                .slice(0, 10),
+            cache_directory: null,
+            database_path: null
+        };
+    }
+
+    search(query) {
+        const text = query.toUpperCase();
+        return Array.from(this.symbols.values())
+            .filter(item => item.symbol.includes(text) || item.name.toUpperCase().includes(text))
+            .map(({ symbol, name, type, exchange }) => ({ symbol, name, type, exchange }));
+    }
+
+    // ===== Bars =====
+
+    sendBars(res, request) {
+        const symbol = String(request.symbol || '').toUpperCase();
+        const timeframe = request.timeframe || '1day';
+        const range = this.parseRange(request, timeframe);
+        if (range.error) {
+            return this.send(res, 422, { detail: range.error });
+        }
+
+        let bars = this.getBars(symbol, timeframe, range.start, range.end);
+        if (bars.length === 0) {
+            return this.send(res, 404, { detail: `No data found for ${symbol}` });
+        }
+        if (request.limit && bars.length > request.limit) {
+            bars = bars.slice(-request.limit);
+        }
+
+        this.send(res, 200, {
+            symbol,
+            timeframe,
+            start_date: bars[0].timestamp.slice(0, 10),
+            end_date: bars[bars.length - 1].timestamp.slice(0, 10),
+            bar_count: bars.length,
+            data: bars,
+            cached: request.use_cache ?? true,
+            validation: null
+        });
+    }
+
+    getMultipleBars(request) {
+        const timeframe = request.timeframe || '1day';
+        const range = this.parseRange(request, timeframe);
+        if (range.error) {
+            throw new Error(range.error);
+        }
+
+        const response = {};
+        for (const symbol of request.symbols || []) {
+            const bars = this.getBars(String(symbol).toUpperCase(), timeframe, range.start, range.end);
+            response[symbol] = bars.length > 0
+                ? { success: true, bar_count: bars.length, first_bar: bars[0].timestamp, last_bar: bars[bars.length - 1].timestamp }
+                : { success: false, error: 'No data' };
+        }
+        return response;
+    }
+
+    /**
+     * @returns {{ start: number, end: number }|{ error: string }} Day range
+     */
+    parseRange(request, timeframe) {
+        if (!(timeframe in TIMEFRAMES)) {
+            return { error: `Invalid timeframe: ${timeframe}` };
+        }
+
+        const today = fromTime(this.clock()).day;
+        const end = request.end_date ? dayOf(request.end_date) : today;
+        const start = request.start_date ? dayOf(request.start_date) : today - DEFAULT_DAYS;
+        if (start === null || end === null) {
+            return { error: `Invalid date: ${start === null ? request.start_date : request.end_date}` };
+        }
+
+        return { start, end };
+    }
+
+    /**
+     * Bars of a timeframe over a day range, up to the current minute
+     */
+    getBars(symbol, timeframe, startDay, endDay) {
+        if (!this.symbols.has(symbol)) return [];
+
+        const key = `${symbol}|${timeframe}`;
+        const entry = this.requests.get(key) || { symbol, timeframe, accesses: 0 };
+        entry.accesses++;
+        this.requests.set(key, entry);
+
+        const now = fromTime(this.clock());
+        const size = TIMEFRAMES[timeframe];
+        const bars = [];
+
+        for (let day = startDay; day <= Math.min(endDay, now.day); day++) {
+            if (!isTradingDay(day)) continue;
+
+            let minutes = this.getSession(symbol, day);
+            if (day === now.day) {
+                minutes = minutes.filter(bar => bar.minute < now.minute);
+                if (minutes.length === 0) continue;
+            }
+
+            if (typeof size === 'number') {
+                for (const bar of minutes) {
+                    const start = bar.minute - (bar.minute % size);
+                    this.merge(bars, formatTime(day, start), bar);
+                }
+            } else {
+                const first = size === 'day' ? day
+                    : size === 'week' ? day - weekday(day)
+                    : dayOf(`${formatDay(day).slice(0, 7)}-01`);
+                minutes.forEach(bar => this.merge(bars, formatTime(first, 0), bar));
+            }
+        }
+
+        return bars.map(({ vwapVolume, ...bar }) => ({ ...bar, vwap: round(bar.vwap / vwapVolume, 4) }));
+    }
+
+    /**
+     * Add a minute bar to the last bar if it has the same timestamp, else start a new one
+     */
+    merge(bars, timestamp, minute) {
+        const last = bars[bars.length - 1];
+        if (last && last.timestamp === timestamp) {
+            last.high = Math.max(last.high, minute.high);
+            last.low = Math.min(last.low, minute.low);
+            last.close = minute.close;
+            last.volume += minute.volume;
+            last.vwap += minute.vwap * minute.volume;
+            last.vwapVolume += minute.volume;
+            last.transactions += minute.transactions;
+            return;
+        }
+
+        bars.push({
+            timestamp,
+            open: minute.open,
+            high: minute.high,
+            low: minute.low,
+            close: minute.close,
+            volume: minute.volume,
+            vwap: minute.vwap * minute.volume,
+            vwapVolume: minute.volume,
+            transactions: minute.transactions
+        });
+    }
+
+    /**
+     * Close of a day: a slow cycle around the reference price plus daily noise
+     */
+    dayClose(symbol, day) {
+        const { price } = this.symbols.get(symbol);
+        const phase = (hash(this.seed, symbol) % 1000) / 1000 * Math.PI * 2;
+        const noise = createRandom(hash(this.seed, symbol, day, 'close'))() * 2 - 1;
+        const level = 1 + 0.2 * Math.sin(day / 260 * Math.PI * 2 + phase) +
+            0.06 * Math.sin(day / 41 * Math.PI * 2 + phase * 3);
+        return round(price * level * (1 + 0.012 * noise));
+    }
+
+    previousTradingDay(day) {
+        do {
+            day--;
+        } while (!isTradingDay(day));
+        return day;
+    }
+
+    /**
+     * Minute bars of a regular session: a random walk pinned to the day's
+     * open (a gap from the previous close) and close
+     */
+    getSession(symbol, day) {
+        const key = `${symbol}|${day}`;
+        if (this.minuteCache.has(key)) return this.minuteCache.get(key);
+
+        const random = createRandom(hash(this.seed, symbol, day, 'session'));
+        const close = this.dayClose(symbol, day);
+        const open = round(this.dayClose(symbol, this.previousTradingDay(day)) * (1 + (random() - 0.5) * 0.008));
+        const count = CLOSE_MINUTE - OPEN_MINUTE;
+        const scale = open * 0.0012;
+
+        // Brownian bridge from open to close
+        const walk = [0];
+        for (let i = 1; i <= count; i++) {
+            walk.push(walk[i - 1] + (random() - 0.5));
+        }
+        const path = walk.map((value, i) =>
+            round(open + (close - open) * (i / count) + scale * (value - walk[count] * (i / count))));
+
+        const baseVolume = 20000 + (hash(this.seed, symbol) % 80000);
+        const bars = [];
+        for (let i = 0; i < count; i++) {
+            const barOpen = path[i];
+            const barClose = path[i + 1];
+            const high = round(Math.max(barOpen, barClose) + random() * scale * 0.5);
+            const low = round(Math.min(barOpen, barClose) - random() * scale * 0.5);
+
+            // Busier at the open and the close
+            const shape = 1 + 2 * ((i / count - 0.5) * 2) ** 2;
+            const volume = Math.round(baseVolume * shape * (0.5 + random()));
+
+            bars.push({
+                minute: OPEN_MINUTE + i,
+                open: barOpen,
+                high,
+                low,
+                close: barClose,
+                volume,
+                vwap: round((high + low + barClose) / 3, 4),
+                transactions: Math.max(1, Math.round(volume / 90))
+            });
+        }
+
+        if (this.minuteCache.size >= MINUTE_CACHE_SIZE) {
+            this.minuteCache.delete(this.minuteCache.keys().next().value);
+        }
+        this.minuteCache.set(key, bars);
+        return bars;
+    }
+
+    /**
+     * Last traded price: the live stream's if it runs, else the last minute close
+     */
+    latestPrice(symbol) {
+        if (this.live.has(symbol)) {
+            return this.live.get(symbol).price;
+        }
+
+        const { day, minute } = fromTime(this.clock());
+        if (isTradingDay(day) && minute > OPEN_MINUTE) {
+            const bars = this.getSession(symbol, day);
+            return bars[Math.min(minute, CLOSE_MINUTE) - OPEN_MINUTE - 1].close;
+        }
+
+        return this.dayClose(symbol, this.previousTradingDay(day));
+    }
+
+    // ===== WebSocket =====
+
+    handleConnection(socket, clientId) {
+        this.clients.set(clientId, { socket, symbols: new Map() });
+
+        this.sendTo(socket, {
+            type: 'connected',
+            message: 'Connected to Polygon data stream',
+            client_id: clientId,
+            timestamp: this.timestamp()
+        });
+
+        socket.on('message', (raw) => {
+            let message;
+            try {
+                message = JSON.parse(raw.toString());
+            } catch (error) {
+                return;     // Ignore malformed client messages
+            }
+            this.handleMessage(clientId, message);
+        });
+
+        socket.on('close', () => {
+            if (this.clients.get(clientId)?.socket === socket) {
+                this.clients.delete(clientId);
+            }
+        });
+    }
+
+    handleMessage(clientId, message) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        const symbols = Array.isArray(message.symbols) ? message.symbols : [];
+
+        switch (message.action) {
+            case 'subscribe': {
+                if (symbols.length === 0) {
+                    this.sendTo(client.socket, { type: 'error', message: 'No symbols provided' });
+                    return;
+                }
+
+                const channels = message.channels || ['T'];
+                for (const symbol of symbols) {
+                    const subscribed = client.symbols.get(symbol) || new Set();
+                    channels.forEach(channel => subscribed.add(channel));
+                    client.symbols.set(symbol, subscribed);
+                }
+
+                this.sendTo(client.socket, {
+                    type: 'subscribed',
+                    symbols,
+                    channels,
+                    subscription_id: `client_${clientId}`
+                });
+                break;
+            }
+
+            case 'unsubscribe':
+                symbols.forEach(symbol => client.symbols.delete(symbol));
+                this.sendTo(client.socket, { type: 'unsubscribed', symbols });
+                break;
+
+            case 'ping':
+                this.sendTo(client.socket, { type: 'pong', timestamp: this.timestamp() });
+                break;
+
+            default:
+                this.sendTo(client.socket, { type: 'error', message: `Unknown action: ${message.action}` });
+        }
+    }
+
+    sendTo(socket, message) {
+        if (socket.readyState === socket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * One step of the live stream: a trade and a quote for every subscribed
+     * symbol, plus the second and minute aggregates they complete
+     */
+    tick() {
+        this.ticks++;
+        const now = this.clock();
+
+        const subscribed = new Set();
+        for (const client of this.clients.values()) {
+            client.symbols.forEach((channels, symbol) => subscribed.add(symbol));
+        }
+
+        for (const symbol of subscribed) {
+            if (!this.symbols.has(symbol)) continue;
+
+            const events = this.step(symbol, now);
+            const timestamp = new Date(now).toISOString();
+
+            for (const client of this.clients.values()) {
+                const channels = client.symbols.get(symbol);
+                if (!channels) continue;
+
+                for (const [channel, data] of Object.entries(events)) {
+                    if (data && channels.has(channel)) {
+                        this.sendTo(client.socket, { type: 'market_data', data, timestamp });
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Advance a symbol's live price
+     * @returns {Object} Events by channel (aggregates only when a period ended)
+     */
+    step(symbol, now) {
+        if (!this.live.has(symbol)) {
+            this.live.set(symbol, {
+                price: this.latestPrice(symbol),
+                random: createRandom(hash(this.seed, symbol, 'live')),
+                second: null,
+                minute: null
+            });
+        }
+
+        const state = this.live.get(symbol);
+        const { random } = state;
+
+        state.price = round(Math.max(0.01, state.price * (1 + (random() - 0.5) * 0.0008)));
+        const size = random() < 0.7 ? 100 * (1 + Math.floor(random() * 5)) : 1 + Math.floor(random() * 99);
+        const spread = Math.max(0.01, round(state.price * 0.0002));
+
+        const trade = {
+            event_type: 'trade',
+            symbol,
+            timestamp: now,
+            price: state.price,
+            size,
+            conditions: [],
+            exchange: 4,
+            trade_id: String(++this.tradeSequence)
+        };
+
+        const quote = {
+            event_type: 'quote',
+            symbol,
+            timestamp: now,
+            bid_price: round(state.price - spread / 2),
+            bid_size: 1 + Math.floor(random() * 20),
+            ask_price: round(state.price + spread / 2),
+            ask_size: 1 + Math.floor(random() * 20),
+            exchange: 4
+        };
+
+        return {
+            T: trade,
+            Q: quote,
+            A: this.aggregate(state, 'second', Math.floor(now / 1000) * 1000, trade),
+            AM: this.aggregate(state, 'minute', Math.floor(now / 60000) * 60000, trade)
+        };
+    }
+
+    /**
+     * Add a trade to the open aggregate of a period
+     * @returns {Object|null} The previous aggregate if the trade started a new period
+     */
+    aggregate(state, period, start, trade) {
+        let finished = null;
+        const open = state[period];
+
+        if (open && open.timestamp !== start) {
+            finished = { ...open, vwap: round(open.vwap / open.volume, 4) };
+            state[period] = null;
+        }
+
+        const bar = state[period];
+        if (bar) {
+            bar.high = Math.max(bar.high, trade.price);
+            bar.low = Math.min(bar.low, trade.price);
+            bar.close = trade.price;
+            bar.volume += trade.size;
+            bar.vwap += trade.price * trade.size;
+            bar.transactions++;
+        } else {
+            state[period] = {
+                event_type: 'aggregate',
+                symbol: trade.symbol,
+                timestamp: start,
+                open: trade.price,
+                high: trade.price,
+                low: trade.price,
+                close: trade.price,
+                volume: trade.size,
+                vwap: trade.price * trade.size,
+                transactions: 1
+            };
+        }
+
+        return finished;
+    }
+}
+
+/**
+ * Parse --key value command line options
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = /^--([a-z-]+)$/.exec(argv[i]);
+        if (!match) continue;
+
+        const key = match[1].replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        const value = argv[i + 1];
+        options[key] = value !== undefined && !isNaN(value) ? Number(value) : value;
+        i++;
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const server = new MockPolygonServer(parseArgs(process.argv.slice(2)));
+
+    server.start().then((port) => {
+        console.log(`[MockPolygon] Listening on http://${server.host}:${port}`);
+    }).catch((error) => {
+        console.error('[MockPolygon] Failed to start:', error.message);
+        process.exit(1);
+    });
+
+    const shutdown = () => server.stop().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+module.exports = MockPolygonServer;
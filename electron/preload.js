@@ -68,6 +68,48 @@ contextBridge.exposeInMainWorld('electronAPI', {
          */
         close: (windowId) => {
             return ipcRenderer.invoke('window:close', { windowId });
+        },
+
+        /**
+         * Tear a tab out into its own window
+         * @param {string} view - Tab ID
+         * @param {object} [options] - { state, x, y } (state: grids, chart, watchlist)
+         * @returns {Promise<object>} - { success, windowId }
+         */
+        detachView: (view, options = {}) => {
+            return ipcRenderer.invoke('window:detach-view', { view, ...options });
+        },
+
+        /**
+         * Dock a torn-out tab back and close its window
+         * @param {object} [options] - { windowId, state }; without windowId this
+         *   window's own tab goes back to the window it came from
+         * @returns {Promise<object>} - { success, windowId } of the window it docked into
+         */
+        dockView: (options = {}) => {
+            return ipcRenderer.invoke('window:dock-view', options);
+        },
+
+        /**
+         * Get the state a torn-out tab was detached with (once)
+         * @param {string} handoffId - From the window's ?handoff= query
+         * @returns {Promise<object>} - { success, state }
+         */
+        takeViewState: (handoffId) => {
+            return ipcRenderer.invoke('window:take-view-state', { handoffId });
+        },
+
+        /**
+         * Listen for tabs docked into this window (or returned to it)
+         * @param {function} callback - Called with { view, state }
+         * @returns {function} - Call to remove listener
+         */
+        onViewDocked: (callback) => {
+            const subscription = (event, data) => callback(data);
+            ipcRenderer.on('view:docked', subscription);
+            return () => {
+                ipcRenderer.removeListener('view:docked', subscription);
+            };
         }
     },
 
@@ -187,6 +229,757 @@ contextBridge.exposeInMainWorld('electronAPI', {
             return () => {
                 ipcRenderer.removeListener('connection-error', subscription);
             };
+        },
+
+        /**
+         * Get the current trading session and time to the next open/close
+         * @returns {Promise<object>} - { success, status }
+         */
+        getStatus: () => {
+            return ipcRenderer.invoke('market:get-status');
+        },
+
+        /**
+         * Get the sessions of a day (holidays and early closes included)
+         * @param {string} [day] - 'YYYY-MM-DD' (default today in New York)
+         * @returns {Promise<object>} - { success, schedule }
+         */
+        getSchedule: (day) => {
+            return ipcRenderer.invoke('market:get-schedule', { day });
+        },
+
+        /**
+         * Listen for session transitions (pre-market, open, after-hours, closed)
+         * @param {function} callback - Called with the new status
+         * @returns {function} - Call to remove listener
+         */
+        onSession: (callback) => {
+            const subscription = (event, status) => callback(status);
+            ipcRenderer.on('market:session', subscription);
+            return () => {
+                ipcRenderer.removeListener('market:session', subscription);
+            };
+        }
+    },
+
+    // ============= Scanner Operations =============
+    recorder: {
+        /**
+         * Get the recorder status (files, size, limits)
+         * @returns {Promise<object>} - { success, status }
+         */
+        getStatus: () => {
+            return ipcRenderer.invoke('recorder:get-status');
+        },
+
+        /**
+         * Turn recording of the live stream on or off
+         * @param {boolean} enabled - Record
+         * @returns {Promise<object>} - { success, status }
+         */
+        setEnabled: (enabled) => {
+            return ipcRenderer.invoke('recorder:set-enabled', { enabled });
+        },
+
+        /**
+         * List recorded days
+         * @returns {Promise<object>} - { success, days: [{ day, start, end, files, messages, bytes, symbols }] }
+         */
+        list: () => {
+            return ipcRenderer.invoke('recorder:list');
+        }
+    },
+
+    replay: {
+        /**
+         * Start a replay (paused at its first message)
+         * @param {object} options - { source: 'recording'|'bars', day: 'YYYY-MM-DD', symbols?, timeframe? }
+         * @returns {Promise<object>} - { success, status }
+         */
+        start: (options) => {
+            return ipcRenderer.invoke('replay:start', options);
+        },
+
+        /**
+         * End the replay and return to live data
+         * @returns {Promise<object>} - { success, status }
+         */
+        stop: () => {
+            return ipcRenderer.invoke('replay:stop');
+        },
+
+        play: () => {
+            return ipcRenderer.invoke('replay:play');
+        },
+
+        pause: () => {
+            return ipcRenderer.invoke('replay:pause');
+        },
+
+        /**
+         * Send the next message (pauses playback)
+         * @returns {Promise<object>} - { success, status }
+         */
+        step: () => {
+            return ipcRenderer.invoke('replay:step');
+        },
+
+        /**
+         * Continue from a replay time (messages in between are skipped)
+         * @param {number} time - Replay time (ms)
+         * @returns {Promise<object>} - { success, status }
+         */
+        seek: (time) => {
+            return ipcRenderer.invoke('replay:seek', { time });
+        },
+
+        /**
+         * @param {string} speed - '1x', '10x' or 'max'
+         * @returns {Promise<object>} - { success, status }
+         */
+        setSpeed: (speed) => {
+            return ipcRenderer.invoke('replay:set-speed', { speed });
+        },
+
+        getStatus: () => {
+            return ipcRenderer.invoke('replay:get-status');
+        },
+
+        /**
+         * Recorded days and bar timeframes a replay can use
+         * @returns {Promise<object>} - { success, recordings, timeframes }
+         */
+        getSources: () => {
+            return ipcRenderer.invoke('replay:get-sources');
+        },
+
+        /**
+         * Listen for replay status (position, speed, playing)
+         * @param {function} callback - Called with the status
+         * @returns {function} - Call to remove listener
+         */
+        onStatus: (callback) => {
+            const subscription = (event, status) => callback(status);
+            ipcRenderer.on('replay:status', subscription);
+            return () => {
+                ipcRenderer.removeListener('replay:status', subscription);
+            };
+        }
+    },
+
+    backtest: {
+        /**
+         * Run a strategy over historical bars (resolves when the run ends)
+         * @param {object} options - { strategyId, symbols, startDate, endDate, params?, settings? }
+         * @returns {Promise<object>} - { success, result: { stats, trades, equity, ... } }
+         */
+        run: (options) => {
+            return ipcRenderer.invoke('backtest:run', options);
+        },
+
+        cancel: () => {
+            return ipcRenderer.invoke('backtest:cancel');
+        },
+
+        /**
+         * Strategies that can be tested
+         * @returns {Promise<object>} - { success, strategies }
+         */
+        getStrategies: () => {
+            return ipcRenderer.invoke('backtest:get-strategies');
+        },
+
+        /**
+         * Summaries of recent runs, newest first (no trades or equity)
+         * @returns {Promise<object>} - { success, running, results }
+         */
+        getResults: () => {
+            return ipcRenderer.invoke('backtest:get-results');
+        },
+
+        /**
+         * @param {string} id - Run ID
+         * @returns {Promise<object>} - { success, result }
+         */
+        getResult: (id) => {
+            return ipcRenderer.invoke('backtest:get-result', { id });
+        },
+
+        /**
+         * Listen for run progress
+         * @param {function} callback - Called with { id, phase: 'loading'|'running'|'done', done, total }
+         * @returns {function} - Call to remove listener
+         */
+        onProgress: (callback) => {
+            const subscription = (event, progress) => callback(progress);
+            ipcRenderer.on('backtest:progress', subscription);
+            return () => {
+                ipcRenderer.removeListener('backtest:progress', subscription);
+            };
+        }
+    },
+
+    scanner: {
+        /**
+         * Get the current scanner rows
+         * @returns {Promise<object>} - { success, rows }
+         */
+        getSnapshot: () => {
+            return ipcRenderer.invoke('scanner:get-snapshot');
+        },
+
+        /**
+         * Get the scanner universe
+         * @returns {Promise<object>} - { success, universe }
+         */
+        getUniverse: () => {
+            return ipcRenderer.invoke('scanner:get-universe');
+        },
+
+        /**
+         * Replace the scanner universe
+         * @param {string[]} symbols - Symbols to scan
+         * @returns {Promise<object>} - { success, universe }
+         */
+        setUniverse: (symbols) => {
+            return ipcRenderer.invoke('scanner:set-universe', { symbols });
+        }
+    },
+
+    // ============= Position Operations =============
+    positions: {
+        /**
+         * Get the current open position rows
+         * @returns {Promise<object>} - { success, rows }
+         */
+        getSnapshot: () => {
+            return ipcRenderer.invoke('positions:get-snapshot');
+        },
+
+        /**
+         * Record a fill against the position book
+         * @param {object} fill - { symbol, side: 'BUY'|'SELL', quantity, price, timestamp? }
+         * @returns {Promise<object>} - { success, fill, position }
+         */
+        recordFill: (fill) => {
+            return ipcRenderer.invoke('positions:record-fill', fill);
+        },
+
+        /**
+         * Get fill history and realized P&L ledger
+         * @returns {Promise<object>} - { success, fills, realized, realizedPL }
+         */
+        getHistory: () => {
+            return ipcRenderer.invoke('positions:get-history');
+        }
+    },
+
+    // ============= Order Operations =============
+    // Routed to the broker selected in trading.broker
+    orders: {
+        /**
+         * Place an order
+         * Omitted type and quantity fall back to the trading settings; quantity is
+         * sized from the stop (trading.riskPerTrade) when omitted with a stopLoss.
+         * Orders blocked by risk checks come back REJECTED with structured violations.
+         * @param {object} order - { symbol, side, quantity?, type?, limitPrice?, stopPrice?, stopLoss?, takeProfit? }
+         * @returns {Promise<object>} - { success, order, error, violations: [{ code, message, limit, value }] }
+         */
+        place: (order) => {
+            return ipcRenderer.invoke('orders:place', order);
+        },
+
+        /**
+         * Cancel a working order
+         * @param {string} orderId - Order to cancel
+         * @returns {Promise<object>} - { success, order }
+         */
+        cancel: (orderId) => {
+            return ipcRenderer.invoke('orders:cancel', { orderId });
+        },
+
+        /**
+         * List orders
+         * @param {object} filter - Optional { status }
+         * @returns {Promise<object>} - { success, orders }
+         */
+        list: (filter = {}) => {
+            return ipcRenderer.invoke('orders:list', filter);
+        },
+
+        /**
+         * Get positions held at the active broker
+         * @returns {Promise<object>} - { success, positions }
+         */
+        getPositions: () => {
+            return ipcRenderer.invoke('orders:get-positions');
+        },
+
+        /**
+         * Get the active broker's account summary
+         * @returns {Promise<object>} - { success, account }
+         */
+        getAccount: () => {
+            return ipcRenderer.invoke('orders:get-account');
+        },
+
+        /**
+         * Get routing status
+         * @returns {Promise<object>} - { success, broker, connected, available }
+         */
+        getBroker: () => {
+            return ipcRenderer.invoke('orders:get-broker');
+        },
+
+        /**
+         * Select the broker orders are routed to
+         * @param {string} broker - 'paper' or 'mock'
+         * @returns {Promise<object>} - { success, broker }
+         */
+        setBroker: (broker) => {
+            return ipcRenderer.invoke('orders:set-broker', { broker });
+        },
+
+        /**
+         * Listen for order status changes
+         * @param {function} callback - Called with the updated order
+         * @returns {function} - Call to remove listener
+         */
+        onUpdate: (callback) => {
+            const subscription = (event, order) => callback(order);
+            ipcRenderer.on('orders:update', subscription);
+            return () => {
+                ipcRenderer.removeListener('orders:update', subscription);
+            };
+        },
+
+        /**
+         * Listen for broker connection changes
+         * @param {function} callback - Called with routing status
+         * @returns {function} - Call to remove listener
+         */
+        onBrokerChange: (callback) => {
+            const subscription = (event, status) => callback(status);
+            ipcRenderer.on('orders:broker', subscription);
+            return () => {
+                ipcRenderer.removeListener('orders:broker', subscription);
+            };
+        }
+    },
+
+    // ============= Risk Operations =============
+    risk: {
+        /**
+         * Run pre-trade risk checks without sending the order
+         * @param {object} order - Order as passed to orders.place
+         * @returns {Promise<object>} - { success, approved, violations, metrics }
+         */
+        check: (order) => {
+            return ipcRenderer.invoke('risk:check', order);
+        },
+
+        /**
+         * Size a position from its stop distance and account equity
+         * @param {object} params - { symbol, entryPrice?, stopLoss }
+         * @returns {Promise<object>} - { success, quantity, riskAmount, riskPerShare, cappedBy }
+         */
+        size: (params) => {
+            return ipcRenderer.invoke('risk:size', params);
+        },
+
+        /**
+         * Get current risk limits and today's P&L
+         * @returns {Promise<object>} - { success, limits, dailyPL }
+         */
+        getLimits: () => {
+            return ipcRenderer.invoke('risk:get-limits');
+        }
+    },
+
+    // ============= Signal Operations =============
+    signals: {
+        /**
+         * Get current signal rows (all statuses)
+         * @returns {Promise<object>} - { success, rows }
+         */
+        getSnapshot: () => {
+            return ipcRenderer.invoke('signals:get-snapshot');
+        },
+
+        /**
+         * List loaded strategies and the user strategies folder
+         * @returns {Promise<object>} - { success, strategies, userStrategiesPath }
+         */
+        getStrategies: () => {
+            return ipcRenderer.invoke('signals:get-strategies');
+        },
+
+        /**
+         * Reload built-in and user strategies from disk
+         * @returns {Promise<object>} - { success, strategies }
+         */
+        reloadStrategies: () => {
+            return ipcRenderer.invoke('signals:reload-strategies');
+        }
+    },
+
+    // ============= Level Operations =============
+    levels: {
+        /**
+         * Get all detected level rows
+         * @returns {Promise<object>} - { success, rows }
+         */
+        getSnapshot: () => {
+            return ipcRenderer.invoke('levels:get-snapshot');
+        },
+
+        /**
+         * Get the levels for one symbol
+         * @param {string} symbol - Stock symbol
+         * @returns {Promise<object>} - { success, levels }
+         */
+        getLevels: (symbol) => {
+            return ipcRenderer.invoke('levels:get-levels', { symbol });
+        },
+
+        /**
+         * Re-run level detection
+         * @param {string[]} [symbols] - Symbols to refresh (default: all)
+         * @returns {Promise<object>} - { success, symbols }
+         */
+        refresh: (symbols) => {
+            return ipcRenderer.invoke('levels:refresh', { symbols });
+        }
+    },
+
+    // ============= Alert Operations =============
+    alerts: {
+        /**
+         * List alert definitions
+         * @returns {Promise<object>} - { success, alerts }
+         */
+        list: () => {
+            return ipcRenderer.invoke('alerts:list');
+        },
+
+        /**
+         * Create an alert
+         * @param {object} alert - { type, symbol, condition, repeat?, cooldown?, note? }
+         *   type 'price-cross': condition { price, direction: 'above'|'below'|'any' }
+         *   type 'percent-change': condition { threshold, direction: 'above'|'below' }
+         *   type 'indicator': condition { study, period?, timeframe, direction: 'above'|'below', value? }
+         *   type 'level-touch': condition { levelType?, timeframe?, levelId? }
+         *   type 'signal': condition { strategy?, direction? } (symbol may be '*')
+         * @returns {Promise<object>} - { success, alert, error }
+         */
+        create: (alert) => {
+            return ipcRenderer.invoke('alerts:create', alert);
+        },
+
+        /**
+         * Update an alert (e.g. re-enable a fired one-shot alert)
+         * @param {string} id - Alert ID
+         * @param {object} changes - Fields to change
+         * @returns {Promise<object>} - { success, alert, error }
+         */
+        update: (id, changes) => {
+            return ipcRenderer.invoke('alerts:update', { id, changes });
+        },
+
+        /**
+         * Delete an alert
+         * @param {string} id - Alert ID
+         * @returns {Promise<object>} - { success, error }
+         */
+        delete: (id) => {
+            return ipcRenderer.invoke('alerts:delete', { id });
+        },
+
+        /**
+         * Get recently fired alerts (newest first)
+         * @returns {Promise<object>} - { success, history }
+         */
+        getHistory: () => {
+            return ipcRenderer.invoke('alerts:get-history');
+        },
+
+        /**
+         * Clear the scanner alert count for a symbol
+         * @param {string} symbol - Stock symbol
+         */
+        acknowledge: (symbol) => {
+            return ipcRenderer.invoke('alerts:acknowledge', { symbol });
+        },
+
+        /**
+         * Listen for fired alerts
+         * @param {function} callback - Called with { alertId, type, symbol, price, message, timestamp, alert }
+         * @returns {function} - Call to remove listener
+         */
+        onFired: (callback) => {
+            const subscription = (event, alert) => callback(alert);
+            ipcRenderer.on('alerts:fired', subscription);
+            return () => {
+                ipcRenderer.removeListener('alerts:fired', subscription);
+            };
+        },
+
+        /**
+         * Listen for alert definition changes (from any window, or an alert firing)
+         * @param {function} callback - Called with { alerts }
+         * @returns {function} - Call to remove listener
+         */
+        onChanged: (callback) => {
+            const subscription = (event, data) => callback(data);
+            ipcRenderer.on('alerts:changed', subscription);
+            return () => {
+                ipcRenderer.removeListener('alerts:changed', subscription);
+            };
+        }
+    },
+
+    // ============= Watchlist Operations =============
+    watchlists: {
+        /**
+         * List all watchlists
+         * @returns {Promise<object>} - { success, lists: [{ name, symbols, createdAt, updatedAt }] }
+         */
+        list: () => {
+            return ipcRenderer.invoke('watchlists:list');
+        },
+
+        /**
+         * Get quote rows for every watched symbol
+         * @returns {Promise<object>} - { success, rows }
+         */
+        getSnapshot: () => {
+            return ipcRenderer.invoke('watchlists:get-snapshot');
+        },
+
+        /**
+         * Create a watchlist
+         * @param {string} name - List name
+         * @param {string[]} [symbols] - Initial symbols (validated by the server)
+         * @returns {Promise<object>} - { success, list, added, invalid, error }
+         */
+        create: (name, symbols = []) => {
+            return ipcRenderer.invoke('watchlists:create', { name, symbols });
+        },
+
+        /**
+         * Rename a watchlist
+         * @returns {Promise<object>} - { success, list, error }
+         */
+        rename: (name, newName) => {
+            return ipcRenderer.invoke('watchlists:rename', { name, newName });
+        },
+
+        /**
+         * Delete a watchlist
+         * @returns {Promise<object>} - { success, error }
+         */
+        delete: (name) => {
+            return ipcRenderer.invoke('watchlists:delete', { name });
+        },
+
+        /**
+         * Add symbols to a watchlist (validated by the server)
+         * @returns {Promise<object>} - { success, list, added, invalid, error }
+         */
+        addSymbols: (name, symbols) => {
+            return ipcRenderer.invoke('watchlists:add-symbols', { name, symbols });
+        },
+
+        /**
+         * Remove symbols from a watchlist
+         * @returns {Promise<object>} - { success, list, error }
+         */
+        removeSymbols: (name, symbols) => {
+            return ipcRenderer.invoke('watchlists:remove-symbols', { name, symbols });
+        },
+
+        /**
+         * Import a CSV/TXT symbol file into a watchlist (created if missing)
+         * @param {string} filePath - File chosen in the import dialog
+         * @param {string} [name] - Target list (default: the file name)
+         * @returns {Promise<object>} - { success, list, added, invalid, error }
+         */
+        import: (filePath, name) => {
+            return ipcRenderer.invoke('watchlists:import', { filePath, name });
+        },
+
+        /**
+         * Export a watchlist to a CSV/TXT file
+         * @returns {Promise<object>} - { success, filePath, count, error }
+         */
+        export: (filePath, name) => {
+            return ipcRenderer.invoke('watchlists:export', { filePath, name });
+        },
+
+        /**
+         * Listen for watchlist changes made in any window
+         * @param {function} callback - Called with { lists }
+         * @returns {function} - Call to remove listener
+         */
+        onChanged: (callback) => {
+            const subscription = (event, data) => callback(data);
+            ipcRenderer.on('watchlists:changed', subscription);
+            return () => {
+                ipcRenderer.removeListener('watchlists:changed', subscription);
+            };
+        }
+    },
+
+    // ============= Symbol Linking =============
+    link: {
+        /**
+         * Get this window's link colour
+         * @returns {Promise<object>} - { success, color, colors }
+         */
+        getColor: () => {
+            return ipcRenderer.invoke('link:get-color');
+        },
+
+        /**
+         * Put this window on a link colour
+         * @param {string|null} color - Link colour, or null to unlink
+         * @returns {Promise<object>} - { success, color, error }
+         */
+        setColor: (color) => {
+            return ipcRenderer.invoke('link:set-color', { color });
+        },
+
+        /**
+         * Send a selected symbol to the other windows on this window's colour
+         * @param {string} symbol - Stock symbol
+         * @param {string} [source] - Table the symbol was picked in
+         * @returns {Promise<object>} - { success, count }
+         */
+        publish: (symbol, source) => {
+            return ipcRenderer.invoke('link:publish', { symbol, source });
+        },
+
+        /**
+         * Listen for symbols selected in linked windows
+         * @param {function} callback - Called with { color, symbol, source, windowId }
+         * @returns {function} - Call to remove listener
+         */
+        onSymbol: (callback) => {
+            const subscription = (event, message) => callback(message);
+            ipcRenderer.on('link:symbol', subscription);
+            return () => {
+                ipcRenderer.removeListener('link:symbol', subscription);
+            };
+        }
+    },
+
+    // ============= Table Export =============
+    export: {
+        /**
+         * Write table rows to the file chosen in File > Export's save dialog
+         * (main refuses any other path)
+         * @param {object} options - { format: 'csv'|'json'|'xlsx', filePath, columns: [{ field, headerName }], rows: [[...]], sheetName }
+         * @returns {Promise<object>} - { success, filePath, rows, bytes, error }
+         */
+        write: (options) => {
+            return ipcRenderer.invoke('export:write', options);
+        }
+    },
+
+    // ============= Window Layouts =============
+    layouts: {
+        /**
+         * List built-in and saved layouts
+         * @returns {Promise<object>} - { success, layouts: [{ id, name, builtIn }] }
+         */
+        list: () => {
+            return ipcRenderer.invoke('layouts:list');
+        },
+
+        /**
+         * Save the open windows as a named layout
+         * @param {string} name - Layout name
+         * @returns {Promise<object>} - { success, layout, error }
+         */
+        save: (name) => {
+            return ipcRenderer.invoke('layouts:save', { name });
+        },
+
+        /**
+         * Move, open and close windows to match a layout
+         * @param {string} name - Built-in layout ID or saved layout name
+         * @returns {Promise<object>} - { success, moved, created, closed, error }
+         */
+        apply: (name) => {
+            return ipcRenderer.invoke('layouts:apply', { name });
+        },
+
+        /**
+         * Delete a saved layout
+         * @param {string} name - Layout name
+         * @returns {Promise<object>} - { success, error }
+         */
+        delete: (name) => {
+            return ipcRenderer.invoke('layouts:delete', { name });
+        }
+    },
+
+    // ============= Workspace Files =============
+    workspace: {
+        /**
+         * Save every window, view, watchlist and subscription to a .alpha file
+         * @param {string} [filePath] - Target file (default: the current workspace)
+         * @returns {Promise<object>} - { success, filePath, windows, canceled, error }
+         */
+        save: (filePath) => {
+            return ipcRenderer.invoke('workspace:save', { filePath });
+        },
+
+        /**
+         * Replace the current windows with a saved workspace
+         * @param {string} filePath - Workspace file
+         * @returns {Promise<object>} - { success, filePath, windows, error }
+         */
+        open: (filePath) => {
+            return ipcRenderer.invoke('workspace:open', { filePath });
+        },
+
+        /**
+         * Get the view a window opened from a workspace should restore
+         * @param {string} restoreId - ID from the page's workspace query parameter
+         * @returns {Promise<object>} - { success, view }
+         */
+        getView: (restoreId) => {
+            return ipcRenderer.invoke('workspace:get-view', { restoreId });
+        },
+
+        /**
+         * Get recently used workspace files
+         * @returns {Promise<object>} - { success, files, currentFile }
+         */
+        getRecent: () => {
+            return ipcRenderer.invoke('workspace:get-recent');
+        },
+
+        /**
+         * Answer workspace save requests with this window's view
+         * @param {function} getView - Returns (or resolves to) the view state
+         * @returns {function} - Call to remove listener
+         */
+        onCapture: (getView) => {
+            const subscription = async (event, { requestId }) => {
+                let view = null;
+                try {
+                    view = await getView();
+                } catch (error) {
+                    console.error('Failed to capture view:', error);
+                }
+                ipcRenderer.send('workspace:view-state', { requestId, view });
+            };
+            ipcRenderer.on('workspace:capture', subscription);
+            return () => {
+                ipcRenderer.removeListener('workspace:capture', subscription);
+            };
         }
     },
 
@@ -0,0 +1,742 @@
+// electron/src/main/AlertEngine.js
+/**
+ * AlertEngine - User alerts evaluated against streaming data
+ *
+ * This module:
+ * - Keeps alert definitions in state (alerts.rules) and exposes CRUD over IPC
+ * - Evaluates price-cross and %-change alerts against the live trade stream,
+ *   indicator alerts against studies recalculated every minute,
+ *   level-touch alerts against LevelService touches, and signal alerts
+ *   against new StrategyHost signals
+ * - Fires with a desktop Notification (audible when ui.soundEnabled),
+ *   an 'alerts:fired' message to all windows, and a bump of the scanner
+ *   `alerts` count for the symbol
+ *
+ * Alert definition:
+ *   { id, type, symbol, condition, repeat: 'once'|'always', cooldown (seconds),
+ *     enabled, note, createdAt, lastTriggered, triggerCount }
+ *
+ * Conditions by type:
+ *   price-cross:    { price, direction: 'above'|'below'|'any' }
+ *   percent-change: { threshold, direction: 'above'|'below' } (vs. prior close)
+ *   indicator:      { study, period?, timeframe, direction: 'above'|'below', value? }
+ *                   (the study crosses value; without value, price crosses the study)
+ *   level-touch:    { levelType?, timeframe?, levelId? }
+ *   signal:         { strategy?, direction? } (symbol may be '*')
+ */
+
+const EventEmitter = require('events');
+const { Notification } = require('electron');
+const log = require('electron-log');
+const MarketCalendar = require('./MarketCalendar');
+
+// Configure logging for this module
+const logger = log.scope('AlertEngine');
+
+// Pseudo window ID used for the engine's own WebSocket client
+const ALERTS_WINDOW_ID = 'alert-engine';
+
+const ALERT_TYPES = ['price-cross', 'percent-change', 'indicator', 'level-touch', 'signal'];
+
+// Alert types evaluated against the trade stream
+const PRICE_TYPES = ['price-cross', 'percent-change', 'indicator'];
+
+// Single-value studies indicator alerts can watch, and their bar timeframes
+const INDICATOR_STUDIES = ['sma', 'ema', 'vwap', 'atr', 'rsi', 'relativeVolume'];
+const INDICATOR_TIMEFRAMES = ['1min', '5min', '15min', '30min', '1hour', '1day'];
+
+// Bars loaded per indicator calculation
+const INDICATOR_BARS = 200;
+
+// Indicator refresh and trading-day check interval
+const EVALUATION_INTERVAL = 60 * 1000;
+
+// Fired alerts kept for alerts:get-history
+const MAX_HISTORY = 200;
+
+class AlertEngine extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        // Dependencies
+        this.polygonBridge = options.polygonBridge;
+        this.windowManager = options.windowManager;
+        this.stateManager = options.stateManager;
+        this.ipcHandler = options.ipcHandler;
+        this.scannerService = options.scannerService;
+        this.levelService = options.levelService;
+        this.strategyHost = options.strategyHost;
+        this.marketCalendar = options.marketCalendar || new MarketCalendar();
+
+        // State management
+        this.running = false;
+        this.rules = this.loadRules();
+        this.symbols = [];              // Symbols with price-based alerts
+        this.lastPrices = new Map();    // symbol -> last trade price
+        this.priorCloses = new Map();   // symbol -> prior session close
+        this.closesDay = null;          // Trading day the prior closes precede
+        this.indicatorValues = new Map(); // alertId -> latest study value
+        this.conditionMet = new Map();  // alertId -> %-change/indicator condition held on the last check
+        this.history = [];
+        this.subscriptionId = null;
+        this.subscriptionQueue = Promise.resolve();   // Serializes subscription updates
+        this.evaluationTimer = null;
+        this.alertSequence = 0;
+
+        // Bind methods
+        this.handleMarketData = this.handleMarketData.bind(this);
+        this.handleLevelTouch = this.handleLevelTouch.bind(this);
+        this.handleSignal = this.handleSignal.bind(this);
+        this.handleReplayChange = this.handleReplayChange.bind(this);
+
+        // IPC handlers for the renderer
+        this.setupIPC();
+
+        logger.info('AlertEngine initialized');
+    }
+
+    /**
+     * Load alerts and start evaluating them
+     */
+    async start() {
+        if (this.running) {
+            logger.warn('AlertEngine already running');
+            return;
+        }
+
+        this.running = true;
+
+        this.polygonBridge.on('market-data', this.handleMarketData);
+        this.polygonBridge.on('replay-changed', this.handleReplayChange);
+        this.levelService?.on('level-touch', this.handleLevelTouch);
+        this.strategyHost?.on('signal', this.handleSignal);
+
+        await this.refresh();
+        this.evaluationTimer = setInterval(() => this.refresh(), EVALUATION_INTERVAL);
+
+        logger.info(`Evaluating ${this.rules.filter(rule => rule.enabled).length} alerts`);
+        this.emit('started');
+    }
+
+    /**
+     * Stop evaluating alerts
+     */
+    async stop() {
+        if (!this.running) return;
+
+        logger.info('Stopping alert engine');
+
+        this.running = false;
+
+        if (this.evaluationTimer) {
+            clearInterval(this.evaluationTimer);
+            this.evaluationTimer = null;
+        }
+
+        // Let an in-flight update finish before releasing its subscription
+        await this.subscriptionQueue;
+        await this.unsubscribe();
+        this.symbols = [];
+
+        this.polygonBridge.off('market-data', this.handleMarketData);
+        this.polygonBridge.off('replay-changed', this.handleReplayChange);
+        this.levelService?.off('level-touch', this.handleLevelTouch);
+        this.strategyHost?.off('signal', this.handleSignal);
+
+        this.emit('stopped');
+    }
+
+    // ===== Alert definitions =====
+
+    loadRules() {
+        const rules = this.stateManager?.get('alerts.rules', []) || [];
+        return Array.isArray(rules) ? rules : [];
+    }
+
+    saveRules() {
+        this.stateManager?.set('alerts.rules', this.rules);
+        this.windowManager?.broadcast('alerts:changed', { alerts: this.rules });
+    }
+
+    /**
+     * Check an alert definition
+     * @returns {string|null} Problem description
+     */
+    validateAlert(alert) {
+        if (!ALERT_TYPES.includes(alert.type)) {
+            return `Unknown alert type: ${alert.type}`;
+        }
+
+        if (!alert.symbol || (alert.symbol === '*' && alert.type !== 'signal')) {
+            return 'Symbol is required';
+        }
+
+        const condition = alert.condition || {};
+
+        switch (alert.type) {
+            case 'price-cross':
+                if (!(Number(condition.price) > 0)) return 'Price must be a positive number';
+                if (!['above', 'below', 'any'].includes(condition.direction)) return 'Direction must be above, below or any';
+                break;
+
+            case 'percent-change':
+                if (!Number.isFinite(Number(condition.threshold))) return 'Threshold must be a number';
+                if (!['above', 'below'].includes(condition.direction)) return 'Direction must be above or below';
+                break;
+
+            case 'indicator':
+                if (!INDICATOR_STUDIES.includes(condition.study)) return `Study must be one of ${INDICATOR_STUDIES.join(', ')}`;
+                if (condition.period !== undefined && !(Number.isInteger(condition.period) && condition.period > 0)) {
+                    return 'Period must be a positive whole number';
+                }
+                if (!INDICATOR_TIMEFRAMES.includes(condition.timeframe)) return `Timeframe must be one of ${INDICATOR_TIMEFRAMES.join(', ')}`;
+                if (!['above', 'below'].includes(condition.direction)) return 'Direction must be above or below';
+                if (condition.value !== undefined && !Number.isFinite(condition.value)) return 'Value must be a number';
+                break;
+
+            case 'signal':
+                if (condition.direction && !['BUY', 'SELL'].includes(condition.direction)) {
+                    return 'Direction must be BUY or SELL';
+                }
+                break;
+        }
+
+        return null;
+    }
+
+    /**
+     * Normalize user input into a stored alert
+     */
+    normalizeAlert(input, existing = {}) {
+        const merged = { ...existing, ...input };
+        const condition = { ...(existing.condition || {}), ...(input.condition || {}) };
+
+        if (condition.price !== undefined) condition.price = Number(condition.price);
+        if (condition.threshold !== undefined) condition.threshold = Number(condition.threshold);
+        if (merged.type === 'indicator') {
+            condition.timeframe = condition.timeframe || '5min';
+            if (condition.period === '' || condition.period === null || condition.study === 'vwap') delete condition.period;
+            if (condition.period !== undefined) condition.period = Number(condition.period);
+            if (condition.value === '' || condition.value === null) delete condition.value;
+            if (condition.value !== undefined) condition.value = Number(condition.value);
+        }
+        if (condition.direction && merged.type === 'signal') condition.direction = String(condition.direction).toUpperCase();
+
+        return {
+            id: existing.id || `alert-${Date.now()}-${++this.alertSequence}`,
+            type: merged.type,
+            symbol: String(merged.symbol || '').trim().toUpperCase(),
+            condition,
+            repeat: merged.repeat === 'always' ? 'always' : 'once',
+            cooldown: Math.max(0, Number(merged.cooldown ?? 300)),
+            enabled: merged.enabled !== false,
+            note: merged.note || '',
+            createdAt: existing.createdAt || Date.now(),
+            lastTriggered: existing.lastTriggered || null,
+            triggerCount: existing.triggerCount || 0
+        };
+    }
+
+    async createAlert(input) {
+        const alert = this.normalizeAlert(input);
+        const error = this.validateAlert(alert);
+        if (error) throw new Error(error);
+
+        this.rules.push(alert);
+        this.saveRules();
+        await this.refresh();
+
+        logger.info(`Created ${alert.type} alert for ${alert.symbol}`, { alertId: alert.id });
+        return alert;
+    }
+
+    async updateAlert(id, changes) {
+        const index = this.rules.findIndex(rule => rule.id === id);
+        if (index === -1) throw new Error(`Alert not found: ${id}`);
+
+        const alert = this.normalizeAlert(changes, this.rules[index]);
+        const error = this.validateAlert(alert);
+        if (error) throw new Error(error);
+
+        this.rules[index] = alert;
+        this.conditionMet.delete(id);
+        this.indicatorValues.delete(id);
+        this.saveRules();
+        await this.refresh();
+
+        return alert;
+    }
+
+    async deleteAlert(id) {
+        const count = this.rules.length;
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        if (this.rules.length === count) throw new Error(`Alert not found: ${id}`);
+
+        this.conditionMet.delete(id);
+        this.indicatorValues.delete(id);
+        this.saveRules();
+        await this.syncSubscription();
+    }
+
+    // ===== Price alerts =====
+
+    /**
+     * Update the subscription, then recalculate indicator alerts
+     */
+    async refresh() {
+        try {
+            await this.syncSubscription();
+            await this.refreshIndicators();
+        } catch (error) {
+            logger.error('Failed to refresh alerts:', error);
+        }
+    }
+
+    /**
+     * Subscribe to trades for symbols with enabled price-based alerts
+     * Updates run one at a time so overlapping calls settle on the latest rules
+     */
+    syncSubscription() {
+        this.subscriptionQueue = this.subscriptionQueue.then(() => this.applySubscription());
+        return this.subscriptionQueue;
+    }
+
+    async applySubscription() {
+        if (!this.running) return;
+
+        this.rollTradingDay();
+
+        const symbols = [...new Set(this.rules
+            .filter(rule => rule.enabled && PRICE_TYPES.includes(rule.type))
+            .map(rule => rule.symbol))].sort();
+
+        // Prior closes for %-change alerts
+        const needClose = this.rules
+            .filter(rule => rule.enabled && rule.type === 'percent-change')
+            .map(rule => rule.symbol)
+            .filter(symbol => !this.priorCloses.has(symbol));
+        await Promise.all([...new Set(needClose)].map(symbol => this.loadPriorClose(symbol)));
+
+        if (symbols.join(',') === this.symbols.join(',')) return;
+
+        this.symbols = symbols;
+
+        try {
+            await this.unsubscribe();
+
+            if (symbols.length === 0) return;
+
+            this.subscriptionId = `${ALERTS_WINDOW_ID}-trades-${Date.now()}`;
+
+            await this.polygonBridge.handleDataSubscribe({
+                subscriptionId: this.subscriptionId,
+                windowId: ALERTS_WINDOW_ID,
+                stream: 'trades',
+                symbols,
+                options: {}
+            });
+        } catch (error) {
+            logger.error('Failed to update alert subscription:', error);
+        }
+    }
+
+    /**
+     * A replay plays another day: its prior closes apply, and crosses need
+     * a replayed price on each side
+     */
+    handleReplayChange() {
+        if (!this.running) return;
+
+        this.lastPrices.clear();
+        this.syncSubscription().catch(error => logger.error('Failed to update alert subscription:', error));
+    }
+
+    /**
+     * Drop prior closes (and the %-change states built on them) once a new
+     * trading day starts, or a replay starts or ends; the next sync loads
+     * the new day's closes
+     */
+    rollTradingDay() {
+        const today = this.currentDay();
+        if (today === this.closesDay) return;
+
+        if (this.closesDay) {
+            logger.info(`New trading day ${today}, reloading prior closes`);
+            this.priorCloses.clear();
+            this.rules
+                .filter(rule => rule.type === 'percent-change')
+                .forEach(rule => this.conditionMet.delete(rule.id));
+        }
+        this.closesDay = today;
+    }
+
+    async unsubscribe() {
+        if (!this.subscriptionId) return;
+
+        await this.polygonBridge.handleDataUnsubscribe({ subscriptionId: this.subscriptionId });
+        this.subscriptionId = null;
+    }
+
+    /**
+     * Prior session close, from the scanner when it tracks the symbol
+     */
+    async loadPriorClose(symbol) {
+        const today = this.currentDay();
+
+        // The scanner may still be seeding the day
+        const scanned = this.scannerService?.seededDay === today &&
+            this.scannerService.getSymbolState(symbol)?.priorClose;
+        if (scanned) {
+            this.priorCloses.set(symbol, scanned);
+            return;
+        }
+
+        try {
+            const replayDay = this.polygonBridge.replayDay;
+            const bars = await this.polygonBridge.fetchBars({
+                symbol,
+                timeframe: '1day',
+                limit: 5,
+                // A replay needs the sessions before its day, not before today
+                ...(replayDay ? {
+                    startDate: this.polygonBridge.indicatorEngine.startDateFor('1day', 6, replayDay),
+                    endDate: replayDay
+                } : {})
+            });
+            const completed = bars.filter(bar => String(bar.timestamp).slice(0, 10) < today);
+
+            if (completed.length > 0) {
+                this.priorCloses.set(symbol, completed[completed.length - 1].close);
+            }
+        } catch (error) {
+            logger.error(`Failed to load prior close for ${symbol}:`, error);
+        }
+    }
+
+    handleMarketData({ subscriptionId, data }) {
+        if (subscriptionId !== this.subscriptionId) return;
+
+        const items = Array.isArray(data) ? data : [data];
+        for (const item of items) {
+            if (item?.event_type === 'trade' && typeof item.price === 'number') {
+                this.evaluatePrice(item.symbol, item.price);
+            }
+        }
+    }
+
+    /**
+     * Evaluate price-cross and %-change alerts for a trade
+     */
+    evaluatePrice(symbol, price) {
+        const previous = this.lastPrices.get(symbol);
+        this.lastPrices.set(symbol, price);
+
+        for (const rule of this.rules) {
+            if (!rule.enabled || rule.symbol !== symbol) continue;
+
+            const { condition } = rule;
+
+            if (rule.type === 'price-cross') {
+                // Needs a price on each side of the level
+                if (previous === undefined) continue;
+
+                const crossedUp = previous < condition.price && price >= condition.price;
+                const crossedDown = previous > condition.price && price <= condition.price;
+
+                if ((crossedUp && condition.direction !== 'below') || (crossedDown && condition.direction !== 'above')) {
+                    this.fire(rule, {
+                        price,
+                        message: `${symbol} crossed ${crossedUp ? 'above' : 'below'} ${condition.price}`
+                    });
+                }
+
+            } else if (rule.type === 'indicator') {
+                // Studies crossing a fixed value are checked when recalculated
+                if (this.comparesPrice(rule)) {
+                    this.evaluateIndicator(rule);
+                }
+
+            } else if (rule.type === 'percent-change') {
+                const priorClose = this.priorCloses.get(symbol);
+                if (!priorClose) continue;
+
+                const change = ((price - priorClose) / priorClose) * 100;
+                const met = condition.direction === 'above'
+                    ? change >= condition.threshold
+                    : change <= condition.threshold;
+
+                // Fire on the transition into the condition, not on every trade
+                if (met && !this.conditionMet.get(rule.id)) {
+                    this.fire(rule, {
+                        price,
+                        message: `${symbol} is ${change >= 0 ? 'up' : 'down'} ${Math.abs(change).toFixed(2)}% (${condition.direction} ${condition.threshold}%)`
+                    });
+                }
+                this.conditionMet.set(rule.id, met);
+            }
+        }
+    }
+
+    // ===== Indicator alerts =====
+
+    /**
+     * Recalculate the studies of enabled indicator alerts and evaluate them
+     * Alerts sharing a symbol, timeframe and study share one calculation
+     */
+    async refreshIndicators() {
+        if (!this.running) return;
+
+        const rules = this.rules.filter(rule => rule.enabled && rule.type === 'indicator');
+        const calculations = new Map();     // symbol:timeframe:study -> Promise<value>
+
+        await Promise.all(rules.map(async (rule) => {
+            const { study, period, timeframe } = rule.condition;
+            const spec = { type: study, ...(period ? { period } : {}) };
+            const key = `${rule.symbol}:${timeframe}:${study}:${period || ''}`;
+
+            if (!calculations.has(key)) {
+                calculations.set(key, this.calculateStudy(rule.symbol, timeframe, spec));
+            }
+
+            const value = await calculations.get(key);
+            if (value === null) return;
+
+            this.indicatorValues.set(rule.id, value);
+            this.evaluateIndicator(rule);
+        }));
+    }
+
+    /**
+     * Latest value of a study, null when it can't be calculated yet
+     */
+    async calculateStudy(symbol, timeframe, spec) {
+        try {
+            const result = await this.polygonBridge.indicatorEngine.calculate({
+                symbol,
+                timeframe,
+                studies: [spec],
+                limit: INDICATOR_BARS
+            });
+            const value = Object.values(result.latest)[0];
+            return typeof value === 'number' ? value : null;
+        } catch (error) {
+            logger.error(`Failed to calculate ${spec.type} for ${symbol}:`, error);
+            return null;
+        }
+    }
+
+    comparesPrice(rule) {
+        return rule.condition.value === undefined;
+    }
+
+    /**
+     * Fire an indicator alert on the transition into its condition
+     */
+    evaluateIndicator(rule) {
+        const study = this.indicatorValues.get(rule.id);
+        if (study === undefined) return;
+
+        const { condition } = rule;
+        const label = this.studyLabel(condition);
+        const price = this.lastPrices.get(rule.symbol);
+
+        let met;
+        let message;
+        if (this.comparesPrice(rule)) {
+            if (price === undefined) return;
+            met = condition.direction === 'above' ? price >= study : price <= study;
+            message = `${rule.symbol} traded ${condition.direction} ${label} (${this.round(study)})`;
+        } else {
+            met = condition.direction === 'above' ? study >= condition.value : study <= condition.value;
+            message = `${rule.symbol} ${label} is ${condition.direction} ${condition.value} (${this.round(study)})`;
+        }
+
+        if (met && !this.conditionMet.get(rule.id)) {
+            this.fire(rule, { price: price ?? null, message });
+        }
+        this.conditionMet.set(rule.id, met);
+    }
+
+    /**
+     * e.g. "RSI(14) 5min", "VWAP 1min"
+     */
+    studyLabel({ study, period, timeframe }) {
+        const name = study === 'relativeVolume' ? 'RVOL' : study.toUpperCase();
+        return `${name}${period ? `(${period})` : ''} ${timeframe}`;
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+
+    // ===== Level and signal alerts =====
+
+    handleLevelTouch({ level, price }) {
+        for (const rule of this.rules) {
+            if (!rule.enabled || rule.type !== 'level-touch' || rule.symbol !== level.symbol) continue;
+
+            const { condition } = rule;
+            if (condition.levelId && condition.levelId !== level.id) continue;
+            if (condition.levelType && condition.levelType !== level.type) continue;
+            if (condition.timeframe && condition.timeframe !== level.timeframe) continue;
+
+            this.fire(rule, {
+                price,
+                message: `${level.symbol} touched ${level.type} ${level.level} (${level.timeframe})`
+            });
+        }
+    }
+
+    handleSignal(signal) {
+        for (const rule of this.rules) {
+            if (!rule.enabled || rule.type !== 'signal') continue;
+            if (rule.symbol !== '*' && rule.symbol !== signal.symbol) continue;
+
+            const { condition } = rule;
+            if (condition.strategy && condition.strategy !== signal.strategyId && condition.strategy !== signal.source) continue;
+            if (condition.direction && condition.direction !== signal.direction) continue;
+
+            this.fire(rule, {
+                price: signal.price,
+                symbol: signal.symbol,
+                message: `${signal.source}: ${signal.direction} ${signal.symbol} @ ${signal.price}`
+            });
+        }
+    }
+
+    // ===== Firing =====
+
+    /**
+     * Fire an alert (respecting cooldown and one-shot alerts)
+     */
+    fire(rule, { price, message, symbol = rule.symbol }) {
+        const now = Date.now();
+
+        if (rule.lastTriggered && now - rule.lastTriggered < rule.cooldown * 1000) return;
+
+        rule.lastTriggered = now;
+        rule.triggerCount++;
+        if (rule.repeat === 'once') {
+            rule.enabled = false;
+        }
+        this.saveRules();
+
+        const event = {
+            alertId: rule.id,
+            type: rule.type,
+            symbol,
+            price,
+            message: rule.note ? `${message} - ${rule.note}` : message,
+            timestamp: now
+        };
+
+        this.history.unshift(event);
+        this.history.length = Math.min(this.history.length, MAX_HISTORY);
+
+        logger.info(`Alert fired: ${event.message}`, { alertId: rule.id });
+
+        this.notify(event);
+        this.scannerService?.incrementAlerts(symbol);
+
+        if (this.windowManager) {
+            this.windowManager.broadcast('alerts:fired', { ...event, alert: rule });
+        }
+        this.emit('fired', event);
+
+        // One-shot alerts no longer need the stream
+        if (rule.repeat === 'once') {
+            this.syncSubscription().catch(error => logger.error('Failed to update alert subscription:', error));
+        }
+    }
+
+    /**
+     * Show a desktop notification (silent unless ui.soundEnabled)
+     */
+    notify(event) {
+        try {
+            if (!Notification.isSupported()) return;
+
+            new Notification({
+                title: `Alert: ${event.symbol}`,
+                body: event.message,
+                silent: !this.stateManager?.get('ui.soundEnabled', true)
+            }).show();
+        } catch (error) {
+            logger.error('Failed to show notification:', error);
+        }
+    }
+
+    // ===== Helpers =====
+
+    /**
+     * Trading day the stream is playing: a replay's day, else today
+     */
+    currentDay() {
+        return this.polygonBridge.replayDay || this.marketCalendar.tradingDay(Date.now());
+    }
+
+    /**
+     * Set up IPC handlers
+     */
+    setupIPC() {
+        if (!this.ipcHandler) return;
+
+        this.ipcHandler.registerHandler('alerts:list', async () => {
+            return { success: true, alerts: this.rules };
+        });
+
+        this.ipcHandler.registerHandler('alerts:create', async (event, alert) => {
+            try {
+                return { success: true, alert: await this.createAlert(alert) };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        this.ipcHandler.registerHandler('alerts:update', async (event, { id, changes }) => {
+            try {
+                return { success: true, alert: await this.updateAlert(id, changes) };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        this.ipcHandler.registerHandler('alerts:delete', async (event, { id }) => {
+            try {
+                await this.deleteAlert(id);
+                return { success: true };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        this.ipcHandler.registerHandler('alerts:get-history', async () => {
+            return { success: true, history: this.history };
+        });
+
+        // Clear the scanner alert count for a symbol
+        this.ipcHandler.registerHandler('alerts:acknowledge', async (event, { symbol }) => {
+            this.scannerService?.clearAlerts(String(symbol || '').toUpperCase());
+            return { success: true };
+        });
+    }
+
+    /**
+     * Get alert engine status
+     */
+    getStatus() {
+        return {
+            running: this.running,
+            alerts: this.rules.length,
+            enabled: this.rules.filter(rule => rule.enabled).length,
+            symbols: this.symbols,
+            fired: this.history.length
+        };
+    }
+}
+
+AlertEngine.ALERT_TYPES = ALERT_TYPES;
+AlertEngine.INDICATOR_STUDIES = INDICATOR_STUDIES;
+AlertEngine.INDICATOR_TIMEFRAMES = INDICATOR_TIMEFRAMES;
+
+module.exports = AlertEngine;
@@ -0,0 +1,891 @@
+// electron/src/main/Backtester.js
+/**
+ * Backtester - Runs strategy plugins over cached historical bars
+ *
+ * This module:
+ * - Loads the test range plus warm-up history from the server cache: one
+ *   /bars/multiple request fills the cache, then /bars per symbol
+ * - Runs a StrategyHost strategy module bar by bar, in time order across
+ *   symbols, with the same hooks and context as live: onHistory with the
+ *   warm-up bars, onTrade for synthetic ticks inside each bar, onBar when
+ *   the bar closes
+ * - Simulates fills: an ACTIVE signal enters when a tick trades through its
+ *   price and exits at its stop, its target, the regular close (when
+ *   flattening intraday) or the end of the test, with slippage on stop and
+ *   market fills and per-share commissions on both sides
+ * - Produces the trade list, an equity curve and summary stats (win rate,
+ *   profit factor, max drawdown, Sharpe of daily returns)
+ * - Keeps the last results for the Backtest tab and reports progress on
+ *   'backtest:progress'
+ *
+ * Ticks per bar follow ReplayService: the open, the extreme nearest the
+ * open, the other extreme and the close. Orders fill at their price, or at
+ * the tick price when the bar opens beyond it (a gap) or the market was
+ * already through it when the signal fired.
+ */
+
+const EventEmitter = require('events');
+const log = require('electron-log');
+const MarketCalendar = require('./MarketCalendar');
+
+// Configure logging for this module
+const logger = log.scope('Backtester');
+
+// Bar durations strategies can run on
+const TIMEFRAME_MS = {
+    '1min': 60 * 1000,
+    '5min': 5 * 60 * 1000,
+    '15min': 15 * 60 * 1000,
+    '30min': 30 * 60 * 1000,
+    '1hour': 60 * 60 * 1000
+};
+
+// Regular session minutes, used to size the warm-up range
+const SESSION_MINUTES = 390;
+
+// Results kept for the Backtest tab
+const MAX_RESULTS = 10;
+
+// Equity curve points returned per result (drawdown uses the full series)
+const MAX_CURVE_POINTS = 2000;
+
+// Bars simulated per turn of the event loop
+const BARS_PER_TURN = 2000;
+
+const PROGRESS_INTERVAL = 250;
+
+const TRADING_DAYS_PER_YEAR = 252;
+
+class Backtester extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        // Dependencies
+        this.polygonBridge = options.polygonBridge;
+        this.strategyHost = options.strategyHost;
+        this.windowManager = options.windowManager;
+        this.stateManager = options.stateManager;
+        this.ipcHandler = options.ipcHandler;
+        this.marketCalendar = options.marketCalendar || new MarketCalendar();
+
+        // Configuration
+        this.barConcurrency = options.barConcurrency || 4;
+
+        // State management
+        this.running = null;            // { id, cancelled } of the run in progress
+        this.results = [];              // Newest first
+        this.lastProgress = 0;
+
+        // IPC handlers for the renderer
+        this.setupIPC();
+
+        logger.info('Backtester initialized');
+    }
+
+    // ===== Running =====
+
+    /**
+     * Run a strategy over a date range
+     * @param {Object} options
+     * @param {string} options.strategyId - Loaded strategy (see StrategyHost)
+     * @param {Array<string>} options.symbols - Symbols to test
+     * @param {string} options.startDate - First trading day (YYYY-MM-DD)
+     * @param {string} options.endDate - Last trading day (YYYY-MM-DD)
+     * @param {Object} [options.params] - Strategy parameter overrides for this run
+     * @param {Object} [options.settings] - Overrides for the backtest.* settings
+     * @returns {Promise<Object>} Result with stats, trades and equity
+     */
+    async run({ strategyId, symbols, startDate, endDate, params = {}, settings = {} } = {}) {
+        if (this.running) {
+            throw new Error('A backtest is already running');
+        }
+
+        const strategy = this.getStrategy(strategyId);
+        const wanted = this.normalizeSymbols(symbols);
+        if (wanted.length === 0) {
+            throw new Error('No symbols to test');
+        }
+
+        if (!this.isDay(startDate) || !this.isDay(endDate) || startDate > endDate) {
+            throw new Error('Start and end dates must be YYYY-MM-DD, start first');
+        }
+
+        const config = { ...this.getSettings(), ...settings };
+        const timeframe = strategy.module.timeframe || '5min';
+        const run = { id: `bt-${Date.now()}`, cancelled: false };
+        this.running = run;
+
+        const startedAt = Date.now();
+        logger.info(`Backtesting ${strategy.id} on ${wanted.length} symbols, ${startDate} to ${endDate}`);
+
+        try {
+            const series = await this.loadBars(run, strategy, wanted, timeframe, startDate, endDate);
+            if (series.size === 0) {
+                throw new Error(`No ${timeframe} bars available for ${startDate} to ${endDate}`);
+            }
+
+            const simulation = await this.simulate(run, strategy, series, timeframe, params, config);
+
+            const result = {
+                id: run.id,
+                strategyId: strategy.id,
+                strategyName: strategy.module.name || strategy.id,
+                timeframe,
+                symbols: Array.from(series.keys()).sort(),
+                missing: wanted.filter(symbol => !series.has(symbol)),
+                startDate,
+                endDate,
+                params: { ...this.getParams(strategy), ...params },
+                settings: config,
+                createdAt: new Date(startedAt).toISOString(),
+                duration: Date.now() - startedAt,
+                stats: this.computeStats(simulation, config),
+                trades: simulation.trades.map(trade => this.buildRow(trade)),
+                equity: this.sampleCurve(simulation.curve)
+            };
+
+            this.results.unshift(result);
+            this.results.splice(MAX_RESULTS);
+
+            logger.info(`Backtest ${run.id} finished: ${result.stats.trades} trades, ` +
+                `net ${result.stats.netProfit.toFixed(2)}`);
+
+            this.emit('completed', this.summarize(result));
+            return result;
+
+        } finally {
+            this.running = null;
+            this.sendProgress(run, { phase: 'done' }, true);
+        }
+    }
+
+    /**
+     * Stop the run in progress at its next yield
+     */
+    cancel() {
+        if (!this.running) return false;
+
+        this.running.cancelled = true;
+        return true;
+    }
+
+    /**
+     * Look up a loaded, valid strategy module
+     */
+    getStrategy(strategyId) {
+        this.ensureStrategies();
+
+        const strategy = this.strategyHost.strategies.get(strategyId);
+        if (!strategy) {
+            throw new Error(`Unknown strategy '${strategyId}'`);
+        }
+        if (strategy.error) {
+            throw new Error(`Strategy ${strategyId} failed to load: ${strategy.error}`);
+        }
+
+        return strategy;
+    }
+
+    /**
+     * Load the strategy modules if the host has not started yet
+     */
+    ensureStrategies() {
+        if (this.strategyHost.strategies.size === 0) {
+            this.strategyHost.loadStrategies();
+        }
+    }
+
+    getSettings() {
+        return this.stateManager?.get('backtest', {}) || {};
+    }
+
+    getParams(strategy) {
+        const overrides = this.stateManager?.get(`strategies.params.${strategy.id}`, {}) || {};
+        return { ...(strategy.module.params || {}), ...overrides };
+    }
+
+    // ===== Data =====
+
+    /**
+     * Fetch warm-up and test bars for each symbol
+     * @returns {Promise<Map>} symbol -> { warmup, bars }
+     */
+    async loadBars(run, strategy, symbols, timeframe, startDate, endDate) {
+        const historyBars = strategy.module.historyBars || 50;
+        const warmupDays = Math.ceil((historyBars * TIMEFRAME_MS[timeframe]) / (SESSION_MINUTES * 60 * 1000)) + 1;
+        const fetchStart = this.tradingDaysBefore(startDate, warmupDays);
+        const series = new Map();
+
+        this.sendProgress(run, { phase: 'loading', done: 0, total: symbols.length }, true);
+
+        // Fill the server cache for every symbol in one request
+        try {
+            await this.polygonBridge.prefetchBars({ symbols, timeframe, startDate: fetchStart, endDate });
+        } catch (error) {
+            logger.warn('Bar prefetch failed, loading symbols one by one:', error.message);
+        }
+
+        let done = 0;
+        for (let i = 0; i < symbols.length; i += this.barConcurrency) {
+            if (run.cancelled) throw new Error('Backtest cancelled');
+
+            const batch = symbols.slice(i, i + this.barConcurrency);
+
+            await Promise.all(batch.map(async (symbol) => {
+                try {
+                    const bars = await this.polygonBridge.fetchBars({
+                        symbol,
+                        timeframe,
+                        startDate: fetchStart,
+                        endDate
+                    });
+
+                    const warmup = [];
+                    const testBars = [];
+
+                    for (const raw of bars) {
+                        const bar = this.strategyHost.normalizeBar(raw);
+                        const day = this.marketCalendar.tradingDay(bar.timestamp);
+
+                        if (day < startDate) {
+                            warmup.push(bar);
+                        } else if (day <= endDate) {
+                            testBars.push(bar);
+                        }
+                    }
+
+                    if (testBars.length > 0) {
+                        series.set(symbol, { warmup: warmup.slice(-historyBars), bars: testBars });
+                    }
+                } catch (error) {
+                    logger.warn(`No ${timeframe} bars for ${symbol}:`, error.message);
+                }
+
+                this.sendProgress(run, { phase: 'loading', done: ++done, total: symbols.length });
+            }));
+        }
+
+        return series;
+    }
+
+    /**
+     * Step back a number of trading days from a day
+     */
+    tradingDaysBefore(day, count) {
+        let current = day;
+        let found = 0;
+
+        while (found < count) {
+            current = this.marketCalendar.addDays(current, -1);
+            if (this.marketCalendar.getSchedule(current).isTradingDay) {
+                found++;
+            }
+        }
+
+        return current;
+    }
+
+    // ===== Simulation =====
+
+    /**
+     * Play the bars through the strategy and the fill model
+     * @returns {Promise<Object>} { trades, curve, days, signals, skipped, bars }
+     */
+    async simulate(run, strategy, series, timeframe, paramOverrides, config) {
+        const duration = TIMEFRAME_MS[timeframe];
+        const historyLimit = (strategy.module.historyBars || 50) * 2;
+        const startingEquity = Number(config.startingEquity) || 100000;
+
+        const sim = {
+            strategy,
+            config,
+            duration,
+            clock: 0,
+            sequence: 0,
+            realized: 0,
+            startingEquity,
+            signals: new Map(),         // symbol -> ACTIVE signals
+            positions: new Map(),       // symbol -> open position
+            lastPrices: new Map(),      // symbol -> last tick price
+            trades: [],
+            curve: [],                  // { timestamp, equity }
+            days: new Map(),            // trading day -> closing equity
+            signalCount: 0,
+            skipped: 0,
+            bars: 0
+        };
+
+        const context = this.createContext(sim, paramOverrides);
+        const histories = new Map();
+
+        // Warm up, then merge every symbol's bars into one timeline
+        const timeline = [];
+        for (const [symbol, { warmup, bars }] of series) {
+            histories.set(symbol, warmup.slice());
+            this.invoke(strategy, context, 'onHistory', symbol, warmup.slice());
+            bars.forEach(bar => timeline.push({ symbol, bar }));
+        }
+        timeline.sort((a, b) => a.bar.timestamp - b.bar.timestamp || (a.symbol < b.symbol ? -1 : 1));
+
+        for (let i = 0; i < timeline.length; i++) {
+            const { symbol, bar } = timeline[i];
+
+            for (const tick of this.barToTicks(symbol, bar, duration)) {
+                sim.clock = tick.timestamp;
+
+                // Exits first: a flatten at the close uses the price before it
+                this.checkExits(sim, tick);
+                sim.lastPrices.set(symbol, tick.price);
+                this.checkEntries(sim, tick);
+                this.expireSignals(sim, symbol);
+
+                if (this.inSessions(strategy, tick.timestamp)) {
+                    this.invoke(strategy, context, 'onTrade', symbol, tick);
+                }
+            }
+
+            // The bar is closed: hand it to the strategy like StrategyHost does
+            sim.clock = bar.timestamp + duration;
+            const history = histories.get(symbol);
+            history.push(bar);
+            if (history.length > historyLimit) {
+                history.splice(0, history.length - historyLimit);
+            }
+
+            if (this.inSessions(strategy, bar.timestamp)) {
+                this.invoke(strategy, context, 'onBar', symbol, bar, history.slice());
+            }
+
+            sim.bars++;
+
+            // One equity point per bar time, after the last symbol's bar at that time
+            const next = timeline[i + 1];
+            if (!next || next.bar.timestamp !== bar.timestamp) {
+                this.recordEquity(sim, sim.clock);
+            }
+
+            if (sim.bars % BARS_PER_TURN === 0) {
+                await new Promise(resolve => setImmediate(resolve));
+                if (run.cancelled) throw new Error('Backtest cancelled');
+                this.sendProgress(run, { phase: 'running', done: sim.bars, total: timeline.length });
+            }
+        }
+
+        // Close whatever is still open at the last price
+        for (const position of Array.from(sim.positions.values())) {
+            this.closePosition(sim, position, sim.lastPrices.get(position.symbol), sim.clock, 'END');
+        }
+        this.recordEquity(sim, sim.clock);
+
+        return sim;
+    }
+
+    /**
+     * Context handed to the strategy: StrategyHost's, running on the
+     * simulated clock and feeding signals to the fill model
+     */
+    createContext(sim, paramOverrides) {
+        const { strategy } = sim;
+        const calendar = this.marketCalendar;
+        const scratch = new Map();
+        const params = { ...this.getParams(strategy), ...paramOverrides };
+
+        return {
+            id: strategy.id,
+            params,
+            indicators: this.strategyHost.indicators,
+            session: {
+                tradingDay: (timestamp) => calendar.tradingDay(timestamp),
+                minutesOfDay: (timestamp) => calendar.minutesOfDay(timestamp),
+                current: () => calendar.sessionAt(sim.clock),
+                at: (timestamp) => calendar.sessionAt(timestamp),
+                isOpen: (timestamp, extended) => calendar.isOpen(timestamp, extended),
+                schedule: (day) => calendar.getSchedule(day)
+            },
+            log: log.scope(`Backtest:${strategy.id}`),
+            state: (symbol) => {
+                if (!scratch.has(symbol)) {
+                    scratch.set(symbol, {});
+                }
+                return scratch.get(symbol);
+            },
+            emitSignal: (signal) => this.addSignal(sim, signal)
+        };
+    }
+
+    /**
+     * Call a strategy hook; a failing hook fails the run
+     */
+    invoke(strategy, context, hook, ...args) {
+        const fn = strategy.module[hook];
+        if (typeof fn !== 'function') return;
+
+        try {
+            fn.call(strategy.module, context, ...args);
+        } catch (error) {
+            throw new Error(`Strategy ${strategy.id} failed in ${hook}: ${error.message}`);
+        }
+    }
+
+    inSessions(strategy, timestamp) {
+        const { sessions } = strategy.module;
+        if (!Array.isArray(sessions)) return true;
+
+        return sessions.includes(this.marketCalendar.sessionAt(timestamp));
+    }
+
+    /**
+     * Synthetic trades for one bar (same path as ReplayService)
+     */
+    barToTicks(symbol, bar, duration) {
+        const rising = bar.close >= bar.open;
+        const size = Math.max(1, Math.round((bar.volume || 0) / 4));
+
+        const prices = rising
+            ? [bar.open, bar.low, bar.high, bar.close]
+            : [bar.open, bar.high, bar.low, bar.close];
+
+        return prices.map((price, i) => ({
+            event_type: 'trade',
+            symbol,
+            price,
+            size,
+            timestamp: bar.timestamp + Math.floor((duration * i) / 4),
+            opensBar: i === 0
+        }));
+    }
+
+    // ===== Signals and fills =====
+
+    /**
+     * Queue a signal emitted by the strategy (one ACTIVE per symbol and direction)
+     */
+    addSignal(sim, input) {
+        const symbol = String(input?.symbol || '').toUpperCase();
+        const direction = String(input?.direction || '').toUpperCase();
+
+        if (!symbol || (direction !== 'BUY' && direction !== 'SELL') || !Number.isFinite(input.price)) {
+            logger.warn(`Strategy ${sim.strategy.id} emitted an invalid signal`, input);
+            return null;
+        }
+
+        const active = sim.signals.get(symbol) || [];
+        if (active.some(signal => signal.direction === direction)) {
+            return null;
+        }
+
+        const ttlMinutes = input.ttl || sim.strategy.module.signalTTL ||
+            this.stateManager?.get('strategies.signalTTL', 30) || 30;
+
+        const signal = {
+            id: `${sim.strategy.id}-${++sim.sequence}`,
+            symbol,
+            direction,
+            price: input.price,
+            stopLoss: Number.isFinite(input.stopLoss) ? input.stopLoss : null,
+            takeProfit: Number.isFinite(input.takeProfit) ? input.takeProfit : null,
+            strength: input.strength ?? null,
+            notes: input.notes || '',
+            createdAt: sim.clock,
+            expiresAt: sim.clock + ttlMinutes * 60 * 1000,
+            marketPrice: sim.lastPrices.get(symbol) ?? input.price
+        };
+
+        active.push(signal);
+        sim.signals.set(symbol, active);
+        sim.signalCount++;
+
+        return signal.id;
+    }
+
+    /**
+     * Enter positions for the symbol's signals the tick traded through
+     */
+    checkEntries(sim, tick) {
+        const active = sim.signals.get(tick.symbol);
+        if (!active) return;
+
+        for (const signal of active.slice()) {
+            const isBuy = signal.direction === 'BUY';
+            const crossed = isBuy ? tick.price >= signal.price : tick.price <= signal.price;
+            if (!crossed) continue;
+
+            this.removeSignal(sim, signal);
+
+            if (!this.canEnter(sim, tick)) {
+                sim.skipped++;
+                continue;
+            }
+
+            const through = isBuy ? signal.marketPrice >= signal.price : signal.marketPrice <= signal.price;
+            const price = tick.opensBar || through ? tick.price : signal.price;
+
+            this.openPosition(sim, signal, this.slip(sim, price, isBuy), tick.timestamp);
+        }
+    }
+
+    /**
+     * Positions are one per symbol, within the open position limit and, when
+     * flattening intraday, in the regular session
+     */
+    canEnter(sim, tick) {
+        const { config } = sim;
+
+        if (sim.positions.has(tick.symbol)) return false;
+        if (config.maxOpenPositions && sim.positions.size >= config.maxOpenPositions) return false;
+        if (config.flattenAtClose && this.marketCalendar.sessionAt(tick.timestamp) !== 'regular') return false;
+
+        return true;
+    }
+
+    expireSignals(sim, symbol) {
+        const active = sim.signals.get(symbol);
+        if (!active) return;
+
+        for (const signal of active.slice()) {
+            if (sim.clock >= signal.expiresAt) {
+                this.removeSignal(sim, signal);
+            }
+        }
+    }
+
+    removeSignal(sim, signal) {
+        const active = sim.signals.get(signal.symbol).filter(other => other !== signal);
+
+        if (active.length > 0) {
+            sim.signals.set(signal.symbol, active);
+        } else {
+            sim.signals.delete(signal.symbol);
+        }
+    }
+
+    openPosition(sim, signal, price, timestamp) {
+        const { config } = sim;
+        const equity = sim.startingEquity + sim.realized;
+        const quantity = Math.floor((equity * (Number(config.positionPercent) || 10) / 100) / price);
+
+        if (quantity < 1) {
+            sim.skipped++;
+            return;
+        }
+
+        const day = this.marketCalendar.tradingDay(timestamp);
+        const { sessions } = this.marketCalendar.getSchedule(day);
+
+        sim.positions.set(signal.symbol, {
+            id: signal.id,
+            symbol: signal.symbol,
+            side: signal.direction === 'BUY' ? 'LONG' : 'SHORT',
+            quantity,
+            entryTime: timestamp,
+            entryPrice: price,
+            stopLoss: signal.stopLoss,
+            takeProfit: signal.takeProfit,
+            strength: signal.strength,
+            notes: signal.notes,
+            commission: this.commission(config, quantity),
+            closeAt: config.flattenAtClose && sessions ? sessions.regular.end : null
+        });
+    }
+
+    /**
+     * Exit the symbol's position at its stop, target or the regular close
+     */
+    checkExits(sim, tick) {
+        const position = sim.positions.get(tick.symbol);
+        if (!position || position.entryTime === tick.timestamp) return;
+
+        const isLong = position.side === 'LONG';
+        const { stopLoss, takeProfit } = position;
+
+        if (position.closeAt && tick.timestamp >= position.closeAt) {
+            const price = sim.lastPrices.get(position.symbol);
+            this.closePosition(sim, position, this.slip(sim, price, !isLong), position.closeAt, 'CLOSE');
+            return;
+        }
+
+        if (stopLoss !== null && (isLong ? tick.price <= stopLoss : tick.price >= stopLoss)) {
+            const price = tick.opensBar ? tick.price : stopLoss;
+            this.closePosition(sim, position, this.slip(sim, price, !isLong), tick.timestamp, 'STOP');
+            return;
+        }
+
+        if (takeProfit !== null && (isLong ? tick.price >= takeProfit : tick.price <= takeProfit)) {
+            // Limit order: the target, or better on a gap
+            const price = tick.opensBar ? tick.price : takeProfit;
+            this.closePosition(sim, position, price, tick.timestamp, 'TARGET');
+        }
+    }
+
+    closePosition(sim, position, price, timestamp, reason) {
+        const sign = position.side === 'LONG' ? 1 : -1;
+        const commission = position.commission + this.commission(sim.config, position.quantity);
+        const gross = sign * (price - position.entryPrice) * position.quantity;
+        const pnl = gross - commission;
+        const risk = position.stopLoss !== null
+            ? Math.abs(position.entryPrice - position.stopLoss) * position.quantity
+            : 0;
+
+        sim.positions.delete(position.symbol);
+        sim.realized += pnl;
+
+        sim.trades.push({
+            ...position,
+            exitTime: timestamp,
+            exitPrice: price,
+            exitReason: reason,
+            commission,
+            pnl,
+            pnlPercent: (pnl / (position.entryPrice * position.quantity)) * 100,
+            rMultiple: risk > 0 ? pnl / risk : null,
+            barsHeld: Math.max(1, Math.ceil((timestamp - position.entryTime) / sim.duration))
+        });
+    }
+
+    /**
+     * Move a fill price against the order by the configured slippage
+     * @param {boolean} buying - Fill is a buy
+     */
+    slip(sim, price, buying) {
+        const slippage = price * (Number(sim.config.slippageBps) || 0) / 10000;
+        return buying ? price + slippage : price - slippage;
+    }
+
+    commission(config, quantity) {
+        const perShare = Number(config.commissionPerShare) || 0;
+        return Math.max(Number(config.minCommission) || 0, perShare * quantity);
+    }
+
+    /**
+     * Mark open positions to market and add an equity point
+     * Open positions carry their entry commission, which is already paid
+     */
+    recordEquity(sim, timestamp) {
+        let equity = sim.startingEquity + sim.realized;
+
+        for (const position of sim.positions.values()) {
+            const sign = position.side === 'LONG' ? 1 : -1;
+            const price = sim.lastPrices.get(position.symbol) ?? position.entryPrice;
+            equity += sign * (price - position.entryPrice) * position.quantity - position.commission;
+        }
+
+        sim.curve.push({ timestamp, equity });
+        sim.days.set(this.marketCalendar.tradingDay(timestamp), equity);
+    }
+
+    // ===== Results =====
+
+    /**
+     * Summary statistics of a finished simulation
+     */
+    computeStats(sim, config) {
+        const { trades, curve, startingEquity } = sim;
+        const wins = trades.filter(trade => trade.pnl > 0);
+        const losses = trades.filter(trade => trade.pnl <= 0);
+        const sum = (list, field) => list.reduce((total, item) => total + item[field], 0);
+
+        const grossProfit = sum(wins, 'pnl');
+        const grossLoss = -sum(losses, 'pnl');
+        const netProfit = sum(trades, 'pnl');
+        const withR = trades.filter(trade => trade.rMultiple !== null);
+
+        // Drawdown from the running peak of the full curve
+        let peak = startingEquity;
+        let maxDrawdown = 0;
+        let maxDrawdownPercent = 0;
+        for (const { equity } of curve) {
+            peak = Math.max(peak, equity);
+            maxDrawdown = Math.max(maxDrawdown, peak - equity);
+            maxDrawdownPercent = Math.max(maxDrawdownPercent, ((peak - equity) / peak) * 100);
+        }
+
+        const endingEquity = curve.length > 0 ? curve[curve.length - 1].equity : startingEquity;
+
+        return {
+            trades: trades.length,
+            wins: wins.length,
+            losses: losses.length,
+            winRate: trades.length > 0 ? (wins.length / trades.length) * 100 : 0,
+            grossProfit,
+            grossLoss,
+            profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+            netProfit,
+            totalReturn: (netProfit / startingEquity) * 100,
+            averageTrade: trades.length > 0 ? netProfit / trades.length : 0,
+            averageWin: wins.length > 0 ? grossProfit / wins.length : 0,
+            averageLoss: losses.length > 0 ? -grossLoss / losses.length : 0,
+            largestWin: wins.length > 0 ? Math.max(...wins.map(trade => trade.pnl)) : 0,
+            largestLoss: losses.length > 0 ? Math.min(...losses.map(trade => trade.pnl)) : 0,
+            averageR: withR.length > 0 ? sum(withR, 'rMultiple') / withR.length : null,
+            maxDrawdown,
+            maxDrawdownPercent,
+            sharpe: this.sharpe(sim.days, startingEquity),
+            commissions: sum(trades, 'commission'),
+            signals: sim.signalCount,
+            skippedSignals: sim.skipped,
+            startingEquity,
+            endingEquity,
+            tradingDays: sim.days.size,
+            bars: sim.bars,
+            slippageBps: Number(config.slippageBps) || 0
+        };
+    }
+
+    /**
+     * Annualized Sharpe ratio of daily returns (no risk-free rate)
+     * @returns {number|null} Null with fewer than two days or no variation
+     */
+    sharpe(days, startingEquity) {
+        const returns = [];
+        let previous = startingEquity;
+
+        for (const equity of days.values()) {
+            returns.push(equity / previous - 1);
+            previous = equity;
+        }
+
+        if (returns.length < 2) return null;
+
+        const mean = returns.reduce((total, value) => total + value, 0) / returns.length;
+        const variance = returns.reduce((total, value) => total + (value - mean) ** 2, 0) / (returns.length - 1);
+        const deviation = Math.sqrt(variance);
+
+        return deviation > 0 ? (mean / deviation) * Math.sqrt(TRADING_DAYS_PER_YEAR) : null;
+    }
+
+    /**
+     * Thin the equity curve to MAX_CURVE_POINTS, keeping each bucket's low
+     * so drawdowns stay visible
+     */
+    sampleCurve(curve) {
+        let peak = -Infinity;
+        const points = curve.map(({ timestamp, equity }) => {
+            peak = Math.max(peak, equity);
+            return { timestamp, equity, drawdown: equity - peak };
+        });
+
+        if (points.length <= MAX_CURVE_POINTS) return points;
+
+        const size = Math.ceil(points.length / MAX_CURVE_POINTS);
+        const sampled = [];
+
+        for (let i = 0; i < points.length; i += size) {
+            const bucket = points.slice(i, i + size);
+            sampled.push(bucket.reduce((low, point) => point.equity < low.equity ? point : low));
+        }
+
+        // Always end on the final equity
+        const last = points[points.length - 1];
+        if (sampled[sampled.length - 1] !== last) {
+            sampled.push(last);
+        }
+
+        return sampled;
+    }
+
+    /**
+     * Trade row for the Backtest table
+     */
+    buildRow(trade) {
+        const { commission, closeAt, strength, ...row } = trade;
+
+        return {
+            ...row,
+            entryTime: new Date(trade.entryTime),
+            exitTime: new Date(trade.exitTime),
+            entryPrice: round(trade.entryPrice),
+            exitPrice: round(trade.exitPrice),
+            pnl: round(trade.pnl),
+            pnlPercent: round(trade.pnlPercent),
+            rMultiple: trade.rMultiple === null ? null : round(trade.rMultiple),
+            commission: round(commission)
+        };
+    }
+
+    summarize(result) {
+        const { trades, equity, ...summary } = result;
+        return summary;
+    }
+
+    // ===== Helpers =====
+
+    normalizeSymbols(symbols) {
+        return [...new Set((Array.isArray(symbols) ? symbols : [])
+            .filter(symbol => typeof symbol === 'string' && symbol.trim())
+            .map(symbol => symbol.trim().toUpperCase()))];
+    }
+
+    isDay(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    }
+
+    /**
+     * Push run progress to all windows (throttled unless forced)
+     */
+    sendProgress(run, progress, force = false) {
+        const now = Date.now();
+        if (!force && now - this.lastProgress < PROGRESS_INTERVAL) return;
+
+        this.lastProgress = now;
+        this.windowManager?.broadcast('backtest:progress', { id: run.id, ...progress });
+    }
+
+    /**
+     * Set up IPC handlers
+     */
+    setupIPC() {
+        if (!this.ipcHandler) return;
+
+        this.ipcHandler.registerHandler('backtest:run', async (event, params = {}) => {
+            try {
+                return { success: true, result: await this.run(params) };
+            } catch (error) {
+                logger.error('Backtest failed:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Strategies that can be tested (the strategy host's modules)
+        this.ipcHandler.registerHandler('backtest:get-strategies', async () => {
+            this.ensureStrategies();
+            return { success: true, strategies: this.strategyHost.getStrategies() };
+        });
+
+        this.ipcHandler.registerHandler('backtest:cancel', async () => {
+            return { success: true, cancelled: this.cancel() };
+        });
+
+        // Summaries of the kept results, newest first
+        this.ipcHandler.registerHandler('backtest:get-results', async () => {
+            return {
+                success: true,
+                running: !!this.running,
+                results: this.results.map(result => this.summarize(result))
+            };
+        });
+
+        this.ipcHandler.registerHandler('backtest:get-result', async (event, { id } = {}) => {
+            const result = this.results.find(item => item.id === id);
+            if (!result) {
+                return { success: false, error: `Unknown backtest '${id}'` };
+            }
+            return { success: true, result };
+        });
+    }
+
+    /**
+     * Get backtester status
+     */
+    getStatus() {
+        return {
+            running: !!this.running,
+            results: this.results.length
+        };
+    }
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = Backtester;
@@ -0,0 +1,55 @@
+// electron/src/main/DialogPaths.js
+/**
+ * DialogPaths - Files the user picked in a main-process file dialog
+ *
+ * Menu commands show the open/save dialog in main and hand the chosen
+ * path to the focused window, which asks main to read or write it. The
+ * IPC handlers doing that only accept a path granted here, so a renderer
+ * can't read or overwrite files the user never chose. A grant is for one
+ * purpose (e.g. 'watchlists:import'), is used up by the request, and
+ * lapses after GRANT_TTL_MS.
+ */
+
+const path = require('path');
+
+// The window acts on a dialog result straight away
+const GRANT_TTL_MS = 60 * 1000;
+
+class DialogPaths {
+    constructor() {
+        this.grants = new Map();    // resolved path -> { purpose, expires }
+    }
+
+    /**
+     * Allow one request for a path a dialog returned
+     * @param {string} filePath - Dialog result
+     * @param {string} purpose - IPC channel the path is for
+     */
+    grant(filePath, purpose) {
+        this.grants.set(path.resolve(filePath), {
+            purpose,
+            expires: Date.now() + GRANT_TTL_MS
+        });
+    }
+
+    /**
+     * Use up the grant for a path
+     * @param {string} filePath - Path from the renderer
+     * @param {string} purpose - IPC channel asking for it
+     * @returns {string} Resolved path
+     * @throws {Error} When no dialog returned the path for this purpose
+     */
+    take(filePath, purpose) {
+        const resolved = typeof filePath === 'string' && filePath ? path.resolve(filePath) : null;
+        const grant = resolved && this.grants.get(resolved);
+
+        if (!grant || grant.purpose !== purpose || grant.expires < Date.now()) {
+            throw new Error('Choose the file in the file dialog');
+        }
+
+        this.grants.delete(resolved);
+        return resolved;
+    }
+}
+
+module.exports = DialogPaths;
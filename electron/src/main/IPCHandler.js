@@ -7,6 +7,7 @@ const { ipcMain, BrowserWindow, app, shell, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
 const EventEmitter = require('events');
+const TableExporter = require('./TableExporter');
 
 // IPCHandler class extends EventEmitter to allow event-based communication
 class IPCHandler extends EventEmitter {
@@ -18,6 +19,7 @@ class IPCHandler extends EventEmitter {
         // Store references to managers (passed from main.js)
         this.windowManager = options.windowManager;  // For window-related operations
         this.stateManager = options.stateManager;    // For state persistence
+        this.dialogPaths = options.dialogPaths;      // Files the user picked in menu dialogs
         
         // Track active IPC channels to prevent duplicate handlers
         this.handlers = new Map();                   // Map of channel -> handler function
@@ -25,6 +27,9 @@ class IPCHandler extends EventEmitter {
         // Track pending async operations for cleanup
         this.pendingOperations = new Set();          // Set of promise references
         
+        // Writes File > Export output for the renderer
+        this.tableExporter = new TableExporter();
+        
         // Initialize all IPC handlers
         this.setupHandlers();
         
@@ -54,6 +59,9 @@ class IPCHandler extends EventEmitter {
         
         // Perspective-specific Handlers
         this.setupPerspectiveHandlers();
+        
+        // Table Export Handlers
+        this.setupExportHandlers();
     }
     
     /**
@@ -243,6 +251,7 @@ class IPCHandler extends EventEmitter {
             return {
                 id: windowId,                                              // Unique window ID
                 type: this.windowManager.windowTypes.get(windowId),       // Window type
+                view: this.windowManager.getWindowView(windowId),         // Hosted tab (null: all tabs)
                 bounds: window.getBounds(),                               // Position and size
                 isMaximized: window.isMaximized(),                       // Maximized state
                 isMinimized: window.isMinimized(),                       // Minimized state
@@ -316,6 +325,75 @@ class IPCHandler extends EventEmitter {
                 return { success: false, error: error.message };
             }
         });
+        
+        // Get this window's symbol link colour
+        this.registerHandler('link:get-color', async (event) => {
+            const windowId = this.windowManager.getWindowId(BrowserWindow.fromWebContents(event.sender));
+            
+            return {
+                success: true,
+                color: this.windowManager.getLinkColor(windowId),
+                colors: this.windowManager.linkColors
+            };
+        });
+        
+        // Put this window on a link colour (null unlinks it)
+        this.registerHandler('link:set-color', async (event, { color }) => {
+            try {
+                const windowId = this.windowManager.getWindowId(BrowserWindow.fromWebContents(event.sender));
+                if (!windowId) {
+                    throw new Error('Unknown window');
+                }
+                
+                this.windowManager.setLinkColor(windowId, color || null);
+                return { success: true, color: color || null };
+                
+            } catch (error) {
+                console.error('[IPCHandler] Failed to set link color:', error);
+                return { success: false, error: error.message };
+            }
+        });
+        
+        // Send a selected symbol to every other window on the sender's link colour
+        this.registerHandler('link:publish', async (event, { symbol, source }) => {
+            try {
+                // Validate the payload (symbols only, nothing free-form)
+                if (!this.isValidSymbol(symbol)) {
+                    throw new Error('Invalid symbol');
+                }
+                
+                const senderWindow = BrowserWindow.fromWebContents(event.sender);
+                const senderId = this.windowManager.getWindowId(senderWindow);
+                const color = this.windowManager.getLinkColor(senderId);
+                
+                // Unlinked windows keep their selection to themselves
+                if (!color) {
+                    return { success: true, count: 0 };
+                }
+                
+                const message = {
+                    color,
+                    symbol: symbol.toUpperCase(),
+                    source: typeof source === 'string' ? source : null,
+                    windowId: senderId
+                };
+                
+                let count = 0;
+                for (const windowId of this.windowManager.getLinkedWindows(color)) {
+                    const window = this.windowManager.getWindow(windowId);
+                    if (windowId === senderId || !window || window.isDestroyed()) continue;
+                    
+                    window.webContents.send('link:symbol', message);
+                    count++;
+                }
+                
+                return { success: true, count };
+                
+            } catch (error) {
+                console.error('[IPCHandler] Failed to publish linked symbol:', error);
+                return { success: false, error: error.message };
+            }
+        });
     }
     
     /**
@@ -603,6 +681,31 @@ this.registerHandler('data:request', async (event, { source, params }) => {
         });
     }
     
+    /**
+     * Table export handlers
+     * The renderer collects the rows it shows; the file is written here
+     */
+    setupExportHandlers() {
+        // Write table rows as CSV, JSON or XLSX to the path File > Export's save dialog returned
+        this.registerHandler('export:write', async (event, options = {}) => {
+            try {
+                if (!this.dialogPaths) {
+                    throw new Error('File access is not available');
+                }
+                const filePath = this.dialogPaths.take(options.filePath, 'export:write');
+                
+                const result = await this.tableExporter.write({ ...options, filePath });
+                
+                console.log(`[IPCHandler] Exported ${result.rows} rows to ${result.filePath}`);
+                return { success: true, ...result };
+                
+            } catch (error) {
+                console.error('[IPCHandler] Export failed:', error);
+                return { success: false, error: error.message };
+            }
+        });
+    }
+    
     /**
      * Registers an IPC handler with error handling and validation
      * @param {string} channel - IPC channel name
@@ -685,6 +788,15 @@ this.registerHandler('data:request', async (event, { source, params }) => {
         return allowedPrefixes.some(prefix => channel.startsWith(prefix));
     }
     
+    /**
+     * Validates a ticker symbol sent over a link channel (security)
+     * @param {string} symbol - Symbol to validate
+     * @returns {boolean} True if valid
+     */
+    isValidSymbol(symbol) {
+        return typeof symbol === 'string' && /^[A-Za-z][A-Za-z0-9.\-]{0,9}$/.test(symbol);
+    }
+    
     /**
      * Validates external URL (security)
      * @param {string} url - URL to validate
@@ -0,0 +1,521 @@
+// electron/src/main/IndicatorEngine.js
+/**
+ * IndicatorEngine - Technical indicator calculations for the main process
+ *
+ * This module:
+ * - Computes studies (SMA, EMA, VWAP, ATR, RSI, MACD, Bollinger, RVOL) over OHLCV bars
+ * - Pulls historical bars from the server through a fetchBars callback
+ * - Backs the 'calculate' data source of PolygonBridge
+ *
+ * All series are aligned with the input bars; values are null until the
+ * study has enough history (warm-up period).
+ */
+
+const log = require('electron-log');
+const MarketCalendar = require('./MarketCalendar');
+
+// Configure logging for this module
+const logger = log.scope('IndicatorEngine');
+
+// Default parameters per study type
+const STUDY_DEFAULTS = {
+    sma: { period: 20 },
+    ema: { period: 20 },
+    vwap: { anchor: 'session' },
+    atr: { period: 14 },
+    rsi: { period: 14 },
+    macd: { fast: 12, slow: 26, signal: 9 },
+    bollinger: { period: 20, stdDev: 2 },
+    relativeVolume: { period: 20 }
+};
+
+// Regular-session minutes per bar, for turning a bar count into a date range
+const TIMEFRAME_MINUTES = {
+    '1min': 1,
+    '5min': 5,
+    '15min': 15,
+    '30min': 30,
+    '1hour': 60,
+    '4hour': 240,
+    '1day': 390,
+    '1week': 390 * 5,
+    '1month': 390 * 21
+};
+const SESSION_MINUTES = 390;
+
+// Aliases accepted in study specs
+const STUDY_ALIASES = {
+    bb: 'bollinger',
+    bbands: 'bollinger',
+    rvol: 'relativeVolume',
+    relvol: 'relativeVolume',
+    relativevolume: 'relativeVolume'
+};
+
+class IndicatorEngine {
+    constructor(options = {}) {
+        // Callback used to load bars: ({ symbol, timeframe, limit, startDate, endDate }) => bars[]
+        this.fetchBars = options.fetchBars || null;
+
+        // Default number of bars to request when none is specified
+        this.defaultLimit = options.defaultLimit || 500;
+
+        // Default timeframe (matches the server's TimeframeEnum)
+        this.defaultTimeframe = options.defaultTimeframe || '1day';
+
+        // Trading days for session anchors and history ranges
+        this.marketCalendar = options.marketCalendar || new MarketCalendar();
+
+        logger.info('IndicatorEngine initialized');
+    }
+
+    /**
+     * Calculate studies for a symbol using bars from the server
+     * @param {Object} params - { symbol, timeframe, studies, limit, startDate, endDate, includeBars }
+     * @returns {Promise<Object>} Study series and latest values
+     */
+    async calculate(params = {}) {
+        const { symbol, studies, includeBars = false } = params;
+        const timeframe = params.timeframe || this.defaultTimeframe;
+
+        if (!symbol || typeof symbol !== 'string') {
+            throw new Error('A symbol is required for calculation');
+        }
+
+        if (!Array.isArray(studies) || studies.length === 0) {
+            throw new Error('At least one study is required for calculation');
+        }
+
+        if (!this.fetchBars) {
+            throw new Error('No bar source configured for IndicatorEngine');
+        }
+
+        // Validate study specs before hitting the server
+        const specs = studies.map(study => this.normalizeStudy(study));
+
+        // Without a start date the server returns only its default 30 days,
+        // too few for the limit on daily bars
+        const limit = params.limit || this.defaultLimit;
+        const bars = await this.fetchBars({
+            symbol: symbol.toUpperCase(),
+            timeframe,
+            limit,
+            startDate: params.startDate || this.startDateFor(timeframe, limit, params.endDate),
+            endDate: params.endDate
+        });
+
+        logger.debug(`Calculating ${specs.length} studies over ${bars.length} bars for ${symbol}`);
+
+        const result = this.computeStudies(bars, specs);
+
+        return {
+            symbol: symbol.toUpperCase(),
+            timeframe,
+            barCount: bars.length,
+            timestamps: bars.map(bar => bar.timestamp),
+            studies: result.studies,
+            latest: result.latest,
+            ...(includeBars ? { bars } : {})
+        };
+    }
+
+    /**
+     * Compute normalized studies over an in-memory bar array
+     * @param {Array<Object>} bars - OHLCV bars ({ timestamp, open, high, low, close, volume })
+     * @param {Array<Object|string>} studies - Study specs
+     * @returns {Object} { studies: { key: series }, latest: { key: value } }
+     */
+    computeStudies(bars, studies) {
+        const studySeries = {};
+        const latest = {};
+
+        for (const study of studies) {
+            const spec = study.key ? study : this.normalizeStudy(study);
+            const series = this.computeStudy(bars, spec);
+
+            studySeries[spec.key] = series;
+            latest[spec.key] = series.length > 0 ? series[series.length - 1] : null;
+        }
+
+        return { studies: studySeries, latest };
+    }
+
+    /**
+     * Normalize a study spec into { type, key, ...params }
+     * @param {Object|string} study - 'rsi' or { type: 'rsi', period: 14, key: 'rsi' }
+     * @returns {Object} Normalized spec
+     */
+    normalizeStudy(study) {
+        const raw = typeof study === 'string' ? { type: study } : { ...study };
+
+        if (!raw.type || typeof raw.type !== 'string') {
+            throw new Error('Study type is required');
+        }
+
+        const lower = raw.type.toLowerCase();
+        const type = STUDY_ALIASES[lower] || lower;
+
+        if (!STUDY_DEFAULTS[type]) {
+            throw new Error(`Unknown study type: ${raw.type}`);
+        }
+
+        const spec = { ...STUDY_DEFAULTS[type], ...raw, type };
+
+        // Validate numeric parameters
+        for (const field of ['period', 'fast', 'slow', 'signal']) {
+            if (field in spec && (!Number.isInteger(spec[field]) || spec[field] < 1)) {
+                throw new Error(`Invalid ${field} for ${type}: ${spec[field]}`);
+            }
+        }
+
+        if (type === 'macd' && spec.fast >= spec.slow) {
+            throw new Error('MACD fast period must be shorter than slow period');
+        }
+
+        // Build a stable result key (e.g. sma20, macd, vwap)
+        if (!spec.key) {
+            spec.key = 'period' in STUDY_DEFAULTS[type] ? `${type}${spec.period}` : type;
+        }
+
+        return spec;
+    }
+
+    /**
+     * Dispatch a normalized study to its calculation
+     * @param {Array<Object>} bars - OHLCV bars
+     * @param {Object} spec - Normalized study spec
+     * @returns {Array} Series aligned with bars
+     */
+    computeStudy(bars, spec) {
+        const closes = bars.map(bar => bar.close);
+
+        switch (spec.type) {
+            case 'sma':
+                return this.sma(closes, spec.period);
+
+            case 'ema':
+                return this.ema(closes, spec.period);
+
+            case 'vwap':
+                return this.vwap(bars, spec.anchor);
+
+            case 'atr':
+                return this.atr(bars, spec.period);
+
+            case 'rsi':
+                return this.rsi(closes, spec.period);
+
+            case 'macd':
+                return this.macd(closes, spec.fast, spec.slow, spec.signal);
+
+            case 'bollinger':
+                return this.bollinger(closes, spec.period, spec.stdDev);
+
+            case 'relativeVolume':
+                return this.relativeVolume(bars.map(bar => bar.volume), spec.period);
+
+            default:
+                throw new Error(`Unknown study type: ${spec.type}`);
+        }
+    }
+
+    /**
+     * Simple moving average
+     * @param {Array<number>} values - Input values
+     * @param {number} period - Lookback period
+     * @returns {Array<number|null>} SMA series
+     */
+    sma(values, period) {
+        const result = new Array(values.length).fill(null);
+        let sum = 0;
+
+        for (let i = 0; i < values.length; i++) {
+            sum += values[i];
+
+            if (i >= period) {
+                sum -= values[i - period];
+            }
+
+            if (i >= period - 1) {
+                result[i] = sum / period;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Exponential moving average (seeded with the SMA of the first period)
+     * @param {Array<number|null>} values - Input values (leading nulls are skipped)
+     * @param {number} period - Lookback period
+     * @returns {Array<number|null>} EMA series
+     */
+    ema(values, period) {
+        const result = new Array(values.length).fill(null);
+        const multiplier = 2 / (period + 1);
+
+        // Skip leading nulls (e.g. when smoothing another study)
+        let start = 0;
+        while (start < values.length && values[start] == null) {
+            start++;
+        }
+
+        if (values.length - start < period) {
+            return result;
+        }
+
+        let seed = 0;
+        for (let i = start; i < start + period; i++) {
+            seed += values[i];
+        }
+
+        let previous = seed / period;
+        result[start + period - 1] = previous;
+
+        for (let i = start + period; i < values.length; i++) {
+            previous = (values[i] - previous) * multiplier + previous;
+            result[i] = previous;
+        }
+
+        return result;
+    }
+
+    /**
+     * Volume-weighted average price using typical price
+     * @param {Array<Object>} bars - OHLCV bars
+     * @param {string} anchor - 'session' resets each trading day, 'none' is cumulative
+     * @returns {Array<number|null>} VWAP series
+     */
+    vwap(bars, anchor = 'session') {
+        const result = new Array(bars.length).fill(null);
+        let cumulativePV = 0;
+        let cumulativeVolume = 0;
+        let currentSession = null;
+
+        for (let i = 0; i < bars.length; i++) {
+            const bar = bars[i];
+
+            // Reset accumulators on a new trading day
+            if (anchor === 'session') {
+                const session = this.sessionKey(bar.timestamp);
+                if (session !== currentSession) {
+                    currentSession = session;
+                    cumulativePV = 0;
+                    cumulativeVolume = 0;
+                }
+            }
+
+            const typicalPrice = (bar.high + bar.low + bar.close) / 3;
+            cumulativePV += typicalPrice * (bar.volume || 0);
+            cumulativeVolume += bar.volume || 0;
+
+            result[i] = cumulativeVolume > 0 ? cumulativePV / cumulativeVolume : typicalPrice;
+        }
+
+        return result;
+    }
+
+    /**
+     * Average true range with Wilder smoothing
+     * @param {Array<Object>} bars - OHLCV bars
+     * @param {number} period - Lookback period
+     * @returns {Array<number|null>} ATR series
+     */
+    atr(bars, period) {
+        const result = new Array(bars.length).fill(null);
+        const trueRanges = bars.map((bar, i) => this.trueRange(bar, i > 0 ? bars[i - 1] : null));
+
+        if (bars.length < period) {
+            return result;
+        }
+
+        let previous = 0;
+        for (let i = 0; i < period; i++) {
+            previous += trueRanges[i];
+        }
+        previous /= period;
+        result[period - 1] = previous;
+
+        for (let i = period; i < bars.length; i++) {
+            previous = (previous * (period - 1) + trueRanges[i]) / period;
+            result[i] = previous;
+        }
+
+        return result;
+    }
+
+    /**
+     * True range of a bar relative to the previous close
+     * @param {Object} bar - Current bar
+     * @param {Object|null} previousBar - Previous bar
+     * @returns {number} True range
+     */
+    trueRange(bar, previousBar) {
+        if (!previousBar) {
+            return bar.high - bar.low;
+        }
+
+        return Math.max(
+            bar.high - bar.low,
+            Math.abs(bar.high - previousBar.close),
+            Math.abs(bar.low - previousBar.close)
+        );
+    }
+
+    /**
+     * Relative strength index with Wilder smoothing
+     * @param {Array<number>} values - Closing prices
+     * @param {number} period - Lookback period
+     * @returns {Array<number|null>} RSI series (0-100)
+     */
+    rsi(values, period) {
+        const result = new Array(values.length).fill(null);
+
+        if (values.length <= period) {
+            return result;
+        }
+
+        let averageGain = 0;
+        let averageLoss = 0;
+
+        for (let i = 1; i <= period; i++) {
+            const change = values[i] - values[i - 1];
+            averageGain += Math.max(change, 0);
+            averageLoss += Math.max(-change, 0);
+        }
+
+        averageGain /= period;
+        averageLoss /= period;
+        result[period] = this.rsiValue(averageGain, averageLoss);
+
+        for (let i = period + 1; i < values.length; i++) {
+            const change = values[i] - values[i - 1];
+            averageGain = (averageGain * (period - 1) + Math.max(change, 0)) / period;
+            averageLoss = (averageLoss * (period - 1) + Math.max(-change, 0)) / period;
+            result[i] = this.rsiValue(averageGain, averageLoss);
+        }
+
+        return result;
+    }
+
+    /**
+     * Convert average gain/loss to an RSI value
+     */
+    rsiValue(averageGain, averageLoss) {
+        if (averageLoss === 0) {
+            return averageGain === 0 ? 50 : 100;
+        }
+
+        return 100 - 100 / (1 + averageGain / averageLoss);
+    }
+
+    /**
+     * Moving average convergence divergence
+     * @param {Array<number>} values - Closing prices
+     * @param {number} fast - Fast EMA period
+     * @param {number} slow - Slow EMA period
+     * @param {number} signal - Signal EMA period
+     * @returns {Array<Object|null>} { macd, signal, histogram } per bar
+     */
+    macd(values, fast, slow, signal) {
+        const fastEma = this.ema(values, fast);
+        const slowEma = this.ema(values, slow);
+
+        const macdLine = values.map((_, i) =>
+            fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null
+        );
+        const signalLine = this.ema(macdLine, signal);
+
+        return macdLine.map((value, i) => {
+            if (value === null) return null;
+
+            return {
+                macd: value,
+                signal: signalLine[i],
+                histogram: signalLine[i] !== null ? value - signalLine[i] : null
+            };
+        });
+    }
+
+    /**
+     * Bollinger bands (SMA +/- population standard deviation)
+     * @param {Array<number>} values - Closing prices
+     * @param {number} period - Lookback period
+     * @param {number} stdDev - Band width in standard deviations
+     * @returns {Array<Object|null>} { upper, middle, lower } per bar
+     */
+    bollinger(values, period, stdDev = 2) {
+        const middle = this.sma(values, period);
+
+        return middle.map((mean, i) => {
+            if (mean === null) return null;
+
+            let variance = 0;
+            for (let j = i - period + 1; j <= i; j++) {
+                variance += (values[j] - mean) ** 2;
+            }
+
+            const deviation = Math.sqrt(variance / period) * stdDev;
+
+            return {
+                upper: mean + deviation,
+                middle: mean,
+                lower: mean - deviation
+            };
+        });
+    }
+
+    /**
+     * Relative volume: bar volume divided by the average of the prior period bars
+     * @param {Array<number>} volumes - Bar volumes
+     * @param {number} period - Lookback period
+     * @returns {Array<number|null>} Relative volume series
+     */
+    relativeVolume(volumes, period) {
+        const result = new Array(volumes.length).fill(null);
+        const averages = this.sma(volumes, period);
+
+        for (let i = period; i < volumes.length; i++) {
+            const average = averages[i - 1];
+            result[i] = average > 0 ? volumes[i] / average : null;
+        }
+
+        return result;
+    }
+
+    /**
+     * Trading day key for a bar timestamp (used to anchor VWAP)
+     * @param {string|number|Date} timestamp - Bar timestamp
+     * @returns {string} YYYY-MM-DD
+     */
+    sessionKey(timestamp) {
+        const date = new Date(timestamp);
+
+        if (Number.isNaN(date.getTime())) {
+            return String(timestamp).slice(0, 10);
+        }
+
+        // New York day, so after-hours bars stay on their session
+        return this.marketCalendar.tradingDay(date.getTime());
+    }
+
+    /**
+     * First day to request so the range holds at least `limit` bars
+     * @param {string} timeframe - Server timeframe
+     * @param {number} limit - Bars wanted
+     * @param {string} [endDate] - Last day (default today), 'YYYY-MM-DD'
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    startDateFor(timeframe, limit, endDate) {
+        const minutes = TIMEFRAME_MINUTES[timeframe] || SESSION_MINUTES;
+        const tradingDays = Math.ceil((limit * minutes) / SESSION_MINUTES);
+
+        // Weekends, about ten holidays a year and a little slack
+        const calendarDays = Math.ceil(tradingDays * 7 / 5) + Math.ceil(tradingDays / 25) + 3;
+        const end = endDate || this.marketCalendar.tradingDay(Date.now());
+
+        return this.marketCalendar.addDays(end.slice(0, 10), -calendarDays);
+    }
+}
+
+module.exports = IndicatorEngine;
@@ -0,0 +1,668 @@
+// electron/src/main/LevelService.js
+/**
+ * LevelService - Support/resistance and HVN detection for the Levels table
+ *
+ * This module:
+ * - Loads history per symbol and timeframe (warming the server cache with
+ *   /bars/multiple, then reading each symbol's bars from /bars)
+ * - Finds high-volume nodes from a volume profile, swing-pivot supports and
+ *   resistances, and the prior day's high, low and close
+ * - Tracks touches and invalidation live from the trade stream
+ * - Pushes level rows to all windows on 'data:update' with table 'levels'
+ *
+ * Level rows: { id, symbol, type, level, strength (1-5), touches, lastTouch,
+ * created, timeframe, active, source }. type is SUPPORT, RESISTANCE, HVN or
+ * PIVOT (prior close); source is 'swing', 'volume-profile' or 'prior-day'.
+ */
+
+const EventEmitter = require('events');
+const log = require('electron-log');
+const MarketCalendar = require('./MarketCalendar');
+
+// Configure logging for this module
+const logger = log.scope('LevelService');
+
+// Pseudo window ID used for the service's own WebSocket client
+const LEVELS_WINDOW_ID = 'level-service';
+
+// History loaded per timeframe (calendar days) and the grid's timeframe labels
+const TIMEFRAMES = {
+    '5min': { days: 5, label: '5m' },
+    '15min': { days: 10, label: '15m' },
+    '30min': { days: 15, label: '30m' },
+    '1hour': { days: 30, label: '1h' },
+    '4hour': { days: 60, label: '4h' },
+    '1day': { days: 180, label: '1d' }
+};
+
+class LevelService extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        // Dependencies
+        this.polygonBridge = options.polygonBridge;
+        this.windowManager = options.windowManager;
+        this.stateManager = options.stateManager;
+        this.ipcHandler = options.ipcHandler;
+        this.marketCalendar = options.marketCalendar || new MarketCalendar();
+
+        // Configuration
+        this.flushInterval = options.flushInterval ||
+            this.stateManager?.get('dataFeed.updateInterval', 1000) || 1000;
+
+        // State management
+        this.running = false;
+        this.symbols = [];
+        this.levels = new Map();        // symbol -> Map(levelId -> level)
+        this.dirty = new Set();         // level IDs changed since last flush
+        this.subscriptionId = null;
+        this.flushTimer = null;
+        this.refreshTimer = null;
+        this.subscriptionQueue = Promise.resolve();   // Serializes symbol changes
+
+        // Bind methods
+        this.handleMarketData = this.handleMarketData.bind(this);
+        this.handleSymbolsChange = this.handleSymbolsChange.bind(this);
+
+        // IPC handlers for the renderer
+        this.setupIPC();
+
+        logger.info('LevelService initialized');
+    }
+
+    /**
+     * Detect levels for the configured symbols and start tracking touches
+     */
+    async start() {
+        if (this.running) {
+            logger.warn('LevelService already running');
+            return;
+        }
+
+        this.running = true;
+        this.symbols = this.loadSymbols();
+
+        logger.info(`Detecting levels for ${this.symbols.length} symbols`);
+
+        this.polygonBridge.on('market-data', this.handleMarketData);
+        if (this.stateManager) {
+            this.stateManager.on('change:levels.symbols', this.handleSymbolsChange);
+            this.stateManager.on('change:scanner.universe', this.handleSymbolsChange);
+        }
+
+        await this.detectAll(this.symbols);
+        this.pushSnapshot();
+        await this.subscribe();
+
+        this.flushTimer = setInterval(() => this.flush(), this.flushInterval);
+
+        // Pick up new bars (and a new prior day) periodically
+        const refreshMinutes = this.getSettings().refreshMinutes;
+        if (refreshMinutes > 0) {
+            this.refreshTimer = setInterval(() => {
+                this.refresh().catch(error => logger.error('Level refresh failed:', error));
+            }, refreshMinutes * 60 * 1000);
+        }
+
+        this.emit('started', { symbols: this.symbols });
+    }
+
+    /**
+     * Stop tracking and release the subscription
+     */
+    async stop() {
+        if (!this.running) return;
+
+        logger.info('Stopping level service');
+
+        this.running = false;
+
+        clearInterval(this.flushTimer);
+        clearInterval(this.refreshTimer);
+        this.flushTimer = null;
+        this.refreshTimer = null;
+
+        // Let an in-flight symbol change finish before releasing its subscription
+        await this.subscriptionQueue;
+        await this.unsubscribe();
+
+        this.polygonBridge.off('market-data', this.handleMarketData);
+        if (this.stateManager) {
+            this.stateManager.off('change:levels.symbols', this.handleSymbolsChange);
+            this.stateManager.off('change:scanner.universe', this.handleSymbolsChange);
+        }
+
+        this.emit('stopped');
+    }
+
+    /**
+     * Detection settings (defaults merged with the levels state section)
+     */
+    getSettings() {
+        const settings = {
+            timeframes: ['5min', '1hour', '1day'],
+            pivotStrength: 3,           // Bars on each side of a swing pivot
+            profileBins: 50,            // Volume profile price buckets
+            hvnCount: 3,                // High-volume nodes kept per timeframe
+            hvnThreshold: 1.5,          // Node volume vs. average bucket volume
+            touchTolerance: 0.15,       // % of price counted as a touch
+            breakPercent: 0.5,          // % beyond a level that invalidates it
+            refreshMinutes: 15,
+            ...(this.stateManager?.get('levels', {}) || {})
+        };
+
+        settings.timeframes = settings.timeframes.filter(timeframe => TIMEFRAMES[timeframe]);
+        return settings;
+    }
+
+    /**
+     * Symbols to detect levels for (levels.symbols, else the scanner universe)
+     */
+    loadSymbols() {
+        let symbols = this.stateManager?.get('levels.symbols', []) || [];
+        if (!Array.isArray(symbols) || symbols.length === 0) {
+            symbols = this.stateManager?.get('scanner.universe', []) || [];
+        }
+
+        return [...new Set(symbols
+            .filter(symbol => typeof symbol === 'string')
+            .map(symbol => symbol.trim().toUpperCase())
+            .filter(symbol => symbol.length > 0))];
+    }
+
+    /**
+     * Handle level symbol or scanner universe changes saved to state
+     * Changes run one at a time so quick edits settle on the latest symbols
+     */
+    handleSymbolsChange() {
+        this.subscriptionQueue = this.subscriptionQueue.then(() => this.applySymbols());
+        return this.subscriptionQueue;
+    }
+
+    async applySymbols() {
+        if (!this.running) return;
+
+        const symbols = this.loadSymbols();
+        const added = symbols.filter(symbol => !this.symbols.includes(symbol));
+        const removed = this.symbols.filter(symbol => !symbols.includes(symbol));
+
+        if (added.length === 0 && removed.length === 0) return;
+
+        logger.info('Level symbols changed', { added, removed });
+
+        this.symbols = symbols;
+        removed.forEach(symbol => this.levels.delete(symbol));
+
+        try {
+            await this.detectAll(added);
+
+            await this.unsubscribe();
+            await this.subscribe();
+            this.pushSnapshot();
+        } catch (error) {
+            logger.error('Failed to update level subscription:', error);
+        }
+    }
+
+    /**
+     * Re-run detection for every symbol, keeping live touch counts
+     */
+    async refresh(symbols = this.symbols) {
+        await this.detectAll(symbols);
+        this.pushSnapshot();
+    }
+
+    // ===== Detection =====
+
+    /**
+     * Detect levels for symbols on every configured timeframe
+     */
+    async detectAll(symbols) {
+        if (symbols.length === 0) return;
+
+        const settings = this.getSettings();
+        const timeframes = [...new Set([...settings.timeframes, '1day'])];
+        const history = new Map();      // `${symbol}:${timeframe}` -> bars
+
+        for (const timeframe of timeframes) {
+            const startDate = this.startDate(TIMEFRAMES[timeframe].days);
+
+            // One request warms the cache for all symbols
+            try {
+                await this.polygonBridge.prefetchBars({ symbols, timeframe, startDate });
+            } catch (error) {
+                logger.warn(`Prefetch of ${timeframe} bars failed:`, error.message);
+            }
+
+            for (const symbol of symbols) {
+                try {
+                    const bars = await this.polygonBridge.fetchBars({ symbol, timeframe, startDate });
+                    history.set(`${symbol}:${timeframe}`, bars.map(bar => this.normalizeBar(bar)));
+                } catch (error) {
+                    logger.error(`Failed to load ${timeframe} bars for ${symbol}:`, error);
+                }
+            }
+        }
+
+        for (const symbol of symbols) {
+            const detected = [];
+
+            for (const timeframe of settings.timeframes) {
+                const bars = history.get(`${symbol}:${timeframe}`) || [];
+                detected.push(...this.detectVolumeNodes(symbol, timeframe, bars, settings));
+                detected.push(...this.detectSwingLevels(symbol, timeframe, bars, settings));
+            }
+
+            detected.push(...this.detectPriorDay(symbol, history.get(`${symbol}:1day`) || []));
+
+            this.replaceLevels(symbol, detected);
+        }
+    }
+
+    normalizeBar(bar) {
+        return {
+            timestamp: typeof bar.timestamp === 'number' ? bar.timestamp : Date.parse(bar.timestamp),
+            day: String(bar.timestamp).slice(0, 10),
+            open: bar.open,
+            high: bar.high,
+            low: bar.low,
+            close: bar.close,
+            volume: bar.volume || 0
+        };
+    }
+
+    /**
+     * High-volume nodes: local peaks of a volume-at-price profile
+     */
+    detectVolumeNodes(symbol, timeframe, bars, settings) {
+        if (bars.length === 0) return [];
+
+        const low = Math.min(...bars.map(bar => bar.low));
+        const high = Math.max(...bars.map(bar => bar.high));
+        if (!(high > low)) return [];
+
+        const binCount = settings.profileBins;
+        const binSize = (high - low) / binCount;
+        const profile = new Array(binCount).fill(0);
+        const binOf = price => Math.min(binCount - 1, Math.floor((price - low) / binSize));
+
+        // Spread each bar's volume evenly over the buckets it traded through
+        for (const bar of bars) {
+            const first = binOf(bar.low);
+            const last = binOf(bar.high);
+            const share = bar.volume / (last - first + 1);
+            for (let i = first; i <= last; i++) {
+                profile[i] += share;
+            }
+        }
+
+        const average = profile.reduce((sum, volume) => sum + volume, 0) / binCount;
+        const pointOfControl = Math.max(...profile);
+        if (!(pointOfControl > 0)) return [];
+
+        const nodes = [];
+        for (let i = 0; i < binCount; i++) {
+            const volume = profile[i];
+            // Highest within two buckets either side (strict on the left so a flat top yields one node)
+            const left = profile.slice(Math.max(0, i - 2), i);
+            const right = profile.slice(i + 1, i + 3);
+            const isPeak = left.every(other => volume > other) && right.every(other => volume >= other);
+            if (isPeak && volume >= average * settings.hvnThreshold) {
+                nodes.push({ price: low + binSize * (i + 0.5), volume });
+            }
+        }
+
+        return nodes
+            .sort((a, b) => b.volume - a.volume)
+            .slice(0, settings.hvnCount)
+            .map(node => this.createLevel({
+                symbol,
+                timeframe,
+                type: 'HVN',
+                source: 'volume-profile',
+                level: node.price,
+                strength: 1 + Math.round(4 * node.volume / pointOfControl),
+                created: bars[0].timestamp,
+                ...this.historicalTouches(bars, node.price, settings)
+            }));
+    }
+
+    /**
+     * Swing pivots that later price has not broken, clustered by price
+     */
+    detectSwingLevels(symbol, timeframe, bars, settings) {
+        const n = settings.pivotStrength;
+        const tolerance = settings.touchTolerance / 100;
+        const clusters = [];
+
+        for (let i = n; i < bars.length - n; i++) {
+            const window = bars.slice(i - n, i + n + 1);
+            const bar = bars[i];
+
+            if (window.every(other => other === bar || other.high < bar.high)) {
+                this.addPivot(clusters, 'RESISTANCE', bar.high, i, tolerance);
+            }
+            if (window.every(other => other === bar || other.low > bar.low)) {
+                this.addPivot(clusters, 'SUPPORT', bar.low, i, tolerance);
+            }
+        }
+
+        const breakFactor = settings.breakPercent / 100;
+        const levels = [];
+
+        for (const cluster of clusters) {
+            // Drop levels a later close went through
+            const later = bars.slice(cluster.lastIndex + 1);
+            const broken = cluster.type === 'RESISTANCE'
+                ? later.some(bar => bar.close > cluster.price * (1 + breakFactor))
+                : later.some(bar => bar.close < cluster.price * (1 - breakFactor));
+            if (broken) continue;
+
+            const touches = this.historicalTouches(bars.slice(cluster.firstIndex), cluster.price, settings);
+            levels.push(this.createLevel({
+                symbol,
+                timeframe,
+                type: cluster.type,
+                source: 'swing',
+                level: cluster.price,
+                strength: Math.min(5, cluster.pivots + (touches.touches >= 3 ? 1 : 0)),
+                created: bars[cluster.firstIndex].timestamp,
+                ...touches
+            }));
+        }
+
+        return levels;
+    }
+
+    /**
+     * Merge a pivot into a nearby cluster of the same type or start a new one
+     */
+    addPivot(clusters, type, price, index, tolerance) {
+        const cluster = clusters.find(c => c.type === type && Math.abs(c.price - price) <= c.price * tolerance);
+
+        if (cluster) {
+            cluster.price = (cluster.price * cluster.pivots + price) / (cluster.pivots + 1);
+            cluster.pivots++;
+            cluster.lastIndex = index;
+        } else {
+            clusters.push({ type, price, pivots: 1, firstIndex: index, lastIndex: index });
+        }
+    }
+
+    /**
+     * Prior session high, low and close from daily bars
+     */
+    detectPriorDay(symbol, dailyBars) {
+        const today = this.marketCalendar.tradingDay(Date.now());
+        const completed = dailyBars.filter(bar => bar.day < today);
+        const prior = completed[completed.length - 1];
+        if (!prior) return [];
+
+        const base = { symbol, timeframe: '1day', source: 'prior-day', created: prior.timestamp, touches: 0, lastTouch: null };
+
+        return [
+            this.createLevel({ ...base, type: 'RESISTANCE', level: prior.high, strength: 4, key: 'high' }),
+            this.createLevel({ ...base, type: 'SUPPORT', level: prior.low, strength: 4, key: 'low' }),
+            this.createLevel({ ...base, type: 'PIVOT', level: prior.close, strength: 3, key: 'close' })
+        ];
+    }
+
+    /**
+     * Bars that traded into a level's zone, and the last one's time
+     */
+    historicalTouches(bars, price, settings) {
+        const band = price * settings.touchTolerance / 100;
+        let touches = 0;
+        let lastTouch = null;
+
+        for (const bar of bars) {
+            if (bar.low <= price + band && bar.high >= price - band) {
+                touches++;
+                lastTouch = bar.timestamp;
+            }
+        }
+
+        return { touches, lastTouch };
+    }
+
+    /**
+     * Build a level record
+     */
+    createLevel({ symbol, timeframe, type, source, level, strength, touches, lastTouch, created, key }) {
+        const price = this.round(level);
+
+        return {
+            id: `${symbol}:${timeframe}:${source}:${key || type}:${price}`,
+            symbol,
+            type,
+            level: price,
+            strength: Math.max(1, Math.min(5, strength)),
+            touches,
+            lastTouch: lastTouch ? new Date(lastTouch) : null,
+            created: new Date(created),
+            timeframe: TIMEFRAMES[timeframe].label,
+            active: true,
+            source,
+            inZone: false               // Last trade was inside the touch band
+        };
+    }
+
+    /**
+     * Replace a symbol's levels, carrying live state over for levels that remain
+     */
+    replaceLevels(symbol, detected) {
+        const previous = this.levels.get(symbol) || new Map();
+        const next = new Map();
+
+        for (const level of detected) {
+            if (next.has(level.id)) continue;
+
+            const existing = previous.get(level.id);
+            if (existing) {
+                level.touches = Math.max(level.touches, existing.touches);
+                level.lastTouch = existing.lastTouch > level.lastTouch ? existing.lastTouch : level.lastTouch;
+                level.active = existing.active;
+                level.inZone = existing.inZone;
+            }
+            next.set(level.id, level);
+        }
+
+        this.levels.set(symbol, next);
+    }
+
+    // ===== Live tracking =====
+
+    async subscribe() {
+        if (this.symbols.length === 0) return;
+
+        this.subscriptionId = `${LEVELS_WINDOW_ID}-trades-${Date.now()}`;
+
+        await this.polygonBridge.handleDataSubscribe({
+            subscriptionId: this.subscriptionId,
+            windowId: LEVELS_WINDOW_ID,
+            stream: 'trades',
+            symbols: this.symbols,
+            options: {}
+        });
+    }
+
+    async unsubscribe() {
+        if (!this.subscriptionId) return;
+
+        await this.polygonBridge.handleDataUnsubscribe({ subscriptionId: this.subscriptionId });
+        this.subscriptionId = null;
+    }
+
+    /**
+     * Handle market data forwarded by PolygonBridge
+     */
+    handleMarketData({ subscriptionId, data }) {
+        if (subscriptionId !== this.subscriptionId) return;
+
+        const items = Array.isArray(data) ? data : [data];
+        for (const item of items) {
+            if (item?.event_type === 'trade') {
+                this.applyTrade(item);
+            }
+        }
+    }
+
+    /**
+     * Count zone entries as touches and invalidate broken levels
+     */
+    applyTrade(trade) {
+        const levels = this.levels.get(trade.symbol);
+        if (!levels || typeof trade.price !== 'number') return;
+
+        const settings = this.getSettings();
+
+        for (const level of levels.values()) {
+            if (!level.active) continue;
+
+            const band = level.level * settings.touchTolerance / 100;
+            const inZone = Math.abs(trade.price - level.level) <= band;
+
+            if (inZone && !level.inZone) {
+                level.touches++;
+                level.lastTouch = new Date(trade.timestamp || Date.now());
+                this.dirty.add(level.id);
+                this.emit('level-touch', { level: this.buildRow(level), price: trade.price });
+            }
+            level.inZone = inZone;
+
+            // HVNs and the prior close act as magnets, not barriers
+            const breakDistance = level.level * settings.breakPercent / 100;
+            const broken = (level.type === 'SUPPORT' && trade.price < level.level - breakDistance) ||
+                (level.type === 'RESISTANCE' && trade.price > level.level + breakDistance);
+
+            if (broken) {
+                level.active = false;
+                this.dirty.add(level.id);
+                this.emit('level-broken', { level: this.buildRow(level), price: trade.price });
+                logger.debug(`${trade.symbol} ${level.type} ${level.level} (${level.timeframe}) broken at ${trade.price}`);
+            }
+        }
+    }
+
+    // ===== Publishing =====
+
+    buildRow(level) {
+        const { inZone, ...row } = level;
+        return row;
+    }
+
+    /**
+     * Push changed level rows
+     */
+    flush() {
+        if (this.dirty.size === 0) return;
+
+        const rows = [];
+        for (const levels of this.levels.values()) {
+            for (const level of levels.values()) {
+                if (this.dirty.has(level.id)) {
+                    rows.push(this.buildRow(level));
+                }
+            }
+        }
+        this.dirty.clear();
+
+        this.publish('update', rows);
+    }
+
+    /**
+     * Replace the grid contents with all current levels
+     */
+    pushSnapshot() {
+        this.dirty.clear();
+        this.publish('replace', this.getRows());
+    }
+
+    publish(type, rows) {
+        if (!this.windowManager || (rows.length === 0 && type !== 'replace')) return;
+
+        this.windowManager.broadcast('data:update', {
+            type,
+            table: 'levels',
+            data: rows
+        });
+    }
+
+    /**
+     * Current level rows, optionally for one symbol
+     */
+    getRows(symbol = null) {
+        const rows = [];
+
+        for (const [levelSymbol, levels] of this.levels) {
+            if (symbol && levelSymbol !== symbol) continue;
+            for (const level of levels.values()) {
+                rows.push(this.buildRow(level));
+            }
+        }
+
+        return rows;
+    }
+
+    // ===== Helpers =====
+
+    round(value) {
+        // Sub-dollar stocks need the extra precision
+        const decimals = Math.abs(value) < 1 ? 4 : 2;
+        const factor = 10 ** decimals;
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * YYYY-MM-DD a number of days before the current trading day
+     */
+    startDate(days) {
+        return this.marketCalendar.addDays(this.marketCalendar.tradingDay(Date.now()), -days);
+    }
+
+    /**
+     * Set up IPC handlers
+     */
+    setupIPC() {
+        if (!this.ipcHandler) return;
+
+        // Current rows, used by windows that open after detection ran
+        this.ipcHandler.registerHandler('levels:get-snapshot', async () => {
+            return { success: true, rows: this.getRows() };
+        });
+
+        // Levels for one symbol (chart overlays)
+        this.ipcHandler.registerHandler('levels:get-levels', async (event, { symbol }) => {
+            return { success: true, levels: this.getRows(String(symbol || '').toUpperCase()) };
+        });
+
+        // Re-run detection now
+        this.ipcHandler.registerHandler('levels:refresh', async (event, { symbols } = {}) => {
+            const targets = Array.isArray(symbols) && symbols.length > 0
+                ? symbols.map(symbol => String(symbol).toUpperCase()).filter(symbol => this.symbols.includes(symbol))
+                : this.symbols;
+
+            await this.refresh(targets);
+            return { success: true, symbols: targets };
+        });
+    }
+
+    /**
+     * Get level service status
+     */
+    getStatus() {
+        let count = 0;
+        for (const levels of this.levels.values()) {
+            count += levels.size;
+        }
+
+        return {
+            running: this.running,
+            symbols: this.symbols.length,
+            levels: count,
+            subscriptionId: this.subscriptionId
+        };
+    }
+}
+
+module.exports = LevelService;
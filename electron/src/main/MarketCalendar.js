@@ -0,0 +1,582 @@
+// electron/src/main/MarketCalendar.js
+/**
+ * MarketCalendar - US equity trading sessions, holidays and early closes
+ *
+ * This module:
+ * - Knows the NYSE/Nasdaq day in America/New_York time: pre-market
+ *   4:00-9:30, regular session 9:30-16:00 and after-hours 16:00-20:00
+ * - Derives exchange holidays (observed on the nearest weekday) and the
+ *   13:00 early closes from the exchange rules, so no yearly table is needed;
+ *   unscheduled closures come from market.holidays / market.earlyCloses in state
+ * - Answers session queries for any timestamp (live data, bars, backtests)
+ * - Pushes session transitions to all windows on 'market:session' and emits
+ *   'session-changed' for the scanner and strategies
+ *
+ * Status object (getStatus, 'market:session', 'session-changed'):
+ *   { session: 'pre'|'regular'|'post'|'closed', label, tradingDay, isTradingDay,
+ *     holiday, earlyClose, nextOpen, nextClose, nextChange: { session, at }, timestamp }
+ */
+
+const EventEmitter = require('events');
+const log = require('electron-log');
+
+// Configure logging for this module
+const logger = log.scope('MarketCalendar');
+
+const TIME_ZONE = 'America/New_York';
+
+// Session boundaries in minutes since midnight New York time
+const PRE_OPEN = 4 * 60;
+const REGULAR_OPEN = 9 * 60 + 30;
+const REGULAR_CLOSE = 16 * 60;
+const POST_CLOSE = 20 * 60;
+const EARLY_CLOSE = 13 * 60;
+
+// After-hours runs this long after the regular close (also after early closes)
+const POST_SESSION_MINUTES = POST_CLOSE - REGULAR_CLOSE;
+
+// Labels shown in the header (index.js styles these)
+const SESSION_LABELS = {
+    pre: 'Pre-Market',
+    regular: 'Open',
+    post: 'After-Hours',
+    closed: 'Closed'
+};
+
+// Days searched for the next open (covers the longest run of closures)
+const LOOKAHEAD_DAYS = 10;
+
+// Re-check at least this often so sleep and clock changes are caught
+const MAX_TIMER_DELAY = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class MarketCalendar extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        // Dependencies
+        this.windowManager = options.windowManager;
+        this.stateManager = options.stateManager;
+        this.ipcHandler = options.ipcHandler;
+
+        // State management
+        this.running = false;
+        this.timer = null;
+        this.current = null;            // Last pushed status
+        this.holidayCache = new Map();  // year -> Map(day -> name)
+        this.scheduleCache = new Map(); // day -> schedule
+        this.lastDay = null;            // { day, start, end, schedule } of the last queried day
+
+        this.dayFormatter = new Intl.DateTimeFormat('en-CA', {
+            timeZone: TIME_ZONE,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        });
+        this.partsFormatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: TIME_ZONE,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            hourCycle: 'h23'
+        });
+
+        // Bind methods
+        this.handleTimer = this.handleTimer.bind(this);
+        this.handleClosuresChange = this.handleClosuresChange.bind(this);
+
+        // IPC handlers for the renderer
+        this.setupIPC();
+
+        logger.info('MarketCalendar initialized');
+    }
+
+    /**
+     * Start pushing session transitions
+     */
+    start() {
+        if (this.running) {
+            logger.warn('MarketCalendar already running');
+            return;
+        }
+
+        this.running = true;
+        this.current = this.getStatus();
+
+        if (this.stateManager) {
+            this.stateManager.on('change:market.holidays', this.handleClosuresChange);
+            this.stateManager.on('change:market.earlyCloses', this.handleClosuresChange);
+        }
+
+        this.scheduleTimer();
+
+        logger.info(`Market is ${this.current.label} (${this.current.tradingDay})`);
+        this.emit('started', this.current);
+    }
+
+    /**
+     * Stop the transition timer
+     */
+    stop() {
+        if (!this.running) return;
+
+        this.running = false;
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        if (this.stateManager) {
+            this.stateManager.off('change:market.holidays', this.handleClosuresChange);
+            this.stateManager.off('change:market.earlyCloses', this.handleClosuresChange);
+        }
+
+        this.emit('stopped');
+    }
+
+    // ===== Sessions =====
+
+    /**
+     * Session at a time
+     * @param {number|Date|string} [timestamp] - Default now
+     * @returns {string} 'pre', 'regular', 'post' or 'closed'
+     */
+    sessionAt(timestamp = Date.now()) {
+        const time = this.toTime(timestamp);
+        const { sessions } = this.getDayAt(time).schedule;
+        if (!sessions) return 'closed';
+
+        for (const name of ['pre', 'regular', 'post']) {
+            if (time >= sessions[name].start && time < sessions[name].end) {
+                return name;
+            }
+        }
+
+        return 'closed';
+    }
+
+    /**
+     * Check whether the market trades at a time
+     * @param {number|Date|string} [timestamp] - Default now
+     * @param {boolean} [extended] - Count pre-market and after-hours
+     * @returns {boolean}
+     */
+    isOpen(timestamp = Date.now(), extended = false) {
+        const session = this.sessionAt(timestamp);
+        return session === 'regular' || (extended && session !== 'closed');
+    }
+
+    /**
+     * Full session status at a time
+     * @param {number} [timestamp] - Default now
+     * @returns {Object} Status (see module header)
+     */
+    getStatus(timestamp = Date.now()) {
+        const time = this.toTime(timestamp);
+        const { schedule } = this.getDayAt(time);
+        const session = this.sessionAt(time);
+        const regularClose = schedule.sessions?.regular.end;
+
+        return {
+            session,
+            label: SESSION_LABELS[session],
+            tradingDay: schedule.day,
+            isTradingDay: schedule.isTradingDay,
+            holiday: schedule.holiday,
+            earlyClose: schedule.earlyClose,
+            nextOpen: session === 'regular' ? null : this.nextOpen(time),
+            nextClose: session === 'regular' ? regularClose : null,
+            nextChange: this.nextChange(time),
+            timestamp: time
+        };
+    }
+
+    /**
+     * Start of the next regular session
+     * @param {number} [timestamp] - Default now
+     * @returns {number|null} Timestamp (ms)
+     */
+    nextOpen(timestamp = Date.now()) {
+        let day = this.tradingDay(timestamp);
+
+        for (let i = 0; i <= LOOKAHEAD_DAYS; i++, day = this.addDays(day, 1)) {
+            const { sessions } = this.getSchedule(day);
+            if (sessions && sessions.regular.start > timestamp) {
+                return sessions.regular.start;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Next session boundary
+     * @param {number} [timestamp] - Default now
+     * @returns {Object|null} { session, at } - Session that starts at `at`
+     */
+    nextChange(timestamp = Date.now()) {
+        let day = this.tradingDay(timestamp);
+
+        for (let i = 0; i <= LOOKAHEAD_DAYS; i++, day = this.addDays(day, 1)) {
+            const { sessions } = this.getSchedule(day);
+            if (!sessions) continue;
+
+            const boundaries = [
+                { session: 'pre', at: sessions.pre.start },
+                { session: 'regular', at: sessions.regular.start },
+                { session: 'post', at: sessions.post.start },
+                { session: 'closed', at: sessions.post.end }
+            ];
+
+            const next = boundaries.find(boundary => boundary.at > timestamp);
+            if (next) return next;
+        }
+
+        return null;
+    }
+
+    // ===== Schedule =====
+
+    /**
+     * Sessions of a New York calendar day
+     * @param {string} day - 'YYYY-MM-DD'
+     * @returns {Object} { day, isTradingDay, holiday, earlyClose,
+     *   sessions: { pre, regular, post } of { start, end } timestamps, or null when closed }
+     */
+    getSchedule(day) {
+        if (this.scheduleCache.has(day)) {
+            return this.scheduleCache.get(day);
+        }
+
+        const weekday = this.weekday(day);
+        const holiday = this.getHoliday(day);
+        const isTradingDay = weekday !== 0 && weekday !== 6 && !holiday;
+        const close = isTradingDay ? this.getEarlyClose(day) : null;
+
+        const schedule = {
+            day,
+            isTradingDay,
+            holiday,
+            earlyClose: close !== null,
+            sessions: null
+        };
+
+        if (isTradingDay) {
+            const regularClose = close ?? REGULAR_CLOSE;
+            const at = (minutes) => this.zonedTime(day, minutes);
+
+            schedule.sessions = {
+                pre: { start: at(PRE_OPEN), end: at(REGULAR_OPEN) },
+                regular: { start: at(REGULAR_OPEN), end: at(regularClose) },
+                post: { start: at(regularClose), end: at(regularClose + POST_SESSION_MINUTES) }
+            };
+        }
+
+        // Backtests walk years of days; keep the cache bounded
+        if (this.scheduleCache.size > 1000) {
+            this.scheduleCache.clear();
+        }
+        this.scheduleCache.set(day, schedule);
+
+        return schedule;
+    }
+
+    /**
+     * Exchange holiday on a day
+     * @param {string} day - 'YYYY-MM-DD'
+     * @returns {string|null} Holiday name
+     */
+    getHoliday(day) {
+        const extra = this.stateManager?.get('market.holidays', {}) || {};
+        if (extra[day]) return extra[day];
+
+        return this.getHolidays(Number(day.slice(0, 4))).get(day) || null;
+    }
+
+    /**
+     * Exchange holidays of a year, by the NYSE rules
+     * @param {number} year - Calendar year
+     * @returns {Map<string, string>} day -> name
+     */
+    getHolidays(year) {
+        if (this.holidayCache.has(year)) {
+            return this.holidayCache.get(year);
+        }
+
+        const holidays = new Map();
+        const add = (day, name) => holidays.set(day, name);
+
+        // Saturday holidays move to Friday, Sunday holidays to Monday
+        const observed = (day) => {
+            const weekday = this.weekday(day);
+            return weekday === 6 ? this.addDays(day, -1) : weekday === 0 ? this.addDays(day, 1) : day;
+        };
+
+        // A Saturday New Year's Day is not made up on the Friday before
+        const newYear = `${year}-01-01`;
+        if (this.weekday(newYear) !== 6) {
+            add(observed(newYear), "New Year's Day");
+        }
+
+        add(this.nthWeekday(year, 1, 1, 3), 'Martin Luther King Jr. Day');
+        add(this.nthWeekday(year, 2, 1, 3), "Washington's Birthday");
+        add(this.addDays(this.easter(year), -2), 'Good Friday');
+        add(this.nthWeekday(year, 5, 1, -1), 'Memorial Day');
+
+        if (year >= 2022) {
+            add(observed(`${year}-06-19`), 'Juneteenth');
+        }
+
+        add(observed(`${year}-07-04`), 'Independence Day');
+        add(this.nthWeekday(year, 9, 1, 1), 'Labor Day');
+        add(this.nthWeekday(year, 11, 4, 4), 'Thanksgiving Day');
+        add(observed(`${year}-12-25`), 'Christmas Day');
+
+        this.holidayCache.set(year, holidays);
+        return holidays;
+    }
+
+    /**
+     * Regular-session close of an early-close day
+     * @param {string} day - 'YYYY-MM-DD' (a trading day)
+     * @returns {number|null} Minutes since midnight, or null for a full day
+     */
+    getEarlyClose(day) {
+        const extra = this.stateManager?.get('market.earlyCloses', {}) || {};
+        if (extra[day]) {
+            const [hours, minutes] = String(extra[day]).split(':').map(Number);
+            return hours * 60 + (minutes || 0);
+        }
+
+        const year = Number(day.slice(0, 4));
+        const dayAfterThanksgiving = this.addDays(this.nthWeekday(year, 11, 4, 4), 1);
+
+        // Independence Day eve and Christmas Eve close early when they are trading days
+        if (day === dayAfterThanksgiving || day === `${year}-07-03` || day === `${year}-12-24`) {
+            return EARLY_CLOSE;
+        }
+
+        return null;
+    }
+
+    // ===== Time helpers =====
+
+    /**
+     * US equity trading day (America/New_York) for a timestamp
+     * @param {number|Date} timestamp
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    tradingDay(timestamp) {
+        const time = this.toTime(timestamp);
+        const last = this.lastDay;
+        if (last && time >= last.start && time < last.end) {
+            return last.day;
+        }
+
+        return this.dayFormatter.format(new Date(time));
+    }
+
+    /**
+     * Minutes since midnight America/New_York (9:30 = 570)
+     * @param {number|Date} timestamp
+     * @returns {number}
+     */
+    minutesOfDay(timestamp) {
+        const time = this.toTime(timestamp);
+        const { start, end } = this.getDayAt(time);
+
+        // A day with a DST change is not 24 hours of wall clock
+        if (end - start === DAY_MS) {
+            return Math.floor((time - start) / 60000);
+        }
+
+        const parts = Object.fromEntries(this.partsFormatter.formatToParts(new Date(time))
+            .map(part => [part.type, Number(part.value)]));
+        return parts.hour * 60 + parts.minute;
+    }
+
+    /**
+     * Schedule of the day containing a time, remembering its bounds so
+     * per-trade lookups skip the time zone conversion
+     */
+    getDayAt(time) {
+        const last = this.lastDay;
+        if (last && time >= last.start && time < last.end) {
+            return last;
+        }
+
+        const day = this.dayFormatter.format(new Date(time));
+        this.lastDay = {
+            day,
+            start: this.zonedTime(day, 0),
+            end: this.zonedTime(this.addDays(day, 1), 0),
+            schedule: this.getSchedule(day)
+        };
+
+        return this.lastDay;
+    }
+
+    /**
+     * Timestamp of a New York wall-clock time
+     * @param {string} day - 'YYYY-MM-DD'
+     * @param {number} minutes - Minutes since midnight
+     * @returns {number} Timestamp (ms)
+     */
+    zonedTime(day, minutes) {
+        const [year, month, date] = day.split('-').map(Number);
+        const wallClock = Date.UTC(year, month - 1, date, 0, minutes);
+
+        // The offset at the guess can differ from the offset at the result
+        // near a DST change, so check it once more
+        const offset = this.offsetAt(wallClock);
+        const corrected = this.offsetAt(wallClock - offset);
+
+        return wallClock - corrected;
+    }
+
+    /**
+     * New York offset from UTC at a time (negative, in ms)
+     */
+    offsetAt(time) {
+        const parts = Object.fromEntries(this.partsFormatter.formatToParts(new Date(time))
+            .map(part => [part.type, Number(part.value)]));
+        const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day,
+            parts.hour, parts.minute, parts.second);
+
+        return wallClock - Math.floor(time / 1000) * 1000;
+    }
+
+    toTime(timestamp) {
+        return typeof timestamp === 'number' ? timestamp : new Date(timestamp).getTime();
+    }
+
+    addDays(day, days) {
+        const [year, month, date] = day.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, date) + days * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    weekday(day) {
+        const [year, month, date] = day.split('-').map(Number);
+        return new Date(Date.UTC(year, month - 1, date)).getUTCDay();
+    }
+
+    /**
+     * Nth weekday of a month (n = -1 for the last)
+     * @param {number} year
+     * @param {number} month - 1-12
+     * @param {number} weekday - 0 (Sunday) to 6
+     * @param {number} n - 1-5, or -1
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    nthWeekday(year, month, weekday, n) {
+        if (n < 0) {
+            const last = new Date(Date.UTC(year, month, 0));
+            const back = (last.getUTCDay() - weekday + 7) % 7;
+            return this.addDays(last.toISOString().slice(0, 10), -back);
+        }
+
+        const first = `${year}-${String(month).padStart(2, '0')}-01`;
+        const forward = (weekday - this.weekday(first) + 7) % 7;
+        return this.addDays(first, forward + (n - 1) * 7);
+    }
+
+    /**
+     * Easter Sunday (Gregorian, anonymous algorithm)
+     * @param {number} year
+     * @returns {string} 'YYYY-MM-DD'
+     */
+    easter(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const date = ((h + l - 7 * m + 114) % 31) + 1;
+
+        return `${year}-${String(month).padStart(2, '0')}-${String(date).padStart(2, '0')}`;
+    }
+
+    // ===== Transitions =====
+
+    /**
+     * Wake up at the next session boundary
+     */
+    scheduleTimer() {
+        if (!this.running) return;
+
+        const next = this.current.nextChange;
+        const delay = next ? Math.min(next.at - Date.now(), MAX_TIMER_DELAY) : MAX_TIMER_DELAY;
+
+        // A little past the boundary so the new session is current
+        this.timer = setTimeout(this.handleTimer, Math.max(0, delay) + 50);
+    }
+
+    handleTimer() {
+        this.timer = null;
+
+        const previous = this.current;
+        this.current = this.getStatus();
+
+        if (this.current.session !== previous.session || this.current.tradingDay !== previous.tradingDay) {
+            logger.info(`Session ${previous.session} -> ${this.current.session} (${this.current.tradingDay})`);
+
+            this.emit('session-changed', { ...this.current, previous: previous.session });
+            this.windowManager?.broadcast('market:session', this.current);
+        }
+
+        this.scheduleTimer();
+    }
+
+    /**
+     * Unscheduled closures were edited: recompute and push the status
+     */
+    handleClosuresChange() {
+        this.scheduleCache.clear();
+        this.lastDay = null;
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+        }
+        this.timer = null;
+        this.handleTimer();
+
+        // Push even when the session is unchanged (next open/close moved)
+        this.windowManager?.broadcast('market:session', this.current);
+    }
+
+    /**
+     * Set up IPC handlers
+     */
+    setupIPC() {
+        if (!this.ipcHandler) return;
+
+        // Header status (session and time to open/close)
+        this.ipcHandler.registerHandler('market:get-status', async () => {
+            return { success: true, status: this.getStatus() };
+        });
+
+        // Sessions of a day (default today)
+        this.ipcHandler.registerHandler('market:get-schedule', async (event, { day } = {}) => {
+            if (day !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+                return { success: false, error: 'Day must be YYYY-MM-DD' };
+            }
+
+            return { success: true, schedule: this.getSchedule(day || this.tradingDay(Date.now())) };
+        });
+    }
+}
+
+module.exports = MarketCalendar;
@@ -0,0 +1,593 @@
+// electron/src/main/MarketDataRecorder.js
+/**
+ * MarketDataRecorder - Writes the live stream to disk for later replay
+ *
+ * This module:
+ * - Appends every market_data message PolygonBridge receives, with its
+ *   receive time, to gzip-compressed JSON Lines files under
+ *   <userData>/recordings/<trading day>/ (opt-in: recorder.enabled)
+ * - Starts a new file at the start of each trading day and when the current
+ *   file reaches recorder.segmentMB; the compressor is sync-flushed every few
+ *   seconds so a crash leaves a readable file
+ * - Drops the same payload arriving on more than one client connection
+ *   (windows and services each hold their own WebSocket)
+ * - Keeps index.json with each file's time range, message count, size and
+ *   symbols, so a time range is found without opening files
+ * - Deletes the oldest files beyond recorder.retentionDays and recorder.maxTotalMB
+ *
+ * Record (one per line):
+ *   { receivedAt, clientId, serverTime, data }   data: item or array of items
+ *
+ * Index (index.json):
+ *   { version: 1, segments: [{ file, day, start, end, messages, bytes, symbols, open }] }
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const log = require('electron-log');
+const MarketCalendar = require('./MarketCalendar');
+
+// Configure logging for this module
+const logger = log.scope('MarketDataRecorder');
+
+const INDEX_FILE = 'index.json';
+const INDEX_VERSION = 1;
+const SEGMENT_EXTENSION = '.jsonl.gz';
+
+const MB = 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The same payload on another connection within this window is a duplicate
+const DUPLICATE_WINDOW = 1000;
+
+class MarketDataRecorder extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        // Dependencies
+        this.polygonBridge = options.polygonBridge;
+        this.stateManager = options.stateManager;
+        this.ipcHandler = options.ipcHandler;
+        this.marketCalendar = options.marketCalendar || new MarketCalendar();
+
+        // Configuration
+        this.directory = options.directory;
+        this.flushInterval = options.flushInterval || 5000;
+
+        // State management
+        this.running = false;
+        this.recording = false;
+        this.index = { version: INDEX_VERSION, segments: [] };
+        this.segment = null;            // Open file: { entry, gzip, file, symbols, dayEnd }
+        this.closing = new Set();       // Segments finishing their writes
+        this.flushTimer = null;
+        this.indexDirty = false;
+        this.indexWrite = Promise.resolve(); // Index saves run one at a time
+        this.seen = new Map();          // payload -> clientId, current window
+        this.seenPrevious = new Map();  // payload -> clientId, previous window
+        this.seenSince = 0;
+        this.duplicates = 0;
+
+        // Bind methods
+        this.handleStreamData = this.handleStreamData.bind(this);
+        this.handleEnabledChange = this.handleEnabledChange.bind(this);
+
+        // IPC handlers for the renderer
+        this.setupIPC();
+
+        logger.info('MarketDataRecorder initialized');
+    }
+
+    /**
+     * Load the index and start recording if it is enabled
+     */
+    async start() {
+        if (this.running) {
+            logger.warn('MarketDataRecorder already running');
+            return;
+        }
+
+        if (!this.directory) {
+            throw new Error('No recordings directory configured');
+        }
+
+        this.running = true;
+
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        await this.loadIndex();
+        await this.enforceLimits();
+
+        if (this.stateManager) {
+            this.stateManager.on('change:recorder.enabled', this.handleEnabledChange);
+        }
+
+        if (this.stateManager?.get('recorder.enabled', false)) {
+            this.startRecording();
+        }
+
+        this.emit('started', this.getStatus());
+    }
+
+    /**
+     * Stop recording and close the open file
+     */
+    async stop() {
+        if (!this.running) return;
+
+        this.running = false;
+
+        if (this.stateManager) {
+            this.stateManager.off('change:recorder.enabled', this.handleEnabledChange);
+        }
+
+        await this.stopRecording();
+        await Promise.all(this.closing);
+        await this.indexWrite;
+
+        this.emit('stopped');
+    }
+
+    handleEnabledChange({ newValue }) {
+        if (newValue) {
+            this.startRecording();
+        } else {
+            this.stopRecording().catch(error => {
+                logger.error('Failed to stop recording:', error);
+            });
+        }
+    }
+
+    /**
+     * Start appending stream messages (files open on the first message)
+     */
+    startRecording() {
+        if (!this.running || this.recording) return;
+
+        this.recording = true;
+        this.polygonBridge.on('stream-data', this.handleStreamData);
+        this.flushTimer = setInterval(() => this.flush(), this.flushInterval);
+
+        logger.info(`Recording market data to ${this.directory}`);
+        this.emit('recording-changed', true);
+    }
+
+    /**
+     * Stop appending and close the open file
+     */
+    async stopRecording() {
+        if (!this.recording) return;
+
+        this.recording = false;
+        this.polygonBridge.off('stream-data', this.handleStreamData);
+
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        await this.closeSegment();
+
+        logger.info('Stopped recording market data');
+        this.emit('recording-changed', false);
+    }
+
+    // ===== Writing =====
+
+    /**
+     * Record one market_data message from PolygonBridge
+     */
+    handleStreamData({ clientId, data, serverTime, receivedAt }) {
+        const payload = JSON.stringify(data);
+        if (this.isDuplicate(payload, clientId, receivedAt)) {
+            this.duplicates++;
+            return;
+        }
+
+        try {
+            if (this.segment && (receivedAt >= this.segment.dayEnd || this.segmentFull())) {
+                this.closeSegment();
+            }
+            if (!this.segment) {
+                this.openSegment(receivedAt);
+            }
+        } catch (error) {
+            // Disk problems must not disturb the stream; stop and report
+            logger.error('Failed to open recording file, recording stopped:', error);
+            this.stateManager?.set('recorder.enabled', false);
+            return;
+        }
+
+        const { entry, gzip, symbols } = this.segment;
+
+        gzip.write(`{"receivedAt":${receivedAt},"clientId":${JSON.stringify(clientId)},` +
+            `"serverTime":${JSON.stringify(serverTime ?? null)},"data":${payload}}\n`);
+
+        entry.messages++;
+        entry.end = receivedAt;
+        for (const item of Array.isArray(data) ? data : [data]) {
+            if (item?.symbol) symbols.add(item.symbol);
+        }
+
+        this.indexDirty = true;
+    }
+
+    /**
+     * Check whether another connection already delivered this payload
+     */
+    isDuplicate(payload, clientId, receivedAt) {
+        if (receivedAt - this.seenSince >= DUPLICATE_WINDOW) {
+            this.seenPrevious = this.seen;
+            this.seen = new Map();
+            this.seenSince = receivedAt;
+        }
+
+        const seenBy = this.seen.get(payload) ?? this.seenPrevious.get(payload);
+        if (seenBy !== undefined && seenBy !== clientId) {
+            return true;
+        }
+
+        this.seen.set(payload, clientId);
+        return false;
+    }
+
+    segmentFull() {
+        return this.segment.file.bytesWritten >= this.getLimits().segmentBytes;
+    }
+
+    /**
+     * Open a new file in the trading day's folder
+     */
+    openSegment(receivedAt) {
+        const calendar = this.marketCalendar;
+        const day = calendar.tradingDay(receivedAt);
+        const time = new Date(receivedAt).toISOString().slice(11, 19).replace(/:/g, '');
+        const sequence = this.index.segments.filter(segment => segment.day === day).length + 1;
+        const file = path.posix.join(day, `${time}-${String(sequence).padStart(3, '0')}${SEGMENT_EXTENSION}`);
+
+        fs.mkdirSync(path.join(this.directory, day), { recursive: true });
+
+        const entry = {
+            file,
+            day,
+            start: receivedAt,
+            end: receivedAt,
+            messages: 0,
+            bytes: 0,
+            symbols: [],
+            open: true
+        };
+
+        const output = fs.createWriteStream(path.join(this.directory, file));
+        const gzip = zlib.createGzip();
+        gzip.pipe(output);
+
+        output.on('error', (error) => {
+            logger.error(`Failed to write ${file}:`, error);
+        });
+
+        this.segment = {
+            entry,
+            gzip,
+            file: output,
+            symbols: new Set(),
+            dayEnd: calendar.zonedTime(calendar.addDays(day, 1), 0)
+        };
+
+        this.index.segments.push(entry);
+        this.saveIndex();
+
+        logger.info(`Recording to ${file}`);
+    }
+
+    /**
+     * Finish the open file and update its index entry
+     */
+    closeSegment() {
+        const segment = this.segment;
+        if (!segment) return Promise.resolve();
+
+        this.segment = null;
+
+        const closed = new Promise(resolve => {
+            segment.file.once('close', resolve);
+            segment.gzip.end();
+        }).then(async () => {
+            const { entry } = segment;
+            entry.symbols = Array.from(segment.symbols).sort();
+            entry.bytes = segment.file.bytesWritten;
+            entry.open = false;
+
+            await this.saveIndex();
+            await this.enforceLimits();
+            this.emit('segment-closed', entry);
+        }).catch(error => {
+            logger.error(`Failed to close ${segment.entry.file}:`, error);
+        }).finally(() => {
+            this.closing.delete(closed);
+        });
+
+        this.closing.add(closed);
+        return closed;
+    }
+
+    /**
+     * Push buffered data to disk and persist the index
+     */
+    flush() {
+        if (this.segment) {
+            this.segment.gzip.flush(zlib.constants.Z_SYNC_FLUSH);
+            this.segment.entry.bytes = this.segment.file.bytesWritten;
+            this.segment.entry.symbols = Array.from(this.segment.symbols).sort();
+        }
+
+        if (this.indexDirty) {
+            this.saveIndex();
+        }
+    }
+
+    // ===== Index =====
+
+    /**
+     * Read index.json, dropping entries whose files are gone and closing
+     * entries left open by a crash
+     */
+    async loadIndex() {
+        try {
+            const index = JSON.parse(await fs.promises.readFile(path.join(this.directory, INDEX_FILE), 'utf8'));
+            if (index.version === INDEX_VERSION && Array.isArray(index.segments)) {
+                this.index = index;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Recording index unreadable, starting a new one:', error.message);
+            }
+        }
+
+        const segments = [];
+        for (const entry of this.index.segments) {
+            try {
+                const stats = await fs.promises.stat(path.join(this.directory, entry.file));
+                segments.push({ ...entry, bytes: stats.size, open: false });
+            } catch (error) {
+                logger.warn(`Recording ${entry.file} is missing, removing it from the index`);
+            }
+        }
+
+        this.index.segments = segments;
+        await this.saveIndex();
+    }
+
+    /**
+     * Write index.json (through a temporary file so it is never half written)
+     */
+    saveIndex() {
+        this.indexDirty = false;
+
+        const content = JSON.stringify(this.index, null, 2);
+        const target = path.join(this.directory, INDEX_FILE);
+        const temporary = `${target}.tmp`;
+
+        this.indexWrite = this.indexWrite.then(async () => {
+            await fs.promises.writeFile(temporary, content, 'utf8');
+            await fs.promises.rename(temporary, target);
+        }).catch(error => {
+            this.indexDirty = true;
+            logger.error('Failed to save recording index:', error);
+        });
+
+        return this.indexWrite;
+    }
+
+    /**
+     * Delete the oldest closed files beyond the retention and size limits
+     */
+    async enforceLimits() {
+        const { retentionDays, maxTotalBytes } = this.getLimits();
+        const cutoff = this.marketCalendar.tradingDay(Date.now() - retentionDays * DAY_MS);
+
+        const closed = this.index.segments
+            .filter(segment => !segment.open)
+            .sort((a, b) => a.start - b.start);
+
+        let total = this.index.segments.reduce((sum, segment) => sum + segment.bytes, 0);
+        const expired = [];
+
+        for (const segment of closed) {
+            if (segment.day >= cutoff && total <= maxTotalBytes) break;
+
+            expired.push(segment);
+            total -= segment.bytes;
+        }
+
+        if (expired.length === 0) return;
+
+        for (const segment of expired) {
+            try {
+                await fs.promises.unlink(path.join(this.directory, segment.file));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    logger.error(`Failed to delete ${segment.file}:`, error);
+                    continue;
+                }
+            }
+
+            const position = this.index.segments.indexOf(segment);
+            if (position === -1) continue;
+            this.index.segments.splice(position, 1);
+
+            // Remove the day folder with its last file
+            if (!this.index.segments.some(other => other.day === segment.day)) {
+                await fs.promises.rmdir(path.join(this.directory, segment.day)).catch(() => {});
+            }
+        }
+
+        logger.info(`Deleted ${expired.length} recording files beyond the retention limits`);
+        await this.saveIndex();
+    }
+
+    getLimits() {
+        const settings = this.stateManager?.get('recorder', {}) || {};
+
+        return {
+            segmentBytes: (settings.segmentMB || 64) * MB,
+            maxTotalBytes: (settings.maxTotalMB || 2048) * MB,
+            retentionDays: settings.retentionDays || 30
+        };
+    }
+
+    // ===== Reading =====
+
+    /**
+     * Files overlapping a time range, oldest first
+     * @param {number} [from] - Start (ms, inclusive)
+     * @param {number} [to] - End (ms, inclusive)
+     * @returns {Object[]} Index entries
+     */
+    findSegments(from = 0, to = Infinity) {
+        return this.index.segments
+            .filter(segment => segment.end >= from && segment.start <= to)
+            .sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Read recorded messages in receive order
+     * @param {Object} [options]
+     * @param {number} [options.from] - Start (ms, inclusive)
+     * @param {number} [options.to] - End (ms, inclusive)
+     * @param {string[]} [options.symbols] - Keep only these symbols
+     * @returns {AsyncGenerator<Object>} Records ({ receivedAt, clientId, serverTime, data })
+     */
+    async *read({ from = 0, to = Infinity, symbols } = {}) {
+        const wanted = Array.isArray(symbols) && symbols.length > 0 ? new Set(symbols) : null;
+
+        // Make the open file's latest messages readable
+        if (this.segment) {
+            const { gzip, file } = this.segment;
+            await new Promise(resolve => gzip.flush(zlib.constants.Z_SYNC_FLUSH, resolve));
+            await new Promise(resolve => file.write('', resolve));
+        }
+
+        for (const segment of this.findSegments(from, to)) {
+            if (wanted && !segment.open && !segment.symbols.some(symbol => wanted.has(symbol))) {
+                continue;
+            }
+
+            for await (const record of this.readSegment(segment)) {
+                if (record.receivedAt < from) continue;
+                if (record.receivedAt > to) return;
+
+                if (wanted) {
+                    const items = (Array.isArray(record.data) ? record.data : [record.data])
+                        .filter(item => wanted.has(item?.symbol));
+                    if (items.length === 0) continue;
+
+                    record.data = Array.isArray(record.data) ? items : items[0];
+                }
+
+                yield record;
+            }
+        }
+    }
+
+    /**
+     * Records of one file (a file cut short by a crash reads up to the last flush)
+     */
+    async *readSegment(segment) {
+        const input = fs.createReadStream(path.join(this.directory, segment.file));
+        const gunzip = zlib.createGunzip({ finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        const lines = readline.createInterface({ input: input.pipe(gunzip), crlfDelay: Infinity });
+
+        gunzip.on('error', (error) => {
+            logger.warn(`Recording ${segment.file} is damaged:`, error.message);
+            lines.close();
+        });
+
+        try {
+            for await (const line of lines) {
+                if (!line) continue;
+
+                try {
+                    yield JSON.parse(line);
+                } catch (error) {
+                    // Partial last line of an unflushed file
+                }
+            }
+        } finally {
+            input.destroy();
+        }
+    }
+
+    /**
+     * Recorder status
+     */
+    getStatus() {
+        const segments = this.index.segments;
+
+        return {
+            enabled: !!this.stateManager?.get('recorder.enabled', false),
+            recording: this.recording,
+            directory: this.directory,
+            currentFile: this.segment ? this.segment.entry.file : null,
+            files: segments.length,
+            totalBytes: segments.reduce((sum, segment) => sum + segment.bytes, 0),
+            messages: segments.reduce((sum, segment) => sum + segment.messages, 0),
+            first: segments.length > 0 ? Math.min(...segments.map(segment => segment.start)) : null,
+            last: segments.length > 0 ? Math.max(...segments.map(segment => segment.end)) : null,
+            duplicates: this.duplicates,
+            ...this.getLimits()
+        };
+    }
+
+    /**
+     * Recorded days with their time range, size and symbols
+     */
+    getDays() {
+        const days = new Map();
+
+        for (const segment of this.index.segments) {
+            const day = days.get(segment.day) || {
+                day: segment.day, start: segment.start, end: segment.end,
+                files: 0, messages: 0, bytes: 0, symbols: new Set()
+            };
+
+            day.start = Math.min(day.start, segment.start);
+            day.end = Math.max(day.end, segment.end);
+            day.files++;
+            day.messages += segment.messages;
+            day.bytes += segment.bytes;
+            segment.symbols.forEach(symbol => day.symbols.add(symbol));
+
+            days.set(segment.day, day);
+        }
+
+        return Array.from(days.values())
+            .sort((a, b) => a.day.localeCompare(b.day))
+            .map(day => ({ ...day, symbols: Array.from(day.symbols).sort() }));
+    }
+
+    /**
+     * Set up IPC handlers
+     */
+    setupIPC() {
+        if (!this.ipcHandler) return;
+
+        this.ipcHandler.registerHandler('recorder:get-status', async () => {
+            return { success: true, status: this.getStatus() };
+        });
+
+        // Toggle through state so the menu and other windows follow
+        this.ipcHandler.registerHandler('recorder:set-enabled', async (event, { enabled } = {}) => {
+            this.stateManager.set('recorder.enabled', !!enabled);
+            return { success: true, status: this.getStatus() };
+        });
+
+        this.ipcHandler.registerHandler('recorder:list', async () => {
+            return { success: true, days: this.getDays() };
+        });
+    }
+}
+
+module.exports = MarketDataRecorder;
@@ -13,6 +13,15 @@ class MenuBuilder {
         // Store window manager reference for window operations
         this.windowManager = options.windowManager;
         
+        // State manager reference for the recent workspaces list
+        this.stateManager = options.stateManager;
+        
+        // Replay service for Data > Replay (recorded days, stop)
+        this.replayService = options.replayService;
+        
+        // Files picked in dialogs here are the only ones the renderer may use
+        this.dialogPaths = options.dialogPaths;
+        
         // Development mode flag affects menu items shown
         this.isDevelopment = options.isDevelopment || false;
         
@@ -24,6 +33,12 @@ class MenuBuilder {
         // Store menu reference for updates
         this.menu = null;
         
+        // Export cells as displayed (true) or as raw values (false)
+        this.exportFormatted = false;
+        
+        // Arrange windows over every display (true) or the one under the cursor (false)
+        this.arrangeAllDisplays = false;
+        
         // Keyboard accelerators (shortcuts) - platform aware
         this.accelerators = {
             // File menu shortcuts
@@ -61,6 +76,7 @@ class MenuBuilder {
             openPositions: this.isMac ? 'Cmd+2' : 'Ctrl+2',
             openSignals: this.isMac ? 'Cmd+3' : 'Ctrl+3',
             openLevels: this.isMac ? 'Cmd+4' : 'Ctrl+4',
+            openChart: this.isMac ? 'Cmd+5' : 'Ctrl+5',
             
             // Data shortcuts
             refreshData: 'F5',
@@ -213,6 +229,12 @@ class MenuBuilder {
                 click: () => this.handleOpenWorkspace()
             },
             
+            // Recently opened or saved workspaces
+            {
+                label: 'Open Recent Workspace',
+                submenu: this.buildRecentWorkspacesMenu()
+            },
+            
             // Save Workspace
             {
                 label: 'Save Workspace',
@@ -248,6 +270,16 @@ class MenuBuilder {
                     {
                         label: 'Export Table to Excel...',
                         click: () => this.handleExport('xlsx')
+                    },
+                    { type: 'separator' },
+                    // Formatted or raw values
+                    {
+                        label: 'Export Formatted Values',
+                        type: 'checkbox',
+                        checked: this.exportFormatted,
+                        click: (item) => {
+                            this.exportFormatted = item.checked;
+                        }
                     }
                 ]
             },
@@ -386,6 +418,19 @@ class MenuBuilder {
             // Separator
             { type: 'separator' },
             
+            // Reset the active table's columns, sort and filters
+            {
+                label: 'Reset Table Layout',
+                click: (item, focusedWindow) => {
+                    if (focusedWindow) {
+                        focusedWindow.webContents.send('menu:reset-table-layout');
+                    }
+                }
+            },
+            
+            // Separator
+            { type: 'separator' },
+            
             // Actual Size
             {
                 label: 'Actual Size',
@@ -521,40 +566,20 @@ class MenuBuilder {
                     click: () => this.handleOpenTradingWindow('levels')
                 },
                 
+                // Chart Window
+                {
+                    label: 'Chart',
+                    accelerator: this.accelerators.openChart,
+                    click: () => this.handleOpenTradingWindow('chart')
+                },
+                
                 // Separator
                 { type: 'separator' },
                 
-                // Layout submenu
+                // Layout submenu (built-in presets, then saved layouts)
                 {
                     label: 'Layouts',
-                    submenu: [
-                        // Save Current Layout
-                        {
-                            label: 'Save Current Layout...',
-                            click: () => this.handleSaveLayout()
-                        },
-                        
-                        // Separator
-                        { type: 'separator' },
-                        
-                        // Default layouts
-                        {
-                            label: 'Default Layout',
-                            click: () => this.handleLoadLayout('default')
-                        },
-                        {
-                            label: 'Scanner Focus',
-                            click: () => this.handleLoadLayout('scanner')
-                        },
-                        {
-                            label: 'Position Management',
-                            click: () => this.handleLoadLayout('positions')
-                        },
-                        {
-                            label: 'Multi-Monitor',
-                            click: () => this.handleLoadLayout('multi')
-                        }
-                    ]
+                    submenu: this.buildLayoutsMenu()
                 },
                 
                 // Separator
@@ -630,6 +655,33 @@ class MenuBuilder {
                 // Separator
                 { type: 'separator' },
                 
+                // Stream recording (files are the source for replays)
+                {
+                    label: 'Recording',
+                    submenu: [
+                        {
+                            label: 'Record Market Data',
+                            type: 'checkbox',
+                            checked: !!this.stateManager?.get('recorder.enabled', false),
+                            click: (item) => {
+                                this.stateManager.set('recorder.enabled', item.checked);
+                            }
+                        },
+                        {
+                            label: 'Show Recordings Folder',
+                            click: () => {
+                                shell.openPath(path.join(app.getPath('userData'), 'recordings'));
+                            }
+                        }
+                    ]
+                },
+                
+                // Replay recorded or historical data through the app
+                {
+                    label: 'Replay',
+                    submenu: this.buildReplayMenu()
+                },
+                
                 // Cache Management
                 {
                     label: 'Cache',
@@ -715,6 +767,24 @@ class MenuBuilder {
                     {
                         label: 'Tile Vertically',
                         click: () => this.handleArrangeWindows('tileVertical')
+                    },
+                    
+                    // Grid (four or more windows)
+                    {
+                        label: 'Grid',
+                        click: () => this.handleArrangeWindows('grid')
+                    },
+                    
+                    { type: 'separator' },
+                    
+                    // Where to arrange
+                    {
+                        label: 'Across All Displays',
+                        type: 'checkbox',
+                        checked: this.arrangeAllDisplays,
+                        click: (item) => {
+                            this.arrangeAllDisplays = item.checked;
+                        }
                     }
                 ]
             }
@@ -930,10 +1000,47 @@ class MenuBuilder {
         
         if (!result.canceled && result.filePaths.length > 0) {
             // Send to main window to load workspace
-            const mainWindow = this.windowManager.getWindowsByType('main')[0];
-            if (mainWindow) {
-                mainWindow.webContents.send('menu:open-workspace', result.filePaths[0]);
+            this.sendOpenWorkspace(result.filePaths[0]);
+        }
+    }
+    
+    /**
+     * Builds the Open Recent Workspace submenu from workspace.recentFiles
+     * @returns {Array} Menu template items
+     */
+    buildRecentWorkspacesMenu() {
+        const recentFiles = this.stateManager?.get('workspace.recentFiles', []) || [];
+        
+        if (recentFiles.length === 0) {
+            return [{ label: 'No Recent Workspaces', enabled: false }];
+        }
+        
+        return [
+            ...recentFiles.map(filePath => ({
+                label: path.basename(filePath),
+                sublabel: filePath,
+                click: () => this.sendOpenWorkspace(filePath)
+            })),
+            { type: 'separator' },
+            {
+                label: 'Clear Recent',
+                click: () => {
+                    this.stateManager.set('workspace.recentFiles', []);
+                    Menu.setApplicationMenu(this.buildMenu());
+                }
             }
+        ];
+    }
+    
+    /**
+     * Sends a workspace file to the main window to open
+     * @param {string} filePath - Workspace file
+     */
+    sendOpenWorkspace(filePath) {
+        const mainWindow = this.windowManager.getWindowsByType('main')[0] ||
+            BrowserWindow.getFocusedWindow();
+        if (mainWindow) {
+            mainWindow.webContents.send('menu:open-workspace', filePath);
         }
     }
     
@@ -1003,9 +1110,11 @@ class MenuBuilder {
             // Send to focused window
             const focusedWindow = BrowserWindow.getFocusedWindow();
             if (focusedWindow) {
+                this.dialogPaths?.grant(result.filePath, 'export:write');
                 focusedWindow.webContents.send('menu:export', {
                     format,
-                    filePath: result.filePath
+                    filePath: result.filePath,
+                    formatted: this.exportFormatted
                 });
             }
         }
@@ -1024,6 +1133,53 @@ class MenuBuilder {
         }
     }
     
+    /**
+     * Builds the Layouts submenu from WindowManager's presets and saved layouts
+     * @returns {Array} Menu template items
+     */
+    buildLayoutsMenu() {
+        const layouts = this.windowManager.getLayouts();
+        const presets = layouts.filter(layout => layout.builtIn);
+        const saved = layouts.filter(layout => !layout.builtIn);
+        
+        const items = [
+            // Save Current Layout
+            {
+                label: 'Save Current Layout...',
+                click: () => this.handleSaveLayout()
+            },
+            
+            // Separator
+            { type: 'separator' },
+            
+            // Default layouts
+            ...presets.map(layout => ({
+                label: layout.name,
+                click: () => this.handleLoadLayout(layout.id)
+            }))
+        ];
+        
+        if (saved.length > 0) {
+            items.push(
+                { type: 'separator' },
+                ...saved.map(layout => ({
+                    label: layout.name,
+                    click: () => this.handleLoadLayout(layout.id)
+                })),
+                { type: 'separator' },
+                {
+                    label: 'Delete Layout',
+                    submenu: saved.map(layout => ({
+                        label: layout.name,
+                        click: () => this.handleDeleteLayout(layout.id)
+                    }))
+                }
+            );
+        }
+        
+        return items;
+    }
+    
     /**
      * Handles layout operations
      */
@@ -1041,13 +1197,33 @@ class MenuBuilder {
      * Handles loading a layout
      * @param {string} layoutName - Name of layout to load
      */
-    handleLoadLayout(layoutName) {
+    async handleLoadLayout(layoutName) {
         console.log(`[MenuBuilder] Loading layout: ${layoutName}`);
         
-        // Send to all windows
-        BrowserWindow.getAllWindows().forEach(window => {
-            window.webContents.send('menu:load-layout', layoutName);
+        try {
+            await this.windowManager.applyLayout(layoutName);
+        } catch (error) {
+            console.error(`[MenuBuilder] Failed to load layout ${layoutName}:`, error);
+            dialog.showErrorBox('Layout Error', error.message);
+        }
+    }
+    
+    /**
+     * Handles deleting a saved layout
+     * @param {string} layoutName - Name of layout to delete
+     */
+    async handleDeleteLayout(layoutName) {
+        const result = await dialog.showMessageBox({
+            type: 'question',
+            buttons: ['Delete', 'Cancel'],
+            defaultId: 1,
+            cancelId: 1,
+            message: `Delete layout "${layoutName}"?`
         });
+        
+        if (result.response === 0) {
+            this.windowManager.deleteLayout(layoutName);
+        }
     }
     
     /**
@@ -1057,57 +1233,9 @@ class MenuBuilder {
     handleArrangeWindows(arrangement) {
         console.log(`[MenuBuilder] Arranging windows: ${arrangement}`);
         
-        // Get all windows
-        const windows = BrowserWindow.getAllWindows();
-        
-        // Get primary display
-        const { screen } = require('electron');
-        const primaryDisplay = screen.getPrimaryDisplay();
-        const { width, height } = primaryDisplay.workAreaSize;
-        
-        // Arrange based on type
-        switch (arrangement) {
-            case 'cascade':
-                // Cascade windows
-                windows.forEach((window, index) => {
-                    const offset = index * 30;
-                    window.setBounds({
-                        x: offset,
-                        y: offset,
-                        width: Math.min(1200, width - offset),
-                        height: Math.min(800, height - offset)
-                    });
-                });
-                break;
-                
-            case 'tileHorizontal':
-                // Tile windows horizontally
-                const hCount = windows.length;
-                const hHeight = Math.floor(height / hCount);
-                windows.forEach((window, index) => {
-                    window.setBounds({
-                        x: 0,
-                        y: index * hHeight,
-                        width: width,
-                        height: hHeight
-                    });
-                });
-                break;
-                
-            case 'tileVertical':
-                // Tile windows vertically
-                const vCount = windows.length;
-                const vWidth = Math.floor(width / vCount);
-                windows.forEach((window, index) => {
-                    window.setBounds({
-                        x: index * vWidth,
-                        y: 0,
-                        width: vWidth,
-                        height: height
-                    });
-                });
-                break;
-        }
+        this.windowManager.arrangeWindows(arrangement, {
+            allDisplays: this.arrangeAllDisplays
+        });
     }
     
     /**
@@ -1149,6 +1277,84 @@ class MenuBuilder {
         });
     }
     
+    /**
+     * Builds the Replay submenu from the recorded days
+     * @returns {Array} Menu template items
+     */
+    buildReplayMenu() {
+        const sources = this.replayService ? this.replayService.getSources() : { recordings: [] };
+        const active = this.replayService?.getStatus().active;
+        
+        // Most recent days first
+        const recordings = sources.recordings.slice(-10).reverse();
+        
+        return [
+            {
+                label: 'Recorded Day',
+                enabled: recordings.length > 0,
+                submenu: recordings.length > 0
+                    ? recordings.map(recording => ({
+                        label: recording.day,
+                        sublabel: `${recording.messages.toLocaleString()} messages, ${recording.symbols.length} symbols`,
+                        click: () => this.handleStartReplay({ source: 'recording', day: recording.day })
+                    }))
+                    : [{ label: 'No Recordings', enabled: false }]
+            },
+            
+            // The window asks for the day
+            {
+                label: 'Historical Bars...',
+                click: () => this.handleReplayBars()
+            },
+            
+            { type: 'separator' },
+            
+            {
+                label: 'Stop Replay',
+                enabled: !!active,
+                click: () => this.handleStopReplay()
+            }
+        ];
+    }
+    
+    /**
+     * Handles starting a replay
+     * @param {Object} options - Replay source (see ReplayService)
+     */
+    async handleStartReplay(options) {
+        console.log(`[MenuBuilder] Starting ${options.source} replay of ${options.day}`);
+        
+        try {
+            await this.replayService.start(options);
+        } catch (error) {
+            console.error('[MenuBuilder] Failed to start replay:', error);
+            dialog.showErrorBox('Replay Error', error.message);
+        }
+    }
+    
+    /**
+     * Handles replaying historical bars
+     */
+    handleReplayBars() {
+        // Send to focused window
+        const focusedWindow = BrowserWindow.getFocusedWindow();
+        if (focusedWindow) {
+            focusedWindow.webContents.send('menu:replay-bars');
+        }
+    }
+    
+    /**
+     * Handles stopping the replay
+     */
+    async handleStopReplay() {
+        try {
+            await this.replayService.stop();
+        } catch (error) {
+            console.error('[MenuBuilder] Failed to stop replay:', error);
+            dialog.showErrorBox('Replay Error', error.message);
+        }
+    }
+    
     /**
      * Handles data connection
      */
@@ -1283,6 +1489,7 @@ class MenuBuilder {
             // Send to focused window
             const focusedWindow = BrowserWindow.getFocusedWindow();
             if (focusedWindow) {
+                this.dialogPaths?.grant(result.filePaths[0], 'watchlists:import');
                 focusedWindow.webContents.send('menu:import-symbols', result.filePaths[0]);
             }
         }
@@ -1309,6 +1516,7 @@ class MenuBuilder {
             // Send to focused window
             const focusedWindow = BrowserWindow.getFocusedWindow();
             if (focusedWindow) {
+                this.dialogPaths?.grant(result.filePath, 'watchlists:export');
                 focusedWindow.webContents.send('menu:export-symbols', result.filePath);
             }
         }
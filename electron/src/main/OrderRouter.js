@@ -0,0 +1,338 @@
+// electron/src/main/OrderRouter.js
+/**
+ * OrderRouter - Sends orders to the broker selected in trading settings
+ *
+ * This module:
+ * - Holds the registered broker adapters (paper, mock, ...)
+ * - Connects the adapter named by `trading.broker` and switches when it changes
+ * - Runs RiskManager checks before an order reaches any broker and sizes
+ *   orders from their stop when no quantity is given
+ * - Exposes order entry, cancels, positions and account over IPC
+ * - Records every fill in the PositionBook and forwards order status
+ *   changes to all windows on 'orders:update'
+ */
+
+const EventEmitter = require('events');
+const log = require('electron-log');
+
+// Configure logging for this module
+const logger = log.scope('OrderRouter');
+
+class OrderRouter extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        // Dependencies
+        this.positionBook = options.positionBook;
+        this.riskManager = options.riskManager;
+        this.windowManager = options.windowManager;
+        this.stateManager = options.stateManager;
+        this.ipcHandler = options.ipcHandler;
+
+        // State management
+        this.adapters = new Map();      // name -> BrokerAdapter
+        this.activeName = null;
+        this.running = false;
+
+        // Bind methods
+        this.handleOrderStatus = this.handleOrderStatus.bind(this);
+        this.handleBrokerChange = this.handleBrokerChange.bind(this);
+
+        // IPC handlers for the renderer
+        this.setupIPC();
+
+        logger.info('OrderRouter initialized');
+    }
+
+    /**
+     * Register a broker adapter
+     * @param {BrokerAdapter} adapter - Adapter to make selectable
+     */
+    registerAdapter(adapter) {
+        if (this.adapters.has(adapter.name)) {
+            throw new Error(`Broker adapter already registered: ${adapter.name}`);
+        }
+
+        this.adapters.set(adapter.name, adapter);
+        adapter.on('order-status', this.handleOrderStatus);
+
+        logger.info(`Registered broker adapter: ${adapter.name}`);
+    }
+
+    /**
+     * Connect the configured broker
+     */
+    async start() {
+        if (this.running) {
+            logger.warn('OrderRouter already running');
+            return;
+        }
+
+        this.running = true;
+        this.stateManager?.on('change:trading.broker', this.handleBrokerChange);
+
+        await this.activate(this.stateManager?.get('trading.broker', 'paper') || 'paper');
+    }
+
+    /**
+     * Disconnect the active broker
+     */
+    async stop() {
+        if (!this.running) return;
+
+        this.running = false;
+        this.stateManager?.off('change:trading.broker', this.handleBrokerChange);
+
+        await this.deactivate();
+    }
+
+    /**
+     * Connect an adapter and make it the routing target
+     */
+    async activate(name) {
+        const adapter = this.adapters.get(name);
+        if (!adapter) {
+            throw new Error(`Unknown broker: ${name}`);
+        }
+
+        await this.deactivate();
+
+        this.activeName = name;
+
+        try {
+            await adapter.connect();
+            logger.info(`Routing orders to ${name}`);
+            this.publishBrokerStatus();
+        } catch (error) {
+            logger.error(`Failed to connect broker ${name}:`, error);
+            this.publishBrokerStatus(error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Disconnect the current adapter
+     */
+    async deactivate() {
+        const adapter = this.getActiveAdapter();
+        this.activeName = null;
+
+        if (adapter && adapter.connected) {
+            try {
+                await adapter.disconnect();
+            } catch (error) {
+                logger.error(`Failed to disconnect broker ${adapter.name}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Switch brokers when trading.broker changes
+     */
+    async handleBrokerChange({ newValue }) {
+        if (!this.running || newValue === this.activeName) return;
+
+        try {
+            await this.activate(newValue);
+        } catch (error) {
+            // Already logged and published; orders are refused until a broker connects
+        }
+    }
+
+    getActiveAdapter() {
+        return this.activeName ? this.adapters.get(this.activeName) : null;
+    }
+
+    /**
+     * Get the connected adapter or fail
+     */
+    requireAdapter() {
+        const adapter = this.getActiveAdapter();
+        if (!adapter || !adapter.connected) {
+            throw new Error(`Broker not connected: ${this.activeName || 'none'}`);
+        }
+        return adapter;
+    }
+
+    /**
+     * Route an order to the active broker after risk checks
+     * @param {Object} request - Order request (see OrderSimulator.placeOrder)
+     * @returns {Promise<Object>} Order (REJECTED with risk violations when blocked)
+     */
+    async placeOrder(request) {
+        const adapter = this.requireAdapter();
+        const trading = this.stateManager?.get('trading', {}) || {};
+        const order = {
+            ...request,
+            symbol: String(request.symbol || '').trim().toUpperCase(),
+            side: String(request.side || '').toUpperCase(),
+            type: request.type || trading.defaultOrderType || 'limit'
+        };
+
+        if (this.riskManager) {
+            const account = await adapter.getAccount();
+            const orders = await adapter.getOrders();
+
+            // Size from the stop when the caller left quantity open
+            const stopLoss = this.riskManager.stopLossFor(order);
+            if (order.quantity === undefined && stopLoss) {
+                const entryPrice = this.riskManager.entryPrice(order);
+                if (entryPrice) {
+                    order.quantity = this.riskManager.computeSize({
+                        equity: account.equity,
+                        entryPrice,
+                        stopLoss
+                    }).quantity;
+                }
+            }
+            order.quantity = order.quantity ?? trading.defaultQuantity ?? 100;
+
+            const decision = this.riskManager.check(order, account, orders);
+            if (!decision.approved) {
+                return this.rejectOrder(order, decision.violations);
+            }
+        }
+
+        // Same defaults whichever broker is active
+        return adapter.placeOrder({
+            ...order,
+            quantity: order.quantity ?? trading.defaultQuantity ?? 100
+        });
+    }
+
+    /**
+     * Reject an order before it reaches the broker
+     */
+    rejectOrder(order, violations) {
+        const now = Date.now();
+        const rejected = {
+            ...order,
+            id: `risk-${now}-${Math.random().toString(36).slice(2, 8)}`,
+            status: 'REJECTED',
+            reason: violations.map(violation => violation.message).join('; '),
+            violations,
+            filledQuantity: 0,
+            avgFillPrice: null,
+            broker: this.activeName,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.handleOrderStatus({ order: rejected, fill: null });
+        return rejected;
+    }
+
+    async cancelOrder(orderId) {
+        return this.requireAdapter().cancelOrder(orderId);
+    }
+
+    async getOrders(filter = {}) {
+        return this.requireAdapter().getOrders(filter);
+    }
+
+    async getPositions() {
+        return this.requireAdapter().getPositions();
+    }
+
+    async getAccount() {
+        return this.requireAdapter().getAccount();
+    }
+
+    /**
+     * Record fills and forward order changes from any adapter
+     */
+    handleOrderStatus({ order, fill }) {
+        if (fill && this.positionBook) {
+            try {
+                this.positionBook.recordFill({
+                    symbol: order.symbol,
+                    side: order.side,
+                    quantity: fill.quantity,
+                    price: fill.price,
+                    timestamp: fill.timestamp,
+                    orderId: order.id
+                });
+            } catch (error) {
+                logger.error(`Failed to record fill for ${order.id}:`, error);
+            }
+        }
+
+        this.emit('order-status', { order, fill });
+
+        if (this.windowManager) {
+            this.windowManager.broadcast('orders:update', order);
+        }
+    }
+
+    /**
+     * Tell windows which broker is active
+     */
+    publishBrokerStatus(error = null) {
+        if (this.windowManager) {
+            this.windowManager.broadcast('orders:broker', { ...this.getStatus(), error });
+        }
+    }
+
+    /**
+     * Set up IPC handlers
+     */
+    setupIPC() {
+        if (!this.ipcHandler) return;
+
+        this.ipcHandler.registerHandler('orders:place', async (event, request) => {
+            const order = await this.placeOrder(request);
+            return {
+                success: order.status !== 'REJECTED',
+                order,
+                error: order.reason || undefined,
+                violations: order.violations || []
+            };
+        });
+
+        this.ipcHandler.registerHandler('orders:cancel', async (event, { orderId }) => {
+            const order = await this.cancelOrder(orderId);
+            return { success: true, order };
+        });
+
+        this.ipcHandler.registerHandler('orders:list', async (event, filter = {}) => {
+            return { success: true, orders: await this.getOrders(filter) };
+        });
+
+        this.ipcHandler.registerHandler('orders:get-positions', async () => {
+            return { success: true, positions: await this.getPositions() };
+        });
+
+        this.ipcHandler.registerHandler('orders:get-account', async () => {
+            return { success: true, account: await this.getAccount() };
+        });
+
+        this.ipcHandler.registerHandler('orders:get-broker', async () => {
+            return { success: true, ...this.getStatus() };
+        });
+
+        // Persisted, which triggers the switch
+        this.ipcHandler.registerHandler('orders:set-broker', async (event, { broker }) => {
+            if (!this.adapters.has(broker)) {
+                return { success: false, error: `Unknown broker: ${broker}` };
+            }
+            this.stateManager.set('trading.broker', broker);
+            return { success: true, broker };
+        });
+    }
+
+    /**
+     * Get router status
+     */
+    getStatus() {
+        const adapter = this.getActiveAdapter();
+
+        return {
+            broker: this.activeName,
+            connected: Boolean(adapter?.connected),
+            available: Array.from(this.adapters.keys()),
+            adapter: adapter ? adapter.getStatus() : null
+        };
+    }
+}
+
+module.exports = OrderRouter;
@@ -0,0 +1,554 @@
+// electron/src/main/OrderSimulator.js
+/**
+ * OrderSimulator - Paper-trading order management
+ *
+ * This module:
+ * - Accepts market, limit, stop and stop-limit orders
+ * - Applies the `trading` settings (default order type and quantity,
+ *   stop-loss and trailing-stop switches, profit target ratio)
+ * - Fills market orders at the next trade and limit/stop orders when the
+ *   streamed price crosses their trigger
+ * - Attaches OCO stop-loss/take-profit brackets to filled entries and
+ *   cancels them when the PositionBook reports the position closed
+ * - Emits 'order' for every status change, with the fill when there is one
+ *
+ * Nothing here touches a broker; it exists to rehearse strategies safely.
+ * PaperBrokerAdapter exposes it to the OrderRouter, which records fills in
+ * the PositionBook and forwards order changes to the renderer.
+ */
+
+const EventEmitter = require('events');
+const log = require('electron-log');
+
+// Configure logging for this module
+const logger = log.scope('OrderSimulator');
+
+// Pseudo window ID used for the simulator's own WebSocket client
+const SIMULATOR_WINDOW_ID = 'order-simulator';
+
+const ORDER_TYPES = ['market', 'limit', 'stop', 'stop-limit'];
+
+// Orders in these states can no longer change
+const FINAL_STATUSES = ['FILLED', 'CANCELLED', 'REJECTED'];
+
+class OrderSimulator extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        // Dependencies
+        this.polygonBridge = options.polygonBridge;
+        this.positionBook = options.positionBook;     // Shows bracket prices on positions
+        this.stateManager = options.stateManager;
+
+        // State management
+        this.running = false;
+        this.orders = new Map();        // orderId -> order
+        this.lastPrices = new Map();    // symbol -> last trade price
+        this.subscriptionId = null;
+        this.subscribedSymbols = [];
+        this.subscriptionQueue = Promise.resolve();   // Serializes subscription updates
+        this.orderSequence = 0;
+
+        // Bind methods
+        this.handleMarketData = this.handleMarketData.bind(this);
+        this.handlePositionClosed = this.handlePositionClosed.bind(this);
+
+        logger.info('OrderSimulator initialized');
+    }
+
+    /**
+     * Start matching orders against the trade stream
+     */
+    async start() {
+        if (this.running) {
+            logger.warn('OrderSimulator already running');
+            return;
+        }
+
+        this.running = true;
+        this.polygonBridge.on('market-data', this.handleMarketData);
+        this.positionBook?.on('position-closed', this.handlePositionClosed);
+
+        await this.syncSubscription();
+
+        this.emit('started');
+    }
+
+    /**
+     * Stop matching orders and release the subscription
+     */
+    async stop() {
+        if (!this.running) return;
+
+        logger.info('Stopping order simulator');
+
+        this.running = false;
+
+        // Let an in-flight update finish before releasing its subscription
+        await this.subscriptionQueue;
+        await this.unsubscribe();
+        this.subscribedSymbols = [];
+        this.polygonBridge.off('market-data', this.handleMarketData);
+        this.positionBook?.off('position-closed', this.handlePositionClosed);
+
+        this.emit('stopped');
+    }
+
+    /**
+     * Get the current trading settings
+     */
+    getSettings() {
+        return {
+            defaultOrderType: 'limit',
+            defaultQuantity: 100,
+            profitTarget: 2.0,
+            stopLossEnabled: true,
+            trailingStopEnabled: false,
+            ...(this.stateManager?.get('trading', {}) || {})
+        };
+    }
+
+    /**
+     * Place an order
+     * @param {Object} request
+     * @param {string} request.symbol - Stock symbol
+     * @param {string} request.side - BUY or SELL
+     * @param {number} [request.quantity] - Shares (defaults to trading.defaultQuantity)
+     * @param {string} [request.type] - market, limit, stop or stop-limit (defaults to trading.defaultOrderType)
+     * @param {number} [request.limitPrice] - Limit price for limit and stop-limit orders
+     * @param {number} [request.stopPrice] - Trigger price for stop and stop-limit orders
+     * @param {number} [request.stopLoss] - Bracket stop-loss price
+     * @param {number} [request.takeProfit] - Bracket take-profit price
+     * @returns {Object} Order (status REJECTED with a reason when invalid)
+     */
+    placeOrder(request = {}) {
+        const settings = this.getSettings();
+        const order = this.createOrder(request, settings);
+
+        // Bracket legs are attached when the entry fills
+        order.bracket = this.buildBracket(request, order, settings);
+
+        const reason = this.validateOrder(order) || this.validateBracket(order);
+        if (reason) {
+            order.status = 'REJECTED';
+            order.reason = reason;
+            this.orders.set(order.id, order);
+            this.publish(order);
+            logger.warn(`Rejected order ${order.id}: ${reason}`);
+            return { ...order };
+        }
+
+        order.status = 'WORKING';
+        this.orders.set(order.id, order);
+        this.publish(order);
+
+        logger.info(`Working ${order.type} ${order.side} ${order.quantity} ${order.symbol}`, {
+            orderId: order.id
+        });
+
+        this.syncSubscription();
+
+        return { ...order };
+    }
+
+    /**
+     * Build an order record from a request
+     */
+    createOrder(request, settings) {
+        const now = Date.now();
+
+        return {
+            id: `paper-${now}-${++this.orderSequence}`,
+            symbol: String(request.symbol || '').trim().toUpperCase(),
+            side: String(request.side || '').toUpperCase(),
+            quantity: request.quantity !== undefined ? Number(request.quantity) : settings.defaultQuantity,
+            type: String(request.type || settings.defaultOrderType).toLowerCase(),
+            limitPrice: this.toPrice(request.limitPrice),
+            stopPrice: this.toPrice(request.stopPrice),
+            triggered: false,           // Stop-limit converted to limit
+            status: 'PENDING',
+            reason: null,
+            filledQuantity: 0,
+            avgFillPrice: null,
+            parentId: request.parentId || null,
+            ocoGroup: request.ocoGroup || null,
+            role: request.role || 'entry', // entry, stopLoss or takeProfit
+            trailAmount: request.trailAmount || null,
+            bracket: null,
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    toPrice(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const price = Number(value);
+        return Number.isFinite(price) ? price : NaN;
+    }
+
+    /**
+     * Check an order for structural errors
+     * @returns {string|null} Rejection reason
+     */
+    validateOrder(order) {
+        if (!order.symbol) return 'Symbol is required';
+        if (order.side !== 'BUY' && order.side !== 'SELL') return `Invalid side: ${order.side}`;
+        if (!Number.isInteger(order.quantity) || order.quantity <= 0) return `Invalid quantity: ${order.quantity}`;
+        if (!ORDER_TYPES.includes(order.type)) return `Invalid order type: ${order.type}`;
+
+        const needsLimit = order.type === 'limit' || order.type === 'stop-limit';
+        const needsStop = order.type === 'stop' || order.type === 'stop-limit';
+
+        if (needsLimit && !(order.limitPrice > 0)) return `${order.type} order requires a limit price`;
+        if (needsStop && !(order.stopPrice > 0)) return `${order.type} order requires a stop price`;
+
+        return null;
+    }
+
+    /**
+     * Work out bracket prices for an entry order
+     * Take-profit defaults to trading.profitTarget times the stop distance
+     */
+    buildBracket(request, order, settings) {
+        const stopLoss = settings.stopLossEnabled ? this.toPrice(request.stopLoss) : null;
+        let takeProfit = this.toPrice(request.takeProfit);
+
+        if (!(stopLoss > 0) && !(takeProfit > 0)) return null;
+
+        const reference = this.entryReference(order);
+        if (!(takeProfit > 0) && stopLoss > 0 && reference && settings.profitTarget > 0) {
+            takeProfit = reference + (reference - stopLoss) * settings.profitTarget;
+        }
+
+        return {
+            stopLoss: stopLoss > 0 ? stopLoss : null,
+            takeProfit: takeProfit > 0 ? this.round(takeProfit) : null,
+            trailing: Boolean(settings.trailingStopEnabled && stopLoss > 0)
+        };
+    }
+
+    /**
+     * Reference entry price: the order's own price, else the last trade
+     */
+    entryReference(order) {
+        return order.limitPrice || order.stopPrice || this.lastPrices.get(order.symbol);
+    }
+
+    /**
+     * Check bracket prices sit on the protective side of the entry
+     * @returns {string|null} Rejection reason
+     */
+    validateBracket(order) {
+        const { bracket } = order;
+        const reference = this.entryReference(order);
+        if (!bracket || !(reference > 0)) return null;
+
+        const long = order.side === 'BUY';
+        const { stopLoss, takeProfit } = bracket;
+
+        if (stopLoss !== null && (long ? stopLoss >= reference : stopLoss <= reference)) {
+            return `Stop loss ${stopLoss} must be ${long ? 'below' : 'above'} the entry (${reference})`;
+        }
+        if (takeProfit !== null && (long ? takeProfit <= reference : takeProfit >= reference)) {
+            return `Take profit ${takeProfit} must be ${long ? 'above' : 'below'} the entry (${reference})`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Cancel a working order
+     * @param {string} orderId - Order to cancel
+     * @returns {Object|null} Cancelled order, null when not found
+     */
+    cancelOrder(orderId, reason = 'Cancelled by user') {
+        const order = this.orders.get(orderId);
+        if (!order) return null;
+
+        if (FINAL_STATUSES.includes(order.status)) {
+            return { ...order };
+        }
+
+        order.status = 'CANCELLED';
+        order.reason = reason;
+        order.updatedAt = Date.now();
+        this.publish(order);
+
+        // Cancelling a bracket leg removes its protection from the position
+        if (order.role !== 'entry' && this.positionBook) {
+            this.positionBook.setProtection(order.symbol, { [order.role]: null });
+        }
+
+        logger.info(`Cancelled order ${orderId}: ${reason}`);
+
+        this.syncSubscription();
+
+        return { ...order };
+    }
+
+    /**
+     * Handle market data from PolygonBridge
+     */
+    handleMarketData({ data }) {
+        const items = Array.isArray(data) ? data : [data];
+
+        for (const item of items) {
+            if (item?.event_type !== 'trade') continue;
+
+            this.lastPrices.set(item.symbol, item.price);
+            this.processTrade(item);
+        }
+    }
+
+    /**
+     * Match working orders for a symbol against a trade
+     */
+    processTrade(trade) {
+        const working = Array.from(this.orders.values())
+            .filter(order => order.symbol === trade.symbol && order.status === 'WORKING');
+
+        for (const order of working) {
+            // An OCO sibling may have filled earlier in this loop
+            if (order.status !== 'WORKING') continue;
+
+            this.updateTrailingStop(order, trade.price);
+
+            const fillPrice = this.matchOrder(order, trade.price);
+            if (fillPrice !== null) {
+                this.fillOrder(order, fillPrice, trade.timestamp || Date.now());
+            }
+        }
+    }
+
+    /**
+     * Decide whether an order fills at a trade price
+     * @returns {number|null} Fill price, null when the order keeps working
+     */
+    matchOrder(order, price) {
+        const buying = order.side === 'BUY';
+
+        switch (order.type) {
+            case 'market':
+                return price;
+
+            case 'limit':
+                return (buying ? price <= order.limitPrice : price >= order.limitPrice) ? price : null;
+
+            case 'stop':
+                return (buying ? price >= order.stopPrice : price <= order.stopPrice) ? price : null;
+
+            case 'stop-limit':
+                if (!order.triggered && (buying ? price >= order.stopPrice : price <= order.stopPrice)) {
+                    order.triggered = true;
+                    order.updatedAt = Date.now();
+                    this.publish(order);
+                }
+                if (order.triggered) {
+                    return (buying ? price <= order.limitPrice : price >= order.limitPrice) ? price : null;
+                }
+                return null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Trail a stop-loss leg behind favourable price moves
+     */
+    updateTrailingStop(order, price) {
+        if (order.role !== 'stopLoss' || !order.trailAmount) return;
+
+        // A SELL stop protects a long position and trails up
+        const candidate = order.side === 'SELL'
+            ? price - order.trailAmount
+            : price + order.trailAmount;
+
+        const improved = order.side === 'SELL'
+            ? candidate > order.stopPrice
+            : candidate < order.stopPrice;
+
+        if (improved) {
+            order.stopPrice = this.round(candidate);
+            order.updatedAt = Date.now();
+            this.positionBook?.setProtection(order.symbol, { stopLoss: order.stopPrice });
+            this.publish(order);
+        }
+    }
+
+    /**
+     * Fill an order completely
+     */
+    fillOrder(order, price, timestamp) {
+        order.status = 'FILLED';
+        order.filledQuantity = order.quantity;
+        order.avgFillPrice = price;
+        order.updatedAt = Date.now();
+
+        logger.info(`Filled ${order.side} ${order.quantity} ${order.symbol} @ ${price}`, { orderId: order.id });
+
+        // Listeners record the fill before bracket legs reference the position
+        this.publish(order, { quantity: order.quantity, price, timestamp });
+
+        if (order.ocoGroup) {
+            this.cancelSiblings(order);
+        }
+
+        if (order.bracket) {
+            this.attachBracket(order, price);
+        }
+
+        this.syncSubscription();
+    }
+
+    /**
+     * Create OCO stop-loss/take-profit legs for a filled entry
+     */
+    attachBracket(entry, fillPrice) {
+        const { stopLoss, takeProfit, trailing } = entry.bracket;
+        const exitSide = entry.side === 'BUY' ? 'SELL' : 'BUY';
+        const ocoGroup = `oco-${entry.id}`;
+        const common = {
+            symbol: entry.symbol,
+            side: exitSide,
+            quantity: entry.quantity,
+            parentId: entry.id,
+            ocoGroup
+        };
+
+        if (stopLoss) {
+            this.placeOrder({
+                ...common,
+                type: 'stop',
+                stopPrice: stopLoss,
+                role: 'stopLoss',
+                trailAmount: trailing ? Math.abs(fillPrice - stopLoss) : null
+            });
+        }
+
+        if (takeProfit) {
+            this.placeOrder({
+                ...common,
+                type: 'limit',
+                limitPrice: takeProfit,
+                role: 'takeProfit'
+            });
+        }
+
+        this.positionBook?.setProtection(entry.symbol, { stopLoss, takeProfit });
+    }
+
+    /**
+     * Cancel the other legs of an OCO group
+     */
+    cancelSiblings(order) {
+        for (const sibling of this.orders.values()) {
+            if (sibling.id !== order.id &&
+                sibling.ocoGroup === order.ocoGroup &&
+                sibling.status === 'WORKING') {
+                this.cancelOrder(sibling.id, `OCO: ${order.role} filled`);
+            }
+        }
+    }
+
+    /**
+     * Cancel bracket legs left working once their position is flat
+     * (closed manually, by another order or by a flip)
+     */
+    handlePositionClosed({ symbol }) {
+        for (const order of this.orders.values()) {
+            if (order.symbol === symbol &&
+                order.role !== 'entry' &&
+                order.status === 'WORKING') {
+                this.cancelOrder(order.id, 'OCO: position closed');
+            }
+        }
+    }
+
+    /**
+     * Keep the trade subscription in sync with working orders
+     * Updates run one at a time so overlapping calls settle on the latest orders
+     */
+    syncSubscription() {
+        this.subscriptionQueue = this.subscriptionQueue.then(() => this.applySubscription());
+        return this.subscriptionQueue;
+    }
+
+    async applySubscription() {
+        if (!this.running) return;
+
+        const symbols = [...new Set(Array.from(this.orders.values())
+            .filter(order => order.status === 'WORKING')
+            .map(order => order.symbol))].sort();
+
+        if (symbols.join(',') === this.subscribedSymbols.join(',')) return;
+
+        this.subscribedSymbols = symbols;
+
+        try {
+            await this.unsubscribe();
+
+            if (symbols.length === 0) return;
+
+            this.subscriptionId = `${SIMULATOR_WINDOW_ID}-trades-${Date.now()}`;
+
+            await this.polygonBridge.handleDataSubscribe({
+                subscriptionId: this.subscriptionId,
+                windowId: SIMULATOR_WINDOW_ID,
+                stream: 'trades',
+                symbols,
+                options: {}
+            });
+        } catch (error) {
+            logger.error('Failed to update order subscription:', error);
+        }
+    }
+
+    /**
+     * Release the trade subscription
+     */
+    async unsubscribe() {
+        if (!this.subscriptionId) return;
+
+        const subscriptionId = this.subscriptionId;
+        this.subscriptionId = null;
+
+        await this.polygonBridge.handleDataUnsubscribe({ subscriptionId });
+    }
+
+    /**
+     * Emit an order change
+     * @param {Object} order - Changed order
+     * @param {Object} fill - { quantity, price, timestamp } when the change is a fill
+     */
+    publish(order, fill = null) {
+        this.emit('order', { order: { ...order }, fill });
+    }
+
+    round(value, decimals = 2) {
+        const factor = 10 ** decimals;
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Get orders, optionally only working ones
+     */
+    getOrders({ status } = {}) {
+        return Array.from(this.orders.values())
+            .filter(order => !status || order.status === status)
+            .map(order => ({ ...order }));
+    }
+
+    /**
+     * Get simulator status
+     */
+    getStatus() {
+        return {
+            running: this.running,
+            orders: this.orders.size,
+            workingOrders: this.getOrders({ status: 'WORKING' }).length,
+            subscribedSymbols: this.subscribedSymbols
+        };
+    }
+}
+
+module.exports = OrderSimulator;
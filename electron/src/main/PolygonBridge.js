@@ -7,6 +7,11 @@
  * - Handles WebSocket connections for real-time data
  * - Integrates with IPCHandler event system
  * - Provides automatic reconnection and error handling
+ * - Emits every market_data message with its receive time as 'stream-data'
+ *   (used by MarketDataRecorder)
+ * - In replay mode (ReplayService) keeps subscriptions without WebSockets,
+ *   mutes the live stream and forwards replayed data on the same
+ *   'market-data' path
  */
 
 const WebSocket = require('ws');
@@ -14,6 +19,7 @@ const EventEmitter = require('events');
 const path = require('path');
 const { spawn } = require('child_process');
 const log = require('electron-log');
+const IndicatorEngine = require('./IndicatorEngine');
 
 // Configure logging for this module
 const logger = log.scope('PolygonBridge');
@@ -36,10 +42,18 @@ class PolygonBridge extends EventEmitter {
         this.wsConnections = new Map(); // clientId -> WebSocket
         this.subscriptions = new Map(); // subscriptionId -> { clientId, symbols, channels }
         this.reconnectAttempts = new Map(); // clientId -> attempt count
+        this.listening = false;         // IPC data events hooked up
+        this.replaying = false;         // Replay stands in for the live stream
+        this.replayDay = null;          // Trading day the replay plays, 'YYYY-MM-DD'
         
         // IPC Handler reference
         this.ipcHandler = options.ipcHandler;
         
+        // Indicator engine backing the 'calculate' data source
+        this.indicatorEngine = new IndicatorEngine({
+            fetchBars: (params) => this.fetchBars(params)
+        });
+        
         // Bind methods
         this.handleDataRequest = this.handleDataRequest.bind(this);
         this.handleDataSubscribe = this.handleDataSubscribe.bind(this);
@@ -173,6 +187,10 @@ class PolygonBridge extends EventEmitter {
             return;
         }
         
+        // Replay sets these up when the server was never reached
+        if (this.listening) return;
+        this.listening = true;
+        
         // Listen for data requests
         this.ipcHandler.on('data-request', this.handleDataRequest);
         
@@ -279,16 +297,60 @@ class PolygonBridge extends EventEmitter {
     }
     
     /**
-     * Calculate derived data
+     * Fetch historical OHLCV bars for a symbol
+     */
+    async fetchBars({ symbol, timeframe = '1day', limit, startDate, endDate }) {
+        const response = await this.fetchPolygonData({
+            endpoint: '/bars',
+            method: 'POST',
+            data: {
+                symbol,
+                timeframe,
+                limit,
+                start_date: startDate,
+                end_date: endDate,
+                validate: false
+            }
+        });
+        
+        return response.data || [];
+    }
+
+    /**
+     * Load bars for several symbols into the server cache in one request
+     * (/bars/multiple returns per-symbol summaries, not the bars themselves)
+     */
+    async prefetchBars({ symbols, timeframe = '1day', startDate, endDate }) {
+        return await this.fetchPolygonData({
+            endpoint: '/bars/multiple',
+            method: 'POST',
+            data: {
+                symbols,
+                timeframe,
+                start_date: startDate,
+                end_date: endDate,
+                parallel: true
+            }
+        });
+    }
+
+    /**
+     * Check symbols against the server's ticker list
+     * @returns {Promise<Object>} symbol -> { valid, error? }
+     */
+    async validateSymbols(symbols) {
+        return await this.fetchPolygonData({
+            endpoint: '/validate',
+            method: 'POST',
+            data: { symbols, detailed: false }
+        });
+    }
+
+    /**
+     * Calculate derived data (technical indicators over server bars)
      */
     async calculateData(params) {
-        // This would call a calculation endpoint if available
-        // For now, return mock data
-        return {
-            calculated: true,
-            params: params,
-            result: {}
-        };
+        return await this.indicatorEngine.calculate(params);
     }
     
     /**
@@ -301,6 +363,14 @@ class PolygonBridge extends EventEmitter {
             // Use windowId as clientId for WebSocket connection
             const clientId = `window-${windowId}`;
             
+            // Replayed data goes to every matching subscription; the live
+            // connection is made when the replay ends
+            if (this.replaying) {
+                this.subscriptions.set(subscriptionId, { clientId, windowId, stream, symbols, options });
+                this.emit('subscription-created', { subscriptionId, windowId, symbols });
+                return;
+            }
+            
             // Get or create WebSocket connection
             let ws = this.wsConnections.get(clientId);
             if (!ws || ws.readyState !== WebSocket.OPEN) {
@@ -463,8 +533,13 @@ class PolygonBridge extends EventEmitter {
                 break;
                 
             case 'market_data':
-                // Forward market data to appropriate window
-                this.forwardMarketData(clientId, data);
+                // Raw stream for the recorder, before per-subscription filtering
+                this.emit('stream-data', { clientId, data, serverTime: timestamp, receivedAt: Date.now() });
+
+                // Forward market data to appropriate window (not while a replay drives the app)
+                if (!this.replaying) {
+                    this.forwardMarketData(clientId, data);
+                }
                 break;
                 
             case 'error':
@@ -489,8 +564,24 @@ class PolygonBridge extends EventEmitter {
         const clientSubscriptions = Array.from(this.subscriptions.entries())
             .filter(([_, sub]) => sub.clientId === clientId);
         
+        this.forwardToSubscriptions(clientSubscriptions, data);
+    }
+    
+    /**
+     * Forward replayed market data to every subscription it matches
+     */
+    forwardReplayData(data) {
+        if (!this.replaying) return;
+        
+        this.forwardToSubscriptions(this.subscriptions.entries(), data);
+    }
+    
+    /**
+     * Emit data for each matching subscription
+     */
+    forwardToSubscriptions(subscriptions, data) {
         // Forward data to each subscription's window
-        for (const [subscriptionId, subscription] of clientSubscriptions) {
+        for (const [subscriptionId, subscription] of subscriptions) {
             const { windowId, stream } = subscription;
             
             // Check if data matches subscription
@@ -579,6 +670,69 @@ class PolygonBridge extends EventEmitter {
         }, delay);
     }
     
+    /**
+     * Let a replay stand in for the live stream
+     * @param {string} day - Trading day being replayed; services treat it as today
+     */
+    startReplay(day) {
+        if (this.replaying) return;
+        
+        this.replaying = true;
+        this.replayDay = day;
+        
+        // Subscriptions must reach the bridge even if the server is offline
+        this.setupEventListeners();
+        
+        logger.info('Replay mode on, live market data muted');
+        this.emit('replay-changed', true);
+    }
+    
+    /**
+     * Back to the live stream; connect the clients subscribed during the replay
+     */
+    async stopReplay() {
+        if (!this.replaying) return;
+        
+        this.replaying = false;
+        this.replayDay = null;
+        logger.info('Replay mode off, resuming live market data');
+        this.emit('replay-changed', false);
+        
+        const clients = new Set(Array.from(this.subscriptions.values()).map(sub => sub.clientId));
+        
+        for (const clientId of clients) {
+            const ws = this.wsConnections.get(clientId);
+            if (ws && ws.readyState === WebSocket.OPEN) continue;
+            
+            try {
+                const connection = await this.createWebSocketConnection(clientId);
+                
+                for (const subscription of this.subscriptions.values()) {
+                    if (subscription.clientId !== clientId) continue;
+                    
+                    connection.send(JSON.stringify({
+                        action: 'subscribe',
+                        symbols: subscription.symbols,
+                        channels: this.mapStreamToChannels(subscription.stream)
+                    }));
+                }
+            } catch (error) {
+                logger.error(`Failed to connect ${clientId} after replay:`, error.message);
+            }
+        }
+    }
+    
+    /**
+     * Symbols of all active subscriptions
+     */
+    getSubscribedSymbols() {
+        const symbols = new Set();
+        for (const subscription of this.subscriptions.values()) {
+            subscription.symbols.forEach(symbol => symbols.add(symbol));
+        }
+        return Array.from(symbols).sort();
+    }
+    
     /**
      * Map stream type to Polygon channels
      */
@@ -599,6 +753,7 @@ class PolygonBridge extends EventEmitter {
     getStatus() {
         return {
             initialized: this.initialized,
+            replaying: this.replaying,
             serverUrl: this.serverUrl,
             serverRunning: this.serverProcess !== null,
             websocketConnections: this.wsConnections.size,
@@ -641,6 +796,7 @@ class PolygonBridge extends EventEmitter {
                 this.ipcHandler.off('data-subscribe', this.handleDataSubscribe);
                 this.ipcHandler.off('data-unsubscribe', this.handleDataUnsubscribe);
             }
+            this.listening = false;
             
             this.initialized = false;
             logger.info('PolygonBridge shutdown complete');
@@ -0,0 +1,505 @@
+// electron/src/main/PositionBook.js
+/**
+ * PositionBook - Position tracking and P&L for the Positions table
+ *
+ * This module:
+ * - Records fills (entries, scale-ins, partial and full exits) per symbol and side
+ * - Keeps open lots per position and realizes P&L by FIFO lot matching
+ * - Marks open positions to market from trades forwarded by PolygonBridge
+ * - Pushes recalculated rows to all windows on 'data:update' with table 'positions'
+ *
+ * Positions are netted per symbol: a BUY first covers an open SHORT and a
+ * SELL first closes an open LONG; any remainder opens the opposite side.
+ */
+
+const EventEmitter = require('events');
+const log = require('electron-log');
+
+// Configure logging for this module
+const logger = log.scope('PositionBook');
+
+// Pseudo window ID used for the position book's own WebSocket client
+const POSITIONS_WINDOW_ID = 'position-book';
+
+class PositionBook extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        // Dependencies
+        this.polygonBridge = options.polygonBridge;
+        this.windowManager = options.windowManager;
+        this.stateManager = options.stateManager;
+        this.ipcHandler = options.ipcHandler;
+
+        // Configuration
+        this.flushInterval = options.flushInterval ||
+            this.stateManager?.get('dataFeed.updateInterval', 1000) || 1000;
+
+        // State management
+        this.running = false;
+        this.positions = new Map();     // symbol -> open position
+        this.lastPrices = new Map();    // symbol -> last trade price
+        this.realized = [];             // Realized P&L ledger entries
+        this.fills = [];                // All recorded fills
+        this.dirty = new Set();         // symbols changed since last flush
+        this.subscriptionId = null;
+        this.subscribedSymbols = [];
+        this.subscriptionQueue = Promise.resolve();   // Serializes subscription updates
+        this.flushTimer = null;
+        this.fillSequence = 0;
+
+        // Bind methods
+        this.handleMarketData = this.handleMarketData.bind(this);
+
+        // IPC handlers for the renderer
+        this.setupIPC();
+
+        logger.info('PositionBook initialized');
+    }
+
+    /**
+     * Start marking positions to market
+     */
+    async start() {
+        if (this.running) {
+            logger.warn('PositionBook already running');
+            return;
+        }
+
+        this.running = true;
+
+        // Any trade forwarded by the bridge marks matching positions
+        this.polygonBridge.on('market-data', this.handleMarketData);
+
+        await this.syncSubscription();
+
+        // Periodically push changed rows (duration keeps ticking while open)
+        this.flushTimer = setInterval(() => this.flush(), this.flushInterval);
+
+        this.emit('started');
+    }
+
+    /**
+     * Stop marking positions and release the subscription
+     */
+    async stop() {
+        if (!this.running) return;
+
+        logger.info('Stopping position book');
+
+        this.running = false;
+
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        // Let an in-flight update finish before releasing its subscription
+        await this.subscriptionQueue;
+        await this.unsubscribe();
+        this.subscribedSymbols = [];
+        this.polygonBridge.off('market-data', this.handleMarketData);
+
+        this.emit('stopped');
+    }
+
+    /**
+     * Record a fill
+     * @param {Object} fill
+     * @param {string} fill.symbol - Stock symbol
+     * @param {string} fill.side - BUY or SELL
+     * @param {number} fill.quantity - Filled shares
+     * @param {number} fill.price - Fill price
+     * @param {number} [fill.timestamp] - Fill time (ms)
+     * @param {string} [fill.orderId] - Originating order
+     * @returns {Object} Recorded fill with the resulting position (null when flat)
+     */
+    recordFill(fill) {
+        const normalized = this.normalizeFill(fill);
+        const { symbol, side, price, timestamp } = normalized;
+
+        this.fills.push(normalized);
+        this.lastPrices.set(symbol, price);
+
+        let remaining = normalized.quantity;
+        let position = this.positions.get(symbol);
+
+        // Reduce the opposite side first (FIFO)
+        const closingSide = side === 'BUY' ? 'SHORT' : 'LONG';
+        if (position && position.side === closingSide) {
+            remaining = this.closeLots(position, remaining, price, timestamp, normalized.id);
+
+            if (position.quantity === 0) {
+                this.positions.delete(symbol);
+                this.publishRemoval(position);
+                this.emit('position-closed', this.buildRow(position));
+                logger.info(`Closed ${position.side} ${symbol}, realized ${position.realizedPL.toFixed(2)}`);
+                position = null;
+            }
+        }
+
+        // Remainder opens or adds to a position
+        if (remaining > 0) {
+            const openingSide = side === 'BUY' ? 'LONG' : 'SHORT';
+
+            if (!position) {
+                position = this.createPosition(symbol, openingSide, timestamp);
+                this.positions.set(symbol, position);
+                this.emit('position-opened', position);
+                logger.info(`Opened ${openingSide} ${symbol}`);
+            }
+
+            position.lots.push({ quantity: remaining, price, timestamp, fillId: normalized.id });
+            position.quantity += remaining;
+        }
+
+        if (position) {
+            position.lastFill = timestamp;
+            this.dirty.add(symbol);
+        }
+
+        this.emit('fill', normalized);
+        this.syncSubscription();
+
+        return { fill: normalized, position: position ? this.buildRow(position) : null };
+    }
+
+    /**
+     * Validate and normalize a fill
+     */
+    normalizeFill(fill) {
+        const symbol = String(fill?.symbol || '').trim().toUpperCase();
+        const side = String(fill?.side || '').toUpperCase();
+        const quantity = Number(fill?.quantity);
+        const price = Number(fill?.price);
+
+        if (!symbol) {
+            throw new Error('Fill requires a symbol');
+        }
+        if (side !== 'BUY' && side !== 'SELL') {
+            throw new Error(`Invalid fill side: ${fill?.side}`);
+        }
+        if (!Number.isFinite(quantity) || quantity <= 0) {
+            throw new Error(`Invalid fill quantity: ${fill?.quantity}`);
+        }
+        if (!Number.isFinite(price) || price <= 0) {
+            throw new Error(`Invalid fill price: ${fill?.price}`);
+        }
+
+        return {
+            id: fill.id || `fill-${Date.now()}-${++this.fillSequence}`,
+            orderId: fill.orderId || null,
+            symbol,
+            side,
+            quantity,
+            price,
+            timestamp: fill.timestamp || Date.now()
+        };
+    }
+
+    /**
+     * Create an empty position
+     */
+    createPosition(symbol, side, timestamp) {
+        return {
+            symbol,
+            side,                   // LONG or SHORT
+            quantity: 0,
+            lots: [],               // Open lots, oldest first
+            realizedPL: 0,          // Realized on partial exits of this position
+            stopLoss: null,
+            takeProfit: null,
+            openedAt: timestamp,
+            lastFill: timestamp
+        };
+    }
+
+    /**
+     * Close lots oldest first and realize P&L
+     * @returns {number} Quantity left over after the position is flat
+     */
+    closeLots(position, quantity, price, timestamp, fillId) {
+        const direction = position.side === 'LONG' ? 1 : -1;
+        let remaining = quantity;
+
+        while (remaining > 0 && position.lots.length > 0) {
+            const lot = position.lots[0];
+            const matched = Math.min(lot.quantity, remaining);
+            const pnl = (price - lot.price) * matched * direction;
+
+            position.realizedPL += pnl;
+            position.quantity -= matched;
+            lot.quantity -= matched;
+            remaining -= matched;
+
+            this.realized.push({
+                symbol: position.symbol,
+                side: position.side,
+                quantity: matched,
+                entryPrice: lot.price,
+                exitPrice: price,
+                entryTime: lot.timestamp,
+                exitTime: timestamp,
+                pnl,
+                fillId
+            });
+
+            if (lot.quantity === 0) {
+                position.lots.shift();
+            }
+        }
+
+        return remaining;
+    }
+
+    /**
+     * Set protective prices shown on a position
+     */
+    setProtection(symbol, { stopLoss, takeProfit } = {}) {
+        const position = this.positions.get(String(symbol).toUpperCase());
+        if (!position) return false;
+
+        if (stopLoss !== undefined) position.stopLoss = stopLoss;
+        if (takeProfit !== undefined) position.takeProfit = takeProfit;
+
+        this.dirty.add(position.symbol);
+        return true;
+    }
+
+    /**
+     * Handle market data from PolygonBridge
+     */
+    handleMarketData({ data }) {
+        const items = Array.isArray(data) ? data : [data];
+
+        for (const item of items) {
+            if (item?.event_type !== 'trade' || !this.positions.has(item.symbol)) continue;
+
+            this.mark(item.symbol, item.price);
+        }
+    }
+
+    /**
+     * Mark a symbol to a new price
+     */
+    mark(symbol, price) {
+        if (!Number.isFinite(price)) return;
+
+        this.lastPrices.set(symbol, price);
+        if (this.positions.has(symbol)) {
+            this.dirty.add(symbol);
+        }
+    }
+
+    /**
+     * Keep the trade subscription in sync with open positions
+     * Updates run one at a time so overlapping calls settle on the latest positions
+     */
+    syncSubscription() {
+        this.subscriptionQueue = this.subscriptionQueue.then(() => this.applySubscription());
+        return this.subscriptionQueue;
+    }
+
+    async applySubscription() {
+        if (!this.running) return;
+
+        const symbols = Array.from(this.positions.keys()).sort();
+        if (symbols.join(',') === this.subscribedSymbols.join(',')) return;
+
+        this.subscribedSymbols = symbols;
+
+        try {
+            await this.unsubscribe();
+
+            if (symbols.length === 0) return;
+
+            this.subscriptionId = `${POSITIONS_WINDOW_ID}-trades-${Date.now()}`;
+
+            await this.polygonBridge.handleDataSubscribe({
+                subscriptionId: this.subscriptionId,
+                windowId: POSITIONS_WINDOW_ID,
+                stream: 'trades',
+                symbols,
+                options: {}
+            });
+        } catch (error) {
+            logger.error('Failed to update position subscription:', error);
+        }
+    }
+
+    /**
+     * Release the trade subscription
+     */
+    async unsubscribe() {
+        if (!this.subscriptionId) return;
+
+        const subscriptionId = this.subscriptionId;
+        this.subscriptionId = null;
+
+        await this.polygonBridge.handleDataUnsubscribe({ subscriptionId });
+    }
+
+    /**
+     * Build a grid row for a position
+     */
+    buildRow(position) {
+        const { symbol, side, quantity } = position;
+        const direction = side === 'LONG' ? 1 : -1;
+        const entryPrice = this.averagePrice(position);
+        const currentPrice = this.lastPrices.get(symbol) ?? entryPrice;
+        const now = Date.now();
+
+        const unrealizedPL = quantity > 0 ? (currentPrice - entryPrice) * quantity * direction : 0;
+        const unrealizedPLPercent = entryPrice > 0
+            ? ((currentPrice - entryPrice) / entryPrice) * 100 * direction
+            : 0;
+
+        return {
+            symbol,
+            side,
+            quantity,
+            entryPrice: this.round(entryPrice, 4),
+            currentPrice,
+            marketValue: this.round(currentPrice * quantity),
+            unrealizedPL: this.round(unrealizedPL),
+            unrealizedPLPercent: this.round(unrealizedPLPercent),
+            realizedPL: this.round(position.realizedPL),
+            stopLoss: position.stopLoss,
+            takeProfit: position.takeProfit,
+            duration: Math.max(0, Math.floor((now - position.openedAt) / 1000)),
+            timestamp: new Date(now)
+        };
+    }
+
+    /**
+     * Average cost of the open lots
+     */
+    averagePrice(position) {
+        if (position.quantity === 0) return 0;
+
+        const cost = position.lots.reduce((sum, lot) => sum + lot.price * lot.quantity, 0);
+        return cost / position.quantity;
+    }
+
+    round(value, decimals = 2) {
+        const factor = 10 ** decimals;
+        return Math.round(value * factor) / factor || 0;   // Avoid -0
+    }
+
+    /**
+     * Push open positions to the grid
+     * Every open row is pushed so duration keeps counting
+     */
+    flush() {
+        if (this.positions.size === 0) {
+            this.dirty.clear();
+            return;
+        }
+
+        const rows = this.getRows();
+        this.dirty.clear();
+
+        this.publish('update', rows);
+        this.emit('rows', rows);
+    }
+
+    /**
+     * Send rows to all windows
+     */
+    publish(type, rows) {
+        if (!this.windowManager) return;
+
+        this.windowManager.broadcast('data:update', {
+            type,
+            table: 'positions',
+            data: rows
+        });
+    }
+
+    /**
+     * Remove a closed position from the grid
+     */
+    publishRemoval(position) {
+        this.dirty.delete(position.symbol);
+        this.publish('remove', [{ symbol: position.symbol }]);
+    }
+
+    /**
+     * Current rows for all open positions
+     */
+    getRows() {
+        return Array.from(this.positions.values()).map(position => this.buildRow(position));
+    }
+
+    /**
+     * Get an open position row
+     */
+    getPosition(symbol) {
+        const position = this.positions.get(String(symbol).toUpperCase());
+        return position ? this.buildRow(position) : null;
+    }
+
+    /**
+     * Realized P&L since a point in time
+     * @param {number} since - Start time (ms), defaults to all
+     */
+    getRealizedPL(since = 0) {
+        return this.realized
+            .filter(entry => entry.exitTime >= since)
+            .reduce((sum, entry) => sum + entry.pnl, 0);
+    }
+
+    /**
+     * Unrealized P&L across open positions
+     */
+    getUnrealizedPL() {
+        return this.getRows().reduce((sum, row) => sum + row.unrealizedPL, 0);
+    }
+
+    /**
+     * Set up IPC handlers
+     */
+    setupIPC() {
+        if (!this.ipcHandler) return;
+
+        // Current rows, used by windows that open after positions exist
+        this.ipcHandler.registerHandler('positions:get-snapshot', async () => {
+            return { success: true, rows: this.getRows() };
+        });
+
+        // Record a manual fill
+        this.ipcHandler.registerHandler('positions:record-fill', async (event, fill) => {
+            try {
+                return { success: true, ...this.recordFill(fill) };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Fill history and realized P&L ledger
+        this.ipcHandler.registerHandler('positions:get-history', async () => {
+            return {
+                success: true,
+                fills: this.fills,
+                realized: this.realized,
+                realizedPL: this.round(this.getRealizedPL())
+            };
+        });
+    }
+
+    /**
+     * Get position book status
+     */
+    getStatus() {
+        return {
+            running: this.running,
+            openPositions: this.positions.size,
+            fills: this.fills.length,
+            realizedPL: this.round(this.getRealizedPL()),
+            unrealizedPL: this.round(this.getUnrealizedPL()),
+            subscribedSymbols: this.subscribedSymbols
+        };
+    }
+}
+
+module.exports = PositionBook;
@@ -0,0 +1,606 @@
+// electron/src/main/ReplayService.js
+/**
+ * ReplayService - Drives the app from recorded or historical market data
+ *
+ * This module:
+ * - Replays a day recorded by MarketDataRecorder, or synthetic ticks built
+ *   from the server's cached 1-minute bars, through PolygonBridge's
+ *   'market-data' path, so the scanner, positions, strategies, alerts and
+ *   every window see it as if it were live
+ * - Plays at 1x, 10x or max speed with pause, single-step and seek
+ *   (seeking skips the messages in between rather than applying them)
+ * - Jumps over gaps in the data longer than MAX_GAP instead of waiting them out
+ * - Pushes its status to all windows on 'replay:status'
+ *
+ * Sources:
+ *   { source: 'recording', day }                    - Recorded stream of a trading day
+ *   { source: 'bars', day, symbols?, timeframe? }   - Bars from the server cache
+ *                                                     (default: subscribed symbols, 1min)
+ *
+ * Synthetic ticks per bar: trades at the open, the extreme nearest the open,
+ * the other extreme and the close, then an aggregate with the bar's volume.
+ */
+
+const EventEmitter = require('events');
+const log = require('electron-log');
+const MarketCalendar = require('./MarketCalendar');
+
+// Configure logging for this module
+const logger = log.scope('ReplayService');
+
+const SPEEDS = {
+    '1x': 1,
+    '10x': 10,
+    max: Infinity
+};
+
+// Bar durations that can be turned into ticks
+const TIMEFRAME_MS = {
+    '1min': 60 * 1000,
+    '5min': 5 * 60 * 1000
+};
+
+// Quiet stretches longer than this (replay time) are skipped
+const MAX_GAP = 5 * 60 * 1000;
+
+// Longest sleep between checks for pause and seek
+const MAX_WAIT = 250;
+
+// Messages sent per turn of the event loop at max speed
+const MAX_SPEED_BATCH = 500;
+
+const STATUS_INTERVAL = 500;
+
+class ReplayService extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        // Dependencies
+        this.polygonBridge = options.polygonBridge;
+        this.recorder = options.recorder;
+        this.windowManager = options.windowManager;
+        this.ipcHandler = options.ipcHandler;
+        this.marketCalendar = options.marketCalendar || new MarketCalendar();
+
+        // Configuration
+        this.barConcurrency = options.barConcurrency || 5;
+
+        // State management
+        this.active = false;
+        this.playing = false;
+        this.source = null;             // { source, day, symbols, timeframe, start, end }
+        this.events = null;             // Bar replays: [{ time, data }] in time order
+        this.cursor = null;             // Iterator over { time, data }
+        this.pending = null;            // Event read from the cursor but not yet sent
+        this.reading = null;            // Cursor read in progress (shared by play and step)
+        this.speed = '1x';
+        this.time = null;               // Replay clock (ms)
+        this.anchor = null;             // { wall, time } - real time a replay time was reached
+        this.sent = 0;
+        this.runId = 0;
+        this.statusTimer = null;
+
+        // IPC handlers for the renderer
+        this.setupIPC();
+
+        logger.info('ReplayService initialized');
+    }
+
+    // ===== Session =====
+
+    /**
+     * Load a source and take over the market-data path (paused at the start)
+     * @param {Object} options - See module header
+     * @returns {Promise<Object>} Status
+     */
+    async start(options = {}) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(options.day || '')) {
+            throw new Error('Replay day must be YYYY-MM-DD');
+        }
+
+        if (this.active) {
+            await this.stop();
+        }
+
+        let source;
+        switch (options.source) {
+            case 'recording':
+                source = this.loadRecording(options.day);
+                break;
+            case 'bars':
+                source = await this.loadBars(options);
+                break;
+            default:
+                throw new Error(`Unknown replay source: ${options.source}`);
+        }
+
+        this.source = source;
+        this.active = true;
+        this.playing = false;
+        this.sent = 0;
+
+        this.polygonBridge.startReplay(source.day);
+        await this.seek(source.start);
+
+        this.statusTimer = setInterval(() => {
+            if (this.playing) this.publishStatus();
+        }, STATUS_INTERVAL);
+
+        logger.info(`Replaying ${source.source} ${source.day}`);
+        this.emit('started', this.getStatus());
+        this.publishStatus();
+
+        return this.getStatus();
+    }
+
+    /**
+     * End the replay and return to the live stream
+     */
+    async stop() {
+        if (!this.active) return;
+
+        this.runId++;
+        this.active = false;
+        this.playing = false;
+        this.closeCursor();
+        this.events = null;
+        this.source = null;
+
+        if (this.statusTimer) {
+            clearInterval(this.statusTimer);
+            this.statusTimer = null;
+        }
+
+        await this.polygonBridge.stopReplay();
+
+        logger.info(`Replay stopped after ${this.sent} messages`);
+        this.emit('stopped');
+        this.publishStatus();
+    }
+
+    /**
+     * Recorded stream of a trading day
+     */
+    loadRecording(day) {
+        if (!this.recorder) {
+            throw new Error('Recording is not available');
+        }
+
+        const recorded = this.recorder.getDays().find(entry => entry.day === day);
+        if (!recorded || recorded.messages === 0) {
+            throw new Error(`Nothing was recorded on ${day}`);
+        }
+
+        return {
+            source: 'recording',
+            day,
+            symbols: recorded.symbols,
+            start: recorded.start,
+            end: recorded.end
+        };
+    }
+
+    /**
+     * Bars of a trading day turned into ticks
+     */
+    async loadBars({ day, symbols, timeframe = '1min' }) {
+        if (!TIMEFRAME_MS[timeframe]) {
+            throw new Error(`Unsupported replay timeframe '${timeframe}'`);
+        }
+
+        const wanted = Array.isArray(symbols) && symbols.length > 0
+            ? symbols
+            : this.polygonBridge.getSubscribedSymbols();
+        if (wanted.length === 0) {
+            throw new Error('No symbols to replay');
+        }
+
+        const events = [];
+        const loaded = [];
+
+        for (let i = 0; i < wanted.length; i += this.barConcurrency) {
+            const batch = wanted.slice(i, i + this.barConcurrency);
+
+            await Promise.all(batch.map(async (symbol) => {
+                try {
+                    const bars = await this.polygonBridge.fetchBars({
+                        symbol,
+                        timeframe,
+                        startDate: day,
+                        endDate: day
+                    });
+
+                    const dayBars = bars.filter(bar =>
+                        this.marketCalendar.tradingDay(new Date(bar.timestamp).getTime()) === day);
+
+                    dayBars.forEach(bar => events.push(...this.barToTicks(symbol, bar, TIMEFRAME_MS[timeframe])));
+                    if (dayBars.length > 0) loaded.push(symbol);
+                } catch (error) {
+                    logger.warn(`No ${timeframe} bars for ${symbol} on ${day}:`, error.message);
+                }
+            }));
+        }
+
+        if (events.length === 0) {
+            throw new Error(`No ${timeframe} bars available for ${day}`);
+        }
+
+        // Stable sort keeps each bar's ticks in order
+        events.sort((a, b) => a.time - b.time);
+        this.events = events;
+
+        return {
+            source: 'bars',
+            day,
+            timeframe,
+            symbols: loaded.sort(),
+            start: events[0].time,
+            end: events[events.length - 1].time
+        };
+    }
+
+    /**
+     * Synthetic trades and a closing aggregate for one bar
+     * The trades only walk the price through the bar (size 0); the bar's
+     * volume comes once, with the aggregate
+     */
+    barToTicks(symbol, bar, duration) {
+        const start = new Date(bar.timestamp).getTime();
+        const rising = bar.close >= bar.open;
+
+        const prices = rising
+            ? [bar.open, bar.low, bar.high, bar.close]
+            : [bar.open, bar.high, bar.low, bar.close];
+
+        const ticks = prices.map((price, i) => {
+            const time = start + Math.floor((duration * i) / 4);
+            return {
+                time,
+                data: { event_type: 'trade', symbol, price, size: 0, timestamp: time }
+            };
+        });
+
+        ticks.push({
+            time: start + duration - 1,
+            data: {
+                event_type: 'aggregate',
+                symbol,
+                timestamp: start,
+                open: bar.open,
+                high: bar.high,
+                low: bar.low,
+                close: bar.close,
+                volume: bar.volume,
+                vwap: bar.vwap
+            }
+        });
+
+        return ticks;
+    }
+
+    // ===== Cursor =====
+
+    /**
+     * Events from a replay time onwards
+     */
+    openCursor(from) {
+        if (this.source.source === 'bars') {
+            const events = this.events;
+            let index = this.firstIndexAt(from);
+
+            return {
+                next: async () => index < events.length
+                    ? { value: events[index++], done: false }
+                    : { value: undefined, done: true },
+                return: async () => ({ done: true })
+            };
+        }
+
+        const records = this.recorder.read({ from, to: this.source.end });
+        return {
+            next: async () => {
+                const { value, done } = await records.next();
+                return done ? { value: undefined, done } : { value: { time: value.receivedAt, data: value.data }, done };
+            },
+            return: () => records.return()
+        };
+    }
+
+    /**
+     * Binary search for the first bar event at or after a time
+     */
+    firstIndexAt(time) {
+        let low = 0;
+        let high = this.events.length;
+
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.events[middle].time < time) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        return low;
+    }
+
+    closeCursor() {
+        if (this.cursor) {
+            this.cursor.return().catch(() => {});
+            this.cursor = null;
+        }
+        this.pending = null;
+        this.reading = null;
+    }
+
+    /**
+     * Next event without consuming it
+     * @returns {Promise<Object|null>} { time, data }, or null at the end
+     */
+    peek() {
+        if (this.pending || !this.cursor) {
+            return Promise.resolve(this.pending);
+        }
+
+        if (!this.reading) {
+            const cursor = this.cursor;
+
+            this.reading = cursor.next().then(({ value, done }) => {
+                // A seek replaced the cursor while it was reading
+                if (cursor !== this.cursor) return null;
+
+                this.reading = null;
+                this.pending = done ? null : value;
+                if (done) this.cursor = null;
+
+                return this.pending;
+            }, (error) => {
+                if (cursor === this.cursor) this.reading = null;
+                throw error;
+            });
+        }
+
+        return this.reading;
+    }
+
+    // ===== Controls =====
+
+    /**
+     * Play from the current replay time
+     */
+    play() {
+        this.assertActive();
+        if (this.playing) return this.getStatus();
+
+        this.playing = true;
+        this.resetAnchor();
+        this.run(++this.runId).catch(error => {
+            logger.error('Replay failed:', error);
+            this.pause();
+        });
+
+        this.publishStatus();
+        return this.getStatus();
+    }
+
+    pause() {
+        this.assertActive();
+
+        this.playing = false;
+        this.runId++;
+
+        this.publishStatus();
+        return this.getStatus();
+    }
+
+    /**
+     * Send the next message (pauses first)
+     */
+    async step() {
+        this.assertActive();
+
+        if (this.playing) {
+            this.pause();
+        }
+
+        const event = await this.peek();
+        if (event) {
+            this.send(event);
+        }
+
+        this.publishStatus();
+        return this.getStatus();
+    }
+
+    /**
+     * Continue from a replay time (earlier or later); nothing in between is sent
+     * @param {number} time - Replay time (ms), clamped to the source's range
+     */
+    async seek(time) {
+        this.assertActive();
+
+        const target = Math.min(Math.max(Number(time) || this.source.start, this.source.start), this.source.end);
+        const wasPlaying = this.playing;
+
+        this.runId++;
+        this.playing = false;
+        this.closeCursor();
+
+        this.cursor = this.openCursor(target);
+        this.time = target;
+
+        if (wasPlaying) {
+            this.play();
+        } else {
+            this.publishStatus();
+        }
+
+        return this.getStatus();
+    }
+
+    setSpeed(speed) {
+        if (!SPEEDS[speed]) {
+            throw new Error(`Unknown replay speed: ${speed}`);
+        }
+
+        this.speed = speed;
+        this.resetAnchor();
+
+        this.publishStatus();
+        return this.getStatus();
+    }
+
+    assertActive() {
+        if (!this.active) {
+            throw new Error('No replay is running');
+        }
+    }
+
+    // ===== Playback =====
+
+    /**
+     * Send events as the replay clock reaches them until paused, seeking or done
+     */
+    async run(runId) {
+        let batch = 0;
+
+        while (this.playing && runId === this.runId) {
+            const event = await this.peek();
+            if (runId !== this.runId) return;
+
+            if (!event) {
+                this.finish();
+                return;
+            }
+
+            const rate = SPEEDS[this.speed];
+            if (rate !== Infinity) {
+                // Skip long quiet stretches (overnight, halts, symbols with no trades)
+                if (event.time - this.time > MAX_GAP) {
+                    this.time = event.time;
+                    this.resetAnchor();
+                }
+
+                const due = this.anchor.wall + (event.time - this.anchor.time) / rate;
+                const wait = due - Date.now();
+
+                if (wait > 0) {
+                    await sleep(Math.min(wait, MAX_WAIT));
+                    continue;
+                }
+            } else if (++batch >= MAX_SPEED_BATCH) {
+                // Let IPC, rendering and the services' timers run
+                batch = 0;
+                await new Promise(resolve => setImmediate(resolve));
+                continue;
+            }
+
+            this.send(event);
+        }
+    }
+
+    /**
+     * Hand one event to the bridge as if it came from the server
+     */
+    send(event) {
+        this.pending = null;
+        this.time = Math.max(this.time, event.time);
+        this.sent++;
+
+        this.polygonBridge.forwardReplayData(event.data);
+    }
+
+    finish() {
+        this.playing = false;
+        this.time = this.source.end;
+
+        logger.info(`Replay of ${this.source.day} finished after ${this.sent} messages`);
+        this.emit('finished', this.getStatus());
+        this.publishStatus();
+    }
+
+    resetAnchor() {
+        this.anchor = { wall: Date.now(), time: this.time };
+    }
+
+    // ===== Status =====
+
+    getStatus() {
+        if (!this.active) {
+            return { active: false };
+        }
+
+        const { source, day, timeframe, symbols, start, end } = this.source;
+
+        return {
+            active: true,
+            playing: this.playing,
+            source,
+            day,
+            timeframe,
+            symbols,
+            start,
+            end,
+            time: this.time,
+            speed: this.speed,
+            speeds: Object.keys(SPEEDS),
+            sent: this.sent,
+            finished: !this.cursor && !this.pending
+        };
+    }
+
+    publishStatus() {
+        this.windowManager?.broadcast('replay:status', this.getStatus());
+    }
+
+    /**
+     * Days a replay can be started from
+     */
+    getSources() {
+        return {
+            recordings: this.recorder ? this.recorder.getDays() : [],
+            timeframes: Object.keys(TIMEFRAME_MS)
+        };
+    }
+
+    /**
+     * Set up IPC handlers
+     */
+    setupIPC() {
+        if (!this.ipcHandler) return;
+
+        const control = (channel, action) => {
+            this.ipcHandler.registerHandler(channel, async (event, params = {}) => {
+                try {
+                    return { success: true, status: await action(params) };
+                } catch (error) {
+                    logger.error(`${channel} failed:`, error.message);
+                    return { success: false, error: error.message };
+                }
+            });
+        };
+
+        control('replay:start', (params) => this.start(params));
+        control('replay:stop', async () => {
+            await this.stop();
+            return this.getStatus();
+        });
+        control('replay:play', () => this.play());
+        control('replay:pause', () => this.pause());
+        control('replay:step', () => this.step());
+        control('replay:seek', ({ time }) => this.seek(time));
+        control('replay:set-speed', ({ speed }) => this.setSpeed(speed));
+        control('replay:get-status', async () => this.getStatus());
+
+        this.ipcHandler.registerHandler('replay:get-sources', async () => {
+            return { success: true, ...this.getSources() };
+        });
+    }
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = ReplayService;
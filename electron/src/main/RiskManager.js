@@ -0,0 +1,389 @@
+// electron/src/main/RiskManager.js
+/**
+ * RiskManager - Pre-trade risk checks and position sizing
+ *
+ * This module:
+ * - Sizes positions from the stop distance and account equity
+ *   (trading.riskPerTrade percent of equity at risk per trade)
+ * - Checks every order before the OrderRouter sends it and blocks orders
+ *   that exceed per-trade risk, max position size, max open positions,
+ *   the daily loss limit, or fall short of trading.profitTarget
+ * - Counts working orders toward exposure, so several entries can't add up
+ *   past the limits before any of them fills
+ * - Describes each block as a structured violation the renderer can show:
+ *   { code, message, limit, value }
+ *
+ * Orders that only reduce an existing position are never blocked. The
+ * stop-loss is only used when trading.stopLossEnabled is on, matching the
+ * OrderSimulator, which places no stop leg otherwise.
+ */
+
+const EventEmitter = require('events');
+const log = require('electron-log');
+const MarketCalendar = require('./MarketCalendar');
+
+// Configure logging for this module
+const logger = log.scope('RiskManager');
+
+// Violation codes
+const RISK_CODES = {
+    INVALID_QUANTITY: 'INVALID_QUANTITY',
+    NO_PRICE: 'NO_PRICE',
+    INVALID_STOP: 'INVALID_STOP',
+    PER_TRADE_RISK: 'PER_TRADE_RISK',
+    REWARD_RISK: 'REWARD_RISK',
+    MAX_POSITION_SIZE: 'MAX_POSITION_SIZE',
+    MAX_OPEN_POSITIONS: 'MAX_OPEN_POSITIONS',
+    DAILY_LOSS_LIMIT: 'DAILY_LOSS_LIMIT'
+};
+
+// Orders in these states no longer commit shares
+const FINAL_STATUSES = ['FILLED', 'CANCELLED', 'REJECTED'];
+
+class RiskManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        // Dependencies
+        this.polygonBridge = options.polygonBridge;
+        this.positionBook = options.positionBook;
+        this.stateManager = options.stateManager;
+        this.ipcHandler = options.ipcHandler;
+        this.marketCalendar = options.marketCalendar || new MarketCalendar();
+
+        // State management
+        this.lastPrices = new Map();    // symbol -> last trade price
+        this.getAccount = options.getAccount || null;   // async () => active broker account
+        this.getOrders = options.getOrders || null;     // async () => active broker orders
+
+        // Bind methods
+        this.handleMarketData = this.handleMarketData.bind(this);
+        this.polygonBridge?.on('market-data', this.handleMarketData);
+
+        // IPC handlers for the renderer
+        this.setupIPC();
+
+        logger.info('RiskManager initialized');
+    }
+
+    /**
+     * Get risk limits from trading settings
+     */
+    getLimits() {
+        return {
+            riskPerTrade: 1.0,          // % of equity at risk per trade
+            profitTarget: 2.0,          // Minimum reward/risk when a target is given
+            stopLossEnabled: true,      // Stops are placed (and used for risk) when given
+            maxPositionPercent: 25.0,   // Max position value as % of equity
+            maxOpenPositions: 5,
+            dailyLossLimit: 3.0,        // Max daily loss as % of equity
+            ...(this.stateManager?.get('trading', {}) || {})
+        };
+    }
+
+    /**
+     * Track last trade prices for market order checks
+     */
+    handleMarketData({ data }) {
+        const items = Array.isArray(data) ? data : [data];
+
+        for (const item of items) {
+            if (item?.event_type === 'trade') {
+                this.lastPrices.set(item.symbol, item.price);
+            }
+        }
+    }
+
+    /**
+     * Expected entry price of an order
+     */
+    entryPrice(order) {
+        return order.limitPrice || order.stopPrice || this.lastPrices.get(order.symbol) || null;
+    }
+
+    /**
+     * Stop-loss the broker will actually place for an order, or null
+     */
+    stopLossFor(order) {
+        if (!this.getLimits().stopLossEnabled) return null;
+        return Number(order.stopLoss) || null;
+    }
+
+    /**
+     * Shares committed by working orders per symbol
+     * Orders against the open position are pending exits (OCO siblings
+     * count once); the rest add to exposure
+     * @param {Array} orders - Broker orders
+     * @returns {Map} symbol -> { entry, exit }
+     */
+    summarizeWorking(orders = []) {
+        const summary = new Map();
+        const exitGroups = new Map();   // symbol -> ocoGroup -> shares
+
+        for (const order of orders) {
+            if (FINAL_STATUSES.includes(order.status)) continue;
+
+            const symbol = String(order.symbol || '').toUpperCase();
+            const side = String(order.side || '').toUpperCase();
+            const remaining = Math.max(0, (Number(order.quantity) || 0) - (Number(order.filledQuantity) || 0));
+            if (!remaining) continue;
+
+            if (!summary.has(symbol)) summary.set(symbol, { entry: 0, exit: 0 });
+            const position = this.positionBook?.getPosition(symbol) || null;
+
+            if (position && this.isOpposite(position, side)) {
+                if (!exitGroups.has(symbol)) exitGroups.set(symbol, new Map());
+                const groups = exitGroups.get(symbol);
+                const group = order.ocoGroup || order.id;
+                groups.set(group, Math.max(groups.get(group) || 0, remaining));
+            } else {
+                summary.get(symbol).entry += remaining;
+            }
+        }
+
+        exitGroups.forEach((groups, symbol) => {
+            groups.forEach(shares => { summary.get(symbol).exit += shares; });
+        });
+
+        return summary;
+    }
+
+    isOpposite(position, side) {
+        return (position.side === 'LONG' && side === 'SELL') || (position.side === 'SHORT' && side === 'BUY');
+    }
+
+    /**
+     * Shares to buy so a stop-out loses trading.riskPerTrade percent of equity
+     * @param {Object} params
+     * @param {number} params.equity - Account equity
+     * @param {number} params.entryPrice - Expected entry
+     * @param {number} params.stopLoss - Stop price
+     * @returns {Object} { quantity, riskAmount, riskPerShare, cappedBy }
+     */
+    computeSize({ equity, entryPrice, stopLoss }) {
+        const limits = this.getLimits();
+        const riskPerShare = Math.abs(entryPrice - stopLoss);
+
+        if (!(equity > 0) || !(entryPrice > 0) || !(riskPerShare > 0)) {
+            return { quantity: 0, riskAmount: 0, riskPerShare, cappedBy: null };
+        }
+
+        const riskAmount = equity * (limits.riskPerTrade / 100);
+        let quantity = Math.floor(riskAmount / riskPerShare);
+        let cappedBy = null;
+
+        // Never size beyond the max position value
+        const maxQuantity = Math.floor((equity * (limits.maxPositionPercent / 100)) / entryPrice);
+        if (quantity > maxQuantity) {
+            quantity = maxQuantity;
+            cappedBy = RISK_CODES.MAX_POSITION_SIZE;
+        }
+
+        return {
+            quantity: Math.max(0, quantity),
+            riskAmount: this.round(quantity * riskPerShare),
+            riskPerShare: this.round(riskPerShare, 4),
+            cappedBy
+        };
+    }
+
+    /**
+     * Check an order against the risk limits
+     * @param {Object} order - { symbol, side, quantity, type, limitPrice, stopPrice, stopLoss, takeProfit }
+     * @param {Object} account - { equity } from the active broker
+     * @param {Array} [orders] - Active broker orders; working ones count toward exposure
+     * @returns {Object} { approved, violations, metrics }
+     */
+    check(order, account, orders = []) {
+        const limits = this.getLimits();
+        const violations = [];
+        const symbol = String(order.symbol || '').toUpperCase();
+        const side = String(order.side || '').toUpperCase();
+        const quantity = Number(order.quantity);
+        const equity = Number(account?.equity) || 0;
+
+        if (!Number.isInteger(quantity) || quantity <= 0) {
+            violations.push(this.violation(RISK_CODES.INVALID_QUANTITY,
+                `Invalid quantity: ${order.quantity}`));
+            return this.decide(order, violations, { equity });
+        }
+
+        const working = this.summarizeWorking(orders);
+        const pending = working.get(symbol) || { entry: 0, exit: 0 };
+
+        // Shares of the position not already spoken for by working exits
+        const position = this.positionBook?.getPosition(symbol) || null;
+        const opposite = Boolean(position) && this.isOpposite(position, side);
+        const available = position ? Math.max(0, position.quantity - pending.exit) : 0;
+        const reducing = opposite && quantity <= available;
+
+        // Exits are always allowed
+        if (reducing) {
+            return { approved: true, violations, metrics: { reducing: true } };
+        }
+
+        const entryPrice = this.entryPrice({ ...order, symbol });
+        if (!entryPrice) {
+            violations.push(this.violation(RISK_CODES.NO_PRICE,
+                `No price available for ${symbol} to evaluate risk`));
+            return this.decide(order, violations, { equity });
+        }
+
+        const stopLoss = this.stopLossFor(order);
+        const metrics = { equity, entryPrice, reducing: false };
+
+        // A stop on the wrong side of the entry would fill straight away
+        if (stopLoss && (side === 'BUY' ? stopLoss >= entryPrice : stopLoss <= entryPrice)) {
+            violations.push(this.violation(RISK_CODES.INVALID_STOP,
+                `Stop ${stopLoss} must be ${side === 'BUY' ? 'below' : 'above'} the entry (${entryPrice})`,
+                entryPrice, stopLoss));
+            return this.decide(order, violations, metrics);
+        }
+
+        // Per-trade risk (needs a stop)
+        if (stopLoss) {
+            const riskAmount = Math.abs(entryPrice - stopLoss) * quantity;
+            const maxRisk = equity * (limits.riskPerTrade / 100);
+            metrics.riskAmount = this.round(riskAmount);
+
+            if (riskAmount > maxRisk) {
+                violations.push(this.violation(RISK_CODES.PER_TRADE_RISK,
+                    `Risk $${this.round(riskAmount)} exceeds ${limits.riskPerTrade}% of equity ($${this.round(maxRisk)})`,
+                    this.round(maxRisk), this.round(riskAmount)));
+            }
+
+            // Reward/risk against the profit target
+            const takeProfit = Number(order.takeProfit) || null;
+            if (takeProfit && limits.profitTarget > 0) {
+                const ratio = Math.abs(takeProfit - entryPrice) / Math.abs(entryPrice - stopLoss);
+                metrics.rewardRisk = this.round(ratio);
+
+                if (ratio < limits.profitTarget) {
+                    violations.push(this.violation(RISK_CODES.REWARD_RISK,
+                        `Reward/risk ${this.round(ratio)} is below the ${limits.profitTarget} target`,
+                        limits.profitTarget, this.round(ratio)));
+                }
+            }
+        }
+
+        // Position size after this order and the working entries (an order
+        // larger than the uncommitted opposite position flips it)
+        const resultingQuantity = !position ? pending.entry + quantity
+            : opposite ? quantity - available
+            : position.quantity + pending.entry + quantity;
+        const positionValue = resultingQuantity * entryPrice;
+        const maxPositionValue = equity * (limits.maxPositionPercent / 100);
+        metrics.positionValue = this.round(positionValue);
+
+        if (positionValue > maxPositionValue) {
+            violations.push(this.violation(RISK_CODES.MAX_POSITION_SIZE,
+                `Position value $${this.round(positionValue)} exceeds ${limits.maxPositionPercent}% of equity ($${this.round(maxPositionValue)})`,
+                this.round(maxPositionValue), this.round(positionValue)));
+        }
+
+        // Open position count, including symbols with working entries (only new symbols add to it)
+        const symbols = new Set(this.positionBook ? this.positionBook.getRows().map(row => row.symbol) : []);
+        working.forEach((shares, workingSymbol) => {
+            if (shares.entry > 0) symbols.add(workingSymbol);
+        });
+        const openPositions = symbols.size;
+        if (!symbols.has(symbol) && openPositions >= limits.maxOpenPositions) {
+            violations.push(this.violation(RISK_CODES.MAX_OPEN_POSITIONS,
+                `Already holding ${openPositions} positions (max ${limits.maxOpenPositions})`,
+                limits.maxOpenPositions, openPositions));
+        }
+
+        // Daily loss, realized today plus open P&L
+        const dailyPL = this.getDailyPL();
+        const maxLoss = equity * (limits.dailyLossLimit / 100);
+        metrics.dailyPL = this.round(dailyPL);
+
+        if (dailyPL <= -maxLoss) {
+            violations.push(this.violation(RISK_CODES.DAILY_LOSS_LIMIT,
+                `Daily loss $${this.round(-dailyPL)} has reached the ${limits.dailyLossLimit}% limit ($${this.round(maxLoss)})`,
+                this.round(maxLoss), this.round(-dailyPL)));
+        }
+
+        return this.decide(order, violations, metrics);
+    }
+
+    /**
+     * Build the check result and log blocks
+     */
+    decide(order, violations, metrics) {
+        const approved = violations.length === 0;
+
+        if (!approved) {
+            logger.warn(`Blocked ${order.side} ${order.quantity} ${order.symbol}:`,
+                violations.map(v => v.code).join(', '));
+            this.emit('blocked', { order, violations });
+        }
+
+        return { approved, violations, metrics };
+    }
+
+    violation(code, message, limit = null, value = null) {
+        return { code, message, limit, value };
+    }
+
+    /**
+     * Realized P&L since the New York session date began, plus open P&L
+     */
+    getDailyPL() {
+        if (!this.positionBook) return 0;
+
+        return this.positionBook.getRealizedPL(this.startOfTradingDay()) +
+            this.positionBook.getUnrealizedPL();
+    }
+
+    /**
+     * Midnight America/New_York today, in ms
+     */
+    startOfTradingDay(now = Date.now()) {
+        return this.marketCalendar.zonedTime(this.marketCalendar.tradingDay(now), 0);
+    }
+
+    round(value, decimals = 2) {
+        const factor = 10 ** decimals;
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Set up IPC handlers
+     */
+    setupIPC() {
+        if (!this.ipcHandler) return;
+
+        // Dry-run an order without sending it
+        this.ipcHandler.registerHandler('risk:check', async (event, order) => {
+            const account = this.getAccount ? await this.getAccount() : {};
+            const orders = this.getOrders ? await this.getOrders() : [];
+            return { success: true, ...this.check(order, account, orders) };
+        });
+
+        // Position size for an entry and stop
+        this.ipcHandler.registerHandler('risk:size', async (event, { symbol, entryPrice, stopLoss }) => {
+            const account = this.getAccount ? await this.getAccount() : {};
+            const entry = entryPrice || this.lastPrices.get(String(symbol || '').toUpperCase());
+            return {
+                success: true,
+                ...this.computeSize({ equity: account.equity, entryPrice: entry, stopLoss })
+            };
+        });
+
+        this.ipcHandler.registerHandler('risk:get-limits', async () => {
+            return { success: true, limits: this.getLimits(), dailyPL: this.round(this.getDailyPL()) };
+        });
+    }
+
+    /**
+     * Stop listening for prices
+     */
+    destroy() {
+        this.polygonBridge?.off('market-data', this.handleMarketData);
+    }
+}
+
+RiskManager.RISK_CODES = RISK_CODES;
+
+module.exports = RiskManager;
@@ -0,0 +1,598 @@
+// electron/src/main/ScannerService.js
+/**
+ * ScannerService - Live market scanner for the Scanner table
+ *
+ * This module:
+ * - Subscribes to trades and aggregates for a configurable universe via PolygonBridge
+ * - Seeds each symbol with daily history (prior close, ATR, RSI, average volume)
+ * - Maintains per-symbol state from the live stream, counting only trades in
+ *   the sessions listed in scanner.sessions (see MarketCalendar)
+ * - Reseeds the universe when a new trading day starts or a replay ends;
+ *   a replay starts the session over
+ * - Counts session volume once across trades, second and minute aggregates
+ * - Pushes changed rows to all windows on 'data:update' with table 'scanner'
+ */
+
+const EventEmitter = require('events');
+const log = require('electron-log');
+const SessionVolume = require('./SessionVolume');
+
+// Configure logging for this module
+const logger = log.scope('ScannerService');
+
+// Pseudo window ID used for the scanner's own WebSocket client
+const SCANNER_WINDOW_ID = 'scanner-service';
+
+class ScannerService extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        // Dependencies
+        this.polygonBridge = options.polygonBridge;
+        this.windowManager = options.windowManager;
+        this.stateManager = options.stateManager;
+        this.ipcHandler = options.ipcHandler;
+        this.marketCalendar = options.marketCalendar;
+
+        // Configuration
+        this.historyBars = options.historyBars || 60;          // Daily bars used for seeding
+        this.atrPeriod = options.atrPeriod || 14;
+        this.rsiPeriod = options.rsiPeriod || 14;
+        this.volumePeriod = options.volumePeriod || 20;
+        this.seedConcurrency = options.seedConcurrency || 5;
+        this.flushInterval = options.flushInterval ||
+            this.stateManager?.get('dataFeed.updateInterval', 1000) || 1000;
+
+        // State management
+        this.running = false;
+        this.universe = [];
+        this.symbols = new Map();       // symbol -> per-symbol state
+        this.dirty = new Set();         // symbols changed since last flush
+        this.subscriptionId = null;
+        this.flushTimer = null;
+        this.seededDay = null;          // Trading day the history was split on
+        this.subscriptionQueue = Promise.resolve();   // Serializes universe changes and reseeds
+
+        // Bind methods
+        this.handleMarketData = this.handleMarketData.bind(this);
+        this.handleUniverseChange = this.handleUniverseChange.bind(this);
+        this.handleSessionChange = this.handleSessionChange.bind(this);
+        this.handleReplayChange = this.handleReplayChange.bind(this);
+
+        // IPC handlers for the renderer
+        this.setupIPC();
+
+        logger.info('ScannerService initialized');
+    }
+
+    /**
+     * Start scanning the configured universe
+     */
+    async start() {
+        if (this.running) {
+            logger.warn('ScannerService already running');
+            return;
+        }
+
+        this.running = true;
+        this.universe = this.loadUniverse();
+
+        logger.info(`Starting scanner for ${this.universe.length} symbols`);
+
+        // Listen for stream data and universe changes
+        this.polygonBridge.on('market-data', this.handleMarketData);
+        this.polygonBridge.on('replay-changed', this.handleReplayChange);
+        if (this.stateManager) {
+            this.stateManager.on('change:scanner.universe', this.handleUniverseChange);
+        }
+        if (this.marketCalendar) {
+            this.marketCalendar.on('session-changed', this.handleSessionChange);
+        }
+
+        // Seed history, then subscribe to the live stream
+        await this.seedSymbols(this.universe);
+        this.pushSnapshot();
+        await this.subscribe();
+
+        // Periodically push changed rows
+        this.flushTimer = setInterval(() => this.flush(), this.flushInterval);
+
+        this.emit('started', { universe: this.universe });
+    }
+
+    /**
+     * Stop scanning and release the subscription
+     */
+    async stop() {
+        if (!this.running) return;
+
+        logger.info('Stopping scanner');
+
+        this.running = false;
+
+        if (this.flushTimer) {
+            clearInterval(this.flushTimer);
+            this.flushTimer = null;
+        }
+
+        // Let an in-flight universe change finish before releasing its subscription
+        await this.subscriptionQueue;
+        await this.unsubscribe();
+
+        this.polygonBridge.off('market-data', this.handleMarketData);
+        this.polygonBridge.off('replay-changed', this.handleReplayChange);
+        if (this.stateManager) {
+            this.stateManager.off('change:scanner.universe', this.handleUniverseChange);
+        }
+        if (this.marketCalendar) {
+            this.marketCalendar.off('session-changed', this.handleSessionChange);
+        }
+
+        this.emit('stopped');
+    }
+
+    /**
+     * Load the scanner universe from state
+     */
+    loadUniverse() {
+        return this.normalizeSymbols(this.stateManager?.get('scanner.universe', []));
+    }
+
+    /**
+     * Uppercase, trim and de-duplicate a symbol list
+     */
+    normalizeSymbols(symbols) {
+        if (!Array.isArray(symbols)) return [];
+
+        return [...new Set(symbols
+            .filter(symbol => typeof symbol === 'string')
+            .map(symbol => symbol.trim().toUpperCase())
+            .filter(symbol => symbol.length > 0))];
+    }
+
+    /**
+     * Handle universe changes saved to state
+     * Changes run one at a time so quick edits settle on the latest universe
+     */
+    handleUniverseChange({ newValue }) {
+        this.subscriptionQueue = this.subscriptionQueue.then(() => this.applyUniverse(newValue));
+        return this.subscriptionQueue;
+    }
+
+    async applyUniverse(symbols) {
+        if (!this.running) return;
+
+        const universe = this.normalizeSymbols(symbols);
+        const added = universe.filter(symbol => !this.universe.includes(symbol));
+        const removed = this.universe.filter(symbol => !universe.includes(symbol));
+
+        if (added.length === 0 && removed.length === 0) return;
+
+        logger.info('Scanner universe changed', { added, removed });
+
+        this.universe = universe;
+        removed.forEach(symbol => {
+            this.symbols.delete(symbol);
+            this.dirty.delete(symbol);
+        });
+
+        try {
+            await this.seedSymbols(added);
+
+            // Resubscribe with the new universe and replace the grid contents
+            await this.unsubscribe();
+            await this.subscribe();
+            this.pushSnapshot();
+        } catch (error) {
+            logger.error('Failed to update scanner subscription:', error);
+        }
+    }
+
+    /**
+     * Start a new day: yesterday's session becomes history and the
+     * session range and volume start over
+     */
+    async handleSessionChange({ tradingDay }) {
+        // A replay keeps playing its own day
+        if (!this.running || this.polygonBridge.replayDay || tradingDay === this.seededDay) return;
+
+        logger.info(`New trading day ${tradingDay}, reseeding ${this.universe.length} symbols`);
+
+        this.dirty.clear();
+        await this.seedSymbols(this.universe);
+        this.pushSnapshot();
+    }
+
+    /**
+     * A replay plays another session: reseed from the history before the
+     * replayed day, and from the server again once the live stream is back
+     * (queued behind universe changes, which seed symbols too)
+     */
+    handleReplayChange() {
+        this.subscriptionQueue = this.subscriptionQueue.then(async () => {
+            if (!this.running) return;
+
+            this.dirty.clear();
+            await this.seedSymbols(this.universe);
+            this.pushSnapshot();
+        });
+        return this.subscriptionQueue;
+    }
+
+    /**
+     * Seed per-symbol state from daily history
+     */
+    async seedSymbols(symbols) {
+        const day = this.currentDay();
+
+        for (let i = 0; i < symbols.length; i += this.seedConcurrency) {
+            const batch = symbols.slice(i, i + this.seedConcurrency);
+            await Promise.all(batch.map(symbol => this.seedSymbol(symbol)));
+        }
+
+        // Only once every symbol holds the day's prior close (AlertEngine reads it)
+        this.seededDay = day;
+    }
+
+    /**
+     * Seed a single symbol from daily bars
+     */
+    async seedSymbol(symbol) {
+        const state = this.createSymbolState(symbol);
+        this.symbols.set(symbol, state);
+
+        try {
+            const fetchedAt = Date.now();
+            const replayDay = this.polygonBridge.replayDay;
+            const bars = await this.polygonBridge.fetchBars({
+                symbol,
+                timeframe: '1day',
+                limit: this.historyBars,
+                // A replay needs the sessions before its day, not before today
+                ...(replayDay ? {
+                    startDate: this.polygonBridge.indicatorEngine.startDateFor('1day', this.historyBars + 1, replayDay),
+                    endDate: replayDay
+                } : {})
+            });
+
+            // Split completed sessions from today's partial bar (a replay plays its day itself)
+            const today = this.currentDay();
+            const completed = bars.filter(bar => this.barDay(bar) < today);
+            const current = replayDay ? null : bars.find(bar => this.barDay(bar) === today);
+
+            state.history = completed;
+
+            if (completed.length > 0) {
+                state.priorClose = completed[completed.length - 1].close;
+                state.price = state.priorClose;
+            }
+
+            const volumes = completed.slice(-this.volumePeriod).map(bar => bar.volume);
+            state.averageVolume = volumes.length > 0
+                ? volumes.reduce((sum, volume) => sum + volume, 0) / volumes.length
+                : null;
+
+            // Pick up today's session so far if the server already has it
+            if (current) {
+                state.price = current.close;
+                state.sessionHigh = current.high;
+                state.sessionLow = current.low;
+                state.volume = state.sessionVolume.seed(current.volume, fetchedAt);
+                state.lastUpdate = Date.now();
+            }
+
+            this.recalculate(state);
+
+        } catch (error) {
+            logger.error(`Failed to seed ${symbol}:`, error);
+        }
+    }
+
+    /**
+     * Create empty per-symbol state
+     */
+    createSymbolState(symbol) {
+        return {
+            symbol,
+            history: [],            // Completed daily bars
+            priorClose: null,
+            averageVolume: null,
+            price: null,
+            sessionHigh: null,
+            sessionLow: null,
+            volume: 0,
+            sessionVolume: new SessionVolume(),
+            atr: null,
+            rsi: null,
+            relativeVolume: null,
+            alerts: 0,
+            lastUpdate: null
+        };
+    }
+
+    /**
+     * Subscribe to the live stream for the universe
+     */
+    async subscribe() {
+        if (this.universe.length === 0) return;
+
+        this.subscriptionId = `${SCANNER_WINDOW_ID}-updates-${Date.now()}`;
+
+        await this.polygonBridge.handleDataSubscribe({
+            subscriptionId: this.subscriptionId,
+            windowId: SCANNER_WINDOW_ID,
+            stream: 'updates',
+            symbols: this.universe,
+            options: {}
+        });
+    }
+
+    /**
+     * Release the current stream subscription
+     */
+    async unsubscribe() {
+        if (!this.subscriptionId) return;
+
+        await this.polygonBridge.handleDataUnsubscribe({ subscriptionId: this.subscriptionId });
+        this.subscriptionId = null;
+    }
+
+    /**
+     * Handle market data forwarded by PolygonBridge
+     */
+    handleMarketData({ subscriptionId, data }) {
+        if (subscriptionId !== this.subscriptionId) return;
+
+        const items = Array.isArray(data) ? data : [data];
+        for (const item of items) {
+            this.applyMarketData(item);
+        }
+    }
+
+    /**
+     * Apply a single trade or aggregate to symbol state
+     */
+    applyMarketData(item) {
+        const state = item && this.symbols.get(item.symbol);
+        if (!state || !this.inScannedSession(item.timestamp)) return;
+
+        switch (item.event_type) {
+            case 'trade':
+                this.updatePrice(state, item.price);
+                state.volume = state.sessionVolume.addTrade(item.timestamp, item.size);
+                break;
+
+            case 'aggregate':
+                // Second and minute aggregates cover the same shares as the trades
+                this.updatePrice(state, item.close);
+                state.sessionHigh = Math.max(state.sessionHigh ?? item.high, item.high);
+                state.sessionLow = Math.min(state.sessionLow ?? item.low, item.low);
+                state.volume = state.sessionVolume.addAggregate(item.timestamp, item.volume);
+                break;
+
+            default:
+                return;
+        }
+
+        state.lastUpdate = item.timestamp || Date.now();
+        this.dirty.add(state.symbol);
+    }
+
+    /**
+     * Check whether a trade falls in one of the sessions the scanner counts
+     */
+    inScannedSession(timestamp) {
+        if (!this.marketCalendar) return true;
+
+        const sessions = this.stateManager?.get('scanner.sessions', null) || ['pre', 'regular', 'post'];
+        return sessions.includes(this.marketCalendar.sessionAt(timestamp || Date.now()));
+    }
+
+    /**
+     * Update last price and session range
+     */
+    updatePrice(state, price) {
+        if (typeof price !== 'number' || !Number.isFinite(price)) return;
+
+        state.price = price;
+        state.sessionHigh = Math.max(state.sessionHigh ?? price, price);
+        state.sessionLow = Math.min(state.sessionLow ?? price, price);
+    }
+
+    /**
+     * Recalculate ATR, RSI and relative volume including the live session
+     */
+    recalculate(state) {
+        const engine = this.polygonBridge.indicatorEngine;
+        const bars = state.history.slice();
+
+        // Treat the live session as a provisional daily bar
+        if (state.price !== null && state.sessionHigh !== null) {
+            bars.push({
+                high: state.sessionHigh,
+                low: state.sessionLow,
+                close: state.price,
+                volume: state.volume
+            });
+        }
+
+        if (bars.length === 0) return;
+
+        const atr = engine.atr(bars, this.atrPeriod);
+        const rsi = engine.rsi(bars.map(bar => bar.close), this.rsiPeriod);
+
+        state.atr = atr[atr.length - 1];
+        state.rsi = rsi[rsi.length - 1];
+        state.relativeVolume = state.averageVolume > 0 ? state.volume / state.averageVolume : null;
+    }
+
+    /**
+     * Build a scanner table row from symbol state
+     */
+    buildRow(state) {
+        const change = state.price !== null && state.priorClose !== null
+            ? state.price - state.priorClose
+            : null;
+
+        return {
+            symbol: state.symbol,
+            price: state.price,
+            change,
+            changePercent: change !== null && state.priorClose ? (change / state.priorClose) * 100 : null,
+            volume: state.volume,
+            relativeVolume: state.relativeVolume,
+            atr: state.atr,
+            rsi: state.rsi,
+            alerts: state.alerts,
+            timestamp: state.lastUpdate ? new Date(state.lastUpdate) : null
+        };
+    }
+
+    /**
+     * Push changed rows to all windows
+     */
+    flush() {
+        if (this.dirty.size === 0) return;
+
+        const rows = [];
+        for (const symbol of this.dirty) {
+            const state = this.symbols.get(symbol);
+            if (!state) continue;
+
+            this.recalculate(state);
+            rows.push(this.buildRow(state));
+        }
+        this.dirty.clear();
+
+        this.publish('update', rows);
+        this.emit('rows', rows);
+    }
+
+    /**
+     * Replace the scanner table contents in all windows
+     */
+    pushSnapshot() {
+        this.publish('replace', this.getRows());
+    }
+
+    /**
+     * Send rows to the renderer on the data:update channel
+     */
+    publish(type, rows) {
+        if (!this.windowManager || rows.length === 0) return;
+
+        this.windowManager.broadcast('data:update', {
+            type,
+            table: 'scanner',
+            data: rows
+        });
+    }
+
+    /**
+     * Get current rows for every symbol in the universe
+     */
+    getRows() {
+        return this.universe
+            .map(symbol => this.symbols.get(symbol))
+            .filter(Boolean)
+            .map(state => this.buildRow(state));
+    }
+
+    /**
+     * Get the state for a single symbol
+     */
+    getSymbolState(symbol) {
+        return this.symbols.get(symbol) || null;
+    }
+
+    /**
+     * Count a fired alert against a symbol's row
+     */
+    incrementAlerts(symbol) {
+        const state = this.symbols.get(symbol);
+        if (!state) return;
+
+        state.alerts++;
+        this.dirty.add(symbol);
+    }
+
+    /**
+     * Reset a symbol's alert count once the user has seen it
+     */
+    clearAlerts(symbol) {
+        const state = this.symbols.get(symbol);
+        if (!state || state.alerts === 0) return;
+
+        state.alerts = 0;
+        this.dirty.add(symbol);
+    }
+
+    /**
+     * Register IPC handlers used by the renderer
+     */
+    setupIPC() {
+        if (!this.ipcHandler) return;
+
+        // Current rows, used by windows that open after the scanner started
+        this.ipcHandler.registerHandler('scanner:get-snapshot', async () => {
+            return { success: true, rows: this.getRows() };
+        });
+
+        // Current universe
+        this.ipcHandler.registerHandler('scanner:get-universe', async () => {
+            return { success: true, universe: this.universe };
+        });
+
+        // Replace the universe (persisted, which triggers a resubscribe)
+        this.ipcHandler.registerHandler('scanner:set-universe', async (event, { symbols }) => {
+            const universe = this.normalizeSymbols(symbols);
+            this.stateManager.set('scanner.universe', universe);
+            return { success: true, universe };
+        });
+    }
+
+    /**
+     * Trading day the stream is playing: a replay's day, else today
+     */
+    currentDay() {
+        return this.polygonBridge.replayDay || this.tradingDay(new Date());
+    }
+
+    /**
+     * US equity trading day (America/New_York) for a date
+     */
+    tradingDay(date) {
+        if (this.marketCalendar) {
+            return this.marketCalendar.tradingDay(date);
+        }
+
+        return new Intl.DateTimeFormat('en-CA', {
+            timeZone: 'America/New_York',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).format(date);
+    }
+
+    /**
+     * Trading day of a daily bar
+     */
+    barDay(bar) {
+        return String(bar.timestamp).slice(0, 10);
+    }
+
+    /**
+     * Get scanner status
+     */
+    getStatus() {
+        return {
+            running: this.running,
+            universe: this.universe,
+            trackedSymbols: this.symbols.size,
+            subscriptionId: this.subscriptionId,
+            flushInterval: this.flushInterval
+        };
+    }
+}
+
+module.exports = ScannerService;
@@ -0,0 +1,131 @@
+// electron/src/main/SessionVolume.js
+/**
+ * SessionVolume - Session volume from a stream of trades and aggregates
+ *
+ * The server hands a client every channel any client subscribed for a
+ * symbol, so one stream can carry trades, second aggregates (A) and minute
+ * aggregates (AM) for the same shares, and both aggregate kinds arrive as
+ * event_type 'aggregate'. Volume is therefore kept per minute as the
+ * largest of:
+ * - the trade sizes in the minute
+ * - the second aggregates in the minute
+ * - the minute aggregate
+ * A minute aggregate is stamped with the minute's start, like the second
+ * aggregate of its first second. Second aggregates arrive in order, so one
+ * stamped at the start after a second aggregate of the same minute is the
+ * minute aggregate.
+ *
+ * Volume before `since` is already in the seeded daily bar and is skipped.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// Minutes kept for late aggregates (AM arrives just after its minute ends)
+const KEPT_MINUTES = 5;
+
+class SessionVolume {
+    constructor() {
+        this.volume = 0;
+        this.since = 0;
+        this.minutes = new Map();   // minute start -> { trades, seconds, lastSecond, minute, total }
+        this.latest = 0;            // Newest minute start seen
+    }
+
+    /**
+     * @returns {number} Session volume
+     */
+    addTrade(timestamp, size) {
+        const bucket = this.getBucket(timestamp);
+        if (bucket) {
+            bucket.trades += size || 0;
+            this.update(bucket);
+        }
+        return this.volume;
+    }
+
+    /**
+     * @returns {number} Session volume
+     */
+    addAggregate(timestamp, volume) {
+        const bucket = this.getBucket(timestamp);
+        if (!bucket) return this.volume;
+
+        const time = this.toTime(timestamp);
+        if (time === bucket.start && bucket.lastSecond !== null) {
+            bucket.minute = Math.max(bucket.minute, volume || 0);
+        } else {
+            bucket.lastSecond = time;
+            bucket.seconds += volume || 0;
+        }
+
+        this.update(bucket);
+        return this.volume;
+    }
+
+    /**
+     * Add the daily bar the session was seeded from; stream volume before
+     * `since` is in the bar and is dropped
+     * @param {number} volume - Daily bar volume
+     * @param {number} since - Time the bar was fetched (ms)
+     * @returns {number} Session volume
+     */
+    seed(volume, since) {
+        this.since = since;
+        for (const [start, bucket] of this.minutes) {
+            if (start < since) {
+                this.volume -= bucket.total;
+                this.minutes.delete(start);
+            }
+        }
+
+        this.volume += volume || 0;
+        return this.volume;
+    }
+
+    /**
+     * Copy, for a second consumer of the same stream
+     */
+    clone() {
+        const copy = new SessionVolume();
+        copy.volume = this.volume;
+        copy.since = this.since;
+        copy.latest = this.latest;
+        this.minutes.forEach((bucket, start) => copy.minutes.set(start, { ...bucket }));
+        return copy;
+    }
+
+    getBucket(timestamp) {
+        const time = this.toTime(timestamp);
+        if (time < this.since) return null;
+
+        const start = time - (time % MINUTE_MS);
+        if (start < this.latest - KEPT_MINUTES * MINUTE_MS) return null;
+
+        if (start > this.latest) {
+            this.latest = start;
+            for (const key of this.minutes.keys()) {
+                if (key < start - KEPT_MINUTES * MINUTE_MS) {
+                    this.minutes.delete(key);
+                }
+            }
+        }
+
+        if (!this.minutes.has(start)) {
+            this.minutes.set(start, { start, trades: 0, seconds: 0, lastSecond: null, minute: 0, total: 0 });
+        }
+        return this.minutes.get(start);
+    }
+
+    update(bucket) {
+        const total = Math.max(bucket.trades, bucket.seconds, bucket.minute);
+        this.volume += total - bucket.total;
+        bucket.total = total;
+    }
+
+    toTime(timestamp) {
+        const time = typeof timestamp === 'number' ? timestamp : new Date(timestamp).getTime();
+        return Number.isFinite(time) ? time : Date.now();
+    }
+}
+
+module.exports = SessionVolume;
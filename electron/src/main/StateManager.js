@@ -100,12 +100,18 @@ class StateManager extends EventEmitter {
             // Window states (position, size, etc.)
             windowStates: {},
             
+            // Grid column layout, sort and filters by window ID, then table
+            gridStates: {},
+            
+            // User window layouts by name (see WindowManager.saveLayout)
+            layouts: {},
+            
             // User workspace data
             workspace: {
-                recentFiles: [],                  // Recently opened files
+                recentFiles: [],                  // Recently opened/saved .alpha workspaces
                 openTabs: [],                     // Currently open tabs
                 activeSymbols: [],                // Active trading symbols
-                watchlists: {}                    // User watchlists
+                watchlists: {}                    // User watchlists (see WatchlistManager)
             },
             
             // Trading specific settings
@@ -115,16 +121,90 @@ class StateManager extends EventEmitter {
                 riskPerTrade: 1.0,               // Risk percentage per trade
                 profitTarget: 2.0,               // Risk/reward ratio
                 stopLossEnabled: true,           // Auto stop-loss
-                trailingStopEnabled: false       // Trailing stop
+                trailingStopEnabled: false,      // Trailing stop
+                maxPositionPercent: 25.0,        // Max position value (% of equity)
+                maxOpenPositions: 5,             // Max concurrent positions
+                dailyLossLimit: 3.0,             // Max daily loss (% of equity)
+                broker: 'paper',                 // Order routing: 'paper' or 'mock'
+                paperStartingEquity: 100000,     // Paper account starting equity
+                mockBrokerUrl: 'http://127.0.0.1:8300' // Local mock broker service
             },
             
+            // Scanner settings
+            scanner: {
+                universe: ['SPY', 'QQQ', 'AAPL', 'MSFT', 'NVDA', 'TSLA', 'AMD', 'AMZN', 'GOOGL', 'PLTR'],
+                screens: [
+                    {
+                        id: 'screen-momentum',
+                        name: 'Momentum',
+                        expression: 'changePercent > 3 AND relativeVolume > 2 AND price BETWEEN 5 AND 50'
+                    }
+                ],
+                activeScreen: null,
+                sessions: ['pre', 'regular', 'post'] // Sessions whose trades update rows
+            },
+
+            // Strategy host settings
+            strategies: {
+                symbols: [],                      // Empty = scanner universe
+                disabled: [],                     // Strategy IDs not to run
+                signalTTL: 30,                    // Minutes before ACTIVE signals expire
+                params: {}                        // Per-strategy parameter overrides by ID
+            },
+
+            // Level detection settings
+            levels: {
+                symbols: [],                      // Empty = scanner universe
+                timeframes: ['5min', '1hour', '1day'], // Timeframes to detect on
+                touchTolerance: 0.15,             // % of price counted as a touch
+                breakPercent: 0.5                 // % beyond a level that invalidates it
+            },
+
+            // Chart tab settings
+            chart: {
+                symbol: 'SPY',                    // Last charted symbol
+                timeframe: '5min',                // Server timeframe (1min ... 1month)
+                showLevels: true                  // Overlay rows from the Levels table
+            },
+
+            // User alerts (see AlertEngine for the definition format)
+            alerts: {
+                rules: []
+            },
+
+            // Market calendar additions to the exchange rules
+            market: {
+                holidays: {},                     // 'YYYY-MM-DD' -> name (unscheduled closures)
+                earlyCloses: {}                   // 'YYYY-MM-DD' -> regular close 'HH:MM' ET
+            },
+
+            // Market data recorder (files under userData/recordings)
+            recorder: {
+                enabled: false,                   // Record the live stream
+                segmentMB: 64,                    // Start a new file at this compressed size
+                maxTotalMB: 2048,                 // Delete the oldest files beyond this
+                retentionDays: 30                 // Delete files older than this
+            },
+
+            // Backtest settings
+            backtest: {
+                startingEquity: 100000,           // Account equity at the start of a run
+                positionPercent: 10,              // Position value (% of equity)
+                maxOpenPositions: 5,              // Max concurrent positions
+                commissionPerShare: 0.005,        // Commission per share, each side
+                minCommission: 1.0,               // Minimum commission per order
+                slippageBps: 2,                   // Adverse slippage on stop and market fills
+                flattenAtClose: true              // Exit at the regular close, enter only in regular hours
+            },
+
             // Data feed settings
             dataFeed: {
                 autoConnect: true,                // Auto-connect on startup
                 reconnectAttempts: 3,             // Max reconnection attempts
                 updateInterval: 1000,             // Update interval (ms)
                 cacheEnabled: true,               // Enable data caching
-                cacheExpiry: 3600                 // Cache expiry (seconds)
+                cacheExpiry: 3600,                // Cache expiry (seconds)
+                mockServer: false                 // Use the built-in mock Polygon server (offline, development builds only)
             },
             
             // UI customization
@@ -134,7 +214,8 @@ class StateManager extends EventEmitter {
                 fontSize: 14,                     // Base font size
                 compactMode: false,               // Compact UI mode
                 animations: true,                 // Enable animations
-                soundEnabled: true                // Enable sound alerts
+                soundEnabled: true,               // Enable sound alerts
+                activeWatchlist: null             // Watchlist shown in the Watchlist tab
             },
             
             // Performance settings
@@ -563,6 +644,29 @@ class StateManager extends EventEmitter {
         if (!validOrderTypes.includes(trading.defaultOrderType)) {
             this.set('trading.defaultOrderType', 'limit');
         }
+        
+        // Validate risk limits (fall back to defaults when missing or out of range)
+        if (typeof trading.maxPositionPercent !== 'number' ||
+            trading.maxPositionPercent <= 0 ||
+            trading.maxPositionPercent > 100) {
+            this.set('trading.maxPositionPercent', 25.0);
+        }
+        
+        if (!Number.isInteger(trading.maxOpenPositions) || trading.maxOpenPositions <= 0) {
+            this.set('trading.maxOpenPositions', 5);
+        }
+        
+        if (typeof trading.dailyLossLimit !== 'number' ||
+            trading.dailyLossLimit <= 0 ||
+            trading.dailyLossLimit > 100) {
+            this.set('trading.dailyLossLimit', 3.0);
+        }
+        
+        // Validate broker routing
+        const validBrokers = ['paper', 'mock'];
+        if (!validBrokers.includes(trading.broker)) {
+            this.set('trading.broker', 'paper');
+        }
     }
     
     /**
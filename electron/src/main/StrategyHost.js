@@ -0,0 +1,857 @@
+// electron/src/main/StrategyHost.js
+/**
+ * StrategyHost - Runs strategy plugins and fills the Signals table
+ *
+ * This module:
+ * - Loads built-in strategies from ./strategies and user strategies from
+ *   a folder under userData (reloadable at runtime)
+ * - Seeds each strategy with historical bars and feeds it closed bars
+ *   (built from the trade stream) and individual trades for its symbols
+ * - Starts bars and strategy state over when a replay starts or ends, seeded
+ *   from the history before the day being played
+ * - Manages the signal lifecycle: ACTIVE -> TRIGGERED when price trades
+ *   through the signal price, ACTIVE -> EXPIRED when its time runs out
+ * - Pushes signal rows to all windows on 'data:update' with table 'signals'
+ *
+ * A strategy module exports a plain object:
+ *
+ *   module.exports = {
+ *       id: 'my-strategy',             // Defaults to the file name
+ *       name: 'My Strategy',           // Shown as the signal source
+ *       timeframe: '5min',             // Bars passed to onBar (1min ... 1hour)
+ *       historyBars: 50,               // Bars loaded before going live
+ *       signalTTL: 30,                 // Minutes before ACTIVE signals expire
+ *       params: { lookback: 20 },      // Defaults, overridable in strategies.params.<id>
+ *       sessions: ['regular'],         // Sessions onBar/onTrade run in (default all)
+ *       onHistory(ctx, symbol, bars) {},
+ *       onBar(ctx, symbol, bar, bars) {},
+ *       onTrade(ctx, symbol, trade) {}
+ *   };
+ *
+ * ctx provides params, state(symbol) scratch storage, emitSignal(signal),
+ * indicators (IndicatorEngine), session helpers (MarketCalendar) and a scoped logger.
+ * emitSignal takes { symbol, direction: 'BUY'|'SELL', price, stopLoss,
+ * takeProfit, strength (0-100), confidence (0-1), type, notes, ttl (minutes) }.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const log = require('electron-log');
+const IndicatorEngine = require('./IndicatorEngine');
+const MarketCalendar = require('./MarketCalendar');
+const SessionVolume = require('./SessionVolume');
+
+// Configure logging for this module
+const logger = log.scope('StrategyHost');
+
+// Pseudo window ID used for the host's own WebSocket client
+const STRATEGY_WINDOW_ID = 'strategy-host';
+
+// Built-in strategies
+const BUILTIN_DIR = path.join(__dirname, 'strategies');
+
+// Bar durations the host can build from trades
+const TIMEFRAME_MS = {
+    '1min': 60 * 1000,
+    '5min': 5 * 60 * 1000,
+    '15min': 15 * 60 * 1000,
+    '30min': 30 * 60 * 1000,
+    '1hour': 60 * 60 * 1000
+};
+
+// Finished signals kept for the grid's non-ACTIVE views
+const MAX_FINISHED_SIGNALS = 500;
+
+class StrategyHost extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        // Dependencies
+        this.polygonBridge = options.polygonBridge;
+        this.windowManager = options.windowManager;
+        this.stateManager = options.stateManager;
+        this.ipcHandler = options.ipcHandler;
+        this.marketCalendar = options.marketCalendar || new MarketCalendar();
+
+        // Configuration
+        this.userStrategiesPath = options.userStrategiesPath || null;
+        this.expiryInterval = options.expiryInterval || 1000;
+
+        // State management
+        this.running = false;
+        this.strategies = new Map();    // id -> { module, source, file, error, enabled, scratch }
+        this.symbols = [];
+        this.bars = new Map();          // `${symbol}:${timeframe}` -> { history, current, volume }
+        this.signals = new Map();       // signalId -> signal
+        this.subscriptionId = null;
+        this.expiryTimer = null;
+        this.signalSequence = 0;
+        this.subscriptionQueue = Promise.resolve();   // Serializes symbol changes and replay reseeds
+        this.indicators = new IndicatorEngine({ marketCalendar: this.marketCalendar });
+
+        // Bind methods
+        this.handleMarketData = this.handleMarketData.bind(this);
+        this.handleSymbolsChange = this.handleSymbolsChange.bind(this);
+        this.handleReplayChange = this.handleReplayChange.bind(this);
+
+        // IPC handlers for the renderer
+        this.setupIPC();
+
+        logger.info('StrategyHost initialized');
+    }
+
+    /**
+     * Load strategies, seed history and start streaming
+     */
+    async start() {
+        if (this.running) {
+            logger.warn('StrategyHost already running');
+            return;
+        }
+
+        this.running = true;
+        this.loadStrategies();
+        this.symbols = this.loadSymbols();
+
+        this.polygonBridge.on('market-data', this.handleMarketData);
+        this.polygonBridge.on('replay-changed', this.handleReplayChange);
+        if (this.stateManager) {
+            this.stateManager.on('change:strategies.symbols', this.handleSymbolsChange);
+            this.stateManager.on('change:scanner.universe', this.handleSymbolsChange);
+        }
+
+        await this.seedHistory(this.symbols);
+        await this.subscribe();
+
+        this.expiryTimer = setInterval(() => this.expireSignals(), this.expiryInterval);
+
+        logger.info(`Running ${this.getEnabledStrategies().length} strategies on ${this.symbols.length} symbols`);
+        this.emit('started');
+    }
+
+    /**
+     * Stop streaming and expiry checks
+     */
+    async stop() {
+        if (!this.running) return;
+
+        logger.info('Stopping strategy host');
+
+        this.running = false;
+
+        if (this.expiryTimer) {
+            clearInterval(this.expiryTimer);
+            this.expiryTimer = null;
+        }
+
+        // Let an in-flight symbol change finish before releasing its subscription
+        await this.subscriptionQueue;
+        await this.unsubscribe();
+
+        this.polygonBridge.off('market-data', this.handleMarketData);
+        this.polygonBridge.off('replay-changed', this.handleReplayChange);
+        if (this.stateManager) {
+            this.stateManager.off('change:strategies.symbols', this.handleSymbolsChange);
+            this.stateManager.off('change:scanner.universe', this.handleSymbolsChange);
+        }
+
+        this.emit('stopped');
+    }
+
+    // ===== Strategy loading =====
+
+    /**
+     * Load built-in and user strategies (replaces any loaded before)
+     */
+    loadStrategies() {
+        this.strategies.clear();
+
+        this.loadFolder(BUILTIN_DIR, 'builtin');
+
+        if (this.userStrategiesPath) {
+            try {
+                fs.mkdirSync(this.userStrategiesPath, { recursive: true });
+                this.loadFolder(this.userStrategiesPath, 'user');
+            } catch (error) {
+                logger.error('Failed to read user strategies folder:', error);
+            }
+        }
+    }
+
+    /**
+     * Load every .js file in a folder as a strategy
+     */
+    loadFolder(folder, source) {
+        if (!fs.existsSync(folder)) return;
+
+        const files = fs.readdirSync(folder)
+            .filter(file => file.endsWith('.js'))
+            .sort();
+
+        for (const file of files) {
+            this.loadStrategy(path.join(folder, file), source);
+        }
+    }
+
+    /**
+     * Load one strategy module
+     */
+    loadStrategy(file, source) {
+        const fallbackId = path.basename(file, '.js');
+
+        try {
+            // Drop the cached copy so edits are picked up on reload
+            delete require.cache[require.resolve(file)];
+            const module = require(file);
+            const error = this.validateStrategy(module);
+            const id = module.id || fallbackId;
+
+            if (this.strategies.has(id)) {
+                throw new Error(`Duplicate strategy id '${id}'`);
+            }
+
+            this.strategies.set(id, {
+                id,
+                module,
+                source,
+                file,
+                error,
+                scratch: new Map()
+            });
+
+            if (error) {
+                logger.warn(`Strategy ${id} not loaded: ${error}`);
+            } else {
+                logger.info(`Loaded ${source} strategy: ${id}`);
+            }
+
+        } catch (error) {
+            logger.error(`Failed to load strategy ${file}:`, error);
+            this.strategies.set(fallbackId, {
+                id: fallbackId,
+                module: null,
+                source,
+                file,
+                error: error.message,
+                scratch: new Map()
+            });
+        }
+    }
+
+    /**
+     * Check the shape of a strategy module
+     * @returns {string|null} Problem description
+     */
+    validateStrategy(module) {
+        if (!module || typeof module !== 'object') {
+            return 'Module must export an object';
+        }
+
+        const hooks = ['onHistory', 'onBar', 'onTrade'];
+        if (!hooks.some(hook => typeof module[hook] === 'function')) {
+            return `Module must implement one of ${hooks.join(', ')}`;
+        }
+
+        if (module.timeframe && !TIMEFRAME_MS[module.timeframe]) {
+            return `Unsupported timeframe '${module.timeframe}'`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Strategies that loaded cleanly and are not disabled
+     */
+    getEnabledStrategies() {
+        const disabled = this.stateManager?.get('strategies.disabled', []) || [];
+
+        return Array.from(this.strategies.values())
+            .filter(strategy => !strategy.error && !disabled.includes(strategy.id));
+    }
+
+    /**
+     * Build the context object handed to a strategy
+     */
+    createContext(strategy) {
+        const strategyLogger = log.scope(`Strategy:${strategy.id}`);
+        const stateManager = this.stateManager;
+
+        return {
+            id: strategy.id,
+            // Read on each access so overrides apply without a reload
+            get params() {
+                const overrides = stateManager?.get(`strategies.params.${strategy.id}`, {}) || {};
+                return { ...(strategy.module.params || {}), ...overrides };
+            },
+            indicators: this.indicators,
+            session: {
+                tradingDay: (timestamp) => this.tradingDay(timestamp),
+                minutesOfDay: (timestamp) => this.minutesOfDay(timestamp),
+                // 'pre', 'regular', 'post' or 'closed'
+                current: () => this.marketCalendar.sessionAt(Date.now()),
+                at: (timestamp) => this.marketCalendar.sessionAt(timestamp),
+                isOpen: (timestamp, extended) => this.marketCalendar.isOpen(timestamp, extended),
+                // { isTradingDay, holiday, earlyClose, sessions: { pre, regular, post } }
+                schedule: (day) => this.marketCalendar.getSchedule(day)
+            },
+            log: strategyLogger,
+            state: (symbol) => {
+                if (!strategy.scratch.has(symbol)) {
+                    strategy.scratch.set(symbol, {});
+                }
+                return strategy.scratch.get(symbol);
+            },
+            emitSignal: (signal) => this.addSignal(strategy, signal)
+        };
+    }
+
+    /**
+     * Call a strategy hook, isolating its errors
+     */
+    invoke(strategy, hook, ...args) {
+        const fn = strategy.module[hook];
+        if (typeof fn !== 'function') return;
+
+        try {
+            if (!strategy.context) {
+                strategy.context = this.createContext(strategy);
+            }
+            fn.call(strategy.module, strategy.context, ...args);
+        } catch (error) {
+            logger.error(`Strategy ${strategy.id} failed in ${hook}:`, error);
+        }
+    }
+
+    // ===== Market data =====
+
+    /**
+     * Symbols to run strategies on (strategies.symbols, else the scanner universe)
+     */
+    loadSymbols() {
+        let symbols = this.stateManager?.get('strategies.symbols', []) || [];
+        if (!Array.isArray(symbols) || symbols.length === 0) {
+            symbols = this.stateManager?.get('scanner.universe', []) || [];
+        }
+
+        return [...new Set(symbols
+            .filter(symbol => typeof symbol === 'string' && symbol.trim())
+            .map(symbol => symbol.trim().toUpperCase()))];
+    }
+
+    /**
+     * Handle strategy symbol or scanner universe changes saved to state
+     * Changes run one at a time so quick edits settle on the latest symbols
+     */
+    handleSymbolsChange() {
+        this.subscriptionQueue = this.subscriptionQueue.then(() => this.applySymbols());
+        return this.subscriptionQueue;
+    }
+
+    async applySymbols() {
+        if (!this.running) return;
+
+        const symbols = this.loadSymbols();
+        const added = symbols.filter(symbol => !this.symbols.includes(symbol));
+        const removed = this.symbols.filter(symbol => !symbols.includes(symbol));
+
+        if (added.length === 0 && removed.length === 0) return;
+
+        logger.info('Strategy symbols changed', { added, removed });
+
+        this.symbols = symbols;
+        for (const key of this.bars.keys()) {
+            if (removed.includes(key.split(':')[0])) {
+                this.bars.delete(key);
+            }
+        }
+
+        try {
+            await this.seedHistory(added);
+            await this.unsubscribe();
+            await this.subscribe();
+        } catch (error) {
+            logger.error('Failed to update strategy subscription:', error);
+        }
+    }
+
+    /**
+     * A replay plays another day: bars built so far belong to the other
+     * day, so start bars and strategy state over from the history before
+     * the day being played
+     */
+    handleReplayChange() {
+        this.subscriptionQueue = this.subscriptionQueue.then(async () => {
+            if (!this.running) return;
+
+            this.bars.clear();
+            for (const strategy of this.strategies.values()) {
+                strategy.scratch.clear();
+            }
+
+            await this.seedHistory(this.symbols);
+        });
+        return this.subscriptionQueue;
+    }
+
+    /**
+     * Timeframes and history depth needed by the enabled strategies
+     */
+    getBarRequirements() {
+        const requirements = new Map();     // timeframe -> bars
+
+        for (const strategy of this.getEnabledStrategies()) {
+            const timeframe = strategy.module.timeframe || '5min';
+            const bars = strategy.module.historyBars || 50;
+            requirements.set(timeframe, Math.max(requirements.get(timeframe) || 0, bars));
+        }
+
+        return requirements;
+    }
+
+    /**
+     * Load recent bars and hand them to strategies
+     */
+    async seedHistory(symbols) {
+        const requirements = this.getBarRequirements();
+        const replayDay = this.polygonBridge.replayDay;
+
+        for (const symbol of symbols) {
+            for (const [timeframe, limit] of requirements) {
+                let history = [];
+                const fetchedAt = Date.now();
+
+                try {
+                    const bars = await this.polygonBridge.fetchBars({
+                        symbol,
+                        timeframe,
+                        limit,
+                        // A replay needs the bars before its day, not before now
+                        ...(replayDay ? {
+                            startDate: this.indicators.startDateFor(timeframe, limit, this.marketCalendar.addDays(replayDay, -1)),
+                            endDate: replayDay
+                        } : {})
+                    });
+                    history = bars.map(bar => this.normalizeBar(bar));
+                } catch (error) {
+                    logger.error(`Failed to load ${timeframe} history for ${symbol}:`, error);
+                }
+
+                let current = null;
+                if (replayDay) {
+                    // The replay plays its day's bars itself
+                    history = history.filter(bar => this.tradingDay(bar.timestamp) < replayDay).slice(-limit);
+                } else {
+                    // The newest bar may still be forming; let live trades finish it
+                    const last = history[history.length - 1];
+                    if (last && last.timestamp + TIMEFRAME_MS[timeframe] > fetchedAt) {
+                        current = history.pop();
+                    }
+                }
+
+                const volume = new SessionVolume();
+                if (current) {
+                    volume.seed(current.volume, fetchedAt);
+                }
+
+                this.bars.set(`${symbol}:${timeframe}`, { history, current, volume });
+
+                for (const strategy of this.getEnabledStrategies()) {
+                    if ((strategy.module.timeframe || '5min') === timeframe) {
+                        this.invoke(strategy, 'onHistory', symbol, history.slice());
+                    }
+                }
+            }
+        }
+    }
+
+    normalizeBar(bar) {
+        return {
+            timestamp: typeof bar.timestamp === 'number' ? bar.timestamp : Date.parse(bar.timestamp),
+            open: bar.open,
+            high: bar.high,
+            low: bar.low,
+            close: bar.close,
+            volume: bar.volume || 0,
+            vwap: bar.vwap ?? null
+        };
+    }
+
+    async subscribe() {
+        if (this.symbols.length === 0) return;
+
+        this.subscriptionId = `${STRATEGY_WINDOW_ID}-trades-${Date.now()}`;
+
+        await this.polygonBridge.handleDataSubscribe({
+            subscriptionId: this.subscriptionId,
+            windowId: STRATEGY_WINDOW_ID,
+            stream: 'trades',
+            symbols: this.symbols,
+            options: {}
+        });
+    }
+
+    async unsubscribe() {
+        if (!this.subscriptionId) return;
+
+        await this.polygonBridge.handleDataUnsubscribe({ subscriptionId: this.subscriptionId });
+        this.subscriptionId = null;
+    }
+
+    /**
+     * Handle market data from PolygonBridge
+     */
+    handleMarketData({ subscriptionId, data }) {
+        if (subscriptionId !== this.subscriptionId) return;
+
+        const items = Array.isArray(data) ? data : [data];
+        for (const item of items) {
+            if (!this.symbols.includes(item?.symbol)) continue;
+
+            if (item.event_type === 'trade') {
+                this.processTrade(item);
+            } else if (item.event_type === 'aggregate') {
+                this.processAggregate(item);
+            }
+        }
+    }
+
+    /**
+     * Update bars, signals and strategies with a trade
+     */
+    processTrade(trade) {
+        const strategies = this.getEnabledStrategies();
+
+        // Close and build bars first so onBar sees completed bars before the new trade
+        for (const timeframe of this.getBarRequirements().keys()) {
+            const closed = this.updateBar(trade, timeframe);
+            if (!closed) continue;
+
+            const { history } = this.bars.get(`${trade.symbol}:${timeframe}`);
+            for (const strategy of strategies) {
+                if ((strategy.module.timeframe || '5min') === timeframe &&
+                    this.inSessions(strategy, closed.timestamp)) {
+                    this.invoke(strategy, 'onBar', trade.symbol, closed, history.slice());
+                }
+            }
+        }
+
+        this.checkTriggers(trade);
+
+        for (const strategy of strategies) {
+            if (this.inSessions(strategy, trade.timestamp)) {
+                this.invoke(strategy, 'onTrade', trade.symbol, trade);
+            }
+        }
+    }
+
+    /**
+     * Count an aggregate's volume in the forming bar it started in
+     * (replayed bars carry their volume here; their trades have no size)
+     */
+    processAggregate(aggregate) {
+        const timestamp = new Date(aggregate.timestamp).getTime();
+
+        for (const timeframe of this.getBarRequirements().keys()) {
+            const series = this.bars.get(`${aggregate.symbol}:${timeframe}`);
+            const bucketMs = TIMEFRAME_MS[timeframe];
+
+            if (series?.current?.timestamp === Math.floor(timestamp / bucketMs) * bucketMs) {
+                series.current.volume = series.volume.addAggregate(timestamp, aggregate.volume);
+            }
+        }
+    }
+
+    /**
+     * Check a time against the sessions a strategy asked for
+     */
+    inSessions(strategy, timestamp) {
+        const { sessions } = strategy.module;
+        if (!Array.isArray(sessions)) return true;
+
+        return sessions.includes(this.marketCalendar.sessionAt(timestamp));
+    }
+
+    /**
+     * Add a trade to the forming bar
+     * @returns {Object|null} The bar that closed, if the trade started a new one
+     */
+    updateBar(trade, timeframe) {
+        const key = `${trade.symbol}:${timeframe}`;
+        if (!this.bars.has(key)) {
+            this.bars.set(key, { history: [], current: null, volume: null });
+        }
+
+        const series = this.bars.get(key);
+        const bucketMs = TIMEFRAME_MS[timeframe];
+        const bucket = Math.floor(trade.timestamp / bucketMs) * bucketMs;
+        let closed = null;
+
+        if (series.current && series.current.timestamp !== bucket) {
+            closed = series.current;
+            series.history.push(closed);
+            series.current = null;
+
+            // Keep memory bounded
+            const limit = (this.getBarRequirements().get(timeframe) || 50) * 2;
+            if (series.history.length > limit) {
+                series.history.splice(0, series.history.length - limit);
+            }
+        }
+
+        if (!series.current) {
+            series.current = {
+                timestamp: bucket,
+                open: trade.price,
+                high: trade.price,
+                low: trade.price,
+                close: trade.price,
+                volume: 0,
+                vwap: null
+            };
+            series.volume = new SessionVolume();
+        }
+
+        // Trades, A and AM aggregates of the same shares count once (see SessionVolume)
+        const bar = series.current;
+        bar.high = Math.max(bar.high, trade.price);
+        bar.low = Math.min(bar.low, trade.price);
+        bar.close = trade.price;
+        bar.volume = series.volume.addTrade(trade.timestamp, trade.size);
+
+        return closed;
+    }
+
+    // ===== Signals =====
+
+    /**
+     * Add a signal emitted by a strategy
+     */
+    addSignal(strategy, input) {
+        const symbol = String(input?.symbol || '').toUpperCase();
+        const direction = String(input?.direction || '').toUpperCase();
+
+        if (!symbol || (direction !== 'BUY' && direction !== 'SELL') || !Number.isFinite(input.price)) {
+            logger.warn(`Strategy ${strategy.id} emitted an invalid signal`, input);
+            return null;
+        }
+
+        const source = strategy.module.name || strategy.id;
+
+        // One active signal per strategy, symbol and direction
+        for (const existing of this.signals.values()) {
+            if (existing.status === 'ACTIVE' && existing.source === source &&
+                existing.symbol === symbol && existing.direction === direction) {
+                return null;
+            }
+        }
+
+        const now = Date.now();
+        const ttlMinutes = input.ttl || strategy.module.signalTTL ||
+            this.stateManager?.get('strategies.signalTTL', 30) || 30;
+
+        const signal = {
+            id: `sig-${now}-${++this.signalSequence}`,
+            timestamp: new Date(now),
+            symbol,
+            type: input.type || 'ENTRY',
+            direction,
+            strength: this.clamp(input.strength ?? 50, 0, 100),
+            price: input.price,
+            stopLoss: input.stopLoss ?? null,
+            takeProfit: input.takeProfit ?? null,
+            confidence: this.clamp(input.confidence ?? 0.5, 0, 1),
+            source,
+            status: 'ACTIVE',
+            notes: input.notes || '',
+            strategyId: strategy.id,
+            expiresAt: now + ttlMinutes * 60 * 1000
+        };
+
+        this.signals.set(signal.id, signal);
+        this.publish('update', [signal]);
+        this.emit('signal', { ...signal });
+
+        logger.info(`${source}: ${direction} ${symbol} @ ${signal.price}`, { signalId: signal.id });
+
+        return signal.id;
+    }
+
+    /**
+     * Trigger active signals the trade traded through
+     */
+    checkTriggers(trade) {
+        const changed = [];
+
+        for (const signal of this.signals.values()) {
+            if (signal.status !== 'ACTIVE' || signal.symbol !== trade.symbol) continue;
+
+            const crossed = signal.direction === 'BUY'
+                ? trade.price >= signal.price
+                : trade.price <= signal.price;
+
+            if (crossed) {
+                signal.status = 'TRIGGERED';
+                signal.triggeredAt = trade.timestamp;
+                signal.triggerPrice = trade.price;
+                changed.push(signal);
+                this.emit('signal-triggered', { ...signal });
+            }
+        }
+
+        if (changed.length > 0) {
+            this.publish('update', changed);
+        }
+    }
+
+    /**
+     * Expire active signals whose time has run out
+     */
+    expireSignals() {
+        const now = Date.now();
+        const changed = [];
+
+        for (const signal of this.signals.values()) {
+            if (signal.status === 'ACTIVE' && now >= signal.expiresAt) {
+                signal.status = 'EXPIRED';
+                changed.push(signal);
+                this.emit('signal-expired', { ...signal });
+            }
+        }
+
+        if (changed.length > 0) {
+            this.publish('update', changed);
+            this.pruneSignals();
+        }
+    }
+
+    /**
+     * Drop the oldest finished signals beyond the retention limit
+     */
+    pruneSignals() {
+        const finished = Array.from(this.signals.values())
+            .filter(signal => signal.status !== 'ACTIVE');
+
+        const excess = finished.length - MAX_FINISHED_SIGNALS;
+        if (excess <= 0) return;
+
+        const removed = finished
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .slice(0, excess);
+
+        removed.forEach(signal => this.signals.delete(signal.id));
+        this.publish('remove', removed.map(signal => ({ id: signal.id })));
+    }
+
+    /**
+     * Send signal rows to all windows
+     */
+    publish(type, signals) {
+        if (!this.windowManager) return;
+
+        this.windowManager.broadcast('data:update', {
+            type,
+            table: 'signals',
+            data: signals.map(signal => this.buildRow(signal))
+        });
+    }
+
+    buildRow(signal) {
+        const { strategyId, expiresAt, triggeredAt, triggerPrice, ...row } = signal;
+        return row;
+    }
+
+    getRows() {
+        return Array.from(this.signals.values()).map(signal => this.buildRow(signal));
+    }
+
+    // ===== Helpers =====
+
+    clamp(value, min, max) {
+        return Math.min(max, Math.max(min, Number(value) || 0));
+    }
+
+    /**
+     * US equity trading day (America/New_York) for a timestamp
+     */
+    tradingDay(timestamp) {
+        return this.marketCalendar.tradingDay(timestamp);
+    }
+
+    /**
+     * Minutes since midnight America/New_York (9:30 = 570)
+     */
+    minutesOfDay(timestamp) {
+        return this.marketCalendar.minutesOfDay(timestamp);
+    }
+
+    /**
+     * Reload strategies from disk and re-seed history
+     */
+    async reloadStrategies() {
+        this.loadStrategies();
+
+        if (this.running) {
+            this.bars.clear();
+            await this.seedHistory(this.symbols);
+        }
+
+        return this.getStrategies();
+    }
+
+    /**
+     * Describe loaded strategies
+     */
+    getStrategies() {
+        const enabled = this.getEnabledStrategies().map(strategy => strategy.id);
+
+        return Array.from(this.strategies.values()).map(strategy => ({
+            id: strategy.id,
+            name: strategy.module?.name || strategy.id,
+            description: strategy.module?.description || '',
+            timeframe: strategy.module?.timeframe || '5min',
+            source: strategy.source,
+            file: strategy.file,
+            enabled: enabled.includes(strategy.id),
+            error: strategy.error
+        }));
+    }
+
+    /**
+     * Set up IPC handlers
+     */
+    setupIPC() {
+        if (!this.ipcHandler) return;
+
+        // Current rows, used by windows that open after signals exist
+        this.ipcHandler.registerHandler('signals:get-snapshot', async () => {
+            return { success: true, rows: this.getRows() };
+        });
+
+        this.ipcHandler.registerHandler('signals:get-strategies', async () => {
+            return {
+                success: true,
+                strategies: this.getStrategies(),
+                userStrategiesPath: this.userStrategiesPath
+            };
+        });
+
+        this.ipcHandler.registerHandler('signals:reload-strategies', async () => {
+            return { success: true, strategies: await this.reloadStrategies() };
+        });
+    }
+
+    /**
+     * Get strategy host status
+     */
+    getStatus() {
+        return {
+            running: this.running,
+            strategies: this.getEnabledStrategies().map(strategy => strategy.id),
+            symbols: this.symbols.length,
+            activeSignals: Array.from(this.signals.values()).filter(s => s.status === 'ACTIVE').length
+        };
+    }
+}
+
+module.exports = StrategyHost;
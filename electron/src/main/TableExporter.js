@@ -0,0 +1,292 @@
+// electron/src/main/TableExporter.js
+/**
+ * TableExporter - Writes grid exports to disk
+ *
+ * This module:
+ * - Serializes { columns, rows } from the renderer to CSV, JSON or XLSX
+ * - Builds XLSX files itself (SpreadsheetML parts in a zip written with
+ *   zlib), so no spreadsheet library or external service is involved
+ *
+ * Input:
+ *   columns: [{ field, headerName }]
+ *   rows:    [[value, ...]] in column order
+ */
+
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const log = require('electron-log');
+
+// Configure logging for this module
+const logger = log.scope('TableExporter');
+
+const FORMATS = ['csv', 'json', 'xlsx'];
+
+// Excel caps sheet names at 31 characters and bans a few characters
+const MAX_SHEET_NAME = 31;
+
+class TableExporter {
+    /**
+     * Write a table export
+     * @param {Object} options
+     * @param {string} options.format - csv, json or xlsx
+     * @param {string} options.filePath - Destination chosen in the save dialog
+     * @param {Array} options.columns - [{ field, headerName }]
+     * @param {Array} options.rows - Row value arrays in column order
+     * @param {string} [options.sheetName] - Worksheet name for XLSX
+     * @returns {Promise<Object>} { filePath, rows, bytes }
+     */
+    async write({ format, filePath, columns, rows, sheetName }) {
+        if (!FORMATS.includes(format)) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+        if (!filePath || typeof filePath !== 'string') {
+            throw new Error('Export path is required');
+        }
+        if (!Array.isArray(columns) || columns.length === 0 || !Array.isArray(rows)) {
+            throw new Error('Nothing to export');
+        }
+
+        let content;
+        switch (format) {
+            case 'csv':
+                content = this.toCSV(columns, rows);
+                break;
+            case 'json':
+                content = this.toJSON(columns, rows);
+                break;
+            case 'xlsx':
+                content = this.toXLSX(columns, rows, sheetName);
+                break;
+        }
+
+        await fs.writeFile(filePath, content);
+
+        logger.info(`Exported ${rows.length} rows as ${format} to ${filePath}`);
+        return { filePath, rows: rows.length, bytes: Buffer.byteLength(content) };
+    }
+
+    // ===== CSV / JSON =====
+
+    toCSV(columns, rows) {
+        const lines = [
+            columns.map(column => this.csvCell(column.headerName || column.field)),
+            ...rows.map(row => row.map(value => this.csvCell(value)))
+        ];
+
+        return lines.map(cells => cells.join(',')).join('\r\n') + '\r\n';
+    }
+
+    csvCell(value) {
+        const text = this.toText(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    toJSON(columns, rows) {
+        const records = rows.map(row => Object.fromEntries(
+            columns.map((column, index) => [column.field, row[index] ?? null])
+        ));
+
+        return JSON.stringify(records, null, 2);
+    }
+
+    toText(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) return value.toISOString();
+        return String(value);
+    }
+
+    // ===== XLSX =====
+
+    /**
+     * Build a single-sheet workbook (header row in bold, frozen)
+     */
+    toXLSX(columns, rows, sheetName = 'Sheet1') {
+        const name = String(sheetName || 'Sheet1').replace(/[\[\]:*?/\\]/g, ' ').slice(0, MAX_SHEET_NAME) || 'Sheet1';
+
+        const sheetRows = [
+            this.xlsxRow(1, columns.map(column => column.headerName || column.field), 1),
+            ...rows.map((row, index) => this.xlsxRow(index + 2, row, 0))
+        ];
+
+        const lastCell = `${this.columnName(columns.length - 1)}${rows.length + 1}`;
+
+        const files = {
+            '[Content_Types].xml':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '</Types>',
+            '_rels/.rels':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>',
+            'xl/workbook.xml':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+                'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets><sheet name="${this.escapeXML(name)}" sheetId="1" r:id="rId1"/></sheets>` +
+                '</workbook>',
+            'xl/_rels/workbook.xml.rels':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                '</Relationships>',
+            'xl/styles.xml':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                '</styleSheet>',
+            'xl/worksheets/sheet1.xml':
+                '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                `<dimension ref="A1:${lastCell}"/>` +
+                '<sheetViews><sheetView workbookViewId="0">' +
+                '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+                '</sheetView></sheetViews>' +
+                `<sheetData>${sheetRows.join('')}</sheetData>` +
+                '</worksheet>'
+        };
+
+        return this.zip(files);
+    }
+
+    /**
+     * One <row> of cells; numbers and booleans stay typed, the rest are inline strings
+     */
+    xlsxRow(rowNumber, values, style) {
+        const styleAttr = style ? ` s="${style}"` : '';
+
+        const cells = values.map((value, index) => {
+            const ref = `${this.columnName(index)}${rowNumber}`;
+
+            if (value === null || value === undefined || value === '') return '';
+
+            if (typeof value === 'number') {
+                return Number.isFinite(value) ? `<c r="${ref}"${styleAttr}><v>${value}</v></c>` : '';
+            }
+
+            if (typeof value === 'boolean') {
+                return `<c r="${ref}"${styleAttr} t="b"><v>${value ? 1 : 0}</v></c>`;
+            }
+
+            return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${this.escapeXML(this.toText(value))}</t></is></c>`;
+        });
+
+        return `<row r="${rowNumber}">${cells.join('')}</row>`;
+    }
+
+    /**
+     * Zero-based column index to A, B, ... Z, AA, AB, ...
+     */
+    columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    escapeXML(text) {
+        return String(text)
+            // Characters XML 1.0 can't carry at all
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // ===== Zip =====
+
+    /**
+     * Build a zip archive (deflate) from { path: string content }
+     */
+    zip(files) {
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        for (const [name, content] of Object.entries(files)) {
+            const nameBuffer = Buffer.from(name, 'utf8');
+            const data = Buffer.from(content, 'utf8');
+            const compressed = zlib.deflateRawSync(data);
+            const crc = this.crc32(data);
+
+            const local = Buffer.alloc(30);
+            local.writeUInt32LE(0x04034b50, 0);     // Local file header signature
+            local.writeUInt16LE(20, 4);             // Version needed
+            local.writeUInt16LE(0x0800, 6);         // Flags: UTF-8 names
+            local.writeUInt16LE(8, 8);              // Method: deflate
+            local.writeUInt16LE(0, 10);             // Time
+            local.writeUInt16LE(0x21, 12);          // Date (1980-01-01)
+            local.writeUInt32LE(crc, 14);
+            local.writeUInt32LE(compressed.length, 18);
+            local.writeUInt32LE(data.length, 22);
+            local.writeUInt16LE(nameBuffer.length, 26);
+            local.writeUInt16LE(0, 28);             // Extra length
+
+            const central = Buffer.alloc(46);
+            central.writeUInt32LE(0x02014b50, 0);   // Central directory signature
+            central.writeUInt16LE(20, 4);           // Version made by
+            central.writeUInt16LE(20, 6);           // Version needed
+            central.writeUInt16LE(0x0800, 8);
+            central.writeUInt16LE(8, 10);
+            central.writeUInt16LE(0, 12);
+            central.writeUInt16LE(0x21, 14);
+            central.writeUInt32LE(crc, 16);
+            central.writeUInt32LE(compressed.length, 20);
+            central.writeUInt32LE(data.length, 24);
+            central.writeUInt16LE(nameBuffer.length, 28);
+            central.writeUInt32LE(offset, 42);      // Local header offset (other fields zero)
+
+            localParts.push(local, nameBuffer, compressed);
+            centralParts.push(central, nameBuffer);
+            offset += local.length + nameBuffer.length + compressed.length;
+        }
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const count = Object.keys(files).length;
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);           // End of central directory signature
+        end.writeUInt16LE(count, 8);
+        end.writeUInt16LE(count, 10);
+        end.writeUInt32LE(centralSize, 12);
+        end.writeUInt32LE(offset, 16);
+
+        return Buffer.concat([...localParts, ...centralParts, end]);
+    }
+
+    crc32(buffer) {
+        if (!TableExporter.crcTable) {
+            TableExporter.crcTable = new Uint32Array(256).map((_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                return c >>> 0;
+            });
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (const byte of buffer) {
+            crc = TableExporter.crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+TableExporter.FORMATS = FORMATS;
+
+module.exports = TableExporter;
@@ -0,0 +1,712 @@
+// electron/src/main/WatchlistManager.js
+/**
+ * WatchlistManager - Named symbol lists with live quotes
+ *
+ * This module:
+ * - Keeps named watchlists in state (workspace.watchlists) and exposes CRUD
+ *   over IPC, validating new symbols with the server's /validate endpoint
+ * - Imports symbol lists from CSV/TXT files and exports them back
+ * - Streams trades, quotes and aggregates for every watched symbol and
+ *   publishes quote rows to the 'watchlist' table; each window shows the
+ *   rows of the list it has selected
+ * - Reads and writes only files the user picked in a File menu dialog
+ *
+ * Stored format:
+ *   workspace.watchlists = { [name]: { symbols: ['AAPL', ...], createdAt, updatedAt } }
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const log = require('electron-log');
+const SessionVolume = require('./SessionVolume');
+const MarketCalendar = require('./MarketCalendar');
+
+// Configure logging for this module
+const logger = log.scope('WatchlistManager');
+
+// Pseudo window ID used for the manager's own WebSocket client
+const WATCHLIST_WINDOW_ID = 'watchlists';
+
+// List created when none exist
+const DEFAULT_LIST = 'Default';
+
+// Plain ticker format (the server has the final say through /validate)
+const SYMBOL_PATTERN = /^[A-Z][A-Z0-9.\-]{0,9}$/;
+
+const MAX_NAME_LENGTH = 50;
+
+class WatchlistManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        // Dependencies
+        this.polygonBridge = options.polygonBridge;
+        this.windowManager = options.windowManager;
+        this.stateManager = options.stateManager;
+        this.ipcHandler = options.ipcHandler;
+        this.scannerService = options.scannerService;
+        this.dialogPaths = options.dialogPaths;
+        this.marketCalendar = options.marketCalendar || new MarketCalendar();
+
+        // Configuration
+        this.flushInterval = options.flushInterval ||
+            this.stateManager?.get('dataFeed.updateInterval', 1000) || 1000;
+
+        // State management
+        this.running = false;
+        this.lists = this.loadLists();  // Available over IPC before start()
+        this.symbols = [];              // Union of all list symbols (subscribed)
+        this.quotes = new Map();        // symbol -> quote state
+        this.dirty = new Set();
+        this.subscriptionId = null;
+        this.flushTimer = null;
+        this.subscriptionQueue = Promise.resolve();   // Serializes subscription updates and reseeds
+
+        // Bind methods
+        this.handleMarketData = this.handleMarketData.bind(this);
+        this.handleReplayChange = this.handleReplayChange.bind(this);
+
+        // IPC handlers for the renderer
+        this.setupIPC();
+
+        logger.info('WatchlistManager initialized');
+    }
+
+    /**
+     * Load watchlists and start streaming their symbols
+     */
+    async start() {
+        if (this.running) {
+            logger.warn('WatchlistManager already running');
+            return;
+        }
+
+        this.running = true;
+
+        this.polygonBridge.on('market-data', this.handleMarketData);
+        this.polygonBridge.on('replay-changed', this.handleReplayChange);
+        this.flushTimer = setInterval(() => this.flush(), this.flushInterval);
+
+        await this.syncSubscription();
+
+        logger.info(`Watching ${this.symbols.length} symbols in ${Object.keys(this.lists).length} lists`);
+        this.emit('started');
+    }
+
+    /**
+     * Stop streaming watchlist symbols
+     */
+    async stop() {
+        if (!this.running) return;
+
+        logger.info('Stopping watchlist manager');
+
+        this.running = false;
+
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+
+        // Let an in-flight update finish before releasing its subscription
+        await this.subscriptionQueue;
+        await this.unsubscribe();
+        this.symbols = [];
+        this.polygonBridge.off('market-data', this.handleMarketData);
+        this.polygonBridge.off('replay-changed', this.handleReplayChange);
+
+        this.emit('stopped');
+    }
+
+    // ===== Lists =====
+
+    loadLists() {
+        const stored = this.stateManager?.get('workspace.watchlists', {}) || {};
+        const lists = {};
+
+        for (const [name, list] of Object.entries(stored)) {
+            // Tolerate lists saved as a bare symbol array
+            const symbols = Array.isArray(list) ? list : list?.symbols;
+            lists[name] = {
+                symbols: Array.isArray(symbols) ? symbols.filter(symbol => SYMBOL_PATTERN.test(symbol)) : [],
+                createdAt: list?.createdAt || Date.now(),
+                updatedAt: list?.updatedAt || Date.now()
+            };
+        }
+
+        if (Object.keys(lists).length === 0) {
+            lists[DEFAULT_LIST] = { symbols: [], createdAt: Date.now(), updatedAt: Date.now() };
+        }
+
+        return lists;
+    }
+
+    /**
+     * Persist lists, tell every window and resubscribe
+     */
+    async saveLists() {
+        this.stateManager?.set('workspace.watchlists', this.lists);
+        this.windowManager?.broadcast('watchlists:changed', { lists: this.getLists() });
+        this.emit('changed', this.getLists());
+
+        await this.syncSubscription();
+    }
+
+    /**
+     * Replace every list (opening a workspace)
+     * @param {Object} stored - Lists in the stored format
+     */
+    async replaceLists(stored) {
+        this.stateManager?.set('workspace.watchlists', stored || {});
+        this.lists = this.loadLists();
+
+        await this.saveLists();
+    }
+
+    /**
+     * Get all lists
+     * @returns {Array<Object>} { name, symbols, createdAt, updatedAt }
+     */
+    getLists() {
+        return Object.entries(this.lists).map(([name, list]) => ({ name, ...list }));
+    }
+
+    getList(name) {
+        const list = this.lists[name];
+        if (!list) {
+            throw new Error(`Watchlist not found: ${name}`);
+        }
+        return list;
+    }
+
+    validateName(name) {
+        const trimmed = String(name || '').trim();
+
+        if (!trimmed) {
+            throw new Error('Watchlist name is required');
+        }
+        if (trimmed.length > MAX_NAME_LENGTH) {
+            throw new Error(`Watchlist name is longer than ${MAX_NAME_LENGTH} characters`);
+        }
+
+        return trimmed;
+    }
+
+    /**
+     * Create a list
+     * @param {string} name - List name
+     * @param {Array<string>} [symbols] - Initial symbols (validated)
+     */
+    async createList(name, symbols = []) {
+        const listName = this.validateName(name);
+        if (this.lists[listName]) {
+            throw new Error(`Watchlist already exists: ${listName}`);
+        }
+
+        this.lists[listName] = { symbols: [], createdAt: Date.now(), updatedAt: Date.now() };
+
+        const result = symbols.length > 0
+            ? await this.addSymbols(listName, symbols)
+            : { list: { name: listName, ...this.lists[listName] }, added: [], invalid: [] };
+
+        // addSymbols only saves when something was added
+        if (result.added.length === 0) {
+            await this.saveLists();
+        }
+
+        return result;
+    }
+
+    async renameList(name, newName) {
+        const list = this.getList(name);
+        const listName = this.validateName(newName);
+
+        if (listName === name) return { name, ...list };
+        if (this.lists[listName]) {
+            throw new Error(`Watchlist already exists: ${listName}`);
+        }
+
+        // Rebuild to keep list order
+        this.lists = Object.fromEntries(Object.entries(this.lists)
+            .map(([key, value]) => key === name ? [listName, { ...value, updatedAt: Date.now() }] : [key, value]));
+
+        await this.saveLists();
+        return { name: listName, ...this.lists[listName] };
+    }
+
+    async deleteList(name) {
+        this.getList(name);
+
+        if (Object.keys(this.lists).length === 1) {
+            throw new Error('Cannot delete the last watchlist');
+        }
+
+        delete this.lists[name];
+        await this.saveLists();
+    }
+
+    /**
+     * Validate and add symbols to a list
+     * @returns {Promise<Object>} { list, added, invalid }
+     */
+    async addSymbols(name, symbols) {
+        const list = this.getList(name);
+
+        const requested = [...new Set((Array.isArray(symbols) ? symbols : [symbols]).map(symbol => this.cleanSymbol(symbol)))]
+            .filter(symbol => symbol && !list.symbols.includes(symbol));
+        const malformed = requested.filter(symbol => !SYMBOL_PATTERN.test(symbol));
+
+        const { valid, invalid } = await this.validateSymbols(requested.filter(symbol => SYMBOL_PATTERN.test(symbol)));
+        invalid.push(...malformed);
+
+        if (valid.length > 0) {
+            list.symbols.push(...valid);
+            list.updatedAt = Date.now();
+            await this.saveLists();
+        }
+
+        return { list: { name, ...list }, added: valid, invalid };
+    }
+
+    async removeSymbols(name, symbols) {
+        const list = this.getList(name);
+        const remove = new Set(this.normalizeSymbols(symbols));
+
+        list.symbols = list.symbols.filter(symbol => !remove.has(symbol));
+        list.updatedAt = Date.now();
+
+        await this.saveLists();
+        return { name, ...list };
+    }
+
+    cleanSymbol(symbol) {
+        return String(symbol || '').trim().replace(/^["']|["']$/g, '').toUpperCase();
+    }
+
+    /**
+     * Uppercase, trim and drop anything that is not ticker-shaped
+     */
+    normalizeSymbols(symbols) {
+        return (Array.isArray(symbols) ? symbols : [symbols])
+            .map(symbol => this.cleanSymbol(symbol))
+            .filter(symbol => SYMBOL_PATTERN.test(symbol));
+    }
+
+    /**
+     * Split symbols into valid and invalid using the server's /validate
+     * endpoint. If the server can't be reached the format check stands.
+     */
+    async validateSymbols(symbols) {
+        if (symbols.length === 0) return { valid: [], invalid: [] };
+
+        try {
+            const results = await this.polygonBridge.validateSymbols(symbols);
+
+            return {
+                valid: symbols.filter(symbol => results[symbol]?.valid),
+                invalid: symbols.filter(symbol => !results[symbol]?.valid)
+            };
+        } catch (error) {
+            logger.warn('Symbol validation unavailable, accepting symbols by format:', error.message);
+            return { valid: symbols, invalid: [] };
+        }
+    }
+
+    // ===== Import / export =====
+
+    /**
+     * Import symbols from a CSV or TXT file into a list (created if missing)
+     * CSV files use their symbol/ticker column, else the first column;
+     * other files are read as symbols separated by whitespace or commas.
+     * @param {string} filePath - Path returned by the import dialog
+     */
+    async importFile(filePath, name) {
+        filePath = this.takeDialogPath(filePath, 'watchlists:import');
+
+        const content = await fs.readFile(filePath, 'utf8');
+        const symbols = this.parseSymbolFile(content, path.extname(filePath).toLowerCase());
+
+        if (symbols.length === 0) {
+            throw new Error('No symbols found in file');
+        }
+
+        const listName = this.validateName(name || path.basename(filePath, path.extname(filePath)));
+
+        const result = this.lists[listName]
+            ? await this.addSymbols(listName, symbols)
+            : await this.createList(listName, symbols);
+
+        logger.info(`Imported ${result.added.length} symbols into ${listName} from ${filePath}`);
+        return result;
+    }
+
+    parseSymbolFile(content, extension) {
+        const lines = content.replace(/^\uFEFF/, '')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'));
+
+        if (extension !== '.csv') {
+            return this.normalizeSymbols(lines.flatMap(line => line.split(/[\s,;]+/)));
+        }
+
+        const rows = lines.map(line => line.split(',').map(cell => cell.trim().replace(/^"|"$/g, '')));
+        if (rows.length === 0) return [];
+
+        // Use the symbol column when there's a header row
+        const header = rows[0].map(cell => cell.toLowerCase());
+        const column = header.findIndex(cell => cell === 'symbol' || cell === 'ticker');
+
+        return column >= 0
+            ? this.normalizeSymbols(rows.slice(1).map(row => row[column]))
+            : this.normalizeSymbols(rows.map(row => row[0]));
+    }
+
+    /**
+     * Write a list to a CSV (symbol column) or TXT (one per line) file
+     * @param {string} filePath - Path returned by the export dialog
+     */
+    async exportFile(filePath, name) {
+        const list = this.getList(name);
+        filePath = this.takeDialogPath(filePath, 'watchlists:export');
+
+        const content = path.extname(filePath).toLowerCase() === '.csv'
+            ? ['symbol', ...list.symbols].join('\n') + '\n'
+            : list.symbols.join('\n') + '\n';
+
+        await fs.writeFile(filePath, content, 'utf8');
+
+        logger.info(`Exported ${list.symbols.length} symbols from ${name} to ${filePath}`);
+        return { filePath, count: list.symbols.length };
+    }
+
+    /**
+     * Renderer paths must come from a main-process dialog
+     */
+    takeDialogPath(filePath, purpose) {
+        if (!this.dialogPaths) {
+            throw new Error('File access is not available');
+        }
+        return this.dialogPaths.take(filePath, purpose);
+    }
+
+    // ===== Live quotes =====
+
+    /**
+     * Subscribe to every symbol on any list
+     * Updates run one at a time so overlapping calls settle on the latest lists
+     */
+    syncSubscription() {
+        this.subscriptionQueue = this.subscriptionQueue.then(() => this.applySubscription());
+        return this.subscriptionQueue;
+    }
+
+    async applySubscription() {
+        if (!this.running) return;
+
+        const symbols = [...new Set(Object.values(this.lists).flatMap(list => list.symbols))].sort();
+        if (symbols.join(',') === this.symbols.join(',')) return;
+
+        // Drop rows for symbols no list holds any more
+        const removed = this.symbols.filter(symbol => !symbols.includes(symbol));
+        if (removed.length > 0) {
+            removed.forEach(symbol => {
+                this.quotes.delete(symbol);
+                this.dirty.delete(symbol);
+            });
+            this.publish('remove', removed.map(symbol => ({ symbol })));
+        }
+
+        const added = symbols.filter(symbol => !this.quotes.has(symbol));
+        this.symbols = symbols;
+
+        await Promise.all(added.map(symbol => this.seedSymbol(symbol)));
+        this.publish('update', added.map(symbol => this.buildRow(this.quotes.get(symbol))));
+
+        try {
+            await this.unsubscribe();
+
+            if (symbols.length === 0) return;
+
+            this.subscriptionId = `${WATCHLIST_WINDOW_ID}-updates-${Date.now()}`;
+
+            await this.polygonBridge.handleDataSubscribe({
+                subscriptionId: this.subscriptionId,
+                windowId: WATCHLIST_WINDOW_ID,
+                stream: 'updates',
+                symbols,
+                options: {}
+            });
+        } catch (error) {
+            logger.error('Failed to update watchlist subscription:', error);
+        }
+    }
+
+    async unsubscribe() {
+        if (!this.subscriptionId) return;
+
+        await this.polygonBridge.handleDataUnsubscribe({ subscriptionId: this.subscriptionId });
+        this.subscriptionId = null;
+    }
+
+    createQuote(symbol) {
+        return {
+            symbol,
+            price: null,
+            priorClose: null,
+            bid: null,
+            ask: null,
+            high: null,
+            low: null,
+            volume: 0,
+            sessionVolume: new SessionVolume(),
+            lastUpdate: null
+        };
+    }
+
+    /**
+     * Start a symbol from the scanner's state when it tracks the symbol,
+     * else from the server's daily bars
+     * @param {boolean} [useScanner] - False when the scanner may still hold replayed state
+     */
+    async seedSymbol(symbol, useScanner = true) {
+        const quote = this.createQuote(symbol);
+        this.quotes.set(symbol, quote);
+
+        // Take over the scanner's volume state too, so the daily bar it was
+        // seeded from isn't counted again when the stream continues
+        const scanned = useScanner ? this.scannerService?.getSymbolState(symbol) : null;
+        if (scanned?.priorClose) {
+            Object.assign(quote, {
+                price: scanned.price,
+                priorClose: scanned.priorClose,
+                high: scanned.sessionHigh,
+                low: scanned.sessionLow,
+                volume: scanned.volume || 0,
+                sessionVolume: scanned.sessionVolume.clone(),
+                lastUpdate: scanned.lastUpdate
+            });
+            return;
+        }
+
+        try {
+            // Trades before the fetch are already in today's daily bar
+            const fetchedAt = Date.now();
+            const replayDay = this.polygonBridge.replayDay;
+            const bars = await this.polygonBridge.fetchBars({
+                symbol,
+                timeframe: '1day',
+                limit: 5,
+                // A replay needs the sessions before its day, not before today
+                ...(replayDay ? {
+                    startDate: this.polygonBridge.indicatorEngine.startDateFor('1day', 6, replayDay),
+                    endDate: replayDay
+                } : {})
+            });
+            const today = this.currentDay();
+            const completed = bars.filter(bar => String(bar.timestamp).slice(0, 10) < today);
+            const current = replayDay ? null : bars.find(bar => String(bar.timestamp).slice(0, 10) === today);
+
+            if (completed.length > 0) {
+                quote.priorClose = completed[completed.length - 1].close;
+                quote.price = quote.priorClose;
+            }
+
+            if (current) {
+                quote.price = current.close;
+                quote.high = current.high;
+                quote.low = current.low;
+                quote.volume = quote.sessionVolume.seed(current.volume, fetchedAt);
+                quote.lastUpdate = Date.now();
+            }
+        } catch (error) {
+            logger.error(`Failed to seed ${symbol}:`, error);
+        }
+    }
+
+    handleMarketData({ subscriptionId, data }) {
+        if (subscriptionId !== this.subscriptionId) return;
+
+        const items = Array.isArray(data) ? data : [data];
+        for (const item of items) {
+            this.applyMarketData(item);
+        }
+    }
+
+    /**
+     * A replay plays another session: reseed every quote from the history
+     * before the replayed day, and from the server again once the live
+     * stream is back (the scanner is reseeding too, so don't copy it)
+     */
+    handleReplayChange() {
+        this.subscriptionQueue = this.subscriptionQueue.then(async () => {
+            if (!this.running) return;
+
+            this.dirty.clear();
+            await Promise.all(this.symbols.map(symbol => this.seedSymbol(symbol, false)));
+
+            this.publish('update', this.getRows());
+        });
+        return this.subscriptionQueue;
+    }
+
+    /**
+     * Apply a trade, quote or aggregate to a symbol's quote
+     * Volume goes through SessionVolume, which counts a minute once however
+     * many of trades, A and AM aggregates the stream carries for it
+     */
+    applyMarketData(item) {
+        const quote = item && this.quotes.get(item.symbol);
+        if (!quote) return;
+
+        switch (item.event_type) {
+            case 'trade':
+                this.updatePrice(quote, item.price);
+                quote.volume = quote.sessionVolume.addTrade(item.timestamp, item.size);
+                break;
+
+            case 'quote':
+                quote.bid = item.bid_price ?? quote.bid;
+                quote.ask = item.ask_price ?? quote.ask;
+                break;
+
+            case 'aggregate':
+                this.updatePrice(quote, item.close);
+                quote.high = Math.max(quote.high ?? item.high, item.high);
+                quote.low = Math.min(quote.low ?? item.low, item.low);
+                quote.volume = quote.sessionVolume.addAggregate(item.timestamp, item.volume);
+                break;
+
+            default:
+                return;
+        }
+
+        quote.lastUpdate = item.timestamp || Date.now();
+        this.dirty.add(quote.symbol);
+    }
+
+    updatePrice(quote, price) {
+        if (typeof price !== 'number' || !Number.isFinite(price)) return;
+
+        quote.price = price;
+        quote.high = Math.max(quote.high ?? price, price);
+        quote.low = Math.min(quote.low ?? price, price);
+    }
+
+    buildRow(quote) {
+        const change = quote.price !== null && quote.priorClose !== null
+            ? quote.price - quote.priorClose
+            : null;
+
+        return {
+            symbol: quote.symbol,
+            price: quote.price,
+            change,
+            changePercent: change !== null && quote.priorClose ? (change / quote.priorClose) * 100 : null,
+            bid: quote.bid,
+            ask: quote.ask,
+            high: quote.high,
+            low: quote.low,
+            volume: quote.volume,
+            timestamp: quote.lastUpdate ? new Date(quote.lastUpdate) : null
+        };
+    }
+
+    /**
+     * Publish rows changed since the last flush
+     */
+    flush() {
+        if (this.dirty.size === 0) return;
+
+        const rows = [];
+        for (const symbol of this.dirty) {
+            const quote = this.quotes.get(symbol);
+            if (quote) rows.push(this.buildRow(quote));
+        }
+        this.dirty.clear();
+
+        this.publish('update', rows);
+    }
+
+    /**
+     * Send rows to the renderer on the data:update channel
+     */
+    publish(type, rows) {
+        if (!this.windowManager || rows.length === 0) return;
+
+        this.windowManager.broadcast('data:update', {
+            type,
+            table: 'watchlist',
+            data: rows
+        });
+    }
+
+    getRows() {
+        return this.symbols
+            .map(symbol => this.quotes.get(symbol))
+            .filter(Boolean)
+            .map(quote => this.buildRow(quote));
+    }
+
+    // ===== Helpers =====
+
+    /**
+     * Trading day the stream is playing: a replay's day, else today
+     */
+    currentDay() {
+        return this.polygonBridge.replayDay || this.marketCalendar.tradingDay(Date.now());
+    }
+
+    /**
+     * Set up IPC handlers
+     */
+    setupIPC() {
+        if (!this.ipcHandler) return;
+
+        // Wrap list operations so validation errors come back as { success: false }
+        const handle = (channel, operation) => {
+            this.ipcHandler.registerHandler(channel, async (event, params = {}) => {
+                try {
+                    return { success: true, ...(await operation(params)) };
+                } catch (error) {
+                    logger.warn(`${channel} failed:`, error.message);
+                    return { success: false, error: error.message };
+                }
+            });
+        };
+
+        handle('watchlists:list', async () => ({ lists: this.getLists() }));
+
+        handle('watchlists:get-snapshot', async () => ({ rows: this.getRows() }));
+
+        handle('watchlists:create', async ({ name, symbols }) => this.createList(name, symbols));
+
+        handle('watchlists:rename', async ({ name, newName }) => ({ list: await this.renameList(name, newName) }));
+
+        handle('watchlists:delete', async ({ name }) => {
+            await this.deleteList(name);
+            return {};
+        });
+
+        handle('watchlists:add-symbols', async ({ name, symbols }) => this.addSymbols(name, symbols));
+
+        handle('watchlists:remove-symbols', async ({ name, symbols }) => ({ list: await this.removeSymbols(name, symbols) }));
+
+        handle('watchlists:import', async ({ filePath, name }) => this.importFile(filePath, name));
+
+        handle('watchlists:export', async ({ filePath, name }) => this.exportFile(filePath, name));
+    }
+
+    /**
+     * Get watchlist manager status
+     */
+    getStatus() {
+        return {
+            running: this.running,
+            lists: Object.keys(this.lists).length,
+            symbols: this.symbols.length,
+            subscribed: !!this.subscriptionId
+        };
+    }
+}
+
+module.exports = WatchlistManager;
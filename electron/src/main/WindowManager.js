@@ -6,6 +6,16 @@ const { BrowserWindow, screen, ipcMain } = require('electron');
 const path = require('path');
 const EventEmitter = require('events');
 
+// Window type settings from config/window.config.js passed to BrowserWindow
+const TYPE_WINDOW_OPTIONS = ['width', 'height', 'minWidth', 'minHeight', 'alwaysOnTop',
+    'resizable', 'minimizable', 'maximizable'];
+
+// Offset between cascaded windows
+const CASCADE_STEP = 30;
+
+// Pixels of a window that must stay visible for it to count as on screen
+const MIN_VISIBLE = 100;
+
 class WindowManager extends EventEmitter {
     constructor(options = {}) {
         super();
@@ -19,6 +29,13 @@ class WindowManager extends EventEmitter {
         this.windows = new Map();        // Map of windowId -> BrowserWindow instance
         this.windowTypes = new Map();    // Map of windowId -> window type
         this.windowGroups = new Map();   // Map of groupId -> Set of windowIds
+        this.windowScaleFactors = new Map(); // Map of windowId -> scale factor of its display
+        this.windowViews = new Map();    // Map of windowId -> { view, sourceId } for single-view windows
+        this.pendingViewStates = new Map(); // Map of handoffId -> view state for a window being opened
+        this.nextHandoffId = 1;
+        
+        // Symbol link channels (windows on the same colour follow each other's symbol)
+        this.linkColors = ['red', 'green', 'blue', 'yellow', 'purple'];
         
         // Window ID counter (ensures unique IDs)
         this.nextWindowId = 1;
@@ -43,9 +60,17 @@ class WindowManager extends EventEmitter {
             }
         };
         
+        // Bind methods
+        this.handleDisplayRemoved = this.handleDisplayRemoved.bind(this);
+        this.handleDisplayMetricsChanged = this.handleDisplayMetricsChanged.bind(this);
+        
         // Set up IPC handlers for window management
         this.setupIPC();
         
+        // Move windows back on screen when monitors are unplugged or rearranged
+        screen.on('display-removed', this.handleDisplayRemoved);
+        screen.on('display-metrics-changed', this.handleDisplayMetricsChanged);
+        
         console.log('[WindowManager] Initialized');
     }
     
@@ -53,30 +78,41 @@ class WindowManager extends EventEmitter {
      * Creates a new window of the specified type
      * @param {string} windowType - Type of window (main, scanner, positions, etc.)
      * @param {Object} customOptions - Custom options to override defaults
+     * @param {Object} [restore] - Workspace restore and detach options
+     *   ({ windowState, query, view, sourceId })
+     * @param {Object} [restore.windowState] - State to start from instead of the saved state
+     * @param {Object} [restore.query] - Query parameters for the page
      * @returns {Promise<BrowserWindow>} The created window
      */
-    async createWindow(windowType = 'main', customOptions = {}) {
+    async createWindow(windowType = 'main', customOptions = {}, restore = {}) {
         console.log(`[WindowManager] Creating window: ${windowType}`);
         
         try {
             // Get window-type specific configuration
-            const typeConfig = this.windowConfig[windowType] || {};
+            const typeConfig = this.getTypeConfig(windowType);
             
             // Generate unique window ID
             const windowId = `${windowType}-${this.nextWindowId++}`;
             
+            // A restored window keeps its workspace state as its saved state
+            if (restore.windowState && this.stateManager) {
+                this.stateManager.set(`windowStates.${windowId}`, restore.windowState);
+            }
+            
             // Merge options: defaults -> type config -> custom options -> saved state
-            const savedState = this.loadWindowState(windowId);
+            // (the link colour and display are app state, not BrowserWindow options)
+            const { linkColor, display, ...savedState } = restore.windowState || this.loadWindowState(windowId);
             const windowOptions = {
                 ...this.defaultOptions,
                 ...typeConfig.options,
+                ...this.getTypeWindowOptions(typeConfig),
                 ...customOptions,
                 ...savedState,
                 title: customOptions.title || typeConfig.title || 'Alpha V1 Trading'
             };
             
-            // Ensure window appears on screen (handles multi-monitor setups)
-            this.ensureWindowOnScreen(windowOptions);
+            // Ensure window appears on screen, on the monitor it was saved on
+            this.ensureWindowOnScreen(windowOptions, display);
             
             // Create the browser window
             const window = new BrowserWindow(windowOptions);
@@ -84,6 +120,13 @@ class WindowManager extends EventEmitter {
             // Store window references
             this.windows.set(windowId, window);
             this.windowTypes.set(windowId, windowType);
+            this.windowScaleFactors.set(windowId, screen.getDisplayMatching(window.getBounds()).scaleFactor);
+            
+            // Windows of a single-view type (or a torn-out tab) host just that view
+            const view = restore.view || typeConfig.view || null;
+            if (view) {
+                this.windowViews.set(windowId, { view, sourceId: restore.sourceId || null });
+            }
             
             // Add to window group if specified
             if (typeConfig.group) {
@@ -94,7 +137,8 @@ class WindowManager extends EventEmitter {
             this.setupWindowEvents(window, windowId);
             
             // Load the appropriate content
-            await this.loadWindowContent(window, windowType, typeConfig);
+            await this.loadWindowContent(window, windowType, typeConfig,
+                view ? { ...restore.query, view } : restore.query);
             
             // Show window when ready (prevents visual flash)
             window.once('ready-to-show', () => {
@@ -132,23 +176,49 @@ class WindowManager extends EventEmitter {
         }
     }
     
+    /**
+     * Gets the configuration of a window type
+     * @param {string} windowType - Type of window
+     * @returns {Object} Entry from the config's windows section (empty if unknown)
+     */
+    getTypeConfig(windowType) {
+        return this.windowConfig.windows?.[windowType] || this.windowConfig[windowType] || {};
+    }
+    
+    /**
+     * Picks the BrowserWindow options (size limits, always-on-top, ...) from a type config
+     * @param {Object} typeConfig - Window type configuration
+     * @returns {Object} BrowserWindow options
+     */
+    getTypeWindowOptions(typeConfig) {
+        const options = {};
+        for (const key of TYPE_WINDOW_OPTIONS) {
+            if (typeConfig[key] !== undefined) {
+                options[key] = typeConfig[key];
+            }
+        }
+        return options;
+    }
+    
     /**
      * Loads content into the window based on type
      * @param {BrowserWindow} window - The window to load content into
      * @param {string} windowType - Type of window
      * @param {Object} typeConfig - Window type configuration
+     * @param {Object} [query] - Query parameters for the page
      */
-    async loadWindowContent(window, windowType, typeConfig) {
+    async loadWindowContent(window, windowType, typeConfig, query) {
         // Determine the HTML file to load
         const htmlFile = typeConfig.html || 'index.html';
         const htmlPath = path.join(__dirname, '../renderer', htmlFile);
         
         // Load the HTML file
-        await window.loadFile(htmlPath);
+        await window.loadFile(htmlPath, query ? { query } : undefined);
         
         // Send initial configuration to renderer
         window.webContents.send('window:config', {
             windowType,
+            view: query?.view || null,
             config: typeConfig.renderer || {},
             isDevelopment: this.isDevelopment
         });
@@ -182,8 +252,16 @@ class WindowManager extends EventEmitter {
             // Clean up references
             this.windows.delete(windowId);
             this.windowTypes.delete(windowId);
+            this.windowScaleFactors.delete(windowId);
             this.removeFromAllGroups(windowId);
             
+            // A torn-out tab closed without docking goes back to its window
+            const hosted = this.windowViews.get(windowId);
+            this.windowViews.delete(windowId);
+            if (hosted && !hosted.docked) {
+                this.returnView(hosted, null, hosted.sourceId);
+            }
+            
             // Emit window closed event
             this.emit('window-closed', { windowId });
         });
@@ -194,6 +272,7 @@ class WindowManager extends EventEmitter {
         }, 1000);
         
         // Track window move/resize
+        window.on('moved', () => this.handleWindowMoved(windowId));
         window.on('moved', saveStateDebounced);
         window.on('resized', saveStateDebounced);
         window.on('maximize', saveStateDebounced);
@@ -261,6 +340,126 @@ class WindowManager extends EventEmitter {
         return this.windows.size;
     }
     
+    /**
+     * Sends a message to every open window
+     * @param {string} channel - IPC channel name
+     * @param {*} data - Payload to send
+     */
+    broadcast(channel, data) {
+        for (const window of this.windows.values()) {
+            if (!window.isDestroyed()) {
+                window.webContents.send(channel, data);
+            }
+        }
+    }
+
+    /**
+     * Gets the view a window hosts
+     * @param {string} windowId - Window identifier
+     * @returns {string|null} Tab ID, or null for a window with every tab
+     */
+    getWindowView(windowId) {
+        return this.windowViews.get(windowId)?.view || null;
+    }
+    
+    /**
+     * Tears a tab out of a window into its own window. The window type whose
+     * config hosts that view is used if there is one, otherwise a plain view window.
+     * @param {string} sourceId - Window the tab comes from (it gets the tab back on dock)
+     * @param {Object} options
+     * @param {string} options.view - Tab ID
+     * @param {Object} [options.state] - View state to hand over (grids, chart, watchlist)
+     * @param {number} [options.x] - Screen position to open at (where the tab was dropped)
+     * @param {number} [options.y]
+     * @returns {Promise<string>} Window ID of the new window
+     */
+    async detachView(sourceId, { view, state, x, y }) {
+        if (!view) {
+            throw new Error('No view to detach');
+        }
+        
+        const [windowType] = Object.entries(this.windowConfig.windows || {})
+            .find(([, config]) => config.view === view) || ['view'];
+        const typeConfig = this.getTypeConfig(windowType);
+        
+        const handoffId = `handoff-${this.nextHandoffId++}`;
+        if (state) {
+            this.pendingViewStates.set(handoffId, state);
+        }
+        
+        // Open under the pointer, as if the tab were the title bar
+        const windowState = x !== undefined && y !== undefined ? {
+            x: Math.round(x) - 60,
+            y: Math.round(y) - 15,
+            width: typeConfig.width || this.defaultOptions.width,
+            height: typeConfig.height || this.defaultOptions.height,
+            isMaximized: false,
+            isFullScreen: false
+        } : undefined;
+        
+        try {
+            const window = await this.createWindow(windowType, {}, {
+                windowState,
+                view,
+                sourceId,
+                query: { handoff: handoffId }
+            });
+            
+            console.log(`[WindowManager] Detached ${view} from ${sourceId}`);
+            return this.getWindowId(window);
+        } catch (error) {
+            this.pendingViewStates.delete(handoffId);
+            throw error;
+        }
+    }
+    
+    /**
+     * Docks a torn-out tab into another window and closes its window
+     * @param {string} windowId - Window hosting the tab
+     * @param {Object} [state] - View state to hand over
+     * @param {string} [targetId] - Window to dock into (default: the window the tab came from)
+     * @returns {string} Window ID the tab was docked into
+     */
+    dockView(windowId, state, targetId) {
+        const hosted = this.windowViews.get(windowId);
+        if (!hosted) {
+            throw new Error(`Window ${windowId} does not host a single view`);
+        }
+        
+        // Back to its own window, or the first window with every tab
+        const target = targetId && targetId !== windowId ? targetId : [hosted.sourceId,
+            ...Array.from(this.windows.keys())].find(id => this.windows.has(id) && !this.windowViews.has(id));
+        if (!target || this.windowViews.has(target)) {
+            throw new Error('No window to dock into');
+        }
+        
+        hosted.docked = true;
+        this.returnView(hosted, state || null, target);
+        this.closeWindow(windowId);
+        
+        console.log(`[WindowManager] Docked ${hosted.view} from ${windowId} into ${target}`);
+        return target;
+    }
+    
+    /**
+     * Tells windows that a torn-out tab is back. The source window shows its
+     * tab again even when the tab was docked somewhere else.
+     * @param {Object} hosted - { view, sourceId }
+     * @param {Object|null} state - View state for the target window
+     * @param {string|null} targetId - Window that takes the tab
+     */
+    returnView({ view, sourceId }, state, targetId) {
+        for (const windowId of new Set([targetId, sourceId])) {
+            const window = this.windows.get(windowId);
+            if (window && !window.isDestroyed()) {
+                window.webContents.send('view:docked', {
+                    view,
+                    state: windowId === targetId ? state : null
+                });
+            }
+        }
+    }
+    
     /**
      * Closes a window by ID
      * @param {string} windowId - Window identifier
@@ -356,14 +555,28 @@ class WindowManager extends EventEmitter {
         const window = this.windows.get(windowId);
         if (!window || window.isDestroyed()) return;
         
-        const bounds = window.getBounds();
+        // Maximized and full-screen windows restore to their normal bounds
+        const bounds = window.isMaximized() || window.isFullScreen()
+            ? window.getNormalBounds()
+            : window.getBounds();
+        const display = screen.getDisplayMatching(bounds);
+        
         const state = {
             x: bounds.x,
             y: bounds.y,
             width: bounds.width,
             height: bounds.height,
+            // Monitor the window is on and its position on that monitor
+            display: {
+                id: display.id,
+                bounds: display.bounds,
+                scaleFactor: display.scaleFactor,
+                x: bounds.x - display.bounds.x,
+                y: bounds.y - display.bounds.y
+            },
             isMaximized: window.isMaximized(),
-            isFullScreen: window.isFullScreen()
+            isFullScreen: window.isFullScreen(),
+            linkColor: this.getLinkColor(windowId)
         };
         
         // Save to state manager
@@ -383,6 +596,40 @@ class WindowManager extends EventEmitter {
         return this.stateManager.get(`windowStates.${windowId}`, {});
     }
     
+    /**
+     * Gets the symbol link colour of a window
+     * @param {string} windowId - Window identifier
+     * @returns {string|null} Link colour or null when unlinked
+     */
+    getLinkColor(windowId) {
+        return this.loadWindowState(windowId).linkColor || null;
+    }
+    
+    /**
+     * Sets the symbol link colour of a window (persisted with its window state)
+     * @param {string} windowId - Window identifier
+     * @param {string|null} color - One of linkColors, or null to unlink
+     */
+    setLinkColor(windowId, color) {
+        if (color !== null && !this.linkColors.includes(color)) {
+            throw new Error(`Invalid link color: ${color}`);
+        }
+        
+        if (this.stateManager) {
+            this.stateManager.set(`windowStates.${windowId}.linkColor`, color);
+        }
+    }
+    
+    /**
+     * Gets the IDs of open windows on a link colour
+     * @param {string} color - Link colour
+     * @returns {Array<string>} Window IDs
+     */
+    getLinkedWindows(color) {
+        return Array.from(this.windows.keys())
+            .filter(windowId => this.getLinkColor(windowId) === color);
+    }
+    
     /**
      * Saves all window states
      */
@@ -393,74 +640,490 @@ class WindowManager extends EventEmitter {
     }
     
     /**
-     * Ensures window appears on screen (handles multi-monitor)
-     * @param {Object} windowOptions - Window options object
+     * Lists built-in and saved layouts
+     * @returns {Array<Object>} { id, name, builtIn } (built-in presets first)
      */
-    ensureWindowOnScreen(windowOptions) {
-        const displays = screen.getAllDisplays();
-        const primaryDisplay = screen.getPrimaryDisplay();
+    getLayouts() {
+        const presets = Object.entries(this.windowConfig.layouts || {})
+            .map(([id, layout]) => ({ id, name: layout.name || id, builtIn: true }));
+        const saved = Object.keys(this.getSavedLayouts())
+            .map(name => ({ id: name, name, builtIn: false }));
         
-        console.log('[WindowManager] Ensuring window on screen:', {
-            passedOptions: {
-                x: windowOptions.x,
-                y: windowOptions.y,
-                width: windowOptions.width,
-                height: windowOptions.height
-            },
-            displays: displays.length,
-            primaryDisplay: primaryDisplay.bounds
-        });
+        return [...presets, ...saved];
+    }
+    
+    /**
+     * Gets user layouts from persistent storage
+     * @returns {Object} Map of name -> { windows, createdAt }
+     */
+    getSavedLayouts() {
+        return this.stateManager?.get('layouts', {}) || {};
+    }
+    
+    /**
+     * Snapshots the open windows (type, bounds and display) as a named layout
+     * @param {string} name - Layout name
+     * @returns {Object} Saved layout
+     */
+    saveLayout(name) {
+        const layoutName = typeof name === 'string' ? name.trim() : '';
+        if (!layoutName || layoutName.length > 50) {
+            throw new Error('Layout name must be 1-50 characters');
+        }
+        if (this.getLayouts().some(layout => layout.builtIn &&
+            (layout.id === layoutName || layout.name === layoutName))) {
+            throw new Error(`"${layoutName}" is a built-in layout`);
+        }
+        
+        const windows = [];
+        for (const [windowId, window] of this.windows) {
+            if (window.isDestroyed()) continue;
+            
+            const bounds = window.isMaximized() || window.isFullScreen()
+                ? window.getNormalBounds()
+                : window.getBounds();
+            const display = screen.getDisplayMatching(bounds);
+            
+            windows.push({
+                type: this.windowTypes.get(windowId),
+                bounds,
+                display: { id: display.id, bounds: display.bounds },
+                isMaximized: window.isMaximized()
+            });
+        }
+        
+        const layout = { windows, createdAt: Date.now() };
+        this.stateManager?.set('layouts', { ...this.getSavedLayouts(), [layoutName]: layout });
         
-        // Validate dimensions first
-        const maxWidth = primaryDisplay.workAreaSize.width;
-        const maxHeight = primaryDisplay.workAreaSize.height;
+        console.log(`[WindowManager] Saved layout "${layoutName}" with ${windows.length} windows`);
+        this.emit('layouts-changed', this.getLayouts());
         
-        // Ensure reasonable dimensions
-        if (windowOptions.width > maxWidth || windowOptions.width < 100) {
-            console.log(`[WindowManager] Adjusting width from ${windowOptions.width} to 1600`);
-            windowOptions.width = Math.min(1600, maxWidth);
+        return { name: layoutName, ...layout };
+    }
+    
+    /**
+     * Deletes a user layout
+     * @param {string} name - Layout name
+     */
+    deleteLayout(name) {
+        const layouts = { ...this.getSavedLayouts() };
+        if (!layouts[name]) {
+            throw new Error(`Layout not found: ${name}`);
+        }
+        
+        delete layouts[name];
+        this.stateManager?.set('layouts', layouts);
+        
+        this.emit('layouts-changed', this.getLayouts());
+    }
+    
+    /**
+     * Resolves a layout to the windows it needs, in absolute screen coordinates
+     * @param {string} id - Built-in layout ID or user layout name
+     * @returns {Array<Object>} { type, bounds, isMaximized }
+     */
+    resolveLayout(id) {
+        const saved = this.getSavedLayouts()[id];
+        if (saved) {
+            return (saved.windows || []).map(entry => ({
+                type: entry.type,
+                bounds: this.placeOnDisplay(entry.bounds, entry.display),
+                isMaximized: !!entry.isMaximized
+            }));
         }
-        if (windowOptions.height > maxHeight || windowOptions.height < 100) {
-            console.log(`[WindowManager] Adjusting height from ${windowOptions.height} to 900`);
-            windowOptions.height = Math.min(900, maxHeight);
+        
+        const preset = this.windowConfig.layouts?.[id];
+        if (!preset) {
+            throw new Error(`Unknown layout: ${id}`);
         }
         
-        // Check if saved position is still valid
-        if (windowOptions.x !== undefined && windowOptions.y !== undefined) {
-            const windowBounds = {
-                x: windowOptions.x,
-                y: windowOptions.y,
-                width: windowOptions.width,
-                height: windowOptions.height
+        const displays = this.getOrderedDisplays();
+        return preset.windows.map(entry => {
+            const { workArea } = displays[entry.display || 0] || displays[0];
+            const [x, y, width, height] = entry.area;
+            
+            return {
+                type: entry.type,
+                bounds: {
+                    x: workArea.x + Math.round(x * workArea.width),
+                    y: workArea.y + Math.round(y * workArea.height),
+                    width: Math.round(width * workArea.width),
+                    height: Math.round(height * workArea.height)
+                },
+                isMaximized: false
             };
+        });
+    }
+    
+    /**
+     * Applies a layout: moves matching windows, opens missing ones and closes the rest
+     * @param {string} id - Built-in layout ID or user layout name
+     * @returns {Promise<Object>} { moved, created, closed }
+     */
+    async applyLayout(id) {
+        const targets = this.resolveLayout(id);
+
+        // Windows the layout has no place for are closed, so an empty layout would quit the app
+        if (targets.length === 0) {
+            throw new Error(`Layout has no windows: ${id}`);
+        }
+
+        // Reuse open windows of the same type in the order they were opened
+        const available = Array.from(this.windows.entries())
+            .filter(([, window]) => !window.isDestroyed());
+        const result = { moved: 0, created: 0, closed: 0 };
+        
+        for (const target of targets) {
+            const index = available.findIndex(([windowId]) => this.windowTypes.get(windowId) === target.type);
             
-            // Check if window is on any display
-            let isOnScreen = false;
-            for (const display of displays) {
-                const bounds = display.bounds;
-                // Check if at least 100x100 pixels of the window are visible
-                const visibleLeft = Math.max(windowBounds.x, bounds.x);
-                const visibleTop = Math.max(windowBounds.y, bounds.y);
-                const visibleRight = Math.min(windowBounds.x + windowBounds.width, bounds.x + bounds.width);
-                const visibleBottom = Math.min(windowBounds.y + windowBounds.height, bounds.y + bounds.height);
-                
-                if (visibleRight - visibleLeft >= 100 && visibleBottom - visibleTop >= 100) {
-                    isOnScreen = true;
+            if (index === -1) {
+                await this.createWindow(target.type, { focus: false }, {
+                    windowState: { ...target.bounds, isMaximized: target.isMaximized, isFullScreen: false }
+                });
+                result.created++;
+                continue;
+            }
+            
+            const [, window] = available.splice(index, 1)[0];
+            if (window.isFullScreen()) window.setFullScreen(false);
+            if (window.isMaximized()) window.unmaximize();
+            
+            window.setBounds(target.bounds);
+            if (target.isMaximized) window.maximize();
+            result.moved++;
+        }
+        
+        // Windows the layout has no place for
+        for (const [, window] of available) {
+            window.close();
+            result.closed++;
+        }
+        
+        console.log(`[WindowManager] Applied layout "${id}":`, result);
+        this.emit('layout-applied', { id, ...result });
+        
+        return result;
+    }
+    
+    /**
+     * Arranges the open windows (always-on-top and minimized windows keep their place)
+     * @param {string} arrangement - cascade, tileHorizontal, tileVertical or grid
+     * @param {Object} [options]
+     * @param {boolean} [options.allDisplays] - Spread windows over every display
+     *   instead of the display under the cursor
+     * @returns {number} Number of windows arranged
+     */
+    arrangeWindows(arrangement, { allDisplays = false } = {}) {
+        const windows = Array.from(this.windows.values()).filter(window =>
+            !window.isDestroyed() && !window.isAlwaysOnTop() && !window.isMinimized());
+        if (windows.length === 0) return 0;
+        
+        const areas = allDisplays
+            ? this.getOrderedDisplays().map(display => display.workArea)
+            : [screen.getDisplayNearestPoint(screen.getCursorScreenPoint()).workArea];
+        
+        // Split windows evenly between the displays, in display order
+        const perArea = Math.ceil(windows.length / areas.length);
+        areas.forEach((area, index) => {
+            const group = windows.slice(index * perArea, (index + 1) * perArea);
+            if (group.length === 0) return;
+            
+            // Arranged windows leave maximized and full-screen mode
+            group.forEach(window => {
+                if (window.isFullScreen()) window.setFullScreen(false);
+                if (window.isMaximized()) window.unmaximize();
+            });
+            
+            switch (arrangement) {
+                case 'cascade':
+                    this.cascade(group, area);
+                    break;
+                case 'tileHorizontal':
+                    this.tile(group, area, 1, group.length);
+                    break;
+                case 'tileVertical':
+                    this.tile(group, area, group.length, 1);
+                    break;
+                case 'grid': {
+                    // Grid is for four or more windows; fewer are tiled side by side
+                    const columns = group.length >= 4 ? Math.ceil(Math.sqrt(group.length)) : group.length;
+                    this.tile(group, area, columns, Math.ceil(group.length / columns));
                     break;
                 }
+                default:
+                    throw new Error(`Unknown arrangement: ${arrangement}`);
             }
+        });
+        
+        console.log(`[WindowManager] Arranged ${windows.length} windows: ${arrangement}`);
+        return windows.length;
+    }
+    
+    /**
+     * Cascades windows from the top-left of an area at their configured size
+     * @param {Array<BrowserWindow>} windows - Windows to place
+     * @param {Object} area - Work area { x, y, width, height }
+     */
+    cascade(windows, area) {
+        windows.forEach((window, index) => {
+            const windowId = this.getWindowId(window);
+            const typeConfig = this.getTypeConfig(this.windowTypes.get(windowId));
+            const [minWidth, minHeight] = window.getMinimumSize();
             
-            // If not on screen, center on primary display
-            if (!isOnScreen) {
-                console.log('[WindowManager] Window position off-screen, centering');
-                delete windowOptions.x;
-                delete windowOptions.y;
-                windowOptions.center = true;
-            }
-        } else {
-            // No saved position, center on primary display
-            console.log('[WindowManager] No saved position, centering window');
+            // Start over at the top-left once the stack would leave the area
+            const slots = Math.max(1, Math.floor(Math.min(area.width - minWidth, area.height - minHeight) / CASCADE_STEP) + 1);
+            const offset = (index % slots) * CASCADE_STEP;
+            
+            const width = Math.max(minWidth, Math.min(typeConfig.width || this.defaultOptions.width, area.width - offset));
+            const height = Math.max(minHeight, Math.min(typeConfig.height || this.defaultOptions.height, area.height - offset));
+            
+            window.setBounds({ x: area.x + offset, y: area.y + offset, width, height });
+            window.focus();
+        });
+    }
+    
+    /**
+     * Tiles windows in a grid of cells, wrapping into more columns (or rows)
+     * when the cells would be smaller than a window's minimum size
+     * @param {Array<BrowserWindow>} windows - Windows to place
+     * @param {Object} area - Work area { x, y, width, height }
+     * @param {number} columns - Requested columns
+     * @param {number} rows - Requested rows
+     */
+    tile(windows, area, columns, rows) {
+        const minWidth = Math.max(...windows.map(window => window.getMinimumSize()[0]));
+        const minHeight = Math.max(...windows.map(window => window.getMinimumSize()[1]));
+        
+        // Fit as many cells as the minimum sizes allow; the rest wrap
+        const maxColumns = Math.max(1, Math.floor(area.width / minWidth) || 1);
+        const maxRows = Math.max(1, Math.floor(area.height / minHeight) || 1);
+        if (columns > maxColumns) {
+            columns = maxColumns;
+            rows = Math.ceil(windows.length / columns);
+        }
+        if (rows > maxRows) {
+            rows = maxRows;
+            columns = Math.min(maxColumns, Math.ceil(windows.length / rows));
+        }
+        
+        const cellWidth = Math.floor(area.width / columns);
+        const cellHeight = Math.floor(area.height / rows);
+        const cells = columns * rows;
+        
+        windows.forEach((window, index) => {
+            const [windowMinWidth, windowMinHeight] = window.getMinimumSize();
+            const cell = index % cells;
+            const column = cell % columns;
+            const row = Math.floor(cell / columns);
+            
+            // Windows beyond the last cell are stacked over the grid, slightly offset
+            const layer = Math.floor(index / cells) * CASCADE_STEP;
+            const width = Math.max(windowMinWidth, cellWidth);
+            const height = Math.max(windowMinHeight, cellHeight);
+            
+            window.setBounds({
+                x: Math.min(area.x + column * cellWidth + layer, area.x + area.width - width),
+                y: Math.min(area.y + row * cellHeight + layer, area.y + area.height - height),
+                width,
+                height
+            });
+        });
+    }
+    
+    /**
+     * Gets displays in layout order: primary first, then left to right
+     * @returns {Array<Display>}
+     */
+    getOrderedDisplays() {
+        const primary = screen.getPrimaryDisplay();
+        const others = screen.getAllDisplays()
+            .filter(display => display.id !== primary.id)
+            .sort((a, b) => a.bounds.x - b.bounds.x || a.bounds.y - b.bounds.y);
+        
+        return [primary, ...others];
+    }
+    
+    /**
+     * Ensures window appears on screen (handles multi-monitor)
+     * @param {Object} windowOptions - Window options object
+     * @param {Object} [savedDisplay] - Display the window was saved on ({ id, bounds, x, y })
+     */
+    ensureWindowOnScreen(windowOptions, savedDisplay) {
+        // No saved position, center on primary display
+        if (windowOptions.x === undefined || windowOptions.y === undefined) {
+            const { workArea } = screen.getPrimaryDisplay();
+            windowOptions.width = Math.min(windowOptions.width, workArea.width);
+            windowOptions.height = Math.min(windowOptions.height, workArea.height);
             windowOptions.center = true;
+            return;
+        }
+        
+        const bounds = this.placeOnDisplay({
+            x: windowOptions.x,
+            y: windowOptions.y,
+            width: windowOptions.width,
+            height: windowOptions.height
+        }, savedDisplay);
+        
+        if (bounds.x !== windowOptions.x || bounds.y !== windowOptions.y ||
+            bounds.width !== windowOptions.width || bounds.height !== windowOptions.height) {
+            console.log('[WindowManager] Moved saved window position on screen:', bounds);
+        }
+        
+        Object.assign(windowOptions, bounds);
+        delete windowOptions.center;
+    }
+    
+    /**
+     * Maps saved bounds onto the display they were saved on. The position is kept
+     * relative to that display, scaled when its size (resolution or DPI scaling)
+     * changed; if the display is gone the nearest remaining display is used.
+     * @param {Object} bounds - Saved bounds { x, y, width, height }
+     * @param {Object} [savedDisplay] - { id, bounds } at save time, optionally the
+     *   position on that display as { x, y }
+     * @returns {Object} Bounds inside the target display's work area
+     */
+    placeOnDisplay(bounds = {}, savedDisplay) {
+        if (bounds.x === undefined || bounds.y === undefined) {
+            return { ...bounds };
+        }
+        
+        if (!savedDisplay?.bounds) {
+            return this.fitToWorkArea(bounds, screen.getDisplayMatching(bounds).workArea);
+        }
+        
+        const display = screen.getAllDisplays().find(candidate => candidate.id === savedDisplay.id) ||
+            screen.getDisplayNearestPoint({ x: bounds.x, y: bounds.y });
+        
+        const offsetX = savedDisplay.x ?? bounds.x - savedDisplay.bounds.x;
+        const offsetY = savedDisplay.y ?? bounds.y - savedDisplay.bounds.y;
+        
+        return this.fitToWorkArea({
+            x: display.bounds.x + Math.round(offsetX * display.bounds.width / savedDisplay.bounds.width),
+            y: display.bounds.y + Math.round(offsetY * display.bounds.height / savedDisplay.bounds.height),
+            width: bounds.width,
+            height: bounds.height
+        }, display.workArea);
+    }
+    
+    /**
+     * Shrinks and moves bounds so they lie inside a work area
+     * @param {Object} bounds - { x, y, width, height }
+     * @param {Object} workArea - Display work area
+     * @returns {Object} Fitted bounds
+     */
+    fitToWorkArea(bounds, workArea) {
+        const width = Math.min(bounds.width || workArea.width, workArea.width);
+        const height = Math.min(bounds.height || workArea.height, workArea.height);
+        
+        return {
+            x: Math.min(Math.max(bounds.x, workArea.x), workArea.x + workArea.width - width),
+            y: Math.min(Math.max(bounds.y, workArea.y), workArea.y + workArea.height - height),
+            width,
+            height
+        };
+    }
+    
+    /**
+     * Checks whether enough of a window is visible on any display
+     * @param {Object} bounds - Window bounds
+     * @returns {boolean}
+     */
+    isOnScreen(bounds) {
+        return screen.getAllDisplays().some(({ bounds: area }) => {
+            const visibleWidth = Math.min(bounds.x + bounds.width, area.x + area.width) - Math.max(bounds.x, area.x);
+            const visibleHeight = Math.min(bounds.y + bounds.height, area.y + area.height) - Math.max(bounds.y, area.y);
+            return visibleWidth >= MIN_VISIBLE && visibleHeight >= MIN_VISIBLE;
+        });
+    }
+    
+    /**
+     * Moves a window to new normal bounds, keeping it maximized if it was
+     * @param {string} windowId - Window identifier
+     * @param {Object} bounds - New bounds
+     */
+    relocateWindow(windowId, bounds) {
+        const window = this.windows.get(windowId);
+        const wasMaximized = window.isMaximized();
+        
+        if (wasMaximized) window.unmaximize();
+        window.setBounds(bounds);
+        if (wasMaximized) window.maximize();
+        
+        this.windowScaleFactors.set(windowId, screen.getDisplayMatching(bounds).scaleFactor);
+        this.saveWindowState(windowId);
+    }
+    
+    /**
+     * Moves windows left on an unplugged monitor to the nearest remaining one,
+     * at the same relative position
+     * @param {Event} event - Screen event
+     * @param {Display} oldDisplay - Removed display
+     */
+    handleDisplayRemoved(event, oldDisplay) {
+        console.log(`[WindowManager] Display removed: ${oldDisplay.id}`);
+        
+        for (const [windowId, window] of this.windows) {
+            if (window.isDestroyed() || window.isFullScreen()) continue;
+            
+            const bounds = window.isMaximized() ? window.getNormalBounds() : window.getBounds();
+            if (this.isOnScreen(bounds)) continue;
+            
+            const target = this.placeOnDisplay(bounds, { id: oldDisplay.id, bounds: oldDisplay.bounds });
+            console.log(`[WindowManager] Moving ${windowId} off removed display:`, target);
+            this.relocateWindow(windowId, target);
+        }
+    }
+    
+    /**
+     * Keeps windows inside a display whose resolution, work area or scaling changed
+     * @param {Event} event - Screen event
+     * @param {Display} display - Changed display
+     * @param {Array<string>} changedMetrics - bounds, workArea, scaleFactor and/or rotation
+     */
+    handleDisplayMetricsChanged(event, display, changedMetrics) {
+        console.log(`[WindowManager] Display ${display.id} changed: ${changedMetrics.join(', ')}`);
+        
+        for (const [windowId, window] of this.windows) {
+            if (window.isDestroyed() || window.isFullScreen()) continue;
+            
+            const bounds = window.isMaximized() ? window.getNormalBounds() : window.getBounds();
+            const onDisplay = screen.getDisplayMatching(bounds).id === display.id;
+            if (!onDisplay && this.isOnScreen(bounds)) continue;
+            
+            const target = onDisplay
+                ? this.fitToWorkArea(bounds, display.workArea)
+                : this.placeOnDisplay(bounds);
+            
+            if (target.x !== bounds.x || target.y !== bounds.y ||
+                target.width !== bounds.width || target.height !== bounds.height) {
+                this.relocateWindow(windowId, target);
+            } else {
+                this.windowScaleFactors.set(windowId, screen.getDisplayMatching(bounds).scaleFactor);
+            }
+        }
+    }
+    
+    /**
+     * Refits a window dragged onto a monitor with a different DPI scaling, whose
+     * size in screen coordinates no longer matches that monitor
+     * @param {string} windowId - Window identifier
+     */
+    handleWindowMoved(windowId) {
+        const window = this.windows.get(windowId);
+        if (!window || window.isDestroyed() || window.isMaximized() || window.isFullScreen()) return;
+        
+        const bounds = window.getBounds();
+        const display = screen.getDisplayMatching(bounds);
+        const previousScale = this.windowScaleFactors.get(windowId);
+        if (previousScale === display.scaleFactor) return;
+        
+        this.windowScaleFactors.set(windowId, display.scaleFactor);
+        console.log(`[WindowManager] ${windowId} moved to display ${display.id} (scale ${previousScale} -> ${display.scaleFactor})`);
+        
+        const target = this.fitToWorkArea(bounds, display.workArea);
+        if (target.width !== bounds.width || target.height !== bounds.height) {
+            window.setBounds(target);
         }
     }
     
@@ -499,6 +1162,63 @@ class WindowManager extends EventEmitter {
             };
         });
         
+        // Detachable tabs
+        ipcMain.handle('window:detach-view', async (event, options = {}) => {
+            try {
+                const sourceId = this.getWindowId(BrowserWindow.fromWebContents(event.sender));
+                return { success: true, windowId: await this.detachView(sourceId, options) };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+        
+        // From the tab's own window (dock back) or from a window it was dropped on
+        ipcMain.handle('window:dock-view', async (event, { windowId, state } = {}) => {
+            try {
+                const senderId = this.getWindowId(BrowserWindow.fromWebContents(event.sender));
+                return { success: true, windowId: this.dockView(windowId || senderId, state, senderId) };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+        
+        // A torn-out tab's window picks up the state it was detached with
+        ipcMain.handle('window:take-view-state', async (event, { handoffId } = {}) => {
+            const state = this.pendingViewStates.get(handoffId) || null;
+            this.pendingViewStates.delete(handoffId);
+            return { success: true, state };
+        });
+        
+        // Layouts (Trading > Layouts)
+        ipcMain.handle('layouts:list', async () => {
+            return { success: true, layouts: this.getLayouts() };
+        });
+        
+        ipcMain.handle('layouts:save', async (event, { name }) => {
+            try {
+                return { success: true, layout: this.saveLayout(name) };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+        
+        ipcMain.handle('layouts:apply', async (event, { name }) => {
+            try {
+                return { success: true, ...(await this.applyLayout(name)) };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+        
+        ipcMain.handle('layouts:delete', async (event, { name }) => {
+            try {
+                this.deleteLayout(name);
+                return { success: true };
+            } catch (error) {
+                return { success: false, error: error.message };
+            }
+        });
+        
         // Handle window group queries
         ipcMain.handle('window:get-group', async (event) => {
             const window = BrowserWindow.fromWebContents(event.sender);
@@ -534,6 +1254,14 @@ class WindowManager extends EventEmitter {
         return null;
     }
     
+    /**
+     * Removes display listeners
+     */
+    cleanup() {
+        screen.removeListener('display-removed', this.handleDisplayRemoved);
+        screen.removeListener('display-metrics-changed', this.handleDisplayMetricsChanged);
+    }
+    
     /**
      * Utility function to debounce frequent events
      * @param {Function} func - Function to debounce
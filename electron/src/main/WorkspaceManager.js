@@ -0,0 +1,391 @@
+// electron/src/main/WorkspaceManager.js
+/**
+ * WorkspaceManager - Saves and opens .alpha workspace files
+ *
+ * This module:
+ * - Captures every open window (type, bounds, display, link colour) and asks
+ *   each renderer for its view (active tab, grid column/sort/filter state,
+ *   chart, selected watchlist)
+ * - Adds the watchlists and the symbol sets the data services stream
+ *   (scanner universe, level and strategy symbols) and writes it all as a
+ *   versioned JSON document
+ * - Opening a workspace replaces the lists and subscriptions, opens the
+ *   saved windows, hands each its view, then closes the previous windows
+ * - Keeps the recently used files in workspace.recentFiles
+ *
+ * Document format (version 1):
+ *   { format: 'alpha-workspace', version: 1, savedAt,
+ *     windows: [{ type, bounds, display: { id, bounds }, isMaximized,
+ *                 isFullScreen, linkColor, hostedView, view }],
+ *     watchlists: { [name]: { symbols, createdAt, updatedAt } },
+ *     subscriptions: { scanner: [...], levels: [...], strategies: [...] } }
+ */
+
+const { BrowserWindow, dialog, ipcMain, screen } = require('electron');
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const path = require('path');
+const log = require('electron-log');
+
+// Configure logging for this module
+const logger = log.scope('WorkspaceManager');
+
+const WORKSPACE_FORMAT = 'alpha-workspace';
+const WORKSPACE_VERSION = 1;
+
+// Symbol sets the data services subscribe to (state key per workspace field)
+const SUBSCRIPTION_KEYS = {
+    scanner: 'scanner.universe',
+    levels: 'levels.symbols',
+    strategies: 'strategies.symbols'
+};
+
+const MAX_RECENT_FILES = 10;
+
+// How long a window gets to report its view before it is saved without one
+const CAPTURE_TIMEOUT = 3000;
+
+class WorkspaceManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        // Dependencies
+        this.windowManager = options.windowManager;
+        this.stateManager = options.stateManager;
+        this.ipcHandler = options.ipcHandler;
+        this.watchlistManager = options.watchlistManager;
+
+        // State management
+        this.currentFile = null;        // Last file saved or opened
+        this.pendingCaptures = new Map(); // requestId -> resolve
+        this.pendingViews = new Map();  // restoreId -> view for a window being opened
+        this.nextRequestId = 1;
+
+        // Bind methods
+        this.handleViewState = this.handleViewState.bind(this);
+
+        // IPC handlers for the renderer
+        this.setupIPC();
+
+        logger.info('WorkspaceManager initialized');
+    }
+
+    // ===== Saving =====
+
+    /**
+     * Save the current environment
+     * @param {string} [filePath] - Target file (default: the current workspace, else ask)
+     * @returns {Promise<Object>} { filePath, windows } or { canceled: true }
+     */
+    async save(filePath) {
+        let target = filePath || this.currentFile;
+
+        if (!target) {
+            const result = await dialog.showSaveDialog({
+                title: 'Save Workspace',
+                defaultPath: 'workspace.alpha',
+                filters: [
+                    { name: 'Workspace Files', extensions: ['alpha'] },
+                    { name: 'All Files', extensions: ['*'] }
+                ]
+            });
+
+            if (result.canceled || !result.filePath) {
+                return { canceled: true };
+            }
+            target = result.filePath;
+        }
+
+        if (!path.extname(target)) {
+            target += '.alpha';
+        }
+
+        const workspace = await this.capture();
+        await fs.writeFile(target, JSON.stringify(workspace, null, 2), 'utf8');
+
+        this.currentFile = target;
+        this.addRecentFile(target);
+
+        logger.info(`Saved workspace with ${workspace.windows.length} windows to ${target}`);
+        return { filePath: target, windows: workspace.windows.length };
+    }
+
+    /**
+     * Build the workspace document from the open windows and current state
+     * @returns {Promise<Object>} Workspace document
+     */
+    async capture() {
+        const windows = [];
+
+        for (const [windowId, window] of this.windowManager.windows) {
+            if (window.isDestroyed()) continue;
+
+            const bounds = window.isMaximized() || window.isFullScreen()
+                ? window.getNormalBounds()
+                : window.getBounds();
+            const display = screen.getDisplayMatching(bounds);
+
+            windows.push({
+                type: this.windowManager.windowTypes.get(windowId),
+                bounds,
+                display: { id: display.id, bounds: display.bounds },
+                isMaximized: window.isMaximized(),
+                isFullScreen: window.isFullScreen(),
+                linkColor: this.windowManager.getLinkColor(windowId),
+                hostedView: this.windowManager.getWindowView(windowId),
+                view: await this.requestView(window)
+            });
+        }
+
+        const subscriptions = {};
+        for (const [name, key] of Object.entries(SUBSCRIPTION_KEYS)) {
+            subscriptions[name] = this.stateManager.get(key, []);
+        }
+
+        return {
+            format: WORKSPACE_FORMAT,
+            version: WORKSPACE_VERSION,
+            savedAt: new Date().toISOString(),
+            windows,
+            watchlists: this.stateManager.get('workspace.watchlists', {}),
+            subscriptions
+        };
+    }
+
+    /**
+     * Ask a window's renderer for its view state
+     * @param {BrowserWindow} window - Window to ask
+     * @returns {Promise<Object|null>} View, or null if the window did not answer
+     */
+    requestView(window) {
+        const requestId = this.nextRequestId++;
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.pendingCaptures.delete(requestId);
+                logger.warn(`Window ${window.id} did not report its view`);
+                resolve(null);
+            }, CAPTURE_TIMEOUT);
+
+            this.pendingCaptures.set(requestId, (view) => {
+                clearTimeout(timer);
+                resolve(view || null);
+            });
+
+            window.webContents.send('workspace:capture', { requestId });
+        });
+    }
+
+    handleViewState(event, { requestId, view } = {}) {
+        const resolve = this.pendingCaptures.get(requestId);
+        if (resolve) {
+            this.pendingCaptures.delete(requestId);
+            resolve(view);
+        }
+    }
+
+    // ===== Opening =====
+
+    /**
+     * Replace the current environment with a saved workspace
+     * @param {string} filePath - Workspace file
+     * @returns {Promise<Object>} { filePath, windows }
+     */
+    async open(filePath) {
+        if (!filePath) {
+            throw new Error('No workspace file given');
+        }
+
+        let workspace;
+        try {
+            workspace = JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read workspace: ${error.message}`);
+        }
+
+        workspace = this.migrate(workspace);
+
+        // Opening replaces every window, so a workspace needs at least one
+        if (workspace.windows.length === 0) {
+            throw new Error('Workspace has no windows');
+        }
+
+        // Lists and subscriptions first so the new windows load the right data
+        if (this.watchlistManager) {
+            await this.watchlistManager.replaceLists(workspace.watchlists);
+        }
+
+        for (const [name, key] of Object.entries(SUBSCRIPTION_KEYS)) {
+            if (Array.isArray(workspace.subscriptions[name])) {
+                this.stateManager.set(key, workspace.subscriptions[name]);
+            }
+        }
+
+        // Open the saved windows before closing the current ones (closing the
+        // last window would quit the app)
+        const previousWindows = Array.from(this.windowManager.windows.values());
+
+        let opened = 0;
+        for (const saved of workspace.windows) {
+            if (await this.openWindow(saved)) {
+                opened++;
+            }
+        }
+
+        // Keep the current windows when none of the saved ones could open
+        if (opened === 0) {
+            throw new Error('Could not open any workspace window');
+        }
+
+        for (const window of previousWindows) {
+            if (!window.isDestroyed()) {
+                window.close();
+            }
+        }
+
+        this.currentFile = filePath;
+        this.addRecentFile(filePath);
+
+        logger.info(`Opened workspace ${filePath} with ${opened} windows`);
+        return { filePath, windows: opened };
+    }
+
+    /**
+     * Open one saved window with its bounds, link colour and view
+     * @param {Object} saved - Window entry from the workspace
+     * @returns {Promise<boolean>} Whether the window opened
+     */
+    async openWindow(saved) {
+        const bounds = this.resolveBounds(saved);
+
+        // The page asks for its view by this ID once it has loaded
+        const restoreId = `restore-${this.nextRequestId++}`;
+        if (saved.view) {
+            this.pendingViews.set(restoreId, saved.view);
+        }
+
+        try {
+            await this.windowManager.createWindow(saved.type || 'main', { focus: false }, {
+                windowState: {
+                    ...bounds,
+                    isMaximized: !!saved.isMaximized,
+                    isFullScreen: !!saved.isFullScreen,
+                    linkColor: saved.linkColor || null
+                },
+                query: saved.view ? { workspace: restoreId } : undefined,
+                view: saved.hostedView || undefined
+            });
+            return true;
+        } catch (error) {
+            this.pendingViews.delete(restoreId);
+            logger.error(`Failed to open ${saved.type} window:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Place saved bounds on the display they were saved on, or the nearest
+     * remaining display if that display is gone
+     * @param {Object} saved - Window entry from the workspace
+     * @returns {Object} { x, y, width, height }
+     */
+    resolveBounds(saved) {
+        return this.windowManager.placeOnDisplay(saved.bounds, saved.display);
+    }
+
+    /**
+     * Check a workspace document and bring older versions up to date
+     * @param {Object} workspace - Parsed document
+     * @returns {Object} Current-version document
+     */
+    migrate(workspace) {
+        if (!workspace || workspace.format !== WORKSPACE_FORMAT) {
+            throw new Error('Not an Alpha workspace file');
+        }
+
+        if (!Number.isInteger(workspace.version) || workspace.version > WORKSPACE_VERSION) {
+            throw new Error(`Unsupported workspace version: ${workspace.version}`);
+        }
+
+        // Version 1 is the only format so far; later versions upgrade here step by step
+
+        return {
+            ...workspace,
+            windows: Array.isArray(workspace.windows) ? workspace.windows : [],
+            watchlists: workspace.watchlists || {},
+            subscriptions: workspace.subscriptions || {}
+        };
+    }
+
+    // ===== Recent files =====
+
+    getRecentFiles() {
+        return this.stateManager.get('workspace.recentFiles', []);
+    }
+
+    addRecentFile(filePath) {
+        const recentFiles = [filePath, ...this.getRecentFiles().filter(file => file !== filePath)]
+            .slice(0, MAX_RECENT_FILES);
+
+        this.stateManager.set('workspace.recentFiles', recentFiles);
+        this.emit('recent-files-changed', recentFiles);
+    }
+
+    clearRecentFiles() {
+        this.stateManager.set('workspace.recentFiles', []);
+        this.emit('recent-files-changed', []);
+    }
+
+    /**
+     * Set up IPC handlers
+     */
+    setupIPC() {
+        // Renderers answer capture requests on a plain channel
+        ipcMain.on('workspace:view-state', this.handleViewState);
+
+        if (!this.ipcHandler) return;
+
+        this.ipcHandler.registerHandler('workspace:save', async (event, { filePath } = {}) => {
+            try {
+                return { success: true, ...(await this.save(filePath)) };
+            } catch (error) {
+                logger.error('Failed to save workspace:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        this.ipcHandler.registerHandler('workspace:open', async (event, { filePath } = {}) => {
+            try {
+                return { success: true, ...(await this.open(filePath)) };
+            } catch (error) {
+                logger.error('Failed to open workspace:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // A window opened from a workspace picks up its view
+        this.ipcHandler.registerHandler('workspace:get-view', async (event, { restoreId } = {}) => {
+            const view = this.pendingViews.get(restoreId) || null;
+            this.pendingViews.delete(restoreId);
+            return { success: true, view };
+        });
+
+        this.ipcHandler.registerHandler('workspace:get-recent', async () => {
+            return { success: true, files: this.getRecentFiles(), currentFile: this.currentFile };
+        });
+    }
+
+    /**
+     * Remove listeners
+     */
+    cleanup() {
+        ipcMain.removeListener('workspace:view-state', this.handleViewState);
+
+        for (const resolve of this.pendingCaptures.values()) {
+            resolve(null);
+        }
+        this.pendingCaptures.clear();
+    }
+}
+
+module.exports = WorkspaceManager;
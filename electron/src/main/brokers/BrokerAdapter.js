@@ -0,0 +1,88 @@
+// electron/src/main/brokers/BrokerAdapter.js
+/**
+ * BrokerAdapter - Base class for order routing destinations
+ *
+ * Adapters translate between the app's order model and a broker API.
+ * Every adapter implements:
+ * - connect() / disconnect()
+ * - placeOrder(request) -> order
+ * - cancelOrder(orderId) -> order
+ * - getOrders(filter) -> orders
+ * - getPositions() -> [{ symbol, side, quantity, avgPrice }]
+ * - getAccount() -> { equity, cash, buyingPower, realizedPL, unrealizedPL }
+ *
+ * and emits 'order-status' with { order, fill } for every order change,
+ * where fill is { quantity, price, timestamp } for executions and null
+ * otherwise. Orders use the statuses below regardless of broker.
+ */
+
+const EventEmitter = require('events');
+
+// Normalized order statuses
+const ORDER_STATUS = {
+    PENDING: 'PENDING',                     // Sent, not yet acknowledged
+    WORKING: 'WORKING',                     // Acknowledged and open
+    PARTIALLY_FILLED: 'PARTIALLY_FILLED',
+    FILLED: 'FILLED',
+    CANCELLED: 'CANCELLED',
+    REJECTED: 'REJECTED'
+};
+
+class BrokerAdapter extends EventEmitter {
+    constructor(name, options = {}) {
+        super();
+
+        this.name = name;
+        this.options = options;
+        this.connected = false;
+    }
+
+    async connect() {
+        this.connected = true;
+    }
+
+    async disconnect() {
+        this.connected = false;
+    }
+
+    async placeOrder(request) {
+        throw new Error(`${this.name} adapter does not implement placeOrder`);
+    }
+
+    async cancelOrder(orderId) {
+        throw new Error(`${this.name} adapter does not implement cancelOrder`);
+    }
+
+    async getOrders(filter = {}) {
+        throw new Error(`${this.name} adapter does not implement getOrders`);
+    }
+
+    async getPositions() {
+        throw new Error(`${this.name} adapter does not implement getPositions`);
+    }
+
+    async getAccount() {
+        throw new Error(`${this.name} adapter does not implement getAccount`);
+    }
+
+    /**
+     * Emit a normalized order status event
+     */
+    emitStatus(order, fill = null) {
+        this.emit('order-status', {
+            order: { ...order, broker: this.name },
+            fill
+        });
+    }
+
+    getStatus() {
+        return {
+            name: this.name,
+            connected: this.connected
+        };
+    }
+}
+
+BrokerAdapter.ORDER_STATUS = ORDER_STATUS;
+
+module.exports = BrokerAdapter;
@@ -0,0 +1,237 @@
+// electron/src/main/brokers/MockBrokerAdapter.js
+/**
+ * MockBrokerAdapter - Routes orders to the local mock broker service
+ *
+ * This module:
+ * - Sends orders and cancels over the mock broker's REST API
+ * - Follows order acknowledgements, partial fills and rejects on its
+ *   WebSocket stream and re-emits them as 'order-status' events
+ * - Attaches the last streamed trade price to orders so the mock can
+ *   fill market orders realistically
+ *
+ * Bracket (stopLoss/takeProfit) legs are only simulated by the paper broker.
+ *
+ * Start the service with `npm run mock:broker` (see mock/mock-broker.js).
+ */
+
+const WebSocket = require('ws');
+const log = require('electron-log');
+const BrokerAdapter = require('./BrokerAdapter');
+
+// Configure logging for this module
+const logger = log.scope('MockBroker');
+
+class MockBrokerAdapter extends BrokerAdapter {
+    constructor(options = {}) {
+        super('mock', options);
+
+        this.polygonBridge = options.polygonBridge;
+        this.serverUrl = options.serverUrl || 'http://127.0.0.1:8300';
+        this.reconnectInterval = options.reconnectInterval || 5000;
+
+        this.ws = null;
+        this.reconnectTimer = null;
+        this.orders = new Map();        // orderId -> last known order
+        this.lastPrices = new Map();    // symbol -> last trade price
+
+        this.handleMarketData = this.handleMarketData.bind(this);
+    }
+
+    /**
+     * Verify the service is up and open the order stream
+     */
+    async connect() {
+        await this.request('GET', '/health');
+
+        try {
+            await this.openStream();
+
+            // Pick up orders placed before a reconnect
+            const { orders } = await this.request('GET', '/orders');
+            orders.forEach(order => this.orders.set(order.id, order));
+        } catch (error) {
+            await this.disconnect();
+            throw error;
+        }
+
+        this.connected = true;
+        this.polygonBridge?.on('market-data', this.handleMarketData);
+
+        logger.info(`Connected to mock broker at ${this.serverUrl}`);
+    }
+
+    async disconnect() {
+        this.connected = false;
+        this.polygonBridge?.off('market-data', this.handleMarketData);
+
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        if (this.ws) {
+            this.ws.removeAllListeners();
+            this.ws.close();
+            this.ws = null;
+        }
+    }
+
+    /**
+     * Open the order status WebSocket
+     */
+    openStream() {
+        return new Promise((resolve, reject) => {
+            const wsUrl = this.serverUrl.replace(/^http/, 'ws') + '/stream';
+            const ws = new WebSocket(wsUrl);
+
+            ws.once('open', () => {
+                this.ws = ws;
+                resolve();
+            });
+
+            ws.once('error', (error) => {
+                if (!this.ws) reject(error);
+            });
+
+            ws.on('message', (raw) => {
+                try {
+                    this.handleStreamMessage(JSON.parse(raw.toString()));
+                } catch (error) {
+                    logger.error('Invalid mock broker message:', error);
+                }
+            });
+
+            ws.on('close', () => {
+                if (this.ws !== ws) return;
+
+                this.ws = null;
+                if (this.connected) {
+                    logger.warn('Mock broker stream closed, reconnecting...');
+                    this.scheduleReconnect();
+                }
+            });
+        });
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectTimer) return;
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            if (!this.connected) return;
+
+            try {
+                await this.openStream();
+                logger.info('Mock broker stream reconnected');
+            } catch (error) {
+                this.scheduleReconnect();
+            }
+        }, this.reconnectInterval);
+    }
+
+    /**
+     * Handle a message on the order stream
+     */
+    handleStreamMessage(message) {
+        switch (message.type) {
+            case 'order_status':
+                this.orders.set(message.order.id, message.order);
+                this.emitStatus(message.order, message.fill || null);
+                break;
+
+            case 'connected':
+            case 'pong':
+                break;
+
+            default:
+                logger.warn('Unknown mock broker message type:', message.type);
+        }
+    }
+
+    /**
+     * Track last trade prices for market order references
+     */
+    handleMarketData({ data }) {
+        const items = Array.isArray(data) ? data : [data];
+
+        for (const item of items) {
+            if (item?.event_type === 'trade') {
+                this.lastPrices.set(item.symbol, item.price);
+            }
+        }
+    }
+
+    /**
+     * Call the mock broker REST API
+     */
+    async request(method, path, body) {
+        const options = {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            }
+        };
+
+        if (body !== undefined) {
+            options.body = JSON.stringify(body);
+        }
+
+        const response = await fetch(`${this.serverUrl}${path}`, options);
+        const payload = await response.json().catch(() => ({}));
+
+        // Rejections come back as 422 with the rejected order
+        if (!response.ok && !payload.order) {
+            throw new Error(payload.error || `Mock broker error: ${response.status}`);
+        }
+
+        return payload;
+    }
+
+    async placeOrder(request) {
+        const symbol = String(request.symbol || '').trim().toUpperCase();
+
+        const { order } = await this.request('POST', '/orders', {
+            ...request,
+            symbol,
+            referencePrice: this.lastPrices.get(symbol) ?? null
+        });
+
+        // The stream may already have delivered a newer status
+        if (!this.orders.has(order.id)) {
+            this.orders.set(order.id, order);
+        }
+        return { ...order, broker: this.name };
+    }
+
+    async cancelOrder(orderId) {
+        const { order } = await this.request('DELETE', `/orders/${encodeURIComponent(orderId)}`);
+        return { ...order, broker: this.name };
+    }
+
+    async getOrders({ status } = {}) {
+        return Array.from(this.orders.values())
+            .filter(order => !status || order.status === status)
+            .map(order => ({ ...order, broker: this.name }));
+    }
+
+    async getPositions() {
+        const { positions } = await this.request('GET', '/positions');
+        return positions;
+    }
+
+    async getAccount() {
+        const { account } = await this.request('GET', '/account');
+        return account;
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            serverUrl: this.serverUrl,
+            streaming: Boolean(this.ws)
+        };
+    }
+}
+
+module.exports = MockBrokerAdapter;
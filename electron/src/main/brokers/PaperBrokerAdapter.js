@@ -0,0 +1,78 @@
+// electron/src/main/brokers/PaperBrokerAdapter.js
+/**
+ * PaperBrokerAdapter - Routes orders to the in-process OrderSimulator
+ *
+ * Account values are derived from trading.paperStartingEquity plus the
+ * PositionBook's realized and unrealized P&L.
+ */
+
+const BrokerAdapter = require('./BrokerAdapter');
+
+class PaperBrokerAdapter extends BrokerAdapter {
+    constructor(options = {}) {
+        super('paper', options);
+
+        this.simulator = options.simulator;
+        this.positionBook = options.positionBook;
+        this.stateManager = options.stateManager;
+
+        this.handleOrder = ({ order, fill }) => this.emitStatus(order, fill);
+    }
+
+    async connect() {
+        this.simulator.on('order', this.handleOrder);
+        await this.simulator.start();
+        this.connected = true;
+    }
+
+    async disconnect() {
+        this.simulator.off('order', this.handleOrder);
+        await this.simulator.stop();
+        this.connected = false;
+    }
+
+    async placeOrder(request) {
+        return this.simulator.placeOrder(request);
+    }
+
+    async cancelOrder(orderId) {
+        const order = this.simulator.cancelOrder(orderId);
+        if (!order) {
+            throw new Error(`Order not found: ${orderId}`);
+        }
+        return order;
+    }
+
+    async getOrders(filter = {}) {
+        return this.simulator.getOrders(filter);
+    }
+
+    async getPositions() {
+        return this.positionBook.getRows().map(row => ({
+            symbol: row.symbol,
+            side: row.side,
+            quantity: row.quantity,
+            avgPrice: row.entryPrice
+        }));
+    }
+
+    async getAccount() {
+        const startingEquity = this.stateManager?.get('trading.paperStartingEquity', 100000) || 100000;
+        const realizedPL = this.positionBook.getRealizedPL();
+        const unrealizedPL = this.positionBook.getUnrealizedPL();
+        const exposure = this.positionBook.getRows()
+            .reduce((sum, row) => sum + row.marketValue, 0);
+        const equity = startingEquity + realizedPL + unrealizedPL;
+
+        return {
+            accountId: 'paper',
+            equity,
+            cash: equity - exposure,
+            buyingPower: Math.max(0, equity - exposure),
+            realizedPL,
+            unrealizedPL
+        };
+    }
+}
+
+module.exports = PaperBrokerAdapter;
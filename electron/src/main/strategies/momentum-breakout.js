@@ -0,0 +1,89 @@
+// electron/src/main/strategies/momentum-breakout.js
+/**
+ * Momentum Breakout - Closes beyond the recent range on expanding volume
+ *
+ * A closed bar that finishes above the highest high of the previous
+ * `lookback` bars, on at least `volumeMultiple` times their average volume,
+ * signals a BUY at the breakout bar's high. The stop sits `atrMultiple`
+ * ATRs below the close and the target is `rewardRisk` times the risk.
+ * With `allowShort`, breakdowns below the lowest low signal a SELL.
+ */
+
+module.exports = {
+    id: 'momentum-breakout',
+    name: 'Momentum Breakout',
+    description: 'Close beyond the N-bar range on above-average volume',
+    timeframe: '5min',
+    historyBars: 60,
+    signalTTL: 30,
+
+    params: {
+        lookback: 20,           // Bars that define the range
+        volumeMultiple: 1.5,    // Breakout volume vs. range average
+        atrPeriod: 14,
+        atrMultiple: 1.5,       // Stop distance in ATRs
+        rewardRisk: 2.0,        // Target as a multiple of risk
+        cooldownBars: 6,        // Bars to wait before re-signalling a symbol
+        allowShort: false
+    },
+
+    onBar(ctx, symbol, bar, bars) {
+        const { lookback, volumeMultiple, atrPeriod, atrMultiple, rewardRisk, cooldownBars, allowShort } = ctx.params;
+
+        // bars ends with the bar that just closed
+        if (bars.length < Math.max(lookback, atrPeriod) + 1) return;
+
+        const state = ctx.state(symbol);
+        state.barsSinceSignal = (state.barsSinceSignal ?? cooldownBars) + 1;
+        if (state.barsSinceSignal <= cooldownBars) return;
+
+        const range = bars.slice(-lookback - 1, -1);
+        const rangeHigh = Math.max(...range.map(b => b.high));
+        const rangeLow = Math.min(...range.map(b => b.low));
+        const averageVolume = range.reduce((sum, b) => sum + b.volume, 0) / range.length;
+        const volumeRatio = averageVolume > 0 ? bar.volume / averageVolume : 0;
+
+        if (volumeRatio < volumeMultiple) return;
+
+        const atr = ctx.indicators.atr(bars, atrPeriod).pop();
+        if (!atr) return;
+
+        let direction = null;
+        if (bar.close > rangeHigh) {
+            direction = 'BUY';
+        } else if (allowShort && bar.close < rangeLow) {
+            direction = 'SELL';
+        }
+        if (!direction) return;
+
+        const sign = direction === 'BUY' ? 1 : -1;
+        const price = direction === 'BUY' ? bar.high : bar.low;
+        const stopLoss = bar.close - sign * atrMultiple * atr;
+        const takeProfit = price + sign * rewardRisk * Math.abs(price - stopLoss);
+
+        // Stronger the further the close clears the range (in ATRs) and the heavier the volume
+        const extension = Math.abs(bar.close - (direction === 'BUY' ? rangeHigh : rangeLow)) / atr;
+        const strength = Math.min(100, 40 + extension * 30 + (volumeRatio - volumeMultiple) * 10);
+        const confidence = Math.min(0.95, 0.4 + Math.min(volumeRatio / 10, 0.3) + Math.min(extension / 4, 0.25));
+
+        ctx.emitSignal({
+            symbol,
+            direction,
+            type: 'ENTRY',
+            price: round(price),
+            stopLoss: round(stopLoss),
+            takeProfit: round(takeProfit),
+            strength: Math.round(strength),
+            confidence: round(confidence),
+            notes: `${direction === 'BUY' ? 'Breakout above' : 'Breakdown below'} ${lookback}-bar ` +
+                `${direction === 'BUY' ? 'high' : 'low'} ${round(direction === 'BUY' ? rangeHigh : rangeLow)} ` +
+                `on ${volumeRatio.toFixed(1)}x volume`
+        });
+
+        state.barsSinceSignal = 0;
+    }
+};
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,125 @@
+// electron/src/main/strategies/opening-range.js
+/**
+ * Opening Range Breakout - Trades through the first minutes' high or low
+ *
+ * Builds the opening range from the 1-minute bars of the first `rangeMinutes`
+ * after the 9:30 ET open. Once the range is complete, the first trade above
+ * its high signals a BUY and the first trade below its low signals a SELL
+ * (each at most once per day). The stop is the opposite side of the range
+ * and the target is `rewardRisk` times the risk. No entries after the
+ * regular close, which is earlier on half days.
+ */
+
+// 9:30 and 16:00 America/New_York in minutes since midnight
+const MARKET_OPEN = 9 * 60 + 30;
+const MARKET_CLOSE = 16 * 60;
+
+module.exports = {
+    id: 'opening-range',
+    name: 'Opening Range Breakout',
+    description: 'Break of the opening range high/low after the open',
+    timeframe: '1min',
+    historyBars: 390,
+    signalTTL: 15,
+    sessions: ['regular'],
+
+    params: {
+        rangeMinutes: 15,       // Opening range length
+        rewardRisk: 2.0,        // Target as a multiple of risk
+        minRangePercent: 0.2,   // Skip ranges narrower than this % of price
+        lastEntryMinutes: 120   // No new signals this long after the open
+    },
+
+    onHistory(ctx, symbol, bars) {
+        bars.forEach(bar => this.addBar(ctx, symbol, bar));
+    },
+
+    onBar(ctx, symbol, bar) {
+        this.addBar(ctx, symbol, bar);
+    },
+
+    /**
+     * Fold a 1-minute bar into today's opening range
+     */
+    addBar(ctx, symbol, bar) {
+        const state = this.dayState(ctx, symbol, bar.timestamp);
+        const minute = ctx.session.minutesOfDay(bar.timestamp);
+
+        if (minute < MARKET_OPEN || minute >= MARKET_OPEN + ctx.params.rangeMinutes) return;
+
+        state.high = state.high === null ? bar.high : Math.max(state.high, bar.high);
+        state.low = state.low === null ? bar.low : Math.min(state.low, bar.low);
+    },
+
+    onTrade(ctx, symbol, trade) {
+        const { rangeMinutes, rewardRisk, minRangePercent, lastEntryMinutes } = ctx.params;
+        const state = this.dayState(ctx, symbol, trade.timestamp);
+        const minute = ctx.session.minutesOfDay(trade.timestamp);
+
+        // Range must be complete and entries still allowed
+        if (state.high === null || minute < MARKET_OPEN + rangeMinutes) return;
+        if (minute >= Math.min(MARKET_OPEN + lastEntryMinutes, state.close)) return;
+
+        const range = state.high - state.low;
+        if (range <= 0 || (range / trade.price) * 100 < minRangePercent) return;
+
+        let direction = null;
+        if (trade.price > state.high && !state.longSignalled) {
+            direction = 'BUY';
+            state.longSignalled = true;
+        } else if (trade.price < state.low && !state.shortSignalled) {
+            direction = 'SELL';
+            state.shortSignalled = true;
+        }
+        if (!direction) return;
+
+        const price = direction === 'BUY' ? state.high : state.low;
+        const stopLoss = direction === 'BUY' ? state.low : state.high;
+        const takeProfit = direction === 'BUY' ? price + rewardRisk * range : price - rewardRisk * range;
+
+        // Earlier breaks of tighter ranges score higher
+        const minutesAfter = minute - (MARKET_OPEN + rangeMinutes);
+        const rangePercent = (range / price) * 100;
+        const strength = Math.max(20, Math.min(100, 90 - minutesAfter / 2 - rangePercent * 5));
+
+        ctx.emitSignal({
+            symbol,
+            direction,
+            type: 'ENTRY',
+            price: round(price),
+            stopLoss: round(stopLoss),
+            takeProfit: round(takeProfit),
+            strength: Math.round(strength),
+            confidence: round(Math.max(0.3, Math.min(0.85, strength / 110))),
+            notes: `${rangeMinutes}-min opening range ${round(state.low)}-${round(state.high)} ` +
+                `broken ${direction === 'BUY' ? 'up' : 'down'}`
+        });
+    },
+
+    /**
+     * Per-symbol state, reset on a new trading day
+     */
+    dayState(ctx, symbol, timestamp) {
+        const state = ctx.state(symbol);
+        const day = ctx.session.tradingDay(timestamp);
+
+        if (state.day !== day) {
+            const { sessions } = ctx.session.schedule(day);
+
+            Object.assign(state, {
+                day,
+                close: sessions ? ctx.session.minutesOfDay(sessions.regular.end) : MARKET_CLOSE,
+                high: null,
+                low: null,
+                longSignalled: false,
+                shortSignalled: false
+            });
+        }
+
+        return state;
+    }
+};
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
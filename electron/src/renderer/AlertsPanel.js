@@ -0,0 +1,350 @@
+/**
+ * AlertsPanel - Alert editing toolbar for the Alerts table
+ *
+ * Alerts live and fire in the main process (AlertEngine, alerts.rules);
+ * this panel creates, enables/disables and deletes them, and turns the
+ * definitions into rows for the alerts grid. Clicking a row selects it
+ * for the toggle and delete buttons.
+ */
+
+// Toolbar fields shown per alert type, with the value box placeholder
+const TYPE_FIELDS = {
+    'price-cross': { label: 'Price cross', directions: ['above', 'below', 'any'], value: 'Price' },
+    'percent-change': { label: '% change', directions: ['above', 'below'], value: 'Change %' },
+    indicator: { label: 'Indicator', directions: ['above', 'below'], value: 'Value (blank: price)', study: true },
+    'level-touch': { label: 'Level touch', directions: [] },
+    signal: { label: 'Signal', directions: ['', 'BUY', 'SELL'] }
+};
+
+// Must match AlertEngine.INDICATOR_STUDIES and INDICATOR_TIMEFRAMES
+const STUDIES = [
+    ['rsi', 'RSI'],
+    ['sma', 'SMA'],
+    ['ema', 'EMA'],
+    ['vwap', 'VWAP'],
+    ['atr', 'ATR'],
+    ['relativeVolume', 'RVOL']
+];
+const TIMEFRAMES = ['1min', '5min', '15min', '30min', '1hour', '1day'];
+
+class AlertsPanel {
+    /**
+     * @param {Object} config
+     * @param {Object} config.electronAPI - Preload API
+     * @param {Function} config.onRows - Called with the alert rows for the grid
+     */
+    constructor(config) {
+        this.electronAPI = config.electronAPI;
+        this.onRows = config.onRows || (() => {});
+
+        this.alerts = [];           // Alert definitions from the engine
+        this.selectedId = null;     // Alert picked in the grid
+
+        this.elements = {};         // Toolbar DOM references
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Load alerts and follow changes made anywhere
+     */
+    async load() {
+        try {
+            const result = await this.electronAPI.alerts.list();
+            if (result?.success) {
+                this.setAlerts(result.alerts);
+            }
+        } catch (error) {
+            console.error('[AlertsPanel] Failed to load alerts:', error);
+        }
+
+        this.unsubscribers.push(
+            this.electronAPI.alerts.onChanged(({ alerts }) => this.setAlerts(alerts))
+        );
+    }
+
+    setAlerts(alerts) {
+        this.alerts = Array.isArray(alerts) ? alerts : [];
+
+        if (!this.alerts.some(alert => alert.id === this.selectedId)) {
+            this.selectedId = null;
+        }
+
+        this.onRows(this.alerts.map(alert => this.toRow(alert)));
+        this.renderSelection();
+    }
+
+    /**
+     * Grid row for an alert definition
+     */
+    toRow(alert) {
+        return {
+            id: alert.id,
+            symbol: alert.symbol,
+            type: TYPE_FIELDS[alert.type]?.label || alert.type,
+            condition: this.describe(alert),
+            repeat: alert.repeat,
+            enabled: alert.enabled,
+            triggerCount: alert.triggerCount,
+            lastTriggered: alert.lastTriggered,
+            note: alert.note
+        };
+    }
+
+    /**
+     * Condition in words, e.g. "RSI(14) 5min above 70"
+     */
+    describe({ type, condition = {} }) {
+        switch (type) {
+            case 'price-cross':
+                return `crosses ${condition.direction === 'any' ? '' : `${condition.direction} `}${condition.price}`;
+
+            case 'percent-change':
+                return `change ${condition.direction} ${condition.threshold}%`;
+
+            case 'indicator': {
+                const name = STUDIES.find(([study]) => study === condition.study)?.[1] || condition.study;
+                const study = `${name}${condition.period ? `(${condition.period})` : ''} ${condition.timeframe}`;
+                return condition.value === undefined
+                    ? `price ${condition.direction} ${study}`
+                    : `${study} ${condition.direction} ${condition.value}`;
+            }
+
+            case 'level-touch':
+                return [condition.levelType, condition.timeframe].filter(Boolean).join(' ') || 'any level';
+
+            case 'signal':
+                return [condition.strategy, condition.direction].filter(Boolean).join(' ') || 'any signal';
+
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Build the alerts toolbar
+     * @returns {HTMLElement}
+     */
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'screen-toolbar alerts-toolbar';
+        toolbar.innerHTML = `
+            <select class="alert-type" title="Alert type"></select>
+            <input class="alert-symbol" type="text" placeholder="Symbol" spellcheck="false">
+            <select class="alert-study" title="Study"></select>
+            <input class="alert-period" type="number" min="1" step="1" placeholder="Period" title="Study period (blank: default)">
+            <select class="alert-timeframe" title="Bar timeframe"></select>
+            <select class="alert-direction" title="Direction"></select>
+            <input class="alert-value" type="number" step="any">
+            <select class="alert-repeat" title="Fire once, or every time (after the cooldown)">
+                <option value="once">Once</option>
+                <option value="always">Every time</option>
+            </select>
+            <button class="screen-button alert-create" title="Create the alert (Enter)">Add</button>
+            <button class="screen-button alert-toggle" title="Enable or disable the selected alert">Disable</button>
+            <button class="screen-button alert-delete" title="Delete the selected alert">Delete</button>
+            <span class="screen-error"></span>
+        `;
+
+        this.elements = {
+            toolbar,
+            type: toolbar.querySelector('.alert-type'),
+            symbol: toolbar.querySelector('.alert-symbol'),
+            study: toolbar.querySelector('.alert-study'),
+            period: toolbar.querySelector('.alert-period'),
+            timeframe: toolbar.querySelector('.alert-timeframe'),
+            direction: toolbar.querySelector('.alert-direction'),
+            value: toolbar.querySelector('.alert-value'),
+            repeat: toolbar.querySelector('.alert-repeat'),
+            create: toolbar.querySelector('.alert-create'),
+            toggle: toolbar.querySelector('.alert-toggle'),
+            delete: toolbar.querySelector('.alert-delete'),
+            message: toolbar.querySelector('.screen-error')
+        };
+
+        for (const [type, fields] of Object.entries(TYPE_FIELDS)) {
+            this.elements.type.appendChild(new Option(fields.label, type));
+        }
+        for (const [study, label] of STUDIES) {
+            this.elements.study.appendChild(new Option(label, study));
+        }
+        for (const timeframe of TIMEFRAMES) {
+            this.elements.timeframe.appendChild(new Option(timeframe, timeframe));
+        }
+        this.elements.timeframe.value = '5min';
+
+        this.elements.type.addEventListener('change', () => this.renderFields());
+        this.elements.study.addEventListener('change', () => this.renderFields());
+        this.elements.create.addEventListener('click', () => this.handleCreate());
+        this.elements.toggle.addEventListener('click', () => this.handleToggle());
+        this.elements.delete.addEventListener('click', () => this.handleDelete());
+
+        for (const input of [this.elements.symbol, this.elements.value]) {
+            input.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') {
+                    this.handleCreate();
+                } else if (event.key === 'Escape') {
+                    this.showMessage(null);
+                }
+            });
+        }
+
+        this.renderFields();
+        this.renderSelection();
+
+        return toolbar;
+    }
+
+    /**
+     * Show the inputs the selected alert type uses
+     */
+    renderFields() {
+        const { type, symbol, study, period, timeframe, direction, value } = this.elements;
+        if (!type) return;
+
+        const fields = TYPE_FIELDS[type.value];
+        const show = (element, visible) => { element.style.display = visible ? '' : 'none'; };
+
+        show(study, fields.study);
+        show(period, fields.study && study.value !== 'vwap');
+        show(timeframe, fields.study);
+        show(direction, fields.directions.length > 0);
+        show(value, Boolean(fields.value));
+
+        symbol.placeholder = type.value === 'signal' ? 'Symbol or *' : 'Symbol';
+        value.placeholder = fields.value || '';
+
+        const current = direction.value;
+        direction.innerHTML = '';
+        for (const option of fields.directions) {
+            direction.appendChild(new Option(option || 'Either side', option));
+        }
+        if (fields.directions.includes(current)) {
+            direction.value = current;
+        }
+    }
+
+    /**
+     * Sync the toggle and delete buttons with the selected alert
+     */
+    renderSelection() {
+        const { toggle, delete: deleteButton } = this.elements;
+        if (!toggle) return;
+
+        const alert = this.alerts.find(item => item.id === this.selectedId);
+        toggle.disabled = !alert;
+        deleteButton.disabled = !alert;
+        toggle.textContent = alert && !alert.enabled ? 'Enable' : 'Disable';
+    }
+
+    /**
+     * Select an alert (row clicks)
+     * @param {string} id - Alert ID
+     */
+    pickAlert(id) {
+        this.selectedId = id || null;
+        this.renderSelection();
+    }
+
+    /**
+     * Alert definition from the toolbar inputs
+     */
+    readForm() {
+        const { type, symbol, study, period, timeframe, direction, value, repeat } = this.elements;
+        const alert = {
+            type: type.value,
+            symbol: symbol.value.trim().toUpperCase(),
+            repeat: repeat.value,
+            condition: {}
+        };
+
+        switch (alert.type) {
+            case 'price-cross':
+                alert.condition = { price: value.value, direction: direction.value };
+                break;
+
+            case 'percent-change':
+                alert.condition = { threshold: value.value === '' ? NaN : value.value, direction: direction.value };
+                break;
+
+            case 'indicator':
+                alert.condition = {
+                    study: study.value,
+                    period: period.value || null,
+                    timeframe: timeframe.value,
+                    direction: direction.value,
+                    value: value.value || null
+                };
+                break;
+
+            case 'signal':
+                alert.condition = direction.value ? { direction: direction.value } : {};
+                break;
+        }
+
+        return alert;
+    }
+
+    async handleCreate() {
+        const alert = this.readForm();
+        if (!alert.symbol) {
+            this.showMessage('Type a symbol', true);
+            this.elements.symbol.focus();
+            return;
+        }
+
+        const result = await this.electronAPI.alerts.create(alert);
+        if (!result?.success) {
+            this.showMessage(result?.error || 'Failed to create alert', true);
+            return;
+        }
+
+        this.elements.value.value = '';
+        this.pickAlert(result.alert.id);
+        this.showMessage(`Alert added: ${alert.symbol} ${this.describe(result.alert)}`);
+    }
+
+    async handleToggle() {
+        const alert = this.alerts.find(item => item.id === this.selectedId);
+        if (!alert) return;
+
+        const result = await this.electronAPI.alerts.update(alert.id, { enabled: !alert.enabled });
+        if (!result?.success) {
+            this.showMessage(result?.error || 'Failed to update alert', true);
+            return;
+        }
+
+        this.showMessage(null);
+    }
+
+    async handleDelete() {
+        if (!this.selectedId) return;
+
+        const result = await this.electronAPI.alerts.delete(this.selectedId);
+        if (!result?.success) {
+            this.showMessage(result?.error || 'Failed to delete alert', true);
+            return;
+        }
+
+        this.showMessage(null);
+    }
+
+    /**
+     * Show a status or error message in the toolbar
+     * @param {string|null} text - Message (null clears)
+     * @param {boolean} isError - Show in the error colour
+     */
+    showMessage(text, isError = false) {
+        const { message } = this.elements;
+        if (!message) return;
+
+        message.textContent = text || '';
+        message.style.color = isError ? '' : '#888';
+    }
+
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+export default AlertsPanel;
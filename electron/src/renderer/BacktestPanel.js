@@ -0,0 +1,394 @@
+/**
+ * BacktestPanel - Run controls, summary stats and equity curve for the Backtest tab
+ *
+ * Runs happen in the main process (Backtester); this panel starts them,
+ * shows their progress, and for the selected result fills the summary and
+ * draws the equity curve, handing the trade list to the backtest grid.
+ * Recent results can be picked again from the results list.
+ */
+
+// Stats shown in the summary, in order: [field, label, format]
+const SUMMARY_STATS = [
+    ['netProfit', 'Net P&L', 'money'],
+    ['totalReturn', 'Return', 'percent'],
+    ['trades', 'Trades', 'integer'],
+    ['winRate', 'Win Rate', 'percent'],
+    ['profitFactor', 'Profit Factor', 'ratio'],
+    ['maxDrawdown', 'Max DD', 'money'],
+    ['maxDrawdownPercent', 'Max DD %', 'percent'],
+    ['sharpe', 'Sharpe', 'ratio'],
+    ['averageTrade', 'Avg Trade', 'money'],
+    ['averageR', 'Avg R', 'ratio'],
+    ['commissions', 'Commissions', 'money'],
+    ['tradingDays', 'Days', 'integer']
+];
+
+class BacktestPanel {
+    /**
+     * @param {Object} config
+     * @param {Object} config.electronAPI - Preload API
+     * @param {Function} config.onTrades - Called with the trade rows of the shown result
+     */
+    constructor(config) {
+        this.electronAPI = config.electronAPI;
+        this.onTrades = config.onTrades || (() => {});
+
+        this.strategies = [];       // Testable strategies from the strategy host
+        this.results = [];          // Summaries of recent runs, newest first
+        this.result = null;         // Result shown (with trades and equity)
+        this.running = false;       // A run is in progress (from any window)
+        this.ownRun = false;        // ... and this window started it
+        this.form = {};             // Last used strategy, symbols and dates
+
+        this.elements = {};         // Panel DOM references
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Load strategies, the last form and the newest result
+     */
+    async load() {
+        try {
+            const [strategies, results, form] = await Promise.all([
+                this.electronAPI.backtest.getStrategies(),
+                this.electronAPI.backtest.getResults(),
+                this.electronAPI.state.load('ui.backtest', {})
+            ]);
+
+            if (strategies?.success) {
+                this.strategies = strategies.strategies.filter(strategy => !strategy.error);
+            }
+            if (results?.success) {
+                this.results = results.results;
+                this.running = results.running;
+            }
+            this.form = form?.value || {};
+        } catch (error) {
+            console.error('[BacktestPanel] Failed to load backtests:', error);
+        }
+
+        this.unsubscribers.push(
+            this.electronAPI.backtest.onProgress((progress) => this.handleProgress(progress))
+        );
+
+        this.renderToolbar();
+
+        if (this.results.length > 0) {
+            await this.select(this.results[0].id);
+        }
+    }
+
+    /**
+     * Build the run toolbar and the summary strip
+     * @returns {HTMLElement}
+     */
+    createToolbar() {
+        const panel = document.createElement('div');
+        panel.className = 'backtest-panel';
+        panel.innerHTML = `
+            <div class="screen-toolbar">
+                <select class="backtest-strategy" title="Strategy"></select>
+                <input class="backtest-symbols" type="text" placeholder="Symbols, e.g. AAPL MSFT" spellcheck="false">
+                <input class="backtest-start" type="date" title="First day">
+                <input class="backtest-end" type="date" title="Last day">
+                <button class="screen-button backtest-run" title="Run the backtest (Enter)">Run</button>
+                <select class="backtest-results" title="Recent results"></select>
+                <span class="screen-error"></span>
+            </div>
+            <div class="backtest-summary">
+                <div class="backtest-stats"></div>
+                <div class="backtest-curve"><canvas></canvas></div>
+            </div>
+        `;
+
+        this.elements = {
+            panel,
+            strategy: panel.querySelector('.backtest-strategy'),
+            symbols: panel.querySelector('.backtest-symbols'),
+            start: panel.querySelector('.backtest-start'),
+            end: panel.querySelector('.backtest-end'),
+            run: panel.querySelector('.backtest-run'),
+            results: panel.querySelector('.backtest-results'),
+            message: panel.querySelector('.screen-error'),
+            stats: panel.querySelector('.backtest-stats'),
+            curve: panel.querySelector('.backtest-curve'),
+            canvas: panel.querySelector('canvas')
+        };
+
+        this.elements.run.addEventListener('click', () => this.running ? this.cancel() : this.run());
+        this.elements.results.addEventListener('change', () => this.select(this.elements.results.value));
+        this.elements.symbols.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && !this.running) {
+                this.run();
+            }
+        });
+
+        this.resizeObserver = new ResizeObserver(() => this.drawCurve());
+        this.resizeObserver.observe(this.elements.curve);
+
+        this.renderToolbar();
+        this.renderSummary();
+
+        return panel;
+    }
+
+    /**
+     * Sync the toolbar controls with strategies, form and results
+     */
+    renderToolbar() {
+        const { strategy, symbols, start, end, run, results } = this.elements;
+        if (!strategy) return;
+
+        const selected = strategy.value || this.form.strategyId;
+        strategy.innerHTML = '';
+        for (const item of this.strategies) {
+            strategy.appendChild(new Option(`${item.name} (${item.timeframe})`, item.id));
+        }
+        strategy.value = this.strategies.some(item => item.id === selected) ? selected : this.strategies[0]?.id || '';
+
+        // Default range: the last four weeks up to yesterday
+        const today = new Date();
+        symbols.value = symbols.value || (this.form.symbols || []).join(' ');
+        start.value = start.value || this.form.startDate || this.formatDay(new Date(today - 28 * 86400000));
+        end.value = end.value || this.form.endDate || this.formatDay(new Date(today - 86400000));
+
+        run.textContent = this.running ? 'Cancel' : 'Run';
+        run.disabled = !this.running && this.strategies.length === 0;
+
+        results.innerHTML = '';
+        results.appendChild(new Option(this.results.length > 0 ? 'Recent results' : 'No results', ''));
+        for (const item of this.results) {
+            const label = `${item.strategyName} ${item.startDate} to ${item.endDate} (${item.symbols.length})`;
+            results.appendChild(new Option(label, item.id));
+        }
+        results.value = this.result?.id || '';
+    }
+
+    parseSymbols(text) {
+        return text.split(/[\s,;]+/).map(symbol => symbol.trim().toUpperCase()).filter(Boolean);
+    }
+
+    formatDay(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    // ===== Running =====
+
+    async run() {
+        const form = {
+            strategyId: this.elements.strategy.value,
+            symbols: this.parseSymbols(this.elements.symbols.value),
+            startDate: this.elements.start.value,
+            endDate: this.elements.end.value
+        };
+
+        if (form.symbols.length === 0) {
+            this.showMessage('Type the symbols to test', true);
+            this.elements.symbols.focus();
+            return;
+        }
+
+        this.form = form;
+        this.electronAPI.state.save('ui.backtest', form);
+
+        this.running = true;
+        this.ownRun = true;
+        this.renderToolbar();
+        this.showMessage('Starting...');
+
+        const result = await this.electronAPI.backtest.run(form);
+
+        this.running = false;
+        this.ownRun = false;
+
+        if (!result?.success) {
+            this.renderToolbar();
+            this.showMessage(result?.error || 'Backtest failed', true);
+            return;
+        }
+
+        await this.refreshResults();
+        this.show(result.result);
+
+        const { missing } = result.result;
+        this.showMessage(missing.length > 0 ? `No bars for ${missing.join(', ')}` : null, missing.length > 0);
+    }
+
+    async cancel() {
+        await this.electronAPI.backtest.cancel();
+    }
+
+    handleProgress({ phase, done, total }) {
+        if (phase === 'done') {
+            // A run started in another window: pick up its result in the list
+            if (!this.ownRun) {
+                this.showMessage(null);
+                this.refreshResults();
+            }
+            return;
+        }
+
+        if (!this.running) {
+            this.running = true;
+            this.renderToolbar();
+        }
+
+        const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+        this.showMessage(phase === 'loading'
+            ? `Loading bars ${done}/${total}`
+            : `Simulating ${percent}%`);
+    }
+
+    async refreshResults() {
+        const results = await this.electronAPI.backtest.getResults();
+        if (!results?.success) return;
+
+        this.results = results.results;
+        this.running = results.running;
+        this.renderToolbar();
+    }
+
+    // ===== Results =====
+
+    /**
+     * Show a kept result
+     * @param {string} id - Run ID
+     */
+    async select(id) {
+        if (!id) return;
+
+        const result = await this.electronAPI.backtest.getResult(id);
+        if (!result?.success) {
+            this.showMessage(result?.error || 'Result not available', true);
+            return;
+        }
+
+        this.show(result.result);
+    }
+
+    show(result) {
+        this.result = result;
+        this.renderToolbar();
+        this.renderSummary();
+        this.drawCurve();
+        this.onTrades(result.trades);
+    }
+
+    renderSummary() {
+        const { stats: container } = this.elements;
+        if (!container) return;
+
+        const stats = this.result?.stats || {};
+        container.innerHTML = '';
+
+        for (const [field, label, format] of SUMMARY_STATS) {
+            const value = stats[field];
+            const item = document.createElement('div');
+            item.className = 'backtest-stat';
+            item.innerHTML = '<span class="backtest-stat-label"></span><span class="backtest-stat-value"></span>';
+            item.firstChild.textContent = label;
+            item.lastChild.textContent = this.formatStat(value, format);
+
+            if ((field === 'netProfit' || field === 'totalReturn') && value) {
+                item.lastChild.style.color = value > 0 ? '#00ff00' : '#ff3333';
+            }
+
+            container.appendChild(item);
+        }
+    }
+
+    formatStat(value, format) {
+        if (value === null || value === undefined) return '-';
+
+        switch (format) {
+            case 'money':
+                return `${value < 0 ? '-' : ''}$${Math.abs(value).toLocaleString('en-US', {
+                    minimumFractionDigits: 2,
+                    maximumFractionDigits: 2
+                })}`;
+            case 'percent':
+                return `${value.toFixed(2)}%`;
+            case 'ratio':
+                return value.toFixed(2);
+            default:
+                return String(value);
+        }
+    }
+
+    /**
+     * Draw the equity curve over the starting equity line
+     */
+    drawCurve() {
+        const { curve, canvas } = this.elements;
+        if (!canvas) return;
+
+        const width = curve.clientWidth;
+        const height = curve.clientHeight;
+        if (width === 0 || height === 0) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+
+        const context = canvas.getContext('2d');
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+
+        const points = this.result?.equity || [];
+        if (points.length < 2) return;
+
+        const base = this.result.stats.startingEquity;
+        const values = points.map(point => point.equity);
+        const min = Math.min(base, ...values);
+        const max = Math.max(base, ...values);
+        const span = max - min || 1;
+        const pad = 6;
+
+        const x = (i) => pad + (i / (points.length - 1)) * (width - pad * 2);
+        const y = (value) => pad + (1 - (value - min) / span) * (height - pad * 2);
+
+        // Starting equity
+        context.strokeStyle = '#444';
+        context.setLineDash([4, 4]);
+        context.beginPath();
+        context.moveTo(pad, y(base));
+        context.lineTo(width - pad, y(base));
+        context.stroke();
+        context.setLineDash([]);
+
+        context.strokeStyle = values[values.length - 1] >= base ? '#00ff00' : '#ff3333';
+        context.lineWidth = 1.5;
+        context.beginPath();
+        values.forEach((value, i) => i === 0 ? context.moveTo(x(i), y(value)) : context.lineTo(x(i), y(value)));
+        context.stroke();
+
+        context.fillStyle = '#888';
+        context.font = '10px Consolas, Monaco, monospace';
+        context.fillText(this.formatStat(max, 'money'), pad, 12);
+        context.fillText(this.formatStat(min, 'money'), pad, height - 4);
+    }
+
+    /**
+     * Show a status or error message in the toolbar
+     * @param {string|null} text - Message (null clears)
+     * @param {boolean} isError - Show in the error colour
+     */
+    showMessage(text, isError = false) {
+        const { message } = this.elements;
+        if (!message) return;
+
+        message.textContent = text || '';
+        message.style.color = isError ? '' : '#888';
+    }
+
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.resizeObserver?.disconnect();
+    }
+}
+
+export default BacktestPanel;
@@ -0,0 +1,853 @@
+/**
+ * ChartView - Canvas candlestick chart for the Chart tab
+ *
+ * Loads OHLCV history from the server's /bars endpoint (through data:request)
+ * for the chosen symbol and timeframe, then extends the last bar live from
+ * the 'bars' stream (A/AM aggregates). Rows from the Levels table for the
+ * symbol are drawn as horizontal lines.
+ *
+ * Everything is drawn on a single canvas and only when something changed,
+ * so thousands of bars stay cheap. Wheel zooms, drag pans, double-click
+ * returns to the latest bars.
+ */
+
+// Server TimeframeEnum values with their bar length and history to request
+const TIMEFRAMES = {
+    '1min': { label: '1m', ms: 60 * 1000, days: 3 },
+    '5min': { label: '5m', ms: 5 * 60 * 1000, days: 10 },
+    '15min': { label: '15m', ms: 15 * 60 * 1000, days: 30 },
+    '30min': { label: '30m', ms: 30 * 60 * 1000, days: 60 },
+    '1hour': { label: '1h', ms: 60 * 60 * 1000, days: 120 },
+    '4hour': { label: '4h', ms: 4 * 60 * 60 * 1000, days: 365 },
+    '1day': { label: 'D', period: 'day', days: 730 },
+    '1week': { label: 'W', period: 'week', days: 365 * 5 },
+    '1month': { label: 'M', period: 'month', days: 365 * 15 }
+};
+
+// Bars requested per load
+const BAR_LIMIT = 1000;
+
+const COLORS = {
+    background: '#0d0d0d',
+    grid: '#1a1a1a',
+    axis: '#333',
+    text: '#888',
+    up: '#00ff00',
+    down: '#ff3333',
+    crosshair: '#666',
+    levels: {
+        SUPPORT: '#00ff00',
+        RESISTANCE: '#ff3333',
+        HVN: '#ffaa00',
+        PIVOT: '#4a9eff'
+    }
+};
+
+const PRICE_AXIS_WIDTH = 70;
+const TIME_AXIS_HEIGHT = 22;
+const VOLUME_PANE_RATIO = 0.18;
+
+class ChartView {
+    /**
+     * @param {Object} config
+     * @param {Object} config.electronAPI - Preload API
+     * @param {HTMLElement} config.container - Element the chart fills
+     * @param {function} [config.onSymbolSelected] - Called when the user types a new symbol
+     */
+    constructor(config) {
+        this.electronAPI = config.electronAPI;
+        this.container = config.container;
+        this.onSymbolSelected = config.onSymbolSelected || null;
+
+        // Chart settings (persisted under chart.*)
+        this.symbol = 'SPY';
+        this.timeframe = '5min';
+        this.showLevels = true;
+
+        // Data
+        this.bars = [];             // { timestamp, key, open, high, low, close, volume }
+        this.levels = new Map();    // levelId -> Levels row for this symbol
+        this.subscriptionId = null;
+        this.loadedAt = 0;          // Aggregates that started earlier are already in the REST bars
+        this.minuteVolumes = new Map();   // minute start -> { seconds, lastSecond, minute, total }
+        this.loadSequence = 0;
+
+        // View
+        this.visibleCount = 120;    // Bars across the plot
+        this.offset = 0;            // Bars hidden to the right of the plot (0 = latest)
+        this.crosshair = null;      // { x, y } in CSS pixels
+        this.drag = null;
+        this.frameRequested = false;
+        this.size = { width: 0, height: 0 };
+
+        this.elements = {};
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Build the toolbar and canvas, restore settings and load the chart
+     */
+    async initialize() {
+        this.createElements();
+
+        try {
+            const saved = await this.electronAPI.state.load('chart', {});
+            const settings = saved?.value || {};
+            if (settings.symbol) this.symbol = settings.symbol;
+            if (TIMEFRAMES[settings.timeframe]) this.timeframe = settings.timeframe;
+            if (typeof settings.showLevels === 'boolean') this.showLevels = settings.showLevels;
+        } catch (error) {
+            console.error('[ChartView] Failed to load chart settings:', error);
+        }
+
+        this.elements.symbol.value = this.symbol;
+        this.elements.timeframe.value = this.timeframe;
+        this.elements.levels.checked = this.showLevels;
+
+        this.unsubscribers.push(
+            this.electronAPI.market.onData((message) => this.handleMarketData(message)),
+            this.electronAPI.data.onUpdate((update) => this.handleTableUpdate(update))
+        );
+
+        this.resizeObserver = new ResizeObserver(() => this.notifyResize());
+        this.resizeObserver.observe(this.elements.plot);
+
+        await this.load();
+    }
+
+    createElements() {
+        this.container.innerHTML = `
+            <div class="chart-toolbar">
+                <input class="chart-symbol" type="text" spellcheck="false" title="Symbol (Enter to load)">
+                <select class="chart-timeframe" title="Timeframe"></select>
+                <label class="chart-option"><input class="chart-levels" type="checkbox"> Levels</label>
+                <span class="chart-legend"></span>
+                <span class="chart-status"></span>
+            </div>
+            <div class="chart-plot"><canvas></canvas></div>
+        `;
+
+        this.elements = {
+            symbol: this.container.querySelector('.chart-symbol'),
+            timeframe: this.container.querySelector('.chart-timeframe'),
+            levels: this.container.querySelector('.chart-levels'),
+            legend: this.container.querySelector('.chart-legend'),
+            status: this.container.querySelector('.chart-status'),
+            plot: this.container.querySelector('.chart-plot'),
+            canvas: this.container.querySelector('canvas')
+        };
+        this.context = this.elements.canvas.getContext('2d');
+
+        for (const [value, { label }] of Object.entries(TIMEFRAMES)) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.elements.timeframe.appendChild(option);
+        }
+
+        this.elements.symbol.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                this.setSymbol(this.elements.symbol.value);
+                this.onSymbolSelected?.(this.symbol);
+            }
+        });
+        this.elements.timeframe.addEventListener('change', () => {
+            this.setTimeframe(this.elements.timeframe.value);
+        });
+        this.elements.levels.addEventListener('change', () => {
+            this.showLevels = this.elements.levels.checked;
+            this.saveSettings();
+            this.requestDraw();
+        });
+
+        const canvas = this.elements.canvas;
+        canvas.addEventListener('wheel', (event) => this.handleWheel(event), { passive: false });
+        canvas.addEventListener('mousedown', (event) => this.handleMouseDown(event));
+        canvas.addEventListener('mousemove', (event) => this.handleMouseMove(event));
+        canvas.addEventListener('mouseleave', () => {
+            this.crosshair = null;
+            this.drag = null;
+            this.requestDraw();
+        });
+        window.addEventListener('mouseup', () => {
+            this.drag = null;
+        });
+        canvas.addEventListener('dblclick', () => {
+            this.offset = 0;
+            this.visibleCount = 120;
+            this.requestDraw();
+        });
+    }
+
+    // ===== Loading =====
+
+    /**
+     * Show a different symbol
+     * @param {string} symbol - Stock symbol
+     */
+    async setSymbol(symbol) {
+        const normalized = String(symbol || '').trim().toUpperCase();
+        if (!normalized || normalized === this.symbol) return;
+
+        this.symbol = normalized;
+        this.elements.symbol.value = normalized;
+        this.saveSettings();
+        await this.load();
+    }
+
+    /**
+     * Show a different timeframe
+     * @param {string} timeframe - Server timeframe (1min ... 1month)
+     */
+    async setTimeframe(timeframe) {
+        if (!TIMEFRAMES[timeframe] || timeframe === this.timeframe) return;
+
+        this.timeframe = timeframe;
+        this.elements.timeframe.value = timeframe;
+        this.saveSettings();
+        await this.load();
+    }
+
+    saveSettings() {
+        this.electronAPI.state.save('chart', {
+            symbol: this.symbol,
+            timeframe: this.timeframe,
+            showLevels: this.showLevels
+        });
+    }
+
+    /**
+     * Load history, levels and the live subscription for the current symbol
+     */
+    async load() {
+        const sequence = ++this.loadSequence;
+        const { symbol, timeframe } = this;
+
+        this.setStatus(`Loading ${symbol}...`);
+        await this.unsubscribe();
+
+        this.bars = [];
+        this.levels.clear();
+        this.minuteVolumes.clear();
+        this.offset = 0;
+        this.requestDraw();
+
+        try {
+            const startDate = new Date(Date.now() - TIMEFRAMES[timeframe].days * 24 * 60 * 60 * 1000)
+                .toISOString()
+                .slice(0, 10);
+
+            const result = await this.electronAPI.data.request({
+                source: 'polygon',
+                params: {
+                    endpoint: '/bars',
+                    method: 'POST',
+                    data: { symbol, timeframe, limit: BAR_LIMIT, start_date: startDate, validate: false }
+                }
+            });
+
+            // A newer load started while this one was waiting
+            if (sequence !== this.loadSequence) return;
+
+            if (!result?.success) {
+                throw new Error(result?.error || 'Request failed');
+            }
+
+            this.bars = (result.data?.data || []).map(bar => this.normalizeBar(bar));
+            this.loadedAt = Date.now();
+            this.setStatus(this.bars.length > 0 ? '' : `No bars for ${symbol}`);
+
+        } catch (error) {
+            if (sequence !== this.loadSequence) return;
+            console.error(`[ChartView] Failed to load ${symbol} ${timeframe}:`, error);
+            this.setStatus(`Failed to load ${symbol}: ${error.message}`);
+        }
+
+        await Promise.all([this.subscribe(), this.loadLevels()]);
+        this.requestDraw();
+    }
+
+    normalizeBar(bar) {
+        return {
+            timestamp: Date.parse(bar.timestamp),
+            key: this.periodKey(String(bar.timestamp).slice(0, 10)),
+            open: bar.open,
+            high: bar.high,
+            low: bar.low,
+            close: bar.close,
+            volume: bar.volume || 0
+        };
+    }
+
+    async loadLevels() {
+        try {
+            const result = await this.electronAPI.levels.getLevels(this.symbol);
+            if (result?.success) {
+                result.levels.forEach(level => this.levels.set(level.id, level));
+            }
+        } catch (error) {
+            console.error('[ChartView] Failed to load levels:', error);
+        }
+    }
+
+    async subscribe() {
+        try {
+            const result = await this.electronAPI.data.subscribe({
+                stream: 'bars',
+                symbols: [this.symbol],
+                options: {}
+            });
+
+            if (result?.success) {
+                this.subscriptionId = result.subscriptionId;
+            }
+        } catch (error) {
+            console.error('[ChartView] Failed to subscribe:', error);
+        }
+    }
+
+    async unsubscribe() {
+        if (!this.subscriptionId) return;
+
+        const subscriptionId = this.subscriptionId;
+        this.subscriptionId = null;
+
+        try {
+            await this.electronAPI.data.unsubscribe({ subscriptionId });
+        } catch (error) {
+            console.error('[ChartView] Failed to unsubscribe:', error);
+        }
+    }
+
+    // ===== Live updates =====
+
+    handleMarketData({ subscriptionId, data }) {
+        if (!subscriptionId || subscriptionId !== this.subscriptionId) return;
+
+        const items = Array.isArray(data) ? data : [data];
+        for (const item of items) {
+            if (item?.event_type === 'aggregate' && item.symbol === this.symbol) {
+                this.applyAggregate(item);
+            }
+        }
+    }
+
+    /**
+     * Extend the last bar (or start a new one) from an A/AM aggregate
+     */
+    applyAggregate(aggregate) {
+        const start = Number(aggregate.timestamp);
+        if (!Number.isFinite(start) || this.bars.length === 0) return;
+
+        const last = this.bars[this.bars.length - 1];
+        const { ms } = TIMEFRAMES[this.timeframe];
+        const bucket = ms
+            ? Math.floor(start / ms) * ms
+            : this.periodKey(this.tradingDay(start));
+        const lastBucket = ms ? last.timestamp : last.key;
+
+        if (bucket < lastBucket) return;
+
+        const volume = start >= this.loadedAt ? this.aggregateVolume(aggregate) : 0;
+
+        if (bucket === lastBucket) {
+            last.high = Math.max(last.high, aggregate.high);
+            last.low = Math.min(last.low, aggregate.low);
+            last.volume += volume;
+
+            // A minute aggregate lands after that minute's second aggregates
+            if (start >= (last.lastStart || 0)) {
+                last.close = aggregate.close;
+                last.lastStart = start;
+            }
+        } else {
+            this.bars.push({
+                timestamp: ms ? bucket : start,
+                key: ms ? null : bucket,
+                open: aggregate.open,
+                high: aggregate.high,
+                low: aggregate.low,
+                close: aggregate.close,
+                volume,
+                lastStart: start
+            });
+        }
+
+        this.requestDraw();
+    }
+
+    /**
+     * Volume an aggregate adds to its bar
+     *
+     * A (per-second) and AM (per-minute) aggregates both arrive as 'aggregate'
+     * and are told apart by their start time: a minute aggregate starts on the
+     * minute, like the second aggregate of its first second, but arrives after
+     * the minute's later seconds. Each minute counts the larger of its second
+     * aggregates and its minute aggregate, so the minute aggregate replaces
+     * the seconds already counted instead of adding to them.
+     */
+    aggregateVolume(aggregate) {
+        const start = Number(aggregate.timestamp);
+        const minuteStart = Math.floor(start / 60000) * 60000;
+
+        let entry = this.minuteVolumes.get(minuteStart);
+        if (!entry) {
+            entry = { seconds: 0, lastSecond: null, minute: 0, total: 0 };
+            this.minuteVolumes.set(minuteStart, entry);
+
+            // Keep only recent minutes
+            for (const key of this.minuteVolumes.keys()) {
+                if (key < minuteStart - 10 * 60000) this.minuteVolumes.delete(key);
+            }
+        }
+
+        const volume = aggregate.volume || 0;
+
+        if (start === minuteStart && entry.lastSecond !== null) {
+            entry.minute = Math.max(entry.minute, volume);
+        } else {
+            entry.lastSecond = start;
+            entry.seconds += volume;
+        }
+
+        const total = Math.max(entry.seconds, entry.minute);
+        const added = total - entry.total;
+        entry.total = total;
+        return added;
+    }
+
+    /**
+     * Keep level lines in step with the Levels table
+     */
+    handleTableUpdate(update) {
+        if (update?.table !== 'levels') return;
+
+        const rows = Array.isArray(update.data) ? update.data : [update.data];
+
+        if (update.type === 'replace') {
+            this.levels.clear();
+        }
+
+        for (const row of rows) {
+            if (!row || row.symbol !== this.symbol) continue;
+
+            if (update.type === 'remove') {
+                this.levels.delete(row.id);
+            } else {
+                this.levels.set(row.id, row);
+            }
+        }
+
+        this.requestDraw();
+    }
+
+    // ===== Interaction =====
+
+    handleWheel(event) {
+        event.preventDefault();
+
+        const factor = event.deltaY > 0 ? 1.15 : 1 / 1.15;
+        this.visibleCount = Math.round(Math.min(Math.max(this.visibleCount * factor, 20), Math.max(this.bars.length, 20)));
+        this.clampOffset();
+        this.requestDraw();
+    }
+
+    handleMouseDown(event) {
+        this.drag = { x: event.offsetX, offset: this.offset };
+    }
+
+    handleMouseMove(event) {
+        this.crosshair = { x: event.offsetX, y: event.offsetY };
+
+        if (this.drag) {
+            const barWidth = this.plotWidth() / this.visibleCount;
+            this.offset = Math.round(this.drag.offset + (event.offsetX - this.drag.x) / barWidth);
+            this.clampOffset();
+        }
+
+        this.requestDraw();
+    }
+
+    clampOffset() {
+        const maxOffset = Math.max(0, this.bars.length - this.visibleCount);
+        this.offset = Math.min(Math.max(this.offset, 0), maxOffset);
+    }
+
+    /**
+     * Resize the canvas to its container (called on tab switches too)
+     */
+    notifyResize() {
+        const { plot, canvas } = this.elements;
+        const width = plot.clientWidth;
+        const height = plot.clientHeight;
+        if (width === 0 || height === 0) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+
+        this.size = { width, height, ratio };
+        this.requestDraw();
+    }
+
+    // ===== Drawing =====
+
+    requestDraw() {
+        if (this.frameRequested) return;
+
+        this.frameRequested = true;
+        requestAnimationFrame(() => {
+            this.frameRequested = false;
+            this.draw();
+        });
+    }
+
+    plotWidth() {
+        return Math.max(1, this.size.width - PRICE_AXIS_WIDTH);
+    }
+
+    draw() {
+        const { width, height, ratio } = this.size;
+        if (!width || !height) return;
+
+        const ctx = this.context;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.fillStyle = COLORS.background;
+        ctx.fillRect(0, 0, width, height);
+        ctx.font = '11px Consolas, Monaco, monospace';
+        ctx.textBaseline = 'middle';
+
+        const end = this.bars.length - this.offset;
+        const start = Math.max(0, end - this.visibleCount);
+        const visible = this.bars.slice(start, end);
+        if (visible.length === 0) {
+            this.elements.legend.textContent = '';
+            return;
+        }
+
+        const plotWidth = this.plotWidth();
+        const plotHeight = height - TIME_AXIS_HEIGHT;
+        const priceHeight = plotHeight * (1 - VOLUME_PANE_RATIO);
+        const barWidth = plotWidth / this.visibleCount;
+
+        // Price scale from the visible bars, with a little headroom
+        let low = Math.min(...visible.map(bar => bar.low));
+        let high = Math.max(...visible.map(bar => bar.high));
+        const padding = (high - low || high * 0.01 || 1) * 0.08;
+        low -= padding;
+        high += padding;
+
+        const y = price => (high - price) / (high - low) * priceHeight;
+        const x = index => (index + 0.5) * barWidth + (this.visibleCount - visible.length) * barWidth;
+
+        this.drawGrid(ctx, { low, high, y, plotWidth, plotHeight, priceHeight });
+        this.drawVolume(ctx, visible, { x, barWidth, plotHeight, priceHeight });
+        this.drawCandles(ctx, visible, { x, y, barWidth });
+
+        if (this.showLevels) {
+            this.drawLevels(ctx, { low, high, y, plotWidth });
+        }
+
+        this.drawLastPrice(ctx, { y, plotWidth, low, high });
+        this.drawTimeAxis(ctx, visible, { x, barWidth, plotHeight });
+        this.drawCrosshair(ctx, visible, { low, high, barWidth, plotWidth, priceHeight, plotHeight, offsetBars: this.visibleCount - visible.length });
+    }
+
+    drawGrid(ctx, { low, high, y, plotWidth, plotHeight, priceHeight }) {
+        const step = this.niceStep((high - low) / 8);
+        const decimals = this.priceDecimals(step);
+
+        ctx.strokeStyle = COLORS.grid;
+        ctx.lineWidth = 1;
+        ctx.fillStyle = COLORS.text;
+        ctx.textAlign = 'left';
+
+        for (let price = Math.ceil(low / step) * step; price <= high; price += step) {
+            const py = Math.round(y(price)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(0, py);
+            ctx.lineTo(plotWidth, py);
+            ctx.stroke();
+            ctx.fillText(price.toFixed(decimals), plotWidth + 6, py);
+        }
+
+        // Axis borders and the price/volume divider
+        ctx.strokeStyle = COLORS.axis;
+        ctx.beginPath();
+        ctx.moveTo(plotWidth + 0.5, 0);
+        ctx.lineTo(plotWidth + 0.5, plotHeight);
+        ctx.moveTo(0, plotHeight + 0.5);
+        ctx.lineTo(plotWidth, plotHeight + 0.5);
+        ctx.moveTo(0, Math.round(priceHeight) + 0.5);
+        ctx.lineTo(plotWidth, Math.round(priceHeight) + 0.5);
+        ctx.stroke();
+    }
+
+    drawVolume(ctx, visible, { x, barWidth, plotHeight, priceHeight }) {
+        const maxVolume = Math.max(...visible.map(bar => bar.volume)) || 1;
+        const paneHeight = plotHeight - priceHeight - 2;
+        const width = Math.max(1, barWidth * 0.7);
+
+        ctx.globalAlpha = 0.4;
+        visible.forEach((bar, index) => {
+            const barHeight = (bar.volume / maxVolume) * paneHeight;
+            ctx.fillStyle = bar.close >= bar.open ? COLORS.up : COLORS.down;
+            ctx.fillRect(x(index) - width / 2, plotHeight - barHeight, width, barHeight);
+        });
+        ctx.globalAlpha = 1;
+    }
+
+    drawCandles(ctx, visible, { x, y, barWidth }) {
+        const bodyWidth = Math.max(1, barWidth * 0.7);
+
+        visible.forEach((bar, index) => {
+            const cx = Math.round(x(index)) + 0.5;
+            const color = bar.close >= bar.open ? COLORS.up : COLORS.down;
+            const top = y(Math.max(bar.open, bar.close));
+            const bottom = y(Math.min(bar.open, bar.close));
+
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+
+            // Wick
+            ctx.beginPath();
+            ctx.moveTo(cx, y(bar.high));
+            ctx.lineTo(cx, y(bar.low));
+            ctx.stroke();
+
+            // Body (at least a pixel for doji bars)
+            ctx.fillRect(cx - bodyWidth / 2, top, bodyWidth, Math.max(1, bottom - top));
+        });
+    }
+
+    drawLevels(ctx, { low, high, y, plotWidth }) {
+        ctx.setLineDash([6, 4]);
+        ctx.textAlign = 'right';
+
+        for (const level of this.levels.values()) {
+            if (!level.active || level.level < low || level.level > high) continue;
+
+            const py = Math.round(y(level.level)) + 0.5;
+            const color = COLORS.levels[level.type] || COLORS.text;
+
+            ctx.strokeStyle = color;
+            ctx.globalAlpha = 0.4 + 0.12 * (level.strength || 1);
+            ctx.beginPath();
+            ctx.moveTo(0, py);
+            ctx.lineTo(plotWidth, py);
+            ctx.stroke();
+
+            ctx.fillStyle = color;
+            ctx.fillText(`${level.type} ${level.timeframe}`, plotWidth - 4, py - 7);
+        }
+
+        ctx.setLineDash([]);
+        ctx.globalAlpha = 1;
+    }
+
+    drawLastPrice(ctx, { y, plotWidth, low, high }) {
+        const last = this.bars[this.bars.length - 1];
+        if (!last || last.close < low || last.close > high) return;
+
+        const py = Math.round(y(last.close)) + 0.5;
+        const color = last.close >= last.open ? COLORS.up : COLORS.down;
+
+        ctx.strokeStyle = color;
+        ctx.setLineDash([2, 2]);
+        ctx.beginPath();
+        ctx.moveTo(0, py);
+        ctx.lineTo(plotWidth, py);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        this.drawAxisLabel(ctx, last.close.toFixed(this.priceDecimals(last.close / 1000)), plotWidth, py, color, '#000');
+    }
+
+    drawTimeAxis(ctx, visible, { x, barWidth, plotHeight }) {
+        const every = Math.max(1, Math.ceil(90 / barWidth));
+        const firstIndex = this.bars.length - this.offset - visible.length;
+
+        ctx.fillStyle = COLORS.text;
+        ctx.textAlign = 'center';
+
+        visible.forEach((bar, index) => {
+            // Label positions stay put while panning
+            if ((firstIndex + index) % every !== 0) return;
+            ctx.fillText(this.formatTime(bar), x(index), plotHeight + TIME_AXIS_HEIGHT / 2);
+        });
+    }
+
+    drawCrosshair(ctx, visible, { low, high, barWidth, plotWidth, priceHeight, plotHeight, offsetBars }) {
+        const bar = this.crosshair
+            ? visible[Math.floor(this.crosshair.x / barWidth) - offsetBars]
+            : visible[visible.length - 1];
+
+        this.updateLegend(bar);
+
+        if (!this.crosshair || this.crosshair.x > plotWidth || this.crosshair.y > plotHeight) return;
+
+        const { x: cx, y: cy } = this.crosshair;
+
+        ctx.strokeStyle = COLORS.crosshair;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(Math.round(cx) + 0.5, 0);
+        ctx.lineTo(Math.round(cx) + 0.5, plotHeight);
+        ctx.moveTo(0, Math.round(cy) + 0.5);
+        ctx.lineTo(plotWidth, Math.round(cy) + 0.5);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        if (cy <= priceHeight) {
+            const price = high - (cy / priceHeight) * (high - low);
+            this.drawAxisLabel(ctx, price.toFixed(this.priceDecimals((high - low) / 8)), plotWidth, cy, '#333', '#e0e0e0');
+        }
+    }
+
+    drawAxisLabel(ctx, text, plotWidth, py, background, foreground) {
+        ctx.fillStyle = background;
+        ctx.fillRect(plotWidth + 1, py - 8, PRICE_AXIS_WIDTH - 1, 16);
+        ctx.fillStyle = foreground;
+        ctx.textAlign = 'left';
+        ctx.fillText(text, plotWidth + 6, py);
+    }
+
+    updateLegend(bar) {
+        if (!bar) {
+            this.elements.legend.textContent = '';
+            return;
+        }
+
+        const decimals = this.priceDecimals(bar.close / 1000);
+        const change = bar.close - bar.open;
+
+        this.elements.legend.textContent =
+            `${this.symbol} ${TIMEFRAMES[this.timeframe].label}  ${this.formatTime(bar, true)}  ` +
+            `O ${bar.open.toFixed(decimals)}  H ${bar.high.toFixed(decimals)}  ` +
+            `L ${bar.low.toFixed(decimals)}  C ${bar.close.toFixed(decimals)}  ` +
+            `${change >= 0 ? '+' : ''}${change.toFixed(decimals)}  V ${this.formatVolume(bar.volume)}`;
+        this.elements.legend.style.color = change >= 0 ? COLORS.up : COLORS.down;
+    }
+
+    // ===== Helpers =====
+
+    setStatus(text) {
+        if (this.elements.status) {
+            this.elements.status.textContent = text;
+        }
+    }
+
+    /**
+     * Round a raw tick step to 1, 2 or 5 times a power of ten
+     */
+    niceStep(raw) {
+        if (!(raw > 0)) return 1;
+
+        const power = 10 ** Math.floor(Math.log10(raw));
+        const fraction = raw / power;
+        const nice = fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10;
+        return nice * power;
+    }
+
+    priceDecimals(step) {
+        if (step >= 1) return 2;
+        return Math.min(6, Math.max(2, Math.ceil(-Math.log10(step))));
+    }
+
+    formatTime(bar, long = false) {
+        const date = new Date(bar.timestamp);
+        const { ms } = TIMEFRAMES[this.timeframe];
+
+        if (ms) {
+            const options = { timeZone: 'America/New_York', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+            if (long || ms >= 60 * 60 * 1000) {
+                options.month = '2-digit';
+                options.day = '2-digit';
+            }
+            return new Intl.DateTimeFormat('en-US', options).format(date);
+        }
+
+        // Daily and longer bars are dated, not timed
+        const key = bar.key || '';
+        return this.timeframe === '1month' ? key.slice(0, 7) : key.slice(long ? 0 : 5);
+    }
+
+    formatVolume(volume) {
+        if (volume >= 1e9) return `${(volume / 1e9).toFixed(2)}B`;
+        if (volume >= 1e6) return `${(volume / 1e6).toFixed(2)}M`;
+        if (volume >= 1e3) return `${(volume / 1e3).toFixed(1)}K`;
+        return String(Math.round(volume));
+    }
+
+    /**
+     * US equity trading day (America/New_York) for a timestamp
+     */
+    tradingDay(timestamp) {
+        return new Intl.DateTimeFormat('en-CA', {
+            timeZone: 'America/New_York',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).format(new Date(timestamp));
+    }
+
+    /**
+     * Bar key for daily and longer timeframes: the day, the week's Monday or the month
+     * @param {string} day - YYYY-MM-DD
+     */
+    periodKey(day) {
+        const { period } = TIMEFRAMES[this.timeframe];
+        if (!period) return null;
+
+        if (period === 'month') return `${day.slice(0, 7)}-01`;
+
+        if (period === 'week') {
+            const date = new Date(`${day}T00:00:00Z`);
+            const weekday = (date.getUTCDay() + 6) % 7;     // Monday = 0
+            date.setUTCDate(date.getUTCDate() - weekday);
+            return date.toISOString().slice(0, 10);
+        }
+
+        return day;
+    }
+
+    /**
+     * Get the loaded bars, for export
+     * @param {Object} options
+     * @param {boolean} options.formatted - Times and prices as displayed instead of raw
+     * @returns {Object} { columns: [{ field, headerName }], rows: [[...]] }
+     */
+    getExportData({ formatted = false } = {}) {
+        const fields = ['timestamp', 'open', 'high', 'low', 'close', 'volume'];
+        const decimals = this.priceDecimals((this.bars[this.bars.length - 1]?.close || 1000) / 1000);
+
+        const rows = this.bars.map(bar => fields.map(field => {
+            if (field === 'timestamp') {
+                return formatted ? this.formatTime(bar, true) : new Date(bar.timestamp).toISOString();
+            }
+            if (formatted && field !== 'volume') {
+                return bar[field].toFixed(decimals);
+            }
+            return bar[field];
+        }));
+
+        return {
+            columns: fields.map(field => ({ field, headerName: field[0].toUpperCase() + field.slice(1) })),
+            rows
+        };
+    }
+
+    /**
+     * Release listeners and the live subscription (called on window unload)
+     */
+    delete() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.resizeObserver?.disconnect();
+        this.unsubscribe();
+    }
+}
+
+export default ChartView;
@@ -22,6 +22,10 @@ class GridManager {
         // Performance tracking
         this.updateCounts = new Map();
         
+        // Column/sort/filter persistence (needs config.electronAPI and config.stateKeyPrefix)
+        this.stateSaveDelay = 500;           // Debounce for saving grid state in ms
+        this.stateSaveTimers = new Map();    // tableId -> pending save timeout
+        
         // Initialize custom components
         this.initializeCellRenderers();
         this.initializeValueFormatters();
@@ -291,6 +295,20 @@ class GridManager {
                     minute: '2-digit',
                     second: '2-digit'
                 });
+            },
+            
+            // Date and time, for rows spanning several days (backtest trades)
+            dateTime: (params) => {
+                const value = params.value;
+                if (!value) return '';
+                const date = new Date(value);
+                return date.toLocaleString('en-US', {
+                    month: '2-digit',
+                    day: '2-digit',
+                    hour: '2-digit',
+                    minute: '2-digit',
+                    hour12: false
+                });
             }
         };
     }
@@ -370,6 +388,22 @@ class GridManager {
             timestamp: {
                 valueFormatter: this.valueFormatters.datetime,
                 width: 100
+            },
+            pnl: {
+                cellRenderer: 'PLRenderer',
+                width: 100
+            },
+            pnlPercent: {
+                cellRenderer: 'PLRenderer',
+                width: 90
+            },
+            entryTime: {
+                valueFormatter: this.valueFormatters.dateTime,
+                width: 120
+            },
+            exitTime: {
+                valueFormatter: this.valueFormatters.dateTime,
+                width: 120
             }
         };
 
@@ -436,6 +470,9 @@ class GridManager {
                 tableConfig.schema, 
                 tableConfig.defaultView
             );
+            
+            // Column layout, sort and filters saved for this window
+            const savedState = await this.loadGridState(tableId);
 
             // Grid options
             const gridOptions = {
@@ -464,7 +501,8 @@ class GridManager {
                 
                 // Use getRowId instead of getRowNodeId (v31+ change)
                 getRowId: (params) => {
-                    return params.data.symbol || params.data.id || 
+                    // id first: signals and levels have several rows per symbol
+                    return params.data.id || params.data.symbol || 
                            `${tableId}-${Date.now()}-${Math.random()}`;
                 },
                 
@@ -474,7 +512,19 @@ class GridManager {
                 // Events
                 onGridReady: (params) => {
                     console.log(`[GridManager] Grid ready: ${tableId}`);
-                    this.onGridReady(tableId, params);
+                    this.onGridReady(tableId, params, savedState);
+                },
+                
+                // Persist column layout, sort and filter changes made by the user
+                onColumnMoved: (event) => this.handleStateChange(tableId, event),
+                onColumnResized: (event) => this.handleStateChange(tableId, event),
+                onColumnVisible: (event) => this.handleStateChange(tableId, event),
+                onColumnPinned: (event) => this.handleStateChange(tableId, event),
+                onSortChanged: (event) => this.handleStateChange(tableId, event),
+                onFilterChanged: (event) => this.handleStateChange(tableId, event),
+                
+                onRowClicked: (event) => {
+                    this.config.onRowClicked?.(tableId, event.data);
                 },
                 
                 onRowDataUpdated: () => {
@@ -532,28 +582,23 @@ class GridManager {
     /**
      * Handle grid ready event
      */
-    onGridReady(tableId, params) {
+    onGridReady(tableId, params, savedState = null) {
         const grid = this.grids.get(tableId);
         if (grid) {
             // Store the API reference (it's already stored from createGrid)
             grid.api = params.api;
             
-            // Apply default filters using the new API
-            const defaultFilter = grid.config.defaultView?.filter;
-            if (defaultFilter && defaultFilter.length > 0) {
-                defaultFilter.forEach(([field, operator, value]) => {
-                    // Use the new setColumnFilterModel API (v31+)
-                    params.api.setColumnFilterModel(field, {
-                        type: operator === '==' ? 'equals' : operator,
-                        filter: value
-                    });
-                });
-                params.api.onFilterChanged();
+            // Restore the saved layout, or start from the table's defaultView
+            if (savedState) {
+                this.restoreGridState(grid, savedState);
+            } else {
+                this.applyDefaultFilter(params.api, grid.config.defaultView);
             }
             
             // Size columns to fit after a delay to ensure grid is visible
+            // (unless the grid has saved column widths)
             setTimeout(() => {
-                if (params.api && !params.api.isDestroyed()) {
+                if (params.api && !params.api.isDestroyed() && !grid.hasSavedLayout) {
                     params.api.sizeColumnsToFit();
                 }
             }, 100);
@@ -579,6 +624,30 @@ class GridManager {
         this.scheduleUpdateProcessing();
     }
 
+    /**
+     * Remove rows from a grid (batched with other updates)
+     */
+    removeRows(tableId, data) {
+        if (!this.updateQueues.has(tableId)) {
+            this.updateQueues.set(tableId, []);
+        }
+        
+        this.updateQueues.get(tableId).push({
+            data: Array.isArray(data) ? data : [data],
+            remove: true,
+            timestamp: Date.now()
+        });
+        
+        this.scheduleUpdateProcessing();
+    }
+
+    /**
+     * Get the row ID used by getRowId for a data row
+     */
+    getRowKey(row) {
+        return row.id || row.symbol || JSON.stringify(row);
+    }
+
     /**
      * Schedule update processing using requestAnimationFrame
      */
@@ -621,12 +690,30 @@ class GridManager {
                         update: [],
                         remove: []
                     };
+                } else if (update.remove) {
+                    update.data.forEach(row => {
+                        const key = this.getRowKey(row);
+                        
+                        // Drop pending add/update for the same row in this batch
+                        transactions.add = transactions.add.filter(r => this.getRowKey(r) !== key);
+                        transactions.update = transactions.update.filter(r => this.getRowKey(r) !== key);
+                        
+                        const rowNode = grid.api.getRowNode(key);
+                        if (rowNode && !transactions.remove.some(r => this.getRowKey(r) === key)) {
+                            transactions.remove.push(rowNode.data);
+                        }
+                    });
                 } else {
                     // For updates, we need to check if rows exist
                     update.data.forEach(row => {
-                        const rowNode = grid.api.getRowNode(
-                            row.symbol || row.id || JSON.stringify(row)
-                        );
+                        const key = this.getRowKey(row);
+                        const rowNode = grid.api.getRowNode(key);
+                        
+                        // Row re-appearing after a removal in this batch becomes an update
+                        const removedIndex = transactions.remove.findIndex(r => this.getRowKey(r) === key);
+                        if (removedIndex !== -1) {
+                            transactions.remove.splice(removedIndex, 1);
+                        }
                         
                         if (rowNode) {
                             // Store previous values for animations
@@ -785,12 +872,241 @@ class GridManager {
         document.head.appendChild(style);
     }
 
+    /**
+     * Get the rows a grid currently shows, for export
+     * Visible columns in display order; rows after filtering and sorting.
+     * @param {string} tableId - Table to export
+     * @param {Object} options
+     * @param {boolean} options.formatted - Values as displayed instead of raw
+     * @returns {Object|null} { columns: [{ field, headerName }], rows: [[...]] }
+     */
+    getExportData(tableId, { formatted = false } = {}) {
+        const grid = this.grids.get(tableId);
+        if (!grid?.api || grid.api.isDestroyed()) return null;
+        
+        const colDefs = grid.api.getAllDisplayedColumns().map(column => column.getColDef());
+        const rows = [];
+        
+        grid.api.forEachNodeAfterFilterAndSort(node => {
+            if (!node.data) return;
+            
+            rows.push(colDefs.map(colDef => {
+                const value = node.data[colDef.field];
+                return formatted ? this.formatExportValue(colDef, value, node.data) : value ?? null;
+            }));
+        });
+        
+        return {
+            columns: colDefs.map(colDef => ({ field: colDef.field, headerName: colDef.headerName })),
+            rows
+        };
+    }
+
+    /**
+     * Text a cell shows for a value (matches the cell renderers)
+     */
+    formatExportValue(colDef, value, data) {
+        if (value === null || value === undefined) return '';
+        
+        if (colDef.valueFormatter) {
+            return colDef.valueFormatter({ value, data, colDef });
+        }
+        
+        switch (colDef.cellRenderer) {
+            case 'PriceChangeRenderer':
+                return value.toFixed(2);
+                
+            case 'PLRenderer':
+                return colDef.field.includes('Percent')
+                    ? `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`
+                    : `${value >= 0 ? '+' : ''}$${Math.abs(value).toFixed(2)}`;
+                
+            case 'VolumeBarRenderer':
+                if (value >= 1e9) return `${(value / 1e9).toFixed(1)}B`;
+                if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+                if (value >= 1e3) return `${(value / 1e3).toFixed(1)}K`;
+                return String(value);
+                
+            case 'SignalStrengthRenderer':
+                return `${value}%`;
+        }
+        
+        if (colDef.filter === 'agDateColumnFilter') {
+            return new Date(value).toLocaleString('en-US');
+        }
+        
+        if (typeof value === 'number' && !Number.isInteger(value)) {
+            return value.toFixed(2);
+        }
+        
+        return String(value);
+    }
+
+    /**
+     * Get a grid's column layout, sort and filters
+     * @param {string} tableId - Table identifier
+     * @returns {Object|null} { columnState, filterModel }
+     */
+    getGridState(tableId) {
+        const grid = this.grids.get(tableId);
+        if (!grid?.api || grid.api.isDestroyed()) return null;
+        
+        return {
+            columnState: grid.api.getColumnState(),
+            filterModel: grid.api.getFilterModel()
+        };
+    }
+
+    /**
+     * Apply a column layout, sort and filters from getGridState() and save it
+     * @param {string} tableId - Table identifier
+     * @param {Object} state - { columnState, filterModel }
+     */
+    applyGridState(tableId, state) {
+        const grid = this.grids.get(tableId);
+        if (!grid?.api || grid.api.isDestroyed() || !state) return;
+        
+        this.restoreGridState(grid, state);
+        this.scheduleStateSave(tableId);
+    }
+
+    restoreGridState(grid, state) {
+        if (Array.isArray(state.columnState)) {
+            grid.api.applyColumnState({ state: state.columnState, applyOrder: true });
+            grid.hasSavedLayout = true;
+        }
+        
+        grid.api.setFilterModel(state.filterModel || null);
+    }
+
+    /**
+     * Apply a table's defaultView filters ([field, operator, value] triples)
+     */
+    applyDefaultFilter(api, defaultView) {
+        const defaultFilter = defaultView?.filter;
+        if (defaultFilter && defaultFilter.length > 0) {
+            defaultFilter.forEach(([field, operator, value]) => {
+                // Use the new setColumnFilterModel API (v31+)
+                api.setColumnFilterModel(field, {
+                    type: operator === '==' ? 'equals' : operator,
+                    filter: value
+                });
+            });
+            api.onFilterChanged();
+        }
+    }
+
+    /**
+     * Drop a grid's saved layout and go back to the table's defaultView
+     * @param {string} tableId - Table identifier
+     */
+    async resetGridState(tableId) {
+        const grid = this.grids.get(tableId);
+        if (!grid?.api || grid.api.isDestroyed()) return;
+        
+        clearTimeout(this.stateSaveTimers.get(tableId));
+        this.stateSaveTimers.delete(tableId);
+        
+        // Column definitions carry defaultView's visible columns; the sort came from initialState
+        const defaultView = grid.config.defaultView;
+        grid.api.resetColumnState();
+        grid.api.applyColumnState({
+            state: (defaultView?.sort || []).map(([colId, sort], sortIndex) => ({ colId, sort, sortIndex })),
+            defaultState: { sort: null }
+        });
+        
+        grid.api.setFilterModel(null);
+        this.applyDefaultFilter(grid.api, defaultView);
+        
+        grid.hasSavedLayout = false;
+        grid.api.sizeColumnsToFit();
+        
+        const key = this.getStateKey(tableId);
+        if (key) {
+            await this.config.electronAPI.state.delete(key);
+        }
+    }
+
+    // ===== Grid state persistence =====
+
+    /**
+     * State key for a table's saved layout (per window, per table)
+     */
+    getStateKey(tableId) {
+        return this.config.electronAPI && this.config.stateKeyPrefix
+            ? `${this.config.stateKeyPrefix}.${tableId}`
+            : null;
+    }
+
+    async loadGridState(tableId) {
+        const key = this.getStateKey(tableId);
+        if (!key) return null;
+        
+        try {
+            const result = await this.config.electronAPI.state.load(key, null);
+            return result?.value || null;
+        } catch (error) {
+            console.error(`[GridManager] Failed to load state for ${tableId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Save after user changes; programmatic changes (restores, linked symbol
+     * filters, fitting columns to the window) are not saved
+     */
+    handleStateChange(tableId, event) {
+        if (event.finished === false) return;
+        if (['api', 'gridInitializing', 'sizeColumnsToFit', 'flex'].includes(event.source)) return;
+        
+        this.scheduleStateSave(tableId);
+    }
+
+    scheduleStateSave(tableId) {
+        if (!this.getStateKey(tableId)) return;
+        
+        clearTimeout(this.stateSaveTimers.get(tableId));
+        this.stateSaveTimers.set(tableId, setTimeout(() => {
+            this.stateSaveTimers.delete(tableId);
+            this.saveGridState(tableId);
+        }, this.stateSaveDelay));
+    }
+
+    async saveGridState(tableId) {
+        const state = this.getGridState(tableId);
+        if (!state) return;
+        
+        const grid = this.grids.get(tableId);
+        grid.hasSavedLayout = true;
+        
+        try {
+            await this.config.electronAPI.state.save(this.getStateKey(tableId), state);
+        } catch (error) {
+            console.error(`[GridManager] Failed to save state for ${tableId}:`, error);
+        }
+    }
+
+    /**
+     * Show only one symbol in a grid (null clears the symbol filter)
+     */
+    async setSymbolFilter(tableId, symbol) {
+        const grid = this.grids.get(tableId);
+        if (!grid?.api || grid.api.isDestroyed()) return;
+        
+        await grid.api.setColumnFilterModel('symbol', symbol ? {
+            type: 'equals',
+            filter: symbol
+        } : null);
+        grid.api.onFilterChanged();
+    }
+
     /**
      * Resize all grids (call when window resizes)
      */
     resizeGrids() {
         this.grids.forEach((grid, tableId) => {
-            if (grid.api && !grid.api.isDestroyed()) {
+            // Grids with saved column widths keep them
+            if (grid.api && !grid.api.isDestroyed() && !grid.hasSavedLayout) {
                 // Wait a frame to ensure container has resized
                 setTimeout(() => {
                     grid.api.sizeColumnsToFit();
@@ -812,6 +1128,13 @@ class GridManager {
     destroyGrid(tableId) {
         const grid = this.grids.get(tableId);
         if (grid) {
+            // Write a pending layout change before the grid goes away
+            if (this.stateSaveTimers.has(tableId)) {
+                clearTimeout(this.stateSaveTimers.get(tableId));
+                this.stateSaveTimers.delete(tableId);
+                this.saveGridState(tableId);
+            }
+            
             if (grid.api && !grid.api.isDestroyed()) {
                 grid.api.destroy();
             }
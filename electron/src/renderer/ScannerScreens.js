@@ -0,0 +1,299 @@
+/**
+ * ScannerScreens - Saved screen rules for the Scanner table
+ *
+ * Screens are named rule expressions (see ScreenEngine.js) stored under
+ * scanner.screens. The active screen filters scanner rows before they
+ * reach the grid, and the toolbar lets the user pick, edit, save and
+ * delete screens.
+ */
+
+import ScreenEngine from './ScreenEngine.js';
+
+class ScannerScreens {
+    /**
+     * @param {Object} config
+     * @param {Object} config.electronAPI - Preload API
+     * @param {Object} config.schema - Scanner table schema
+     * @param {Function} config.onChange - Called when the active rule changes
+     */
+    constructor(config) {
+        this.electronAPI = config.electronAPI;
+        this.engine = new ScreenEngine(config.schema);
+        this.onChange = config.onChange || (() => {});
+
+        this.screens = [];          // Saved screens: { id, name, expression }
+        this.activeId = null;       // Saved screen in use (null = all symbols)
+        this.expression = null;     // Expression currently applied
+        this.predicate = null;      // Compiled predicate for expression
+
+        this.elements = {};         // Toolbar DOM references
+    }
+
+    /**
+     * Load saved screens and the active screen from state
+     */
+    async load() {
+        try {
+            const screens = await this.electronAPI.state.load('scanner.screens', []);
+            const activeId = await this.electronAPI.state.load('scanner.activeScreen', null);
+
+            this.screens = Array.isArray(screens?.value) ? screens.value : [];
+
+            const active = this.screens.find(screen => screen.id === activeId?.value);
+            if (active) {
+                this.apply(active.expression, active.id, false);
+            }
+        } catch (error) {
+            console.error('[ScannerScreens] Failed to load screens:', error);
+        }
+    }
+
+    /**
+     * Check a row against the active screen
+     * @param {Object} row - Scanner row
+     * @returns {boolean}
+     */
+    matches(row) {
+        return this.predicate ? this.predicate(row) : true;
+    }
+
+    /**
+     * Split rows into matching and rejected sets
+     * @param {Array} rows - Scanner rows
+     * @returns {Object} { matched, rejected }
+     */
+    partition(rows) {
+        const matched = [];
+        const rejected = [];
+
+        for (const row of rows) {
+            (this.matches(row) ? matched : rejected).push(row);
+        }
+
+        return { matched, rejected };
+    }
+
+    /**
+     * Apply an expression as the active rule
+     * @param {string|null} expression - Rule expression (null clears the screen)
+     * @param {string|null} screenId - Saved screen the expression belongs to
+     * @param {boolean} persist - Save the active screen selection
+     * @throws {ScreenSyntaxError} If the expression is invalid
+     */
+    apply(expression, screenId = null, persist = true) {
+        const trimmed = expression ? expression.trim() : '';
+
+        // Compile first so an invalid rule leaves the current screen in place
+        this.predicate = trimmed ? this.engine.compile(trimmed) : null;
+        this.expression = trimmed || null;
+        this.activeId = screenId;
+
+        if (persist) {
+            this.electronAPI.state.save('scanner.activeScreen', screenId);
+        }
+
+        this.onChange();
+    }
+
+    /**
+     * Save a screen (replaces an existing screen with the same name)
+     * @param {string} name - Screen name
+     * @param {string} expression - Rule expression
+     * @returns {Object} Saved screen
+     */
+    async saveScreen(name, expression) {
+        const trimmedName = name.trim();
+        if (!trimmedName) {
+            throw new Error('Screen name is required');
+        }
+
+        // Validate before saving
+        this.engine.parse(expression);
+
+        let screen = this.screens.find(s => s.name.toLowerCase() === trimmedName.toLowerCase());
+        if (screen) {
+            screen.expression = expression.trim();
+        } else {
+            screen = {
+                id: `screen-${Date.now()}`,
+                name: trimmedName,
+                expression: expression.trim()
+            };
+            this.screens.push(screen);
+        }
+
+        await this.electronAPI.state.save('scanner.screens', this.screens);
+        this.apply(screen.expression, screen.id);
+
+        return screen;
+    }
+
+    /**
+     * Delete a saved screen
+     * @param {string} screenId - Screen to delete
+     */
+    async deleteScreen(screenId) {
+        this.screens = this.screens.filter(screen => screen.id !== screenId);
+        await this.electronAPI.state.save('scanner.screens', this.screens);
+
+        if (this.activeId === screenId) {
+            this.apply(null);
+        }
+    }
+
+    /**
+     * Build the screen toolbar
+     * @returns {HTMLElement}
+     */
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'screen-toolbar';
+        toolbar.innerHTML = `
+            <select class="screen-select" title="Saved screens"></select>
+            <input class="screen-name" type="text" placeholder="Screen name" spellcheck="false">
+            <input class="screen-expression" type="text" spellcheck="false"
+                   placeholder="e.g. changePercent > 3 AND relativeVolume > 2 AND price BETWEEN 5 AND 50">
+            <button class="screen-button screen-apply" title="Apply rule (Enter)">Apply</button>
+            <button class="screen-button screen-save" title="Save screen">Save</button>
+            <button class="screen-button screen-delete" title="Delete screen">Delete</button>
+            <span class="screen-error"></span>
+        `;
+
+        this.elements = {
+            toolbar,
+            select: toolbar.querySelector('.screen-select'),
+            name: toolbar.querySelector('.screen-name'),
+            expression: toolbar.querySelector('.screen-expression'),
+            apply: toolbar.querySelector('.screen-apply'),
+            save: toolbar.querySelector('.screen-save'),
+            delete: toolbar.querySelector('.screen-delete'),
+            error: toolbar.querySelector('.screen-error')
+        };
+
+        this.elements.select.addEventListener('change', () => this.handleSelect());
+        this.elements.apply.addEventListener('click', () => this.handleApply());
+        this.elements.save.addEventListener('click', () => this.handleSave());
+        this.elements.delete.addEventListener('click', () => this.handleDelete());
+
+        this.elements.expression.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                this.handleApply();
+            } else if (event.key === 'Escape') {
+                this.showError(null);
+            }
+        });
+
+        this.renderToolbar();
+
+        return toolbar;
+    }
+
+    /**
+     * Sync toolbar controls with the current screens
+     */
+    renderToolbar() {
+        const { select, name, expression, delete: deleteButton } = this.elements;
+        if (!select) return;
+
+        select.innerHTML = '';
+        select.appendChild(new Option('All symbols', ''));
+
+        for (const screen of this.screens) {
+            select.appendChild(new Option(screen.name, screen.id));
+        }
+
+        // Unsaved rule in use
+        if (this.expression && !this.activeId) {
+            select.appendChild(new Option('Custom rule', '__custom__'));
+        }
+
+        select.value = this.activeId || (this.expression ? '__custom__' : '');
+
+        const active = this.screens.find(screen => screen.id === this.activeId);
+        name.value = active ? active.name : name.value;
+        expression.value = this.expression || '';
+        deleteButton.disabled = !active;
+    }
+
+    handleSelect() {
+        const screenId = this.elements.select.value;
+
+        if (screenId === '__custom__') return;
+
+        const screen = this.screens.find(s => s.id === screenId);
+
+        try {
+            this.apply(screen ? screen.expression : null, screen ? screen.id : null);
+            this.showError(null);
+        } catch (error) {
+            // Saved screen no longer valid (e.g. schema changed)
+            this.showError(error);
+        }
+
+        this.renderToolbar();
+    }
+
+    handleApply() {
+        const expression = this.elements.expression.value;
+
+        try {
+            // Keep the saved screen selected if its rule is unchanged
+            const active = this.screens.find(screen => screen.id === this.activeId);
+            const screenId = active && active.expression === expression.trim() ? active.id : null;
+
+            this.apply(expression, screenId);
+            this.showError(null);
+            this.renderToolbar();
+        } catch (error) {
+            this.showError(error);
+        }
+    }
+
+    async handleSave() {
+        try {
+            await this.saveScreen(this.elements.name.value, this.elements.expression.value);
+            this.showError(null);
+            this.renderToolbar();
+        } catch (error) {
+            this.showError(error);
+        }
+    }
+
+    async handleDelete() {
+        if (!this.activeId) return;
+
+        try {
+            await this.deleteScreen(this.activeId);
+            this.elements.name.value = '';
+            this.showError(null);
+            this.renderToolbar();
+        } catch (error) {
+            this.showError(error);
+        }
+    }
+
+    /**
+     * Show an error and move the caret to its column
+     * @param {Error|null} error - Error to show (null clears)
+     */
+    showError(error) {
+        const { error: errorElement, expression } = this.elements;
+        if (!errorElement) return;
+
+        if (!error) {
+            errorElement.textContent = '';
+            expression.classList.remove('invalid');
+            return;
+        }
+
+        errorElement.textContent = error.message;
+
+        if (error.column) {
+            expression.classList.add('invalid');
+            expression.focus();
+            expression.setSelectionRange(error.column - 1, error.column - 1 + (error.length || 1));
+        }
+    }
+}
+
+export default ScannerScreens;
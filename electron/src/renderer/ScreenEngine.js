@@ -0,0 +1,541 @@
+/**
+ * ScreenEngine - Parser and evaluator for scanner screen rules
+ *
+ * Screens are boolean expressions over the fields of a table schema, e.g.
+ *   changePercent > 3 AND relativeVolume > 2 AND price BETWEEN 5 AND 50
+ *
+ * Supported syntax:
+ * - Comparisons: >, >=, <, <=, =, ==, !=, <>
+ * - Ranges and sets: x BETWEEN a AND b, x NOT BETWEEN a AND b, symbol IN ('AAPL', 'TSLA')
+ * - Logic: AND, OR, NOT and parentheses
+ * - Arithmetic across columns: change > atr * 0.5
+ * - Number suffixes K, M, B (volume > 1.5M) and quoted strings
+ *
+ * Syntax errors are reported as ScreenSyntaxError with a 1-based column.
+ */
+
+// Keywords are case-insensitive
+const KEYWORDS = ['AND', 'OR', 'NOT', 'BETWEEN', 'IN', 'TRUE', 'FALSE'];
+
+// Comparison operators and their canonical form
+const COMPARISON_OPERATORS = {
+    '>': '>',
+    '>=': '>=',
+    '<': '<',
+    '<=': '<=',
+    '=': '==',
+    '==': '==',
+    '!=': '!=',
+    '<>': '!='
+};
+
+// Multipliers for number suffixes
+const NUMBER_SUFFIXES = { K: 1e3, M: 1e6, B: 1e9 };
+
+// Map schema column types to expression types
+const SCHEMA_TYPES = {
+    float: 'number',
+    integer: 'number',
+    datetime: 'number',
+    string: 'string',
+    boolean: 'boolean'
+};
+
+/**
+ * Error raised for invalid screen expressions
+ */
+export class ScreenSyntaxError extends Error {
+    constructor(message, column, length = 1) {
+        super(`${message} (column ${column})`);
+        this.name = 'ScreenSyntaxError';
+        this.reason = message;      // Message without position
+        this.column = column;       // 1-based column of the offending token
+        this.length = length;       // Length of the offending token
+    }
+}
+
+class ScreenEngine {
+    /**
+     * @param {Object} schema - Table schema ({ field: 'float' | 'string' | ... })
+     */
+    constructor(schema) {
+        // Map lowercase field name -> { name, type }
+        this.fields = new Map();
+
+        for (const [name, type] of Object.entries(schema || {})) {
+            this.fields.set(name.toLowerCase(), {
+                name,
+                type: SCHEMA_TYPES[type] || 'string'
+            });
+        }
+    }
+
+    /**
+     * Parse an expression into an AST
+     * @param {string} source - Screen expression
+     * @returns {Object} AST root (always boolean-typed)
+     * @throws {ScreenSyntaxError} On invalid syntax or unknown fields
+     */
+    parse(source) {
+        if (typeof source !== 'string' || source.trim().length === 0) {
+            throw new ScreenSyntaxError('Screen expression is empty', 1);
+        }
+
+        this.tokens = this.tokenize(source);
+        this.position = 0;
+
+        const ast = this.parseOr();
+        const trailing = this.peek();
+
+        if (trailing.type !== 'eof') {
+            throw new ScreenSyntaxError(`Unexpected ${this.describe(trailing)}`, trailing.column, trailing.length);
+        }
+
+        this.expectType(ast, 'boolean', 'Screen must be a condition (e.g. price > 5)');
+
+        return ast;
+    }
+
+    /**
+     * Compile an expression into a row predicate
+     * @param {string} source - Screen expression
+     * @returns {Function} (row) => boolean
+     */
+    compile(source) {
+        const ast = this.parse(source);
+
+        return (row) => {
+            try {
+                return this.evaluate(ast, row) === true;
+            } catch (error) {
+                return false;
+            }
+        };
+    }
+
+    /**
+     * Validate an expression without throwing
+     * @param {string} source - Screen expression
+     * @returns {Object} { valid, error }
+     */
+    validate(source) {
+        try {
+            this.parse(source);
+            return { valid: true, error: null };
+        } catch (error) {
+            return { valid: false, error };
+        }
+    }
+
+    /**
+     * Evaluate an AST node against a row
+     * Missing (null) values make comparisons false
+     */
+    evaluate(node, row) {
+        switch (node.kind) {
+            case 'literal':
+                return node.value;
+
+            case 'field':
+                return row[node.name] ?? null;
+
+            case 'negate': {
+                const value = this.evaluate(node.operand, row);
+                return value === null ? null : -value;
+            }
+
+            case 'arithmetic': {
+                const left = this.evaluate(node.left, row);
+                const right = this.evaluate(node.right, row);
+                if (left === null || right === null) return null;
+
+                switch (node.operator) {
+                    case '+': return left + right;
+                    case '-': return left - right;
+                    case '*': return left * right;
+                    case '/': return right === 0 ? null : left / right;
+                }
+                return null;
+            }
+
+            case 'compare': {
+                const left = this.normalizeValue(this.evaluate(node.left, row));
+                const right = this.normalizeValue(this.evaluate(node.right, row));
+                if (left === null || right === null) return false;
+
+                switch (node.operator) {
+                    case '>': return left > right;
+                    case '>=': return left >= right;
+                    case '<': return left < right;
+                    case '<=': return left <= right;
+                    case '==': return left === right;
+                    case '!=': return left !== right;
+                }
+                return false;
+            }
+
+            case 'between': {
+                const value = this.evaluate(node.value, row);
+                const low = this.evaluate(node.low, row);
+                const high = this.evaluate(node.high, row);
+                if (value === null || low === null || high === null) return false;
+
+                const inside = value >= low && value <= high;
+                return node.negated ? !inside : inside;
+            }
+
+            case 'in': {
+                const value = this.normalizeValue(this.evaluate(node.value, row));
+                if (value === null) return false;
+
+                const found = node.values.some(item => this.normalizeValue(this.evaluate(item, row)) === value);
+                return node.negated ? !found : found;
+            }
+
+            case 'and':
+                return this.evaluate(node.left, row) === true && this.evaluate(node.right, row) === true;
+
+            case 'or':
+                return this.evaluate(node.left, row) === true || this.evaluate(node.right, row) === true;
+
+            case 'not':
+                return this.evaluate(node.operand, row) !== true;
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Normalize values for comparison (strings compare case-insensitively)
+     */
+    normalizeValue(value) {
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'string') return value.toUpperCase();
+        if (value instanceof Date) return value.getTime();
+        return value;
+    }
+
+    // ===== Tokenizer =====
+
+    /**
+     * Split source into tokens with 1-based columns
+     */
+    tokenize(source) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < source.length) {
+            const char = source[i];
+            const column = i + 1;
+
+            // Whitespace
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            // Numbers (with optional K/M/B suffix)
+            if (/[0-9.]/.test(char)) {
+                const match = /^(\d+\.?\d*|\.\d+)([kKmMbB](?![A-Za-z0-9_]))?/.exec(source.slice(i));
+                if (!match) {
+                    throw new ScreenSyntaxError(`Invalid number`, column);
+                }
+
+                const multiplier = match[2] ? NUMBER_SUFFIXES[match[2].toUpperCase()] : 1;
+                tokens.push({ type: 'number', value: parseFloat(match[1]) * multiplier, text: match[0], column, length: match[0].length });
+                i += match[0].length;
+
+                if (/[A-Za-z_]/.test(source[i] || '')) {
+                    throw new ScreenSyntaxError(`Invalid number`, column, match[0].length + 1);
+                }
+                continue;
+            }
+
+            // Quoted strings
+            if (char === '\'' || char === '"') {
+                const end = source.indexOf(char, i + 1);
+                if (end === -1) {
+                    throw new ScreenSyntaxError('Unterminated string', column, source.length - i);
+                }
+
+                const text = source.slice(i, end + 1);
+                tokens.push({ type: 'string', value: source.slice(i + 1, end), text, column, length: text.length });
+                i = end + 1;
+                continue;
+            }
+
+            // Identifiers and keywords
+            if (/[A-Za-z_]/.test(char)) {
+                const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+                const text = match[0];
+                const upper = text.toUpperCase();
+
+                tokens.push({
+                    type: KEYWORDS.includes(upper) ? 'keyword' : 'identifier',
+                    value: KEYWORDS.includes(upper) ? upper : text,
+                    text,
+                    column,
+                    length: text.length
+                });
+                i += text.length;
+                continue;
+            }
+
+            // Two-character operators first
+            const pair = source.slice(i, i + 2);
+            if (COMPARISON_OPERATORS[pair]) {
+                tokens.push({ type: 'comparison', value: COMPARISON_OPERATORS[pair], text: pair, column, length: 2 });
+                i += 2;
+                continue;
+            }
+
+            if (COMPARISON_OPERATORS[char]) {
+                tokens.push({ type: 'comparison', value: COMPARISON_OPERATORS[char], text: char, column, length: 1 });
+                i++;
+                continue;
+            }
+
+            if ('+-*/(),'.includes(char)) {
+                tokens.push({ type: 'punct', value: char, text: char, column, length: 1 });
+                i++;
+                continue;
+            }
+
+            throw new ScreenSyntaxError(`Unexpected character '${char}'`, column);
+        }
+
+        tokens.push({ type: 'eof', value: null, text: '', column: source.length + 1, length: 1 });
+        return tokens;
+    }
+
+    // ===== Parser (recursive descent, lowest precedence first) =====
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    matchKeyword(keyword) {
+        const token = this.peek();
+        if (token.type === 'keyword' && token.value === keyword) {
+            this.position++;
+            return token;
+        }
+        return null;
+    }
+
+    matchPunct(value) {
+        const token = this.peek();
+        if (token.type === 'punct' && token.value === value) {
+            this.position++;
+            return token;
+        }
+        return null;
+    }
+
+    expectPunct(value) {
+        const token = this.peek();
+        if (!this.matchPunct(value)) {
+            throw new ScreenSyntaxError(`Expected '${value}' but found ${this.describe(token)}`, token.column, token.length);
+        }
+        return token;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+
+        while (this.peek().type === 'keyword' && this.peek().value === 'OR') {
+            const token = this.next();
+            const right = this.parseAnd();
+            this.expectType(left, 'boolean', 'OR requires conditions on both sides', token);
+            this.expectType(right, 'boolean', 'OR requires conditions on both sides', token);
+            left = { kind: 'or', left, right, type: 'boolean', column: token.column };
+        }
+
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+
+        while (this.peek().type === 'keyword' && this.peek().value === 'AND') {
+            const token = this.next();
+            const right = this.parseNot();
+            this.expectType(left, 'boolean', 'AND requires conditions on both sides', token);
+            this.expectType(right, 'boolean', 'AND requires conditions on both sides', token);
+            left = { kind: 'and', left, right, type: 'boolean', column: token.column };
+        }
+
+        return left;
+    }
+
+    parseNot() {
+        const token = this.matchKeyword('NOT');
+        if (token) {
+            const operand = this.parseNot();
+            this.expectType(operand, 'boolean', 'NOT requires a condition', token);
+            return { kind: 'not', operand, type: 'boolean', column: token.column };
+        }
+
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const left = this.parseAdditive();
+        const token = this.peek();
+
+        // Plain comparison
+        if (token.type === 'comparison') {
+            this.next();
+            const right = this.parseAdditive();
+            this.checkComparable(left, right, token);
+            return { kind: 'compare', operator: token.value, left, right, type: 'boolean', column: token.column };
+        }
+
+        // [NOT] BETWEEN / [NOT] IN
+        let negated = false;
+        if (token.type === 'keyword' && token.value === 'NOT') {
+            const following = this.tokens[this.position + 1];
+            if (following.type === 'keyword' && (following.value === 'BETWEEN' || following.value === 'IN')) {
+                this.next();
+                negated = true;
+            }
+        }
+
+        const betweenToken = this.matchKeyword('BETWEEN');
+        if (betweenToken) {
+            this.expectType(left, 'number', 'BETWEEN requires a numeric value', betweenToken);
+            const low = this.parseAdditive();
+
+            const andToken = this.peek();
+            if (!this.matchKeyword('AND')) {
+                throw new ScreenSyntaxError(`Expected AND in BETWEEN but found ${this.describe(andToken)}`, andToken.column, andToken.length);
+            }
+
+            const high = this.parseAdditive();
+            this.expectType(low, 'number', 'BETWEEN bounds must be numeric', betweenToken);
+            this.expectType(high, 'number', 'BETWEEN bounds must be numeric', betweenToken);
+            return { kind: 'between', value: left, low, high, negated, type: 'boolean', column: betweenToken.column };
+        }
+
+        const inToken = this.matchKeyword('IN');
+        if (inToken) {
+            this.expectPunct('(');
+            const values = [this.parseAdditive()];
+            while (this.matchPunct(',')) {
+                values.push(this.parseAdditive());
+            }
+            this.expectPunct(')');
+
+            values.forEach(value => this.checkComparable(left, value, inToken));
+            return { kind: 'in', value: left, values, negated, type: 'boolean', column: inToken.column };
+        }
+
+        return left;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+
+        while (this.peek().type === 'punct' && '+-'.includes(this.peek().value)) {
+            const token = this.next();
+            const right = this.parseMultiplicative();
+            this.expectType(left, 'number', `'${token.value}' requires numeric operands`, token);
+            this.expectType(right, 'number', `'${token.value}' requires numeric operands`, token);
+            left = { kind: 'arithmetic', operator: token.value, left, right, type: 'number', column: token.column };
+        }
+
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+
+        while (this.peek().type === 'punct' && '*/'.includes(this.peek().value)) {
+            const token = this.next();
+            const right = this.parseUnary();
+            this.expectType(left, 'number', `'${token.value}' requires numeric operands`, token);
+            this.expectType(right, 'number', `'${token.value}' requires numeric operands`, token);
+            left = { kind: 'arithmetic', operator: token.value, left, right, type: 'number', column: token.column };
+        }
+
+        return left;
+    }
+
+    parseUnary() {
+        const token = this.matchPunct('-');
+        if (token) {
+            const operand = this.parseUnary();
+            this.expectType(operand, 'number', 'Unary minus requires a number', token);
+            return { kind: 'negate', operand, type: 'number', column: token.column };
+        }
+
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.next();
+
+        switch (token.type) {
+            case 'number':
+                return { kind: 'literal', value: token.value, type: 'number', column: token.column };
+
+            case 'string':
+                return { kind: 'literal', value: token.value, type: 'string', column: token.column };
+
+            case 'identifier': {
+                const field = this.fields.get(token.value.toLowerCase());
+                if (!field) {
+                    throw new ScreenSyntaxError(`Unknown field '${token.value}'`, token.column, token.length);
+                }
+                return { kind: 'field', name: field.name, type: field.type, column: token.column };
+            }
+
+            case 'keyword':
+                if (token.value === 'TRUE' || token.value === 'FALSE') {
+                    return { kind: 'literal', value: token.value === 'TRUE', type: 'boolean', column: token.column };
+                }
+                break;
+
+            case 'punct':
+                if (token.value === '(') {
+                    const inner = this.parseOr();
+                    this.expectPunct(')');
+                    return inner;
+                }
+                break;
+        }
+
+        throw new ScreenSyntaxError(`Unexpected ${this.describe(token)}`, token.column, token.length);
+    }
+
+    // ===== Type checking helpers =====
+
+    expectType(node, type, message, token = null) {
+        if (node.type !== type) {
+            const column = token ? token.column : node.column;
+            throw new ScreenSyntaxError(message, column, token ? token.length : 1);
+        }
+    }
+
+    checkComparable(left, right, token) {
+        if (left.type !== right.type) {
+            throw new ScreenSyntaxError(`Cannot compare ${left.type} with ${right.type}`, token.column, token.length);
+        }
+
+        if (left.type === 'boolean' && !['==', '!=', 'IN'].includes(token.value)) {
+            throw new ScreenSyntaxError(`Operator '${token.text}' is not valid for conditions`, token.column, token.length);
+        }
+    }
+
+    describe(token) {
+        if (token.type === 'eof') return 'end of expression';
+        return `'${token.text}'`;
+    }
+}
+
+export default ScreenEngine;
@@ -0,0 +1,187 @@
+/**
+ * SymbolLink - Colour-coded symbol linking between windows and tabs
+ *
+ * A window on a link colour shares its selected symbol with every other
+ * window on the same colour: clicking a row in any grid here publishes the
+ * symbol through the main process (link:publish) and linked views in all of
+ * those windows - including this one - switch to it. Listeners are told
+ * whether the symbol was picked here, so the publishing window's grids can
+ * stay unfiltered. Unlinked windows keep their selection to themselves.
+ *
+ * The colour is chosen from the header select and persisted per window by
+ * the main process. The header clear button shows the followed symbol and
+ * releases the filter.
+ */
+
+// Swatch colours for the link channels the main process knows about
+const LINK_SWATCHES = {
+    red: '#ff3333',
+    green: '#00ff00',
+    blue: '#4a9eff',
+    yellow: '#ffdd00',
+    purple: '#b266ff'
+};
+
+class SymbolLink {
+    /**
+     * @param {Object} config
+     * @param {Object} config.electronAPI - Preload API
+     * @param {HTMLSelectElement} [config.colorSelect] - Header select for the link colour
+     * @param {HTMLButtonElement} [config.clearButton] - Header button releasing the filter
+     */
+    constructor(config) {
+        this.electronAPI = config.electronAPI;
+        this.colorSelect = config.colorSelect || null;
+        this.clearButton = config.clearButton || null;
+
+        this.color = null;
+        this.symbol = null;
+        this.filtered = false;      // Grids here follow a symbol from another window
+        this.listeners = new Set();
+        this.unsubscribe = null;
+    }
+
+    /**
+     * Load this window's colour and start listening to linked windows
+     */
+    async initialize() {
+        try {
+            const result = await this.electronAPI.link.getColor();
+            if (result?.success) {
+                this.color = result.color;
+                this.renderSelect(result.colors);
+            }
+        } catch (error) {
+            console.error('[SymbolLink] Failed to load link color:', error);
+        }
+
+        this.clearButton?.addEventListener('click', () => this.clear());
+
+        this.unsubscribe = this.electronAPI.link.onSymbol(({ color, symbol }) => {
+            // Ignore messages sent before this window changed colour
+            if (color === this.color) {
+                this.apply(symbol);
+            }
+        });
+    }
+
+    renderSelect(colors = Object.keys(LINK_SWATCHES)) {
+        if (!this.colorSelect) return;
+
+        this.colorSelect.innerHTML = '';
+
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = 'Off';
+        this.colorSelect.appendChild(none);
+
+        for (const color of colors) {
+            const option = document.createElement('option');
+            option.value = color;
+            option.textContent = `● ${color[0].toUpperCase()}${color.slice(1)}`;
+            option.style.color = LINK_SWATCHES[color] || '#e0e0e0';
+            this.colorSelect.appendChild(option);
+        }
+
+        this.colorSelect.addEventListener('change', () => this.setColor(this.colorSelect.value || null));
+        this.updateSelect();
+    }
+
+    updateSelect() {
+        if (!this.colorSelect) return;
+
+        this.colorSelect.value = this.color || '';
+        this.colorSelect.style.color = LINK_SWATCHES[this.color] || '';
+        this.colorSelect.style.borderColor = LINK_SWATCHES[this.color] || '';
+    }
+
+    /**
+     * Move this window to another link colour
+     * @param {string|null} color - Link colour, or null to unlink
+     */
+    async setColor(color) {
+        const result = await this.electronAPI.link.setColor(color);
+
+        if (!result?.success) {
+            console.error('[SymbolLink] Failed to set link color:', result?.error);
+            this.updateSelect();
+            return;
+        }
+
+        this.color = result.color;
+        this.updateSelect();
+
+        // Unlinking releases the views that were following a symbol
+        if (!this.color) {
+            this.apply(null);
+        }
+    }
+
+    /**
+     * A symbol was picked in this window (row click, chart symbol box)
+     * @param {string} symbol - Stock symbol
+     * @param {string} source - Table or view the symbol came from
+     */
+    async select(symbol, source) {
+        if (!this.color || !symbol || (symbol === this.symbol && !this.filtered)) return;
+
+        this.apply(symbol, true);
+
+        try {
+            await this.electronAPI.link.publish(symbol, source);
+        } catch (error) {
+            console.error('[SymbolLink] Failed to publish symbol:', error);
+        }
+    }
+
+    /**
+     * Switch the linked views in this window
+     * @param {string|null} symbol - Symbol to follow, or null to stop following
+     * @param {boolean} published - The symbol was picked in this window
+     */
+    apply(symbol, published = false) {
+        this.symbol = symbol;
+        this.filtered = Boolean(symbol) && !published;
+        this.renderClear();
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(symbol, { published });
+            } catch (error) {
+                console.error('[SymbolLink] Listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Stop filtering to the linked symbol (linked windows are not affected)
+     */
+    clear() {
+        this.apply(null);
+    }
+
+    renderClear() {
+        if (!this.clearButton) return;
+
+        this.clearButton.textContent = this.filtered ? `${this.symbol} ✕` : '';
+        this.clearButton.classList.toggle('hidden', !this.filtered);
+    }
+
+    /**
+     * Register a linked view
+     * @param {function} listener - Called with the symbol (null when unlinked or cleared)
+     *   and { published } (true when the symbol was picked in this window)
+     * @returns {function} - Call to remove the listener
+     */
+    onSymbol(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    destroy() {
+        this.unsubscribe?.();
+        this.listeners.clear();
+    }
+}
+
+export default SymbolLink;
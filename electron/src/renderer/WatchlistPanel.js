@@ -0,0 +1,331 @@
+/**
+ * WatchlistPanel - List picker and editing toolbar for the Watchlist table
+ *
+ * Lists live in the main process (WatchlistManager, workspace.watchlists);
+ * the watchlist table receives quote rows for every watched symbol and this
+ * panel passes through only the rows of the list selected in this window.
+ * It also answers the Symbol Lists menu (add, remove, import, export).
+ */
+
+class WatchlistPanel {
+    /**
+     * @param {Object} config
+     * @param {Object} config.electronAPI - Preload API
+     * @param {Function} config.onChange - Called when the selected list or its symbols change
+     * @param {Function} [config.onActivate] - Called to bring the Watchlist tab forward
+     */
+    constructor(config) {
+        this.electronAPI = config.electronAPI;
+        this.onChange = config.onChange || (() => {});
+        this.onActivate = config.onActivate || (() => {});
+
+        this.lists = [];            // { name, symbols, createdAt, updatedAt }
+        this.activeName = null;     // List shown in this window
+        this.symbols = new Set();   // Symbols of the active list
+
+        this.elements = {};         // Toolbar DOM references
+        this.unsubscribers = [];
+    }
+
+    /**
+     * Load lists, the selected list and hook up the menu
+     */
+    async load() {
+        try {
+            const [result, active] = await Promise.all([
+                this.electronAPI.watchlists.list(),
+                this.electronAPI.state.load('ui.activeWatchlist', null)
+            ]);
+
+            if (result?.success) {
+                this.setLists(result.lists, active?.value);
+            }
+        } catch (error) {
+            console.error('[WatchlistPanel] Failed to load watchlists:', error);
+        }
+
+        this.unsubscribers.push(
+            this.electronAPI.watchlists.onChanged(({ lists }) => this.setLists(lists, this.activeName)),
+            this.electronAPI.on('menu:add-symbol', () => this.handleMenuAdd()),
+            this.electronAPI.on('menu:remove-symbol', () => this.handleMenuRemove()),
+            this.electronAPI.on('menu:import-symbols', (filePath) => this.importFile(filePath)),
+            this.electronAPI.on('menu:export-symbols', (filePath) => this.exportFile(filePath))
+        );
+    }
+
+    /**
+     * Take a new set of lists, keeping the selection when the list still exists
+     */
+    setLists(lists, activeName) {
+        this.lists = Array.isArray(lists) ? lists : [];
+
+        const active = this.lists.find(list => list.name === activeName) || this.lists[0] || null;
+        this.activeName = active ? active.name : null;
+        this.symbols = new Set(active ? active.symbols : []);
+
+        this.renderToolbar();
+        this.onChange();
+    }
+
+    /**
+     * Show a different list in this window
+     * @param {string} name - List name
+     */
+    select(name) {
+        this.setLists(this.lists, name);
+        this.electronAPI.state.save('ui.activeWatchlist', this.activeName);
+    }
+
+    /**
+     * Check a quote row against the active list
+     * @param {Object} row - Watchlist row
+     * @returns {boolean}
+     */
+    matches(row) {
+        return this.symbols.has(row.symbol);
+    }
+
+    /**
+     * Split rows into matching and rejected sets
+     * @param {Array} rows - Watchlist rows
+     * @returns {Object} { matched, rejected }
+     */
+    partition(rows) {
+        const matched = [];
+        const rejected = [];
+
+        for (const row of rows) {
+            (this.matches(row) ? matched : rejected).push(row);
+        }
+
+        return { matched, rejected };
+    }
+
+    /**
+     * Build the watchlist toolbar
+     * @returns {HTMLElement}
+     */
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'screen-toolbar';
+        toolbar.innerHTML = `
+            <select class="watchlist-select" title="Watchlists"></select>
+            <input class="watchlist-name" type="text" placeholder="List name" spellcheck="false">
+            <button class="screen-button watchlist-create" title="Create a list with this name">New</button>
+            <button class="screen-button watchlist-rename" title="Rename the selected list">Rename</button>
+            <button class="screen-button watchlist-delete" title="Delete the selected list">Delete</button>
+            <input class="watchlist-symbols" type="text" placeholder="Symbols, e.g. AAPL MSFT" spellcheck="false">
+            <button class="screen-button watchlist-add" title="Add symbols (Enter)">Add</button>
+            <button class="screen-button watchlist-remove" title="Remove symbols">Remove</button>
+            <span class="screen-error"></span>
+        `;
+
+        this.elements = {
+            toolbar,
+            select: toolbar.querySelector('.watchlist-select'),
+            name: toolbar.querySelector('.watchlist-name'),
+            create: toolbar.querySelector('.watchlist-create'),
+            rename: toolbar.querySelector('.watchlist-rename'),
+            delete: toolbar.querySelector('.watchlist-delete'),
+            symbols: toolbar.querySelector('.watchlist-symbols'),
+            add: toolbar.querySelector('.watchlist-add'),
+            remove: toolbar.querySelector('.watchlist-remove'),
+            message: toolbar.querySelector('.screen-error')
+        };
+
+        this.elements.select.addEventListener('change', () => this.select(this.elements.select.value));
+        this.elements.create.addEventListener('click', () => this.handleCreate());
+        this.elements.rename.addEventListener('click', () => this.handleRename());
+        this.elements.delete.addEventListener('click', () => this.handleDelete());
+        this.elements.add.addEventListener('click', () => this.handleAdd());
+        this.elements.remove.addEventListener('click', () => this.handleRemove());
+
+        this.elements.symbols.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                this.handleAdd();
+            } else if (event.key === 'Escape') {
+                this.showMessage(null);
+            }
+        });
+
+        this.renderToolbar();
+
+        return toolbar;
+    }
+
+    /**
+     * Sync toolbar controls with the current lists
+     */
+    renderToolbar() {
+        const { select, name, delete: deleteButton } = this.elements;
+        if (!select) return;
+
+        select.innerHTML = '';
+        for (const list of this.lists) {
+            select.appendChild(new Option(`${list.name} (${list.symbols.length})`, list.name));
+        }
+
+        select.value = this.activeName || '';
+        name.value = this.activeName || '';
+        deleteButton.disabled = this.lists.length <= 1;
+    }
+
+    /**
+     * Put a symbol in the symbol box (row clicks), ready for Remove
+     * @param {string} symbol - Stock symbol
+     */
+    pickSymbol(symbol) {
+        if (this.elements.symbols) {
+            this.elements.symbols.value = symbol;
+        }
+    }
+
+    parseSymbols(text) {
+        return text.split(/[\s,;]+/).map(symbol => symbol.trim().toUpperCase()).filter(Boolean);
+    }
+
+    async handleCreate() {
+        const result = await this.electronAPI.watchlists.create(this.elements.name.value);
+        if (!result?.success) {
+            this.showMessage(result?.error || 'Failed to create list', true);
+            return;
+        }
+
+        this.select(result.list.name);
+        this.showMessage(null);
+    }
+
+    async handleRename() {
+        if (!this.activeName) return;
+
+        const result = await this.electronAPI.watchlists.rename(this.activeName, this.elements.name.value);
+        if (!result?.success) {
+            this.showMessage(result?.error || 'Failed to rename list', true);
+            return;
+        }
+
+        this.select(result.list.name);
+        this.showMessage(null);
+    }
+
+    async handleDelete() {
+        if (!this.activeName) return;
+
+        const result = await this.electronAPI.watchlists.delete(this.activeName);
+        if (!result?.success) {
+            this.showMessage(result?.error || 'Failed to delete list', true);
+            return;
+        }
+
+        this.showMessage(null);
+    }
+
+    async handleAdd() {
+        const symbols = this.parseSymbols(this.elements.symbols.value);
+        if (!this.activeName || symbols.length === 0) return;
+
+        this.showMessage('Validating...');
+
+        const result = await this.electronAPI.watchlists.addSymbols(this.activeName, symbols);
+        if (!result?.success) {
+            this.showMessage(result?.error || 'Failed to add symbols', true);
+            return;
+        }
+
+        this.elements.symbols.value = result.invalid.join(' ');
+        this.showResult(result);
+    }
+
+    async handleRemove() {
+        const symbols = this.parseSymbols(this.elements.symbols.value);
+        if (!this.activeName || symbols.length === 0) {
+            this.showMessage('Type or click the symbols to remove', true);
+            this.elements.symbols?.focus();
+            return;
+        }
+
+        const result = await this.electronAPI.watchlists.removeSymbols(this.activeName, symbols);
+        if (!result?.success) {
+            this.showMessage(result?.error || 'Failed to remove symbols', true);
+            return;
+        }
+
+        this.elements.symbols.value = '';
+        this.showMessage(null);
+    }
+
+    // ===== Symbol Lists menu =====
+
+    handleMenuAdd() {
+        this.onActivate();
+        this.elements.symbols?.focus();
+    }
+
+    handleMenuRemove() {
+        this.onActivate();
+        this.handleRemove();
+    }
+
+    /**
+     * Import a CSV/TXT file as a list named after the file
+     * @param {string} filePath - File chosen in the import dialog
+     */
+    async importFile(filePath) {
+        this.onActivate();
+        this.showMessage('Importing...');
+
+        const result = await this.electronAPI.watchlists.import(filePath);
+        if (!result?.success) {
+            this.showMessage(result?.error || 'Import failed', true);
+            return;
+        }
+
+        this.select(result.list.name);
+        this.showResult(result);
+    }
+
+    /**
+     * Export the selected list
+     * @param {string} filePath - File chosen in the export dialog
+     */
+    async exportFile(filePath) {
+        if (!this.activeName) return;
+
+        const result = await this.electronAPI.watchlists.export(filePath, this.activeName);
+        if (!result?.success) {
+            this.showMessage(result?.error || 'Export failed', true);
+            return;
+        }
+
+        this.showMessage(`Exported ${result.count} symbols`);
+    }
+
+    showResult({ added, invalid }) {
+        const parts = [`Added ${added.length}`];
+        if (invalid.length > 0) {
+            parts.push(`invalid: ${invalid.join(', ')}`);
+        }
+
+        this.showMessage(parts.join(' - '), invalid.length > 0);
+    }
+
+    /**
+     * Show a status or error message in the toolbar
+     * @param {string|null} text - Message (null clears)
+     * @param {boolean} isError - Show in the error colour
+     */
+    showMessage(text, isError = false) {
+        const { message } = this.elements;
+        if (!message) return;
+
+        message.textContent = text || '';
+        message.style.color = isError ? '' : '#888';
+    }
+
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+}
+
+export default WatchlistPanel;
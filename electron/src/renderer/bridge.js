@@ -12,6 +12,15 @@
  */
 
 import GridManager from './GridManager.js';
+import ScannerScreens from './ScannerScreens.js';
+import ChartView from './ChartView.js';
+import SymbolLink from './SymbolLink.js';
+import WatchlistPanel from './WatchlistPanel.js';
+import BacktestPanel from './BacktestPanel.js';
+import AlertsPanel from './AlertsPanel.js';
+
+// Grids that filter to a symbol selected in another window on the link channel
+const LINKED_TABLES = ['positions', 'levels'];
 
 // Configuration for Perspective tables
 const TABLE_CONFIGS = {
@@ -91,24 +100,98 @@ const TABLE_CONFIGS = {
     levels: {
         name: 'Price Levels',
         schema: {
+            id: 'string',              // Unique level ID
             symbol: 'string',          // Stock symbol
-            type: 'string',            // SUPPORT, RESISTANCE, PIVOT
+            type: 'string',            // SUPPORT, RESISTANCE, HVN, PIVOT
             level: 'float',            // Price level
             strength: 'integer',       // Level strength (1-5)
             touches: 'integer',        // Number of touches
             lastTouch: 'datetime',     // Last touch time
             created: 'datetime',       // When level was identified
             timeframe: 'string',       // Timeframe (5m, 1h, 1d, etc.)
-            active: 'boolean'          // Is level still active
+            active: 'boolean',         // Is level still active
+            source: 'string'           // swing, volume-profile, prior-day
         },
         defaultView: {
             columns: ['symbol', 'type', 'level', 'strength', 'touches', 'timeframe'],
             sort: [['symbol', 'asc'], ['level', 'desc']],
             filter: [['active', '==', true]]
         }
+    },
+    
+    watchlist: {
+        name: 'Watchlist',
+        schema: {
+            symbol: 'string',          // Stock symbol
+            price: 'float',            // Last trade price
+            change: 'float',           // Change from prior close
+            changePercent: 'float',    // Percentage change
+            bid: 'float',              // Best bid
+            ask: 'float',              // Best ask
+            high: 'float',             // Session high
+            low: 'float',              // Session low
+            volume: 'integer',         // Session volume
+            timestamp: 'datetime'      // Last update time
+        },
+        defaultView: {
+            columns: ['symbol', 'price', 'change', 'changePercent', 'bid', 'ask', 'volume'],
+            sort: [['symbol', 'asc']],
+            filter: []
+        }
+    },
+    
+    alerts: {
+        name: 'Alerts',
+        schema: {
+            id: 'string',              // Alert ID
+            symbol: 'string',          // Stock symbol (* for any signal)
+            type: 'string',            // Price cross, % change, Indicator, ...
+            condition: 'string',       // Condition in words
+            repeat: 'string',          // once or always
+            enabled: 'boolean',        // Alert is armed
+            triggerCount: 'integer',   // Times fired
+            lastTriggered: 'datetime', // Last fired
+            note: 'string'             // User note
+        },
+        defaultView: {
+            columns: ['symbol', 'type', 'condition', 'repeat', 'enabled', 'triggerCount', 'lastTriggered'],
+            sort: [['symbol', 'asc']],
+            filter: []
+        }
+    },
+    
+    backtest: {
+        name: 'Backtest Trades',
+        schema: {
+            id: 'string',              // Unique trade ID
+            symbol: 'string',          // Stock symbol
+            side: 'string',            // LONG or SHORT
+            quantity: 'integer',       // Share quantity
+            entryTime: 'datetime',     // Entry fill time
+            entryPrice: 'float',       // Entry fill price (after slippage)
+            exitTime: 'datetime',      // Exit fill time
+            exitPrice: 'float',        // Exit fill price
+            exitReason: 'string',      // STOP, TARGET, CLOSE or END
+            stopLoss: 'float',         // Signal stop loss
+            takeProfit: 'float',       // Signal take profit
+            pnl: 'float',              // Net P&L after commissions
+            pnlPercent: 'float',       // Net P&L % of entry value
+            rMultiple: 'float',        // P&L in units of initial risk
+            commission: 'float',       // Commissions, both sides
+            barsHeld: 'integer',       // Bars in the trade
+            notes: 'string'            // Signal notes
+        },
+        defaultView: {
+            columns: ['symbol', 'side', 'quantity', 'entryTime', 'entryPrice', 'exitTime', 'exitPrice', 'exitReason', 'pnl', 'rMultiple'],
+            sort: [['entryTime', 'asc']],
+            filter: []
+        }
     }
 };
 
+// Backtest toolbar plus its summary strip
+const BACKTEST_PANEL_HEIGHT = 156;
+
 /**
  * Bridge state management
  */
@@ -125,6 +208,15 @@ const BridgeState = {
     // Update queue for batching high-frequency updates
     updateQueue: new Map(),
     
+    // Scanner screen filtering
+    scannerScreens: null,
+    symbolLink: null,
+    watchlistPanel: null,
+    backtestPanel: null,
+    alertsPanel: null,
+    watchlistRows: new Map(), // Latest row per watched symbol, across all lists
+    scannerRows: new Map(),   // Latest row per symbol, including filtered-out rows
+    
     // Performance tracking
     updateCount: 0,
     lastUpdateTime: Date.now(),
@@ -154,10 +246,27 @@ async function loadPerspective() {
         
         console.log('AG-Grid is available, creating GridManager...');
         
+        // Grid layouts are saved per window, per table
+        const { electronAPI } = BridgeState.config;
+        const windowInfo = await electronAPI.window.getCurrentInfo().catch(() => null);
+        
         // Create GridManager instance
         BridgeState.gridManager = new GridManager({
             AppState: BridgeState.config.AppState,
-            isDevelopment: BridgeState.config.electronAPI.isDevelopment
+            isDevelopment: electronAPI.isDevelopment,
+            electronAPI,
+            stateKeyPrefix: windowInfo?.id ? `gridStates.${windowInfo.id}` : null,
+            onRowClicked: (tableId, row) => {
+                if (tableId === 'alerts') {
+                    BridgeState.alertsPanel?.pickAlert(row?.id);
+                }
+                if (!row?.symbol || row.symbol === '*') return;
+                
+                if (tableId === 'watchlist') {
+                    BridgeState.watchlistPanel?.pickSymbol(row.symbol);
+                }
+                BridgeState.symbolLink?.select(row.symbol, tableId);
+            }
         });
         
         console.log('AG-Grid loaded successfully');
@@ -209,11 +318,28 @@ async function createViewer(tabId, tableId, container) {
             throw new Error(`Unknown table configuration: ${tableId}`);
         }
         
+        // Scanner gets the screen toolbar above the grid, the watchlist its list
+        // toolbar, alerts their editor, the backtest its run controls and results summary
+        let toolbarHeight = 0;
+        if (tableId === 'scanner' && BridgeState.scannerScreens) {
+            container.appendChild(BridgeState.scannerScreens.createToolbar());
+            toolbarHeight = 36;
+        } else if (tableId === 'watchlist' && BridgeState.watchlistPanel) {
+            container.appendChild(BridgeState.watchlistPanel.createToolbar());
+            toolbarHeight = 36;
+        } else if (tableId === 'alerts' && BridgeState.alertsPanel) {
+            container.appendChild(BridgeState.alertsPanel.createToolbar());
+            toolbarHeight = 36;
+        } else if (tableId === 'backtest' && BridgeState.backtestPanel) {
+            container.appendChild(BridgeState.backtestPanel.createToolbar());
+            toolbarHeight = BACKTEST_PANEL_HEIGHT;
+        }
+        
         // Create container div for the grid
         const gridContainer = document.createElement('div');
         gridContainer.id = `grid-container-${tabId}`;
         gridContainer.style.width = '100%';
-        gridContainer.style.height = '100%';
+        gridContainer.style.height = toolbarHeight ? `calc(100% - ${toolbarHeight}px)` : '100%';
         container.appendChild(gridContainer);
         
         // Create AG-Grid instance
@@ -231,12 +357,9 @@ async function createViewer(tabId, tableId, container) {
             container: container
         });
         
-        // Set up event handlers
+        // Set up event handlers (the saved column layout is restored by GridManager)
         setupViewerEvents(tabId, gridContainer);
         
-        // Load saved view configuration if exists
-        await loadViewerState(tabId, gridContainer);
-        
         console.log(`AG-Grid created for ${tabId}`);
         
         return {
@@ -250,6 +373,34 @@ async function createViewer(tabId, tableId, container) {
     }
 }
 
+/**
+ * Create a candlestick chart for a tab
+ * @param {string} tabId - Tab identifier
+ * @param {HTMLElement} container - Container element
+ */
+async function createChartViewer(tabId, container) {
+    console.log(`Creating chart viewer for tab: ${tabId}`);
+    
+    const chart = new ChartView({
+        electronAPI: BridgeState.config.electronAPI,
+        container,
+        onSymbolSelected: (symbol) => BridgeState.symbolLink?.select(symbol, tabId)
+    });
+    await chart.initialize();
+    
+    // Store viewer reference
+    BridgeState.viewers.set(tabId, {
+        element: container,
+        chart: chart,
+        container: container
+    });
+    
+    return {
+        instance: chart,
+        container: container
+    };
+}
+
 /**
  * Set up event handlers for a viewer
  * @param {string} tabId - Tab identifier
@@ -262,14 +413,15 @@ function setupViewerEvents(tabId, gridContainer) {
 }
 
 /**
- * Load saved viewer state
+ * Reset a tab's grid to its table's defaultView
  * @param {string} tabId - Tab identifier
- * @param {HTMLElement} gridContainer - Grid container element
  */
-async function loadViewerState(tabId, gridContainer) {
-    // AG-Grid state management can be implemented here
-    // For now, we'll skip this as AG-Grid handles its own state well
-    console.log(`State loading for ${tabId} - not implemented yet`);
+async function resetViewerState(tabId) {
+    const viewer = BridgeState.viewers.get(tabId);
+    if (!viewer?.tableId) return;
+    
+    await BridgeState.gridManager.resetGridState(viewer.tableId);
+    console.log(`Layout reset for ${tabId}`);
 }
 
 /**
@@ -280,6 +432,20 @@ async function loadViewerState(tabId, gridContainer) {
  */
 async function updateTable(tableId, data, replace = false) {
     try {
+        // Scanner rows pass through the active screen first
+        if (tableId === 'scanner' && BridgeState.scannerScreens) {
+            updateScannerTable(data, replace);
+            BridgeState.updateCount++;
+            return;
+        }
+        
+        // Watchlist rows are limited to the list selected in this window
+        if (tableId === 'watchlist' && BridgeState.watchlistPanel) {
+            updateWatchlistTable(data, replace);
+            BridgeState.updateCount++;
+            return;
+        }
+        
         // Use GridManager's update method
         BridgeState.gridManager.updateGrid(tableId, data, replace);
         
@@ -291,6 +457,88 @@ async function updateTable(tableId, data, replace = false) {
     }
 }
 
+/**
+ * Remove rows from a table
+ * @param {string} tableId - Table to update
+ * @param {Array} rows - Rows (or row keys) to remove
+ */
+function removeRows(tableId, rows) {
+    if (tableId === 'scanner') {
+        rows.forEach(row => BridgeState.scannerRows.delete(row.symbol));
+    } else if (tableId === 'watchlist') {
+        rows.forEach(row => BridgeState.watchlistRows.delete(row.symbol));
+    }
+    
+    BridgeState.gridManager.removeRows(tableId, rows);
+}
+
+/**
+ * Apply scanner rows through the active screen
+ * Rows that stop matching are removed from the grid
+ * @param {Array|Object} data - Scanner rows
+ * @param {boolean} replace - Replace all rows
+ */
+function updateScannerTable(data, replace = false) {
+    const rows = Array.isArray(data) ? data : [data];
+    
+    if (replace) {
+        BridgeState.scannerRows.clear();
+    }
+    
+    for (const row of rows) {
+        BridgeState.scannerRows.set(row.symbol, row);
+    }
+    
+    const { matched, rejected } = BridgeState.scannerScreens.partition(rows);
+    
+    BridgeState.gridManager.updateGrid('scanner', matched, replace);
+    
+    if (!replace && rejected.length > 0) {
+        BridgeState.gridManager.removeRows('scanner', rejected);
+    }
+}
+
+/**
+ * Re-filter all known scanner rows after the active screen changes
+ */
+function refilterScanner() {
+    const rows = Array.from(BridgeState.scannerRows.values());
+    const { matched } = BridgeState.scannerScreens.partition(rows);
+    
+    BridgeState.gridManager.updateGrid('scanner', matched, true);
+}
+
+/**
+ * Apply watchlist rows through the selected list
+ * @param {Array|Object} data - Watchlist rows
+ * @param {boolean} replace - Replace all rows
+ */
+function updateWatchlistTable(data, replace = false) {
+    const rows = Array.isArray(data) ? data : [data];
+    
+    if (replace) {
+        BridgeState.watchlistRows.clear();
+    }
+    
+    for (const row of rows) {
+        BridgeState.watchlistRows.set(row.symbol, row);
+    }
+    
+    const { matched } = BridgeState.watchlistPanel.partition(rows);
+    
+    BridgeState.gridManager.updateGrid('watchlist', matched, replace);
+}
+
+/**
+ * Re-filter all known watchlist rows after the selected list changes
+ */
+function refilterWatchlist() {
+    const rows = Array.from(BridgeState.watchlistRows.values());
+    const { matched } = BridgeState.watchlistPanel.partition(rows);
+    
+    BridgeState.gridManager.updateGrid('watchlist', matched, true);
+}
+
 /**
  * Handle incoming data updates from IPC
  * Implements batching for performance
@@ -299,6 +547,9 @@ async function updateTable(tableId, data, replace = false) {
 function handleDataUpdate(update) {
     const { type, table, data, options = {} } = update;
     
+    // A window hosting a single tab has no grid for the other tables
+    if (!BridgeState.config.AppState.tabs.some(tab => tab.id === table)) return;
+    
     // Add to update queue for batching
     if (!BridgeState.updateQueue.has(table)) {
         BridgeState.updateQueue.set(table, []);
@@ -344,17 +595,28 @@ async function processUpdateQueue() {
         let shouldReplace = false;
         
         for (const update of updates) {
-            if (update.type === 'replace') {
+            const rows = Array.isArray(update.data) ? update.data : [update.data];
+            
+            if (update.type === 'remove') {
+                // Flush pending rows first so removals apply in order
+                if (combinedData.length > 0 || shouldReplace) {
+                    await updateTable(tableId, combinedData.splice(0), shouldReplace);
+                    shouldReplace = false;
+                }
+                removeRows(tableId, rows);
+            } else if (update.type === 'replace') {
                 shouldReplace = true;
                 combinedData.length = 0; // Clear previous updates
-                combinedData.push(...(Array.isArray(update.data) ? update.data : [update.data]));
+                combinedData.push(...rows);
             } else {
-                combinedData.push(...(Array.isArray(update.data) ? update.data : [update.data]));
+                combinedData.push(...rows);
             }
         }
         
         // Apply updates through GridManager
-        await updateTable(tableId, combinedData, shouldReplace);
+        if (combinedData.length > 0 || shouldReplace) {
+            await updateTable(tableId, combinedData, shouldReplace);
+        }
         
         // Clear processed updates
         updates.length = 0;
@@ -386,8 +648,10 @@ async function createAllViewers() {
             // Add to tab content
             Elements.tabContent.appendChild(container);
             
-            // Create viewer
-            const viewer = await createViewer(tab.id, tab.id, container);
+            // Create viewer (chart tabs draw their own canvas instead of a grid)
+            const viewer = tab.kind === 'chart'
+                ? await createChartViewer(tab.id, container)
+                : await createViewer(tab.id, tab.id, container);
             
             // Notify callback
             if (callbacks.onViewerCreated) {
@@ -400,6 +664,96 @@ async function createAllViewers() {
     }
 }
 
+/**
+ * Switch linked views to a symbol selected here or in a linked window
+ * Charts load the symbol; position and level grids filter to it, except in
+ * the window it was picked in, where the grid being clicked keeps its rows.
+ * @param {string|null} symbol - Symbol to follow, or null to clear
+ * @param {Object} [origin]
+ * @param {boolean} [origin.published] - The symbol was picked in this window
+ */
+function followLinkedSymbol(symbol, { published = false } = {}) {
+    for (const viewer of BridgeState.viewers.values()) {
+        if (viewer.chart) {
+            if (symbol) viewer.chart.setSymbol(symbol);
+        } else if (LINKED_TABLES.includes(viewer.tableId)) {
+            BridgeState.gridManager.setSymbolFilter(viewer.tableId, published ? null : symbol);
+        }
+    }
+}
+
+/**
+ * Get the contents of a tab for export
+ * @param {string} tabId - Tab to export
+ * @param {Object} options - { formatted }
+ * @returns {Object|null} { columns, rows, sheetName }
+ */
+function getExportData(tabId, options = {}) {
+    const viewer = BridgeState.viewers.get(tabId);
+    if (!viewer) return null;
+    
+    if (viewer.chart) {
+        return {
+            ...viewer.chart.getExportData(options),
+            sheetName: `${viewer.chart.symbol} ${viewer.chart.timeframe}`
+        };
+    }
+    
+    const data = BridgeState.gridManager.getExportData(viewer.tableId, options);
+    return data && {
+        ...data,
+        sheetName: TABLE_CONFIGS[viewer.tableId]?.name || viewer.tableId
+    };
+}
+
+/**
+ * Get this window's view for a workspace file, or one tab's view when it is
+ * torn out into its own window
+ * @param {string} [tabId] - Only this tab
+ * @returns {Object} { grids: { [tableId]: { columnState, filterModel } }, chart, activeWatchlist }
+ */
+function getViewState(tabId) {
+    const view = { grids: {} };
+    
+    if (!tabId || tabId === 'watchlist') {
+        view.activeWatchlist = BridgeState.watchlistPanel?.activeName || null;
+    }
+    
+    for (const [id, viewer] of BridgeState.viewers) {
+        if (tabId && id !== tabId) continue;
+        
+        if (viewer.chart) {
+            view.chart = { symbol: viewer.chart.symbol, timeframe: viewer.chart.timeframe };
+        } else {
+            const state = BridgeState.gridManager.getGridState(viewer.tableId);
+            if (state) view.grids[viewer.tableId] = state;
+        }
+    }
+    
+    return view;
+}
+
+/**
+ * Restore a view captured by getViewState()
+ * @param {Object} view - Saved view
+ */
+async function applyViewState(view) {
+    if (!view) return;
+    
+    for (const viewer of BridgeState.viewers.values()) {
+        if (viewer.chart && view.chart) {
+            await viewer.chart.setTimeframe(view.chart.timeframe);
+            await viewer.chart.setSymbol(view.chart.symbol);
+        } else if (viewer.tableId && view.grids?.[viewer.tableId]) {
+            BridgeState.gridManager.applyGridState(viewer.tableId, view.grids[viewer.tableId]);
+        }
+    }
+    
+    if (view.activeWatchlist && BridgeState.watchlistPanel) {
+        BridgeState.watchlistPanel.select(view.activeWatchlist);
+    }
+}
+
 /**
  * Initialize sample data for testing
  * In production, this would come from the data feed
@@ -613,9 +967,48 @@ export async function initialize(config) {
             await createTable(tableId, tableConfig);
         }
         
+        // Load saved scanner screens before the scanner viewer is built
+        BridgeState.scannerScreens = new ScannerScreens({
+            electronAPI: config.electronAPI,
+            schema: TABLE_CONFIGS.scanner.schema,
+            onChange: refilterScanner
+        });
+        await BridgeState.scannerScreens.load();
+        
+        // Load watchlists before the watchlist viewer is built
+        BridgeState.watchlistPanel = new WatchlistPanel({
+            electronAPI: config.electronAPI,
+            onChange: refilterWatchlist,
+            onActivate: () => config.callbacks.onActivateTab?.('watchlist')
+        });
+        await BridgeState.watchlistPanel.load();
+        
+        // Backtest results fill the backtest grid
+        BridgeState.backtestPanel = new BacktestPanel({
+            electronAPI: config.electronAPI,
+            onTrades: (rows) => handleDataUpdate({ type: 'replace', table: 'backtest', data: rows })
+        });
+        await BridgeState.backtestPanel.load();
+        
+        // Alert definitions fill the alerts grid
+        BridgeState.alertsPanel = new AlertsPanel({
+            electronAPI: config.electronAPI,
+            onRows: (rows) => handleDataUpdate({ type: 'replace', table: 'alerts', data: rows })
+        });
+        await BridgeState.alertsPanel.load();
+        
         // Create viewers
         await createAllViewers();
         
+        // Link this window's views to its symbol link channel
+        BridgeState.symbolLink = new SymbolLink({
+            electronAPI: config.electronAPI,
+            colorSelect: config.Elements.linkColor,
+            clearButton: config.Elements.linkClear
+        });
+        await BridgeState.symbolLink.initialize();
+        BridgeState.symbolLink.onSymbol(followLinkedSymbol);
+        
         // Load sample data for testing
         if (config.electronAPI.isDevelopment) {
             await loadSampleData();
@@ -627,6 +1020,14 @@ export async function initialize(config) {
             updateTable,
             getTables: () => BridgeState.tables,
             getViewers: () => BridgeState.viewers,
+            getScannerScreens: () => BridgeState.scannerScreens,
+            getWatchlistPanel: () => BridgeState.watchlistPanel,
+            getBacktestPanel: () => BridgeState.backtestPanel,
+            getAlertsPanel: () => BridgeState.alertsPanel,
+            getExportData,
+            getViewState,
+            applyViewState,
+            resetViewerState,
             getMetrics: () => ({
                 updateCount: BridgeState.updateCount,
                 tableCount: BridgeState.tables.size,
@@ -8,6 +8,18 @@
 // The electronAPI object is injected by preload.js
 // Use directly from window to avoid redeclaration conflicts
 
+// Drag data type of a torn-out tab being dragged back onto a tab bar
+const TAB_DRAG_TYPE = 'application/x-alpha-view';
+
+// Replay clock shown in exchange time
+const REPLAY_TIME_FORMAT = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/New_York',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+});
+
 /**
  * Application state manager for the renderer
  * Keeps track of UI state, active tabs, connections, etc.
@@ -19,6 +31,26 @@ const AppState = {
     // Currently active tab
     activeTab: 'scanner',
     
+    // View handed over when this window was opened from a workspace file
+    // or when a tab was torn out into it
+    restoreView: null,
+    
+    // This window's ID and the single tab it hosts (null: every tab)
+    windowId: null,
+    hostedView: null,
+    
+    // Tabs torn out of this window into their own windows
+    detachedTabs: new Set(),
+    
+    // Trading session from the main process market calendar
+    market: null,
+    
+    // Replay status (null or { active: false } when data is live)
+    replay: null,
+    
+    // Seek slider is being dragged (status pushes must not move it)
+    replaySeeking: false,
+    
     // Registry of all Perspective viewers
     viewers: new Map(),
     
@@ -36,7 +68,11 @@ const AppState = {
         { id: 'scanner', name: 'Scanner', icon: '📊' },
         { id: 'positions', name: 'Positions', icon: '💼' },
         { id: 'signals', name: 'Signals', icon: '🎯' },
-        { id: 'levels', name: 'Levels', icon: '📈' }
+        { id: 'levels', name: 'Levels', icon: '📈' },
+        { id: 'watchlist', name: 'Watchlist', icon: '📋' },
+        { id: 'alerts', name: 'Alerts', icon: '🔔' },
+        { id: 'chart', name: 'Chart', icon: '🕯️', kind: 'chart' },
+        { id: 'backtest', name: 'Backtest', icon: '🧪' }
     ]
 };
 
@@ -54,6 +90,8 @@ const Elements = {
     connectionStatus: null,
     connectionText: null,
     marketStatus: null,
+    linkColor: null,
+    linkClear: null,
     
     // Tab elements
     tabHeader: null,
@@ -67,7 +105,23 @@ const Elements = {
     currentTime: null,
     
     // Error display
-    errorDetails: null
+    errorDetails: null,
+    
+    // Text prompt
+    promptDialog: null,
+    
+    // Tab right-click menu
+    tabMenu: null,
+    
+    // Replay controls
+    replayBar: null,
+    replaySource: null,
+    replayPlay: null,
+    replayStep: null,
+    replaySpeed: null,
+    replaySeek: null,
+    replayTime: null,
+    replayStop: null
 };
 
 /**
@@ -82,6 +136,8 @@ function initializeElements() {
     Elements.connectionStatus = document.getElementById('connection-status');
     Elements.connectionText = document.getElementById('connection-text');
     Elements.marketStatus = document.getElementById('market-status');
+    Elements.linkColor = document.getElementById('link-color');
+    Elements.linkClear = document.getElementById('link-clear');
     Elements.tabHeader = document.getElementById('tab-header');
     Elements.tabContent = document.getElementById('tab-content');
     Elements.fps = document.getElementById('fps');
@@ -90,6 +146,16 @@ function initializeElements() {
     Elements.latency = document.getElementById('latency');
     Elements.currentTime = document.getElementById('current-time');
     Elements.errorDetails = document.getElementById('error-details');
+    Elements.promptDialog = document.getElementById('prompt-dialog');
+    Elements.tabMenu = document.getElementById('tab-menu');
+    Elements.replayBar = document.getElementById('replay-bar');
+    Elements.replaySource = document.getElementById('replay-source');
+    Elements.replayPlay = document.getElementById('replay-play');
+    Elements.replayStep = document.getElementById('replay-step');
+    Elements.replaySpeed = document.getElementById('replay-speed');
+    Elements.replaySeek = document.getElementById('replay-seek');
+    Elements.replayTime = document.getElementById('replay-time');
+    Elements.replayStop = document.getElementById('replay-stop');
 }
 
 /**
@@ -135,6 +201,45 @@ function showError(message, error) {
     electronAPI.dev.log('error', message, { error: error?.toString() });
 }
 
+/**
+ * Ask for a line of text (Electron has no window.prompt)
+ * @param {string} title - Question to show
+ * @param {string} [defaultValue] - Initial input text
+ * @returns {Promise<string|null>} Entered text, or null if cancelled
+ */
+function promptText(title, defaultValue = '') {
+    const dialog = Elements.promptDialog;
+    const input = dialog.querySelector('.prompt-input');
+    const okButton = dialog.querySelector('.prompt-ok');
+    const cancelButton = dialog.querySelector('.prompt-cancel');
+    
+    dialog.querySelector('.prompt-title').textContent = title;
+    input.value = defaultValue;
+    dialog.classList.remove('hidden');
+    input.focus();
+    input.select();
+    
+    return new Promise(resolve => {
+        const close = (value) => {
+            dialog.classList.add('hidden');
+            okButton.removeEventListener('click', onOk);
+            cancelButton.removeEventListener('click', onCancel);
+            input.removeEventListener('keydown', onKeyDown);
+            resolve(value);
+        };
+        const onOk = () => close(input.value.trim() || null);
+        const onCancel = () => close(null);
+        const onKeyDown = (event) => {
+            if (event.key === 'Enter') onOk();
+            else if (event.key === 'Escape') onCancel();
+        };
+        
+        okButton.addEventListener('click', onOk);
+        cancelButton.addEventListener('click', onCancel);
+        input.addEventListener('keydown', onKeyDown);
+    });
+}
+
 /**
  * Hide loading screen and show main app
  */
@@ -171,17 +276,198 @@ function createTabs() {
         // Handle tab clicks
         button.addEventListener('click', () => switchTab(tab.id));
         
+        // Drag out of the window or right-click to tear the tab out (or dock it back)
+        button.draggable = true;
+        button.addEventListener('dragstart', (event) => handleTabDragStart(event, tab.id));
+        button.addEventListener('dragend', (event) => handleTabDragEnd(event, tab.id));
+        button.addEventListener('contextmenu', (event) => {
+            event.preventDefault();
+            showTabMenu(event, tab.id);
+        });
+        
         Elements.tabHeader.appendChild(button);
     });
 }
 
+/**
+ * Accept torn-out tabs dropped on this window's tab bar
+ */
+function setupTabDrop() {
+    // Only windows with every tab take tabs back
+    if (AppState.hostedView) return;
+    
+    const accepts = (event) => event.dataTransfer.types.includes(TAB_DRAG_TYPE);
+    
+    Elements.tabHeader.addEventListener('dragover', (event) => {
+        if (!accepts(event)) return;
+        
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        Elements.tabHeader.classList.add('drop-target');
+    });
+    
+    Elements.tabHeader.addEventListener('dragleave', () => {
+        Elements.tabHeader.classList.remove('drop-target');
+    });
+    
+    Elements.tabHeader.addEventListener('drop', (event) => {
+        Elements.tabHeader.classList.remove('drop-target');
+        if (!accepts(event)) return;
+        
+        event.preventDefault();
+        const { windowId, state } = JSON.parse(event.dataTransfer.getData(TAB_DRAG_TYPE));
+        dockTab({ windowId, state });
+    });
+}
+
+/**
+ * Start dragging a tab. A torn-out tab carries its window and view state so
+ * the window it is dropped on can take it over.
+ * @param {DragEvent} event - dragstart event
+ * @param {string} tabId - Dragged tab
+ */
+function handleTabDragStart(event, tabId) {
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', tabId);
+    
+    if (AppState.hostedView) {
+        event.dataTransfer.setData(TAB_DRAG_TYPE, JSON.stringify({
+            windowId: AppState.windowId,
+            state: window.PerspectiveBridge?.getViewState(tabId)
+        }));
+    }
+}
+
+/**
+ * Tear a tab out when it was dropped outside every window
+ * @param {DragEvent} event - dragend event
+ * @param {string} tabId - Dragged tab
+ */
+function handleTabDragEnd(event, tabId) {
+    if (AppState.hostedView || event.dataTransfer.dropEffect !== 'none') return;
+    
+    const outside = event.screenX < window.screenX || event.screenX > window.screenX + window.outerWidth ||
+        event.screenY < window.screenY || event.screenY > window.screenY + window.outerHeight;
+    
+    if (outside) {
+        detachTab(tabId, { x: event.screenX, y: event.screenY });
+    }
+}
+
+/**
+ * Show the tab right-click menu
+ * @param {MouseEvent} event - contextmenu event
+ * @param {string} tabId - Clicked tab
+ */
+function showTabMenu(event, tabId) {
+    const items = AppState.hostedView
+        ? [{ label: 'Dock Back', action: () => dockTab() }]
+        : [{ label: 'Open in New Window', action: () => detachTab(tabId) }];
+    
+    const menu = Elements.tabMenu;
+    menu.innerHTML = '';
+    
+    for (const item of items) {
+        const element = document.createElement('div');
+        element.className = 'tab-menu-item';
+        element.textContent = item.label;
+        element.addEventListener('click', () => {
+            hideTabMenu();
+            item.action();
+        });
+        menu.appendChild(element);
+    }
+    
+    menu.style.left = `${event.clientX}px`;
+    menu.style.top = `${event.clientY}px`;
+    menu.classList.remove('hidden');
+    
+    // Any other click or Escape closes it
+    setTimeout(() => {
+        document.addEventListener('click', hideTabMenu, { once: true });
+    });
+}
+
+function hideTabMenu() {
+    Elements.tabMenu.classList.add('hidden');
+}
+
+/**
+ * Move a tab into its own window, handing over its grid or chart state
+ * @param {string} tabId - Tab to tear out
+ * @param {Object} [position] - { x, y } screen point to open the window at
+ */
+async function detachTab(tabId, position = {}) {
+    const remaining = AppState.tabs.filter(tab => tab.id !== tabId && !AppState.detachedTabs.has(tab.id));
+    if (AppState.hostedView || remaining.length === 0) return;
+    
+    try {
+        const result = await electronAPI.window.detachView(tabId, {
+            state: window.PerspectiveBridge?.getViewState(tabId),
+            ...position
+        });
+        
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        
+        AppState.detachedTabs.add(tabId);
+        document.getElementById(`tab-${tabId}`).classList.add('hidden');
+        
+        if (AppState.activeTab === tabId) {
+            await switchTab(remaining[0].id);
+        }
+        
+    } catch (error) {
+        console.error('Detach tab failed:', error);
+        electronAPI.app.showError('Open in New Window Failed', error.message);
+    }
+}
+
+/**
+ * Dock a torn-out tab: this window's own tab back into the window it came
+ * from, or another window's tab (dropped here) into this window
+ * @param {Object} [options] - { windowId, state } of a dropped tab
+ */
+async function dockTab({ windowId, state } = {}) {
+    try {
+        const result = await electronAPI.window.dockView(windowId
+            ? { windowId, state }
+            : { state: window.PerspectiveBridge?.getViewState(AppState.hostedView) });
+        
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        
+    } catch (error) {
+        console.error('Dock tab failed:', error);
+        electronAPI.app.showError('Dock Tab Failed', error.message);
+    }
+}
+
+/**
+ * Show a tab that came back from its own window
+ * @param {Object} docked - { view, state } (state only when it was docked here)
+ */
+async function handleViewDocked({ view, state }) {
+    if (AppState.hostedView || !AppState.tabs.some(tab => tab.id === view)) return;
+    
+    AppState.detachedTabs.delete(view);
+    document.getElementById(`tab-${view}`).classList.remove('hidden');
+    
+    if (state) {
+        await window.PerspectiveBridge?.applyViewState(state);
+        await switchTab(view);
+    }
+}
+
 /**
  * Switch to a different tab
  * @param {string} tabId - ID of tab to switch to
  */
 async function switchTab(tabId) {
-    // Don't switch if already active
-    if (AppState.activeTab === tabId) return;
+    // Don't switch if already active or torn out into its own window
+    if (AppState.activeTab === tabId || AppState.detachedTabs.has(tabId)) return;
     
     console.log(`Switching from ${AppState.activeTab} to ${tabId}`);
     
@@ -208,8 +494,10 @@ async function switchTab(tabId) {
         activeViewer.instance?.notifyResize();
     }
     
-    // Save tab preference
-    await electronAPI.state.save('ui.activeTab', tabId);
+    // Save tab preference (single-tab windows keep their tab)
+    if (!AppState.hostedView) {
+        await electronAPI.state.save('ui.activeTab', tabId);
+    }
     
     // Log tab switch for analytics
     electronAPI.dev.log('info', 'Tab switched', { from: previousTab, to: tabId });
@@ -244,9 +532,12 @@ function updateConnectionStatus(status, text) {
 /**
  * Update market status indicator
  * @param {string} status - Market status (Open, Closed, Pre-Market, etc.)
+ * @param {string} [detail] - Countdown shown after the status
+ * @param {string} [tooltip] - Hover text (holiday, early close)
  */
-function updateMarketStatus(status) {
-    Elements.marketStatus.textContent = status;
+function updateMarketStatus(status, detail, tooltip) {
+    Elements.marketStatus.textContent = detail ? `${status} · ${detail}` : status;
+    Elements.marketStatus.title = tooltip || '';
     
     // Color code based on status
     if (status === 'Open') {
@@ -258,6 +549,61 @@ function updateMarketStatus(status) {
     }
 }
 
+/**
+ * Fetch the current session; transitions are pushed after that
+ */
+async function loadMarketStatus() {
+    try {
+        const result = await electronAPI.market.getStatus();
+        if (result.success) {
+            AppState.market = result.status;
+            renderMarketStatus();
+        }
+    } catch (error) {
+        console.error('Failed to load market status:', error);
+    }
+}
+
+/**
+ * Show the session with the time to the next open or close
+ */
+function renderMarketStatus() {
+    const market = AppState.market;
+    if (!market) return;
+    
+    let detail = '';
+    if (market.session === 'regular' && market.nextClose) {
+        detail = `closes in ${formatCountdown(market.nextClose - Date.now())}`;
+    } else if (market.nextOpen) {
+        detail = `opens in ${formatCountdown(market.nextOpen - Date.now())}`;
+    }
+    
+    let tooltip = '';
+    if (market.holiday) {
+        tooltip = `${market.holiday} - exchange closed`;
+    } else if (market.earlyClose) {
+        tooltip = 'Early close today (13:00 ET)';
+    }
+    
+    updateMarketStatus(market.label, detail, tooltip);
+}
+
+/**
+ * Format a duration for the market countdown (2d 4h, 2h 14m, 25m 08s)
+ * @param {number} ms - Duration in milliseconds
+ */
+function formatCountdown(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m ${seconds.toString().padStart(2, '0')}s`;
+}
+
 /**
  * Update performance metrics in footer
  */
@@ -321,6 +667,9 @@ function startClock() {
         const minutes = now.getMinutes().toString().padStart(2, '0');
         const seconds = now.getSeconds().toString().padStart(2, '0');
         Elements.currentTime.textContent = `${hours}:${minutes}:${seconds}`;
+        
+        // Count down to the next open/close
+        renderMarketStatus();
     }
     
     updateTime(); // Initial update
@@ -369,15 +718,260 @@ function setupIPCListeners() {
         console.log('Window focus changed:', focused);
     });
     
+    // File > Export writes the active tab
+    const unsubscribeExport = electronAPI.on('menu:export', (options) => {
+        exportActiveTab(options);
+    });
+    
+    // Workspace files (the main process captures and rebuilds every window)
+    const unsubscribeOpenWorkspace = electronAPI.on('menu:open-workspace', (filePath) => {
+        runWorkspaceCommand('Open Workspace Failed', () => electronAPI.workspace.open(filePath));
+    });
+    
+    const unsubscribeSaveWorkspace = electronAPI.on('menu:save-workspace', () => {
+        runWorkspaceCommand('Save Workspace Failed', () => electronAPI.workspace.save());
+    });
+    
+    const unsubscribeSaveWorkspaceAs = electronAPI.on('menu:save-workspace-as', (filePath) => {
+        runWorkspaceCommand('Save Workspace Failed', () => electronAPI.workspace.save(filePath));
+    });
+    
+    // Trading > Layouts > Save Current Layout asks for a name here
+    const unsubscribeSaveLayout = electronAPI.on('menu:save-layout', () => {
+        saveLayout();
+    });
+    
+    // View > Reset Table Layout puts the active grid back to its defaultView
+    const unsubscribeResetLayout = electronAPI.on('menu:reset-table-layout', () => {
+        window.PerspectiveBridge?.resetViewerState(AppState.activeTab);
+    });
+    
+    // Session transitions from the market calendar
+    const unsubscribeMarketSession = electronAPI.market.onSession((status) => {
+        AppState.market = status;
+        renderMarketStatus();
+    });
+    
+    // Replay position and controls (every window shows the replay bar)
+    const unsubscribeReplayStatus = electronAPI.replay.onStatus((status) => {
+        renderReplayStatus(status);
+    });
+    
+    const unsubscribeReplayBars = electronAPI.on('menu:replay-bars', () => {
+        replayHistoricalBars();
+    });
+    
+    // Torn-out tabs coming back to this window
+    const unsubscribeViewDocked = electronAPI.window.onViewDocked((docked) => {
+        handleViewDocked(docked);
+    });
+    
+    const unsubscribeCapture = electronAPI.workspace.onCapture(() => ({
+        activeTab: AppState.activeTab,
+        ...window.PerspectiveBridge?.getViewState()
+    }));
+    
     // Store unsubscribe functions for cleanup
     window.addEventListener('beforeunload', () => {
         unsubscribeState();
         unsubscribeData();
         unsubscribeReady();
         unsubscribeFocus();
+        unsubscribeExport();
+        unsubscribeOpenWorkspace();
+        unsubscribeSaveWorkspace();
+        unsubscribeSaveWorkspaceAs();
+        unsubscribeSaveLayout();
+        unsubscribeResetLayout();
+        unsubscribeMarketSession();
+        unsubscribeReplayStatus();
+        unsubscribeReplayBars();
+        unsubscribeViewDocked();
+        unsubscribeCapture();
     });
 }
 
+/**
+ * Save the open windows as a named layout (listed under Trading > Layouts)
+ */
+async function saveLayout() {
+    const name = await promptText('Save the open windows as layout:');
+    if (!name) return;
+    
+    const result = await electronAPI.layouts.save(name);
+    if (!result.success) {
+        console.error('Save layout failed:', result.error);
+        electronAPI.app.showError('Save Layout Failed', result.error);
+    }
+}
+
+/**
+ * Run a workspace file operation and report failures
+ * @param {string} title - Error dialog title
+ * @param {function} operation - Returns the IPC result promise
+ */
+async function runWorkspaceCommand(title, operation) {
+    try {
+        const result = await operation();
+        
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        
+        if (!result.canceled) {
+            electronAPI.dev.log('info', 'Workspace file', { filePath: result.filePath, windows: result.windows });
+        }
+        
+    } catch (error) {
+        console.error(`${title}:`, error);
+        electronAPI.app.showError(title, error.message);
+    }
+}
+
+/**
+ * Wire the replay bar's controls
+ */
+function setupReplayBar() {
+    Elements.replayPlay.addEventListener('click', () => {
+        runReplayCommand(() => AppState.replay?.playing
+            ? electronAPI.replay.pause()
+            : electronAPI.replay.play());
+    });
+    
+    Elements.replayStep.addEventListener('click', () => {
+        runReplayCommand(() => electronAPI.replay.step());
+    });
+    
+    Elements.replaySpeed.addEventListener('change', () => {
+        runReplayCommand(() => electronAPI.replay.setSpeed(Elements.replaySpeed.value));
+    });
+    
+    // Show the target time while dragging, seek on release
+    Elements.replaySeek.addEventListener('input', () => {
+        AppState.replaySeeking = true;
+        Elements.replayTime.textContent = formatReplayTime(getSeekTime());
+    });
+    
+    Elements.replaySeek.addEventListener('change', () => {
+        AppState.replaySeeking = false;
+        runReplayCommand(() => electronAPI.replay.seek(getSeekTime()));
+    });
+    
+    Elements.replayStop.addEventListener('click', () => {
+        runReplayCommand(() => electronAPI.replay.stop());
+    });
+}
+
+/**
+ * Show the replay bar for the current replay (hidden when data is live)
+ * @param {object} status - Replay status from the main process
+ */
+function renderReplayStatus(status) {
+    AppState.replay = status;
+    Elements.replayBar.classList.toggle('hidden', !status?.active);
+    
+    if (!status?.active) return;
+    
+    const source = status.source === 'recording' ? 'Recorded' : `${status.timeframe} bars`;
+    Elements.replaySource.textContent = `${source} ${status.day} · ${status.symbols.length} symbols`;
+    Elements.replayPlay.textContent = status.playing ? '⏸' : '▶';
+    Elements.replaySpeed.value = status.speed;
+    
+    if (!AppState.replaySeeking) {
+        const span = status.end - status.start;
+        Elements.replaySeek.value = span > 0 ? Math.round(((status.time - status.start) / span) * 1000) : 0;
+        Elements.replayTime.textContent = status.finished ? 'End' : formatReplayTime(status.time);
+    }
+}
+
+/**
+ * Replay time under the seek slider
+ */
+function getSeekTime() {
+    const { start, end } = AppState.replay;
+    return start + ((end - start) * Number(Elements.replaySeek.value)) / 1000;
+}
+
+function formatReplayTime(time) {
+    return REPLAY_TIME_FORMAT.format(new Date(time));
+}
+
+/**
+ * Fetch the replay status (a replay may already be running when a window opens)
+ */
+async function loadReplayStatus() {
+    try {
+        const result = await electronAPI.replay.getStatus();
+        if (result.success) {
+            renderReplayStatus(result.status);
+        }
+    } catch (error) {
+        console.error('Failed to load replay status:', error);
+    }
+}
+
+/**
+ * Data > Replay > Historical Bars: ask for the day, replay the subscribed symbols
+ */
+async function replayHistoricalBars() {
+    const day = await promptText('Replay 1-minute bars of the subscribed symbols for day (YYYY-MM-DD):',
+        AppState.market?.tradingDay || '');
+    if (!day) return;
+    
+    runReplayCommand(() => electronAPI.replay.start({ source: 'bars', day }));
+}
+
+/**
+ * Run a replay control and report failures
+ * @param {function} operation - Returns the IPC result promise
+ */
+async function runReplayCommand(operation) {
+    try {
+        const result = await operation();
+        
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        
+        renderReplayStatus(result.status);
+        
+    } catch (error) {
+        console.error('Replay Failed:', error);
+        electronAPI.app.showError('Replay Failed', error.message);
+    }
+}
+
+/**
+ * Export the active tab with its current sort, filter and visible columns
+ * @param {object} options - { format, filePath, formatted } from the export menu
+ */
+async function exportActiveTab({ format, filePath, formatted = false }) {
+    try {
+        const data = window.PerspectiveBridge?.getExportData(AppState.activeTab, { formatted });
+        if (!data || data.columns.length === 0) {
+            throw new Error('The active tab has nothing to export');
+        }
+        
+        const result = await electronAPI.export.write({
+            format,
+            filePath,
+            columns: data.columns,
+            rows: data.rows,
+            sheetName: data.sheetName
+        });
+        
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        
+        electronAPI.dev.log('info', 'Table exported', { tab: AppState.activeTab, format, rows: result.rows });
+        
+    } catch (error) {
+        console.error('Export failed:', error);
+        electronAPI.app.showError('Export Failed', error.message);
+    }
+}
+
 /**
  * Load saved UI preferences
  */
@@ -385,8 +979,40 @@ async function loadPreferences() {
     try {
         // Load active tab preference
         const savedTab = await electronAPI.state.load('ui.activeTab', 'scanner');
-        if (AppState.tabs.some(tab => tab.id === savedTab)) {
-            AppState.activeTab = savedTab;
+        if (AppState.tabs.some(tab => tab.id === savedTab?.value)) {
+            AppState.activeTab = savedTab.value;
+        }
+        
+        const params = new URLSearchParams(window.location.search);
+        
+        // A window hosting a single tab (a window type with a view, or a torn-out tab)
+        const windowInfo = await electronAPI.window.getCurrentInfo().catch(() => null);
+        AppState.windowId = windowInfo?.id || null;
+        
+        const hostedTab = AppState.tabs.find(tab => tab.id === params.get('view'));
+        if (hostedTab) {
+            AppState.hostedView = hostedTab.id;
+            AppState.tabs = [hostedTab];
+            AppState.activeTab = hostedTab.id;
+            document.title = `${hostedTab.name} - Alpha V1`;
+        }
+        
+        // A torn-out tab picks up the state it was detached with
+        const handoffId = params.get('handoff');
+        if (handoffId) {
+            const result = await electronAPI.window.takeViewState(handoffId);
+            AppState.restoreView = result?.state || null;
+        }
+        
+        // A window opened from a workspace file restores the saved view instead
+        const restoreId = params.get('workspace');
+        if (restoreId) {
+            const result = await electronAPI.workspace.getView(restoreId);
+            AppState.restoreView = result?.view || null;
+            
+            if (AppState.tabs.some(tab => tab.id === AppState.restoreView?.activeTab)) {
+                AppState.activeTab = AppState.restoreView.activeTab;
+            }
         }
         
         // Load other preferences here
@@ -396,6 +1022,36 @@ async function loadPreferences() {
     }
 }
 
+/**
+ * Load current rows from main-process services
+ * Windows opened after a service started miss its earlier pushes
+ */
+async function loadSnapshots() {
+    const sources = {
+        scanner: electronAPI.scanner.getSnapshot,
+        positions: electronAPI.positions.getSnapshot,
+        signals: electronAPI.signals.getSnapshot,
+        levels: electronAPI.levels.getSnapshot,
+        watchlist: electronAPI.watchlists.getSnapshot
+    };
+    
+    for (const [table, getSnapshot] of Object.entries(sources)) {
+        try {
+            const result = await getSnapshot();
+            
+            if (result?.success && result.rows.length > 0) {
+                window.PerspectiveBridge.handleDataUpdate({
+                    type: 'replace',
+                    table,
+                    data: result.rows
+                });
+            }
+        } catch (error) {
+            console.error(`Failed to load ${table} snapshot:`, error);
+        }
+    }
+}
+
 /**
  * Initialize Perspective bridge
  */
@@ -420,12 +1076,18 @@ async function initializePerspective() {
                     console.log(`Viewer created for ${tabId}`);
                     AppState.viewers.set(tabId, viewer);
                 },
+                onActivateTab: (tabId) => switchTab(tabId),
                 onError: (error) => {
                     showError('Perspective initialization failed', error);
                 },
                 onReady: () => {
                     console.log('Perspective bridge ready');
                     showApp();
+                    loadSnapshots();
+                    
+                    if (AppState.restoreView) {
+                        window.PerspectiveBridge.applyViewState(AppState.restoreView);
+                    }
                 }
             }
         });
@@ -454,6 +1116,8 @@ async function initialize() {
         
         // Create UI elements
         createTabs();
+        setupTabDrop();
+        setupReplayBar();
         
         // Set up monitoring
         startFPSMonitor();
@@ -479,6 +1143,8 @@ async function initialize() {
         // Update initial status
         updateConnectionStatus('disconnected');
         updateMarketStatus('Loading...');
+        loadMarketStatus();
+        loadReplayStatus();
         
         // Initialize Perspective (this will show the app when ready)
         await initializePerspective();
@@ -544,6 +1210,11 @@ document.addEventListener('keydown', async (event) => {
         await electronAPI.window.create('scanner');
     }
     
+    // Escape closes the tab menu
+    if (event.key === 'Escape') {
+        hideTabMenu();
+    }
+    
     // F11 for fullscreen
     if (event.key === 'F11') {
         // This would be handled by the main process
@@ -2,18 +2,33 @@
 /**
  * Test script for PolygonBridge integration
  * Run this after starting your Electron app to verify the connection
+ *
+ * Offline: `npm run test:polygon:mock` passes --mock-polygon, so main.js
+ * serves synthetic data from mock/mock-polygon.js instead of port 8200.
  */
 
 const { app } = require('electron');
 
+/**
+ * Resolve once the condition holds or the timeout passes
+ */
+async function waitFor(condition, timeout) {
+    const deadline = Date.now() + timeout;
+    while (!condition() && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+}
+
 async function testPolygonIntegration() {
     console.log('=== Testing Polygon Integration ===\n');
     
     // Wait for app to be ready
     await app.whenReady();
     
-    // Import the bridge from main
-    const { polygonBridge } = require('./main');
+    // Import the bridge from main (set up by main's own ready handler)
+    const main = require('./main');
+    await waitFor(() => main.polygonBridge?.initialized, 10000);
+    const { polygonBridge } = main;
     
     if (!polygonBridge) {
         console.error('❌ PolygonBridge not found in main.js exports');
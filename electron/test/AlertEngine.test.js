@@ -0,0 +1,118 @@
+// electron/test/AlertEngine.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createStateManager, createBridge } = require('./fixtures/helpers');
+const { notifications } = require('./fixtures/electron');
+const AlertEngine = require('../src/main/AlertEngine');
+
+function createEngine(rules) {
+    const engine = new AlertEngine({
+        polygonBridge: createBridge(),
+        windowManager: { broadcast() {} },
+        stateManager: createStateManager()
+    });
+
+    for (const rule of rules) {
+        engine.rules.push(engine.normalizeAlert({ symbol: 'AAPL', cooldown: 0, repeat: 'always', ...rule }));
+    }
+    return engine;
+}
+
+function fired(engine) {
+    return engine.history.length;
+}
+
+test('price-cross fires on each cross in its direction', () => {
+    const engine = createEngine([{ type: 'price-cross', condition: { price: 100, direction: 'above' } }]);
+
+    // The first trade has nothing to cross from
+    engine.evaluatePrice('AAPL', 101);
+    assert.equal(fired(engine), 0);
+
+    [99, 101, 102, 99, 100].forEach(price => engine.evaluatePrice('AAPL', price));
+    assert.equal(fired(engine), 2);
+    assert.equal(engine.history[0].message, 'AAPL crossed above 100');
+    assert.equal(notifications.at(-1).title, 'Alert: AAPL');
+});
+
+test('percent-change fires when the change moves into the threshold', () => {
+    const engine = createEngine([{ type: 'percent-change', condition: { threshold: 2, direction: 'above' } }]);
+    engine.priorCloses.set('AAPL', 100);
+
+    [101, 102.5, 103, 101, 102].forEach(price => engine.evaluatePrice('AAPL', price));
+
+    assert.equal(fired(engine), 2);
+    assert.equal(engine.history[0].message, 'AAPL is up 2.00% (above 2%)');
+});
+
+test('cooldown holds back repeats until it passes', () => {
+    const engine = createEngine([{ type: 'price-cross', cooldown: 60, condition: { price: 100, direction: 'any' } }]);
+    const [rule] = engine.rules;
+
+    [99, 101, 99].forEach(price => engine.evaluatePrice('AAPL', price));
+    assert.equal(fired(engine), 1);
+
+    rule.lastTriggered = Date.now() - 61 * 1000;
+    engine.evaluatePrice('AAPL', 101);
+    assert.equal(fired(engine), 2);
+    assert.equal(rule.triggerCount, 2);
+});
+
+test('a once alert disables itself after firing', () => {
+    const engine = createEngine([{ type: 'price-cross', repeat: 'once', condition: { price: 100, direction: 'any' } }]);
+    const [rule] = engine.rules;
+
+    [99, 101, 99, 101].forEach(price => engine.evaluatePrice('AAPL', price));
+
+    assert.equal(fired(engine), 1);
+    assert.equal(rule.enabled, false);
+    assert.equal(engine.stateManager.get('alerts.rules')[0].enabled, false);
+});
+
+test('indicator alerts fire on the edge into the condition', () => {
+    const engine = createEngine([
+        { type: 'indicator', condition: { study: 'rsi', period: 14, timeframe: '5min', direction: 'above', value: 70 } },
+        { type: 'indicator', condition: { study: 'vwap', timeframe: '1min', direction: 'below' } }
+    ]);
+    const [value, price] = engine.rules;
+
+    // Study against a fixed value, as each recalculation lands
+    for (const rsi of [65, 72, 75, 60, 71]) {
+        engine.indicatorValues.set(value.id, rsi);
+        engine.evaluateIndicator(value);
+    }
+    assert.equal(engine.history.filter(event => event.alertId === value.id).length, 2);
+
+    // Price against the study, on every trade
+    engine.indicatorValues.set(price.id, 100);
+    [101, 99, 98, 100.5, 99.5].forEach(trade => engine.evaluatePrice('AAPL', trade));
+    assert.equal(engine.history.filter(event => event.alertId === price.id).length, 2);
+    assert.equal(engine.history[0].message, 'AAPL traded below VWAP 1min (100)');
+});
+
+test('a replay measures percent change from the close before its day', async () => {
+    const engine = createEngine([{ type: 'percent-change', condition: { threshold: 5, direction: 'above' } }]);
+    engine.polygonBridge.fetchBars = async () => ['2025-03-10', '2025-03-11', '2025-03-12']
+        .map((day, i) => ({ timestamp: `${day}T00:00:00-04:00`, open: 100, high: 120, low: 100, close: 100 + i * 10, volume: 1000 }));
+
+    // Still seeded for the live day, so its prior close doesn't apply
+    engine.scannerService = { seededDay: '2025-04-01', getSymbolState: () => ({ priorClose: 150 }), incrementAlerts() {} };
+
+    engine.running = true;
+    engine.priorCloses.set('AAPL', 150);
+    engine.closesDay = '2025-04-01';
+    engine.lastPrices.set('AAPL', 160);
+
+    engine.polygonBridge.replayDay = '2025-03-12';
+    engine.handleReplayChange(true);
+    await engine.subscriptionQueue;
+
+    assert.equal(engine.priorCloses.get('AAPL'), 110);
+    assert.equal(engine.lastPrices.size, 0);
+
+    engine.evaluatePrice('AAPL', 116);
+    assert.equal(engine.history[0].message, 'AAPL is up 5.45% (above 5%)');
+
+    await engine.stop();
+});
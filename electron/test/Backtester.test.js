@@ -0,0 +1,213 @@
+// electron/test/Backtester.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./fixtures/helpers');
+const Backtester = require('../src/main/Backtester');
+
+const HOUR = 60 * 60 * 1000;
+
+// 10:00 EDT on consecutive trading days
+const DAY_1 = Date.UTC(2025, 2, 12, 14, 0);
+const DAY_2 = Date.UTC(2025, 2, 13, 14, 0);
+const DAY_3 = Date.UTC(2025, 2, 14, 14, 0);
+
+const CONFIG = { positionPercent: 10, commissionPerShare: 0.01, minCommission: 1, slippageBps: 0 };
+
+function createSim() {
+    return {
+        config: CONFIG,
+        duration: 5 * 60 * 1000,
+        clock: 0,
+        realized: 0,
+        startingEquity: 100000,
+        positions: new Map(),
+        lastPrices: new Map(),
+        trades: [],
+        curve: [],
+        days: new Map(),
+        signalCount: 2,
+        skipped: 0,
+        bars: 0
+    };
+}
+
+function signal(symbol, direction) {
+    return { id: `${symbol}-1`, symbol, direction, stopLoss: null, takeProfit: null };
+}
+
+function assertClose(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `expected ${expected}, got ${actual}`);
+}
+
+/**
+ * A winning long with an open drawdown, then a losing short
+ */
+function simulate(backtester) {
+    const sim = createSim();
+
+    // 100 shares at 100, $1 commission per side
+    backtester.openPosition(sim, signal('AAPL', 'BUY'), 100, DAY_1);
+    sim.lastPrices.set('AAPL', 100);
+    backtester.recordEquity(sim, DAY_1);
+
+    sim.lastPrices.set('AAPL', 95);
+    backtester.recordEquity(sim, DAY_1 + HOUR);
+
+    backtester.closePosition(sim, sim.positions.get('AAPL'), 110, DAY_2, 'TARGET');
+    backtester.recordEquity(sim, DAY_2);
+
+    // 201 shares short at 50, covered at 51
+    backtester.openPosition(sim, signal('MSFT', 'SELL'), 50, DAY_3);
+    backtester.closePosition(sim, sim.positions.get('MSFT'), 51, DAY_3 + HOUR, 'STOP');
+    backtester.recordEquity(sim, DAY_3 + HOUR);
+
+    return sim;
+}
+
+test('open positions are marked net of their entry commission', () => {
+    const backtester = new Backtester();
+    const sim = simulate(backtester);
+
+    assert.deepEqual(sim.curve.map(point => point.equity).slice(0, 3), [99999, 99499, 100998]);
+    assert.equal(sim.trades[0].pnl, 998);
+});
+
+test('summarizes trades, drawdown and commissions', () => {
+    const backtester = new Backtester();
+    const sim = simulate(backtester);
+    const stats = backtester.computeStats(sim, CONFIG);
+
+    assert.equal(stats.trades, 2);
+    assert.equal(stats.wins, 1);
+    assert.equal(stats.losses, 1);
+    assert.equal(stats.winRate, 50);
+    assert.equal(stats.grossProfit, 998);
+    assertClose(stats.grossLoss, 205.02);
+    assertClose(stats.profitFactor, 998 / 205.02);
+    assertClose(stats.netProfit, 792.98);
+    assertClose(stats.commissions, 6.02);
+    assertClose(stats.endingEquity, 100792.98);
+
+    // From the starting equity to the open loss on day one
+    assert.equal(stats.maxDrawdown, 501);
+    assertClose(stats.maxDrawdownPercent, 0.501);
+
+    assert.equal(stats.tradingDays, 3);
+});
+
+test('Sharpe needs two days of varying returns', () => {
+    const backtester = new Backtester();
+
+    assert.equal(backtester.sharpe(new Map([['2025-03-12', 101000]]), 100000), null);
+    assert.equal(backtester.sharpe(new Map([['2025-03-12', 101000], ['2025-03-13', 102010]]), 100000), null);
+
+    const returns = [0.01, -0.005];
+    const mean = (returns[0] + returns[1]) / 2;
+    const deviation = Math.sqrt(((returns[0] - mean) ** 2 + (returns[1] - mean) ** 2) / 1);
+    const days = new Map([['2025-03-12', 101000], ['2025-03-13', 101000 * 0.995]]);
+
+    assertClose(backtester.sharpe(days, 100000), (mean / deviation) * Math.sqrt(252));
+});
+
+// ===== Fill model =====
+
+const MINUTE = 60 * 1000;
+const BAR_1 = DAY_1 + 5 * MINUTE;
+const BAR_2 = DAY_1 + 10 * MINUTE;
+
+// 15:50 EDT, five minutes before the last regular bar
+const LATE = Date.UTC(2025, 2, 12, 19, 50);
+const CLOSE = Date.UTC(2025, 2, 12, 20, 0);
+
+const SIM_CONFIG = { positionPercent: 10, commissionPerShare: 0, minCommission: 0, slippageBps: 0 };
+
+function bar(timestamp, open, high, low, close) {
+    return { timestamp, open, high, low, close, volume: 1000 };
+}
+
+function run(hooks, bars, config = SIM_CONFIG) {
+    const backtester = new Backtester({ strategyHost: { indicators: null } });
+    const strategy = { id: 'stub', module: { signalTTL: 60, ...hooks } };
+    const series = new Map(Object.entries(bars).map(([symbol, list]) => [symbol, { warmup: [], bars: list }]));
+
+    return backtester.simulate({ cancelled: false }, strategy, series, '5min', {}, config);
+}
+
+/**
+ * Buy when the given bar closes
+ */
+function buyAfter(timestamp, signal) {
+    return {
+        onBar(ctx, symbol, closed) {
+            if (closed.timestamp === timestamp) {
+                ctx.emitSignal({ symbol, direction: 'BUY', ...signal });
+            }
+        }
+    };
+}
+
+test('an entry gapped through fills at the open, otherwise at the signal price', async () => {
+    const sim = await run(buyAfter(DAY_1, { price: 102 }), {
+        AAPL: [bar(DAY_1, 100, 101, 99, 100.5), bar(BAR_1, 103, 104, 102.5, 103.5)],
+        MSFT: [bar(DAY_1, 100, 101, 99, 100.5), bar(BAR_1, 101, 102.5, 100.8, 102.2)]
+    });
+
+    const entries = Object.fromEntries(sim.trades.map(trade => [trade.symbol, trade.entryPrice]));
+    assert.deepEqual(entries, { AAPL: 103, MSFT: 102 });
+});
+
+test('an entry the market was already through fills at the crossing tick', async () => {
+    // Emitted on the bar's low at 99, then filled on its high
+    const sim = await run({
+        onTrade(ctx, symbol, tick) {
+            if (tick.timestamp === DAY_1 + 75 * 1000) {
+                ctx.emitSignal({ symbol, direction: 'BUY', price: 98 });
+            }
+        }
+    }, {
+        AAPL: [bar(DAY_1, 100, 101, 99, 100.5)]
+    });
+
+    assert.equal(sim.trades[0].entryPrice, 101);
+    assert.equal(sim.trades[0].entryTime, DAY_1 + 150 * 1000);
+});
+
+test('a bar spanning the stop and the target exits at the stop', async () => {
+    const signal = { price: 100, stopLoss: 98, takeProfit: 110 };
+    const sim = await run(buyAfter(DAY_1, signal), {
+        // Rising bar: the low trades before the high
+        AAPL: [bar(DAY_1, 100, 101, 99, 100.5), bar(BAR_1, 100.2, 100.6, 100.1, 100.4), bar(BAR_2, 100.2, 111, 97, 105)],
+        // Gapped below the stop: out at the open
+        MSFT: [bar(DAY_1, 100, 101, 99, 100.5), bar(BAR_1, 100.2, 100.6, 100.1, 100.4), bar(BAR_2, 96, 111, 95, 105)]
+    });
+
+    const exits = Object.fromEntries(sim.trades.map(trade => [trade.symbol, [trade.exitReason, trade.exitPrice]]));
+    assert.deepEqual(exits, { AAPL: ['STOP', 98], MSFT: ['STOP', 96] });
+});
+
+test('flattens at the regular close at the last price before it', async () => {
+    const sim = await run(buyAfter(LATE, { price: 100 }), {
+        AAPL: [
+            bar(LATE, 100, 101, 99, 100.5),
+            bar(LATE + 5 * MINUTE, 100.2, 101, 100, 100.8),
+            bar(CLOSE, 101, 101.5, 100.9, 101.2)
+        ]
+    }, { ...SIM_CONFIG, flattenAtClose: true });
+
+    assert.equal(sim.trades.length, 1);
+    assert.equal(sim.trades[0].entryPrice, 100.2);
+    assert.equal(sim.trades[0].exitReason, 'CLOSE');
+    assert.equal(sim.trades[0].exitPrice, 100.8);
+    assert.equal(sim.trades[0].exitTime, CLOSE);
+});
+
+test('skips entries beyond the open position limit', async () => {
+    const sim = await run(buyAfter(DAY_1, { price: 100 }), {
+        AAPL: [bar(DAY_1, 100, 101, 99, 100.5), bar(BAR_1, 100.2, 100.6, 100.1, 100.4)],
+        MSFT: [bar(DAY_1, 100, 101, 99, 100.5), bar(BAR_1, 100.2, 100.6, 100.1, 100.4)]
+    }, { ...SIM_CONFIG, maxOpenPositions: 1 });
+
+    assert.equal(sim.skipped, 1);
+    assert.deepEqual(sim.trades.map(trade => trade.symbol), ['AAPL']);
+});
@@ -0,0 +1,86 @@
+// electron/test/IndicatorEngine.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./fixtures/helpers');
+const IndicatorEngine = require('../src/main/IndicatorEngine');
+
+const engine = new IndicatorEngine();
+
+const CLOSES = [10, 11, 12, 11, 13];
+
+function assertSeries(actual, expected) {
+    assert.equal(actual.length, expected.length);
+    expected.forEach((value, i) => {
+        if (value === null) {
+            assert.equal(actual[i], null, `index ${i}`);
+        } else {
+            assert.ok(Math.abs(actual[i] - value) < 1e-6, `index ${i}: expected ${value}, got ${actual[i]}`);
+        }
+    });
+}
+
+test('SMA and EMA seed after a full period', () => {
+    assertSeries(engine.sma(CLOSES, 3), [null, null, 11, 34 / 3, 12]);
+    assertSeries(engine.ema(CLOSES, 3), [null, null, 11, 11, 12]);
+
+    // Leading nulls shift the seed
+    assertSeries(engine.ema([null, 10, 11, 12], 2), [null, null, 10.5, 11.5]);
+});
+
+test('ATR smooths true ranges with Wilder averaging', () => {
+    const bars = [
+        { high: 10, low: 9, close: 9.5 },       // TR 1
+        { high: 11, low: 9.5, close: 10.5 },    // TR 1.5 (high - prior close)
+        { high: 10.8, low: 10, close: 10.2 },   // TR 0.8
+        { high: 12, low: 10.5, close: 11.5 },   // TR 1.8 (gap over the prior close)
+        { high: 11.6, low: 11, close: 11.2 }    // TR 0.6
+    ];
+
+    assertSeries(engine.atr(bars, 3), [null, null, 1.1, 4 / 3, (8 / 3 + 0.6) / 3]);
+});
+
+test('RSI uses Wilder averages and handles one-sided moves', () => {
+    const rsi = engine.rsi([10, 11, 10.5, 11.5, 11, 12], 3);
+
+    // Seed: gains 2/3, losses 1/6; then RS 8/5 and 17/5
+    assertSeries(rsi, [null, null, null, 80, 100 - 100 / 2.6, 100 - 100 / 4.4]);
+
+    assert.equal(engine.rsi([1, 2, 3, 4], 3)[3], 100);
+    assert.equal(engine.rsi([5, 5, 5, 5], 3)[3], 50);
+});
+
+test('MACD signal and histogram start once the signal EMA seeds', () => {
+    const macd = engine.macd(CLOSES, 2, 3, 2);
+
+    // EMA2: 10.5, 11.5, 11.1667, 12.3889; EMA3: 11, 11, 12
+    assert.equal(macd[1], null);
+    assert.deepEqual(macd[2], { macd: 0.5, signal: null, histogram: null });
+    assertSeries([macd[3].macd, macd[3].signal, macd[3].histogram], [1 / 6, 1 / 3, -1 / 6]);
+    assertSeries([macd[4].macd, macd[4].signal, macd[4].histogram], [7 / 18, 10 / 27, 7 / 18 - 10 / 27]);
+});
+
+test('Bollinger bands use the population standard deviation', () => {
+    const bands = engine.bollinger(CLOSES, 3, 2);
+    const width = 2 * Math.sqrt(2 / 3);
+
+    assert.equal(bands[1], null);
+    assertSeries([bands[2].upper, bands[2].middle, bands[2].lower], [11 + width, 11, 11 - width]);
+    assertSeries([bands[4].upper, bands[4].middle, bands[4].lower], [12 + width, 12, 12 - width]);
+});
+
+test('session VWAP resets on a new New York trading day', () => {
+    const bars = [
+        { timestamp: Date.UTC(2025, 2, 12, 14, 30), high: 11, low: 9, close: 10, volume: 100 },
+        { timestamp: Date.UTC(2025, 2, 12, 23, 0), high: 13, low: 11, close: 12, volume: 300 },   // 19:00 after-hours
+        { timestamp: Date.UTC(2025, 2, 13, 13, 30), high: 21, low: 19, close: 20, volume: 50 },   // Next day's open
+        { timestamp: Date.UTC(2025, 2, 13, 13, 35), high: 23, low: 21, close: 22, volume: 50 }
+    ];
+
+    assertSeries(engine.vwap(bars, 'session'), [10, 11.5, 20, 21]);
+    assertSeries(engine.vwap(bars, 'none'), [10, 11.5, 5600 / 450, 6700 / 500]);
+});
+
+test('relative volume is empty while the average volume is zero', () => {
+    assertSeries(engine.relativeVolume([0, 0, 0, 500, 300], 3), [null, null, null, null, 1.8]);
+});
@@ -0,0 +1,93 @@
+// electron/test/LevelService.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createStateManager, createBridge } = require('./fixtures/helpers');
+const LevelService = require('../src/main/LevelService');
+
+const MINUTE = Date.UTC(2025, 2, 12, 14, 30);
+
+function createLevels(levels = {}) {
+    return new LevelService({
+        polygonBridge: createBridge(),
+        windowManager: { broadcast() {} },
+        stateManager: createStateManager({ levels: { symbols: ['AAPL'], ...levels } })
+    });
+}
+
+function bars(rows) {
+    return rows.map(([high, low, close, volume = 1000], i) => ({
+        timestamp: MINUTE + i * 60000, open: close, high, low, close, volume
+    }));
+}
+
+test('volume nodes are the profile peaks above the threshold', () => {
+    const service = createLevels({ profileBins: 10 });
+
+    // 100 a bucket across 100-110, then 1000 at 104-105 and 500 at 107-108
+    const history = bars([
+        [110, 100, 105, 1000],
+        [104.9, 104.1, 104.5, 900],
+        [107.8, 107.2, 107.5, 400]
+    ]);
+
+    const nodes = service.detectVolumeNodes('AAPL', '5min', history, service.getSettings());
+
+    assert.deepEqual(nodes.map(node => node.level), [104.5, 107.5]);
+    assert.deepEqual(nodes.map(node => node.strength), [5, 3]);
+    assert.ok(nodes.every(node => node.type === 'HVN' && node.source === 'volume-profile'));
+});
+
+test('swing pivots within the touch tolerance form one level', () => {
+    const service = createLevels({ pivotStrength: 2 });
+    const history = bars([
+        [105, 100, 103],
+        [107, 102, 106],
+        [110, 105, 108],        // Swing high
+        [108, 104, 105],
+        [106, 101, 103],        // Swing low
+        [107, 103, 106],
+        [108, 104, 107],
+        [110.1, 106, 109],      // Swing high 0.09% above the first
+        [108, 104, 105],
+        [106, 102, 104]
+    ]);
+
+    const levels = service.detectSwingLevels('AAPL', '5min', history, service.getSettings());
+    const resistance = levels.find(level => level.type === 'RESISTANCE');
+    const support = levels.find(level => level.type === 'SUPPORT');
+
+    assert.equal(levels.length, 2);
+    assert.equal(resistance.level, 110.05);
+    assert.equal(resistance.touches, 2);
+    assert.equal(resistance.strength, 2);
+    assert.equal(support.level, 101);
+    assert.equal(support.strength, 1);
+
+    // A later close through the resistance drops it
+    const broken = history.concat(bars([[112, 109, 111]]).map(bar => ({ ...bar, timestamp: MINUTE + 10 * 60000 })));
+    const remaining = service.detectSwingLevels('AAPL', '5min', broken, service.getSettings());
+    assert.deepEqual(remaining.map(level => level.type), ['SUPPORT']);
+});
+
+test('overlapping symbol changes leave one subscription', async () => {
+    const service = createLevels({ refreshMinutes: 0 });
+    const bridge = service.polygonBridge;
+    const subscribe = bridge.handleDataSubscribe;
+    bridge.handleDataSubscribe = async function (params) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return subscribe.call(this, params);
+    };
+
+    await service.start();
+
+    service.stateManager.set('levels.symbols', ['AAPL', 'MSFT']);
+    service.stateManager.set('levels.symbols', ['AAPL', 'NVDA']);
+    await service.subscriptionQueue;
+
+    assert.equal(bridge.subscriptions.length, 1);
+    assert.deepEqual(bridge.subscriptions[0].symbols, ['AAPL', 'NVDA']);
+
+    await service.stop();
+    assert.equal(bridge.subscriptions.length, 0);
+});
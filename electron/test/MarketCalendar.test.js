@@ -0,0 +1,82 @@
+// electron/test/MarketCalendar.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createStateManager } = require('./fixtures/helpers');
+const MarketCalendar = require('../src/main/MarketCalendar');
+
+function holidays(calendar, year) {
+    return [...calendar.getHolidays(year).keys()].sort();
+}
+
+test('derives the exchange holidays of a year', () => {
+    const calendar = new MarketCalendar();
+
+    assert.deepEqual(holidays(calendar, 2025), [
+        '2025-01-01', '2025-01-20', '2025-02-17', '2025-04-18', '2025-05-26',
+        '2025-06-19', '2025-07-04', '2025-09-01', '2025-11-27', '2025-12-25'
+    ]);
+    assert.equal(calendar.getHoliday('2025-04-18'), 'Good Friday');
+});
+
+test('moves weekend holidays to the nearest weekday', () => {
+    const calendar = new MarketCalendar();
+
+    // Sunday July 4th is observed on Monday, Saturday Christmas on Friday
+    assert.equal(calendar.getHoliday('2021-07-05'), 'Independence Day');
+    assert.equal(calendar.getHoliday('2021-12-24'), 'Christmas Day');
+    assert.equal(calendar.getHoliday('2026-07-03'), 'Independence Day');
+
+    // A Saturday New Year's Day is not made up on the Friday before
+    assert.equal(calendar.getHoliday('2021-12-31'), null);
+    assert.equal(calendar.getSchedule('2021-12-31').isTradingDay, true);
+
+    // Juneteenth only from 2022
+    assert.equal(calendar.getHoliday('2021-06-18'), null);
+    assert.equal(calendar.getHoliday('2023-06-19'), 'Juneteenth');
+});
+
+test('closes at 13:00 on early-close days', () => {
+    const calendar = new MarketCalendar();
+
+    for (const day of ['2025-07-03', '2025-11-28', '2025-12-24']) {
+        assert.equal(calendar.getSchedule(day).earlyClose, true, day);
+    }
+    assert.equal(calendar.getSchedule('2025-12-23').earlyClose, false);
+
+    // 13:00 and 17:00 EST
+    const { sessions } = calendar.getSchedule('2025-11-28');
+    assert.equal(sessions.regular.end, Date.UTC(2025, 10, 28, 18, 0));
+    assert.equal(sessions.post.end, Date.UTC(2025, 10, 28, 22, 0));
+
+    // 13:30 EDT on July 3rd is after-hours
+    assert.equal(calendar.sessionAt(Date.UTC(2025, 6, 3, 17, 30)), 'post');
+    assert.equal(calendar.sessionAt(Date.UTC(2025, 6, 3, 16, 30)), 'regular');
+});
+
+test('is closed on holidays and weekends and opens on the next trading day', () => {
+    const calendar = new MarketCalendar();
+
+    // Thanksgiving 2025 at 10:00 EST
+    const thanksgiving = Date.UTC(2025, 10, 27, 15, 0);
+    assert.equal(calendar.sessionAt(thanksgiving), 'closed');
+    assert.equal(calendar.getStatus(thanksgiving).holiday, 'Thanksgiving Day');
+    assert.equal(calendar.nextOpen(thanksgiving), Date.UTC(2025, 10, 28, 14, 30));
+
+    // Good Friday to the Monday after, across the weekend
+    assert.equal(calendar.nextOpen(Date.UTC(2025, 3, 18, 15, 0)), Date.UTC(2025, 3, 21, 13, 30));
+});
+
+test('adds unscheduled closures from state', () => {
+    const calendar = new MarketCalendar({
+        stateManager: createStateManager({
+            market: {
+                holidays: { '2025-01-09': 'National Day of Mourning' },
+                earlyCloses: { '2025-01-10': '14:30' }
+            }
+        })
+    });
+
+    assert.equal(calendar.getSchedule('2025-01-09').isTradingDay, false);
+    assert.equal(calendar.getSchedule('2025-01-10').sessions.regular.end, Date.UTC(2025, 0, 10, 19, 30));
+});
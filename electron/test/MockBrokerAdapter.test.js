@@ -0,0 +1,48 @@
+// electron/test/MockBrokerAdapter.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { WebSocketServer } = require('ws');
+
+const { createBridge } = require('./fixtures/helpers');
+const MockBrokerAdapter = require('../src/main/brokers/MockBrokerAdapter');
+
+/**
+ * Broker service that is healthy but fails the order listing
+ */
+async function startService() {
+    const server = http.createServer((req, res) => {
+        const ok = req.url === '/health';
+        res.writeHead(ok ? 200 : 500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(ok ? { status: 'ok' } : { error: 'orders unavailable' }));
+    });
+    const wss = new WebSocketServer({ server, path: '/stream' });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        wss,
+        close: () => new Promise(resolve => {
+            wss.clients.forEach(client => client.terminate());
+            wss.close();
+            server.close(resolve);
+        })
+    };
+}
+
+test('a failed connect leaves the adapter disconnected', async () => {
+    const service = await startService();
+    const bridge = createBridge();
+    const adapter = new MockBrokerAdapter({ polygonBridge: bridge, serverUrl: service.url });
+
+    try {
+        await assert.rejects(adapter.connect(), /orders unavailable/);
+
+        assert.equal(adapter.connected, false);
+        assert.equal(adapter.ws, null);
+        assert.equal(bridge.listenerCount('market-data'), 0);
+    } finally {
+        await service.close();
+    }
+});
@@ -0,0 +1,87 @@
+// electron/test/OrderSimulator.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createStateManager, createBridge } = require('./fixtures/helpers');
+const OrderSimulator = require('../src/main/OrderSimulator');
+const PositionBook = require('../src/main/PositionBook');
+
+function createSimulator() {
+    const bridge = createBridge();
+    const simulator = new OrderSimulator({
+        polygonBridge: bridge,
+        stateManager: createStateManager({ trading: { profitTarget: 2 } })
+    });
+    return { bridge, simulator };
+}
+
+test('rejects bracket prices on the wrong side of the entry', () => {
+    const { simulator } = createSimulator();
+
+    const stopAbove = simulator.placeOrder({ symbol: 'AAPL', side: 'BUY', quantity: 10, type: 'limit', limitPrice: 100, stopLoss: 101 });
+    assert.equal(stopAbove.status, 'REJECTED');
+    assert.match(stopAbove.reason, /Stop loss/);
+
+    const targetBelow = simulator.placeOrder({ symbol: 'AAPL', side: 'BUY', quantity: 10, type: 'limit', limitPrice: 100, takeProfit: 99 });
+    assert.equal(targetBelow.status, 'REJECTED');
+    assert.match(targetBelow.reason, /Take profit/);
+
+    const shortStopBelow = simulator.placeOrder({ symbol: 'AAPL', side: 'SELL', quantity: 10, type: 'limit', limitPrice: 100, stopLoss: 99 });
+    assert.equal(shortStopBelow.status, 'REJECTED');
+});
+
+test('accepts a protective bracket and defaults the target', () => {
+    const { simulator } = createSimulator();
+
+    const order = simulator.placeOrder({ symbol: 'AAPL', side: 'BUY', quantity: 10, type: 'limit', limitPrice: 100, stopLoss: 98 });
+    assert.equal(order.status, 'WORKING');
+    assert.deepEqual(order.bracket, { stopLoss: 98, takeProfit: 104, trailing: false });
+});
+
+test('overlapping orders leave one subscription for the working symbols', async () => {
+    const { bridge, simulator } = createSimulator();
+    const subscribe = bridge.handleDataSubscribe;
+    bridge.handleDataSubscribe = async function (params) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return subscribe.call(this, params);
+    };
+    await simulator.start();
+
+    simulator.placeOrder({ symbol: 'AAPL', side: 'BUY', quantity: 10, type: 'limit', limitPrice: 100 });
+    simulator.placeOrder({ symbol: 'MSFT', side: 'BUY', quantity: 10, type: 'limit', limitPrice: 200 });
+    await simulator.syncSubscription();
+
+    assert.equal(bridge.subscriptions.length, 1);
+    assert.deepEqual(bridge.subscriptions[0].symbols, ['AAPL', 'MSFT']);
+
+    await simulator.stop();
+    assert.equal(bridge.subscriptions.length, 0);
+});
+
+test('bracket legs are cancelled when the position is closed elsewhere', async () => {
+    const bridge = createBridge();
+    const positionBook = new PositionBook({ polygonBridge: bridge });
+    const simulator = new OrderSimulator({ polygonBridge: bridge, positionBook, stateManager: createStateManager() });
+
+    // Record fills the way OrderRouter does
+    simulator.on('order', ({ order, fill }) => {
+        if (fill) {
+            positionBook.recordFill({ symbol: order.symbol, side: order.side, quantity: fill.quantity, price: fill.price });
+        }
+    });
+    await simulator.start();
+
+    const entry = simulator.placeOrder({ symbol: 'AAPL', side: 'BUY', quantity: 10, type: 'market', stopLoss: 98, takeProfit: 104 });
+    bridge.emit('market-data', { data: { event_type: 'trade', symbol: 'AAPL', price: 100, timestamp: 1 } });
+
+    const legs = () => Array.from(simulator.orders.values()).filter(order => order.ocoGroup === `oco-${entry.id}`);
+    assert.deepEqual(legs().map(order => order.status), ['WORKING', 'WORKING']);
+
+    // A manual sell flattens the position
+    positionBook.recordFill({ symbol: 'AAPL', side: 'SELL', quantity: 10, price: 101 });
+
+    assert.deepEqual(legs().map(order => order.status), ['CANCELLED', 'CANCELLED']);
+    assert.ok(legs().every(order => order.reason === 'OCO: position closed'));
+
+    await simulator.stop();
+});
@@ -0,0 +1,80 @@
+// electron/test/PositionBook.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createIPCHandler, createBridge } = require('./fixtures/helpers');
+const PositionBook = require('../src/main/PositionBook');
+
+test('overlapping fills leave one subscription for the latest positions', async () => {
+    const bridge = createBridge();
+    const subscribe = bridge.handleDataSubscribe;
+    bridge.handleDataSubscribe = async function (params) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return subscribe.call(this, params);
+    };
+
+    const book = new PositionBook({ polygonBridge: bridge, ipcHandler: createIPCHandler() });
+    await book.start();
+
+    book.recordFill({ symbol: 'AAPL', side: 'BUY', quantity: 100, price: 10 });
+    book.recordFill({ symbol: 'MSFT', side: 'BUY', quantity: 50, price: 20 });
+    await book.syncSubscription();
+
+    assert.equal(bridge.subscriptions.length, 1);
+    assert.deepEqual(bridge.subscriptions[0].symbols, ['AAPL', 'MSFT']);
+
+    await book.stop();
+    assert.equal(bridge.subscriptions.length, 0);
+});
+
+test('partial exits close scale-in lots oldest first', () => {
+    const book = new PositionBook({ polygonBridge: createBridge() });
+    const closed = [];
+    book.on('position-closed', row => closed.push(row));
+
+    book.recordFill({ symbol: 'AAPL', side: 'BUY', quantity: 100, price: 10 });
+    const scaled = book.recordFill({ symbol: 'AAPL', side: 'BUY', quantity: 100, price: 12 });
+    assert.equal(scaled.position.quantity, 200);
+    assert.equal(scaled.position.entryPrice, 11);
+
+    // 100 from the first lot and 50 from the second
+    const partial = book.recordFill({ symbol: 'AAPL', side: 'SELL', quantity: 150, price: 13 });
+    assert.equal(partial.position.quantity, 50);
+    assert.equal(partial.position.entryPrice, 12);
+    assert.equal(partial.position.realizedPL, 350);
+    assert.deepEqual(book.realized.map(trade => [trade.quantity, trade.entryPrice, trade.pnl]), [[100, 10, 300], [50, 12, 50]]);
+
+    const exit = book.recordFill({ symbol: 'AAPL', side: 'SELL', quantity: 50, price: 11 });
+    assert.equal(exit.position, null);
+    assert.equal(closed.length, 1);
+    assert.equal(closed[0].realizedPL, 300);
+    assert.equal(book.getRealizedPL(), 300);
+});
+
+test('a fill larger than the position flips it', () => {
+    const book = new PositionBook({ polygonBridge: createBridge() });
+
+    book.recordFill({ symbol: 'AAPL', side: 'BUY', quantity: 100, price: 10 });
+    const flipped = book.recordFill({ symbol: 'AAPL', side: 'SELL', quantity: 150, price: 12 });
+
+    assert.equal(flipped.position.side, 'SHORT');
+    assert.equal(flipped.position.quantity, 50);
+    assert.equal(flipped.position.entryPrice, 12);
+    assert.equal(flipped.position.realizedPL, 0);
+    assert.equal(book.getRealizedPL(), 200);
+
+    // The short profits as price falls
+    book.recordFill({ symbol: 'AAPL', side: 'BUY', quantity: 50, price: 11 });
+    assert.equal(book.getPosition('AAPL'), null);
+    assert.equal(book.getRealizedPL(), 250);
+});
+
+test('record-fill reports an invalid fill instead of throwing', async () => {
+    const ipcHandler = createIPCHandler();
+    const book = new PositionBook({ polygonBridge: createBridge(), ipcHandler });
+
+    const result = await ipcHandler.invoke('positions:record-fill', { symbol: 'AAPL', side: 'HOLD', quantity: 10, price: 5 });
+
+    assert.deepEqual(result, { success: false, error: 'Invalid fill side: HOLD' });
+    assert.equal(book.fills.length, 0);
+});
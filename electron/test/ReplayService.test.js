@@ -0,0 +1,31 @@
+// electron/test/ReplayService.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./fixtures/helpers');
+const ReplayService = require('../src/main/ReplayService');
+const SessionVolume = require('../src/main/SessionVolume');
+
+const FIVE_MINUTES = 5 * 60 * 1000;
+
+test('a replayed bar carries its volume once', () => {
+    const replay = new ReplayService();
+    const bar = { timestamp: '2025-03-12T10:30:00-04:00', open: 100, high: 102, low: 99, close: 101, volume: 4000 };
+
+    const ticks = replay.barToTicks('AAPL', bar, FIVE_MINUTES);
+    const trades = ticks.filter(tick => tick.data.event_type === 'trade');
+
+    // Synthetic trades walk open, low, high and close without volume
+    assert.deepEqual(trades.map(tick => tick.data.price), [100, 99, 102, 101]);
+    assert.ok(trades.every(tick => tick.data.size === 0));
+
+    const volume = new SessionVolume();
+    for (const { data } of ticks) {
+        if (data.event_type === 'trade') {
+            volume.addTrade(data.timestamp, data.size);
+        } else {
+            volume.addAggregate(data.timestamp, data.volume);
+        }
+    }
+    assert.equal(volume.volume, 4000);
+});
@@ -0,0 +1,120 @@
+// electron/test/RiskManager.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createStateManager } = require('./fixtures/helpers');
+const PositionBook = require('../src/main/PositionBook');
+const RiskManager = require('../src/main/RiskManager');
+
+const { RISK_CODES } = RiskManager;
+const ACCOUNT = { equity: 100000 };
+
+function createRisk(trading = {}) {
+    const stateManager = createStateManager({
+        trading: { riskPerTrade: 1, maxPositionPercent: 25, maxOpenPositions: 2, dailyLossLimit: 3, ...trading }
+    });
+    const positionBook = new PositionBook({ stateManager });
+    const riskManager = new RiskManager({ positionBook, stateManager });
+    return { positionBook, riskManager };
+}
+
+function codes(result) {
+    return result.violations.map(violation => violation.code);
+}
+
+function limitOrder(fields) {
+    return { symbol: 'AAPL', side: 'BUY', quantity: 100, type: 'limit', limitPrice: 100, ...fields };
+}
+
+test('sizes from the stop distance and caps at the max position value', () => {
+    const { riskManager } = createRisk();
+
+    assert.deepEqual(riskManager.computeSize({ equity: 100000, entryPrice: 100, stopLoss: 95 }),
+        { quantity: 200, riskAmount: 1000, riskPerShare: 5, cappedBy: null });
+
+    const capped = riskManager.computeSize({ equity: 100000, entryPrice: 100, stopLoss: 98 });
+    assert.equal(capped.quantity, 250);
+    assert.equal(capped.cappedBy, RISK_CODES.MAX_POSITION_SIZE);
+});
+
+test('rejects quantities that are not positive whole shares', () => {
+    const { riskManager } = createRisk();
+
+    for (const quantity of [0, -10, NaN, 1.5, 'abc']) {
+        const result = riskManager.check(limitOrder({ quantity }), ACCOUNT);
+        assert.deepEqual(codes(result), [RISK_CODES.INVALID_QUANTITY], `quantity ${quantity}`);
+    }
+});
+
+test('rejects a stop on the wrong side of the entry', () => {
+    const { riskManager } = createRisk();
+
+    assert.deepEqual(codes(riskManager.check(limitOrder({ stopLoss: 101 }), ACCOUNT)), [RISK_CODES.INVALID_STOP]);
+    assert.deepEqual(codes(riskManager.check(limitOrder({ side: 'SELL', stopLoss: 99 }), ACCOUNT)), [RISK_CODES.INVALID_STOP]);
+    assert.equal(riskManager.check(limitOrder({ stopLoss: 98 }), ACCOUNT).approved, true);
+});
+
+test('blocks per-trade risk and reward/risk below the target', () => {
+    const { riskManager } = createRisk();
+
+    const risky = riskManager.check(limitOrder({ quantity: 200, stopLoss: 90 }), ACCOUNT);
+    assert.deepEqual(codes(risky), [RISK_CODES.PER_TRADE_RISK]);
+    assert.equal(risky.metrics.riskAmount, 2000);
+
+    const shortTarget = riskManager.check(limitOrder({ stopLoss: 98, takeProfit: 101 }), ACCOUNT);
+    assert.deepEqual(codes(shortTarget), [RISK_CODES.REWARD_RISK]);
+});
+
+test('orders without a stop pass, and stops are ignored when stop-losses are off', () => {
+    const { riskManager } = createRisk();
+    assert.equal(riskManager.check(limitOrder(), ACCOUNT).approved, true);
+
+    const { riskManager: noStops } = createRisk({ stopLossEnabled: false });
+    const result = noStops.check(limitOrder({ stopLoss: 101 }), ACCOUNT);
+    assert.equal(result.approved, true);
+    assert.equal(result.metrics.riskAmount, undefined);
+});
+
+test('working entries count toward position value and open positions', () => {
+    const { riskManager } = createRisk();
+    const orders = [
+        { id: 'a', symbol: 'AAPL', side: 'BUY', quantity: 200, filledQuantity: 0, status: 'WORKING' },
+        { id: 'm', symbol: 'MSFT', side: 'BUY', quantity: 10, filledQuantity: 0, status: 'PENDING' },
+        { id: 'x', symbol: 'TSLA', side: 'BUY', quantity: 10, filledQuantity: 0, status: 'CANCELLED' }
+    ];
+
+    const added = riskManager.check(limitOrder(), ACCOUNT, orders);
+    assert.deepEqual(codes(added), [RISK_CODES.MAX_POSITION_SIZE]);
+    assert.equal(added.metrics.positionValue, 30000);
+
+    const newSymbol = riskManager.check(limitOrder({ symbol: 'TSLA', quantity: 10 }), ACCOUNT, orders);
+    assert.deepEqual(codes(newSymbol), [RISK_CODES.MAX_OPEN_POSITIONS]);
+});
+
+test('working exits are subtracted before an order counts as reducing', () => {
+    const { positionBook, riskManager } = createRisk();
+    positionBook.recordFill({ symbol: 'AAPL', side: 'BUY', quantity: 200, price: 100 });
+
+    const sell = limitOrder({ side: 'SELL', quantity: 100 });
+    assert.equal(riskManager.check(sell, ACCOUNT).metrics.reducing, true);
+
+    // Stop and target of one bracket commit the same 100 shares
+    const bracket = [
+        { id: 's', symbol: 'AAPL', side: 'SELL', quantity: 100, filledQuantity: 0, status: 'WORKING', ocoGroup: 'g1' },
+        { id: 't', symbol: 'AAPL', side: 'SELL', quantity: 100, filledQuantity: 0, status: 'WORKING', ocoGroup: 'g1' }
+    ];
+    assert.equal(riskManager.check(sell, ACCOUNT, bracket).metrics.reducing, true);
+
+    // A second exit would flip the position once both fill
+    const exits = [...bracket, { id: 'e', symbol: 'AAPL', side: 'SELL', quantity: 100, filledQuantity: 0, status: 'WORKING' }];
+    const flip = riskManager.check(sell, ACCOUNT, exits);
+    assert.equal(flip.metrics.reducing, false);
+    assert.equal(flip.metrics.positionValue, 10000);
+});
+
+test('the trading day starts at midnight New York time', () => {
+    const { riskManager } = createRisk();
+
+    assert.equal(riskManager.startOfTradingDay(Date.UTC(2025, 2, 12, 14, 30)), Date.UTC(2025, 2, 12, 4));
+    assert.equal(riskManager.startOfTradingDay(Date.UTC(2025, 0, 3, 2)), Date.UTC(2025, 0, 2, 5));
+});
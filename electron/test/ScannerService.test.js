@@ -0,0 +1,86 @@
+// electron/test/ScannerService.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createStateManager, createIPCHandler, createBridge } = require('./fixtures/helpers');
+const ScannerService = require('../src/main/ScannerService');
+
+const MINUTE = Date.UTC(2025, 2, 12, 14, 30);
+
+function createScanner(bars = {}) {
+    return new ScannerService({
+        polygonBridge: createBridge(bars),
+        windowManager: { broadcast() {} },
+        stateManager: createStateManager({ scanner: { universe: ['AAPL'] } }),
+        ipcHandler: createIPCHandler()
+    });
+}
+
+function dailyBars(days, volume) {
+    return Array.from({ length: days }, (_, i) => {
+        const day = new Date(Date.UTC(2025, 0, 2 + i)).toISOString().slice(0, 10);
+        return { timestamp: `${day}T00:00:00-05:00`, open: 100, high: 101, low: 99, close: 100, volume };
+    });
+}
+
+test('session volume counts A and AM aggregates once', async () => {
+    const scanner = createScanner({ AAPL: dailyBars(20, 1000) });
+    await scanner.seedSymbol('AAPL');
+
+    scanner.applyMarketData({ event_type: 'trade', symbol: 'AAPL', timestamp: MINUTE + 500, price: 100, size: 100 });
+    scanner.applyMarketData({ event_type: 'aggregate', symbol: 'AAPL', timestamp: MINUTE, open: 100, high: 100, low: 100, close: 100, volume: 100 });
+    scanner.applyMarketData({ event_type: 'aggregate', symbol: 'AAPL', timestamp: MINUTE + 1000, open: 100, high: 101, low: 100, close: 101, volume: 150 });
+    scanner.applyMarketData({ event_type: 'aggregate', symbol: 'AAPL', timestamp: MINUTE, open: 100, high: 101, low: 100, close: 101, volume: 250 });
+
+    const state = scanner.symbols.get('AAPL');
+    scanner.recalculate(state);
+
+    assert.equal(state.volume, 250);
+    assert.equal(state.relativeVolume, 0.25);
+});
+
+test('a replay seeds the session from the days before it', async () => {
+    const bars = dailyBars(20, 1000).map((bar, i) => ({ ...bar, close: 100 + i }));
+    const scanner = createScanner({ AAPL: bars });
+    scanner.running = true;
+    scanner.universe = ['AAPL'];
+    await scanner.seedSymbols(scanner.universe);
+
+    scanner.applyMarketData({ event_type: 'aggregate', symbol: 'AAPL', timestamp: MINUTE, open: 100, high: 105, low: 100, close: 104, volume: 500 });
+
+    // 2025-01-09 closed at 107; the replayed day's own bar is left to the replay
+    scanner.polygonBridge.replayDay = '2025-01-10';
+    await scanner.handleReplayChange(true);
+
+    const state = scanner.symbols.get('AAPL');
+    assert.equal(scanner.seededDay, '2025-01-10');
+    assert.equal(state.priorClose, 107);
+    assert.equal(state.price, 107);
+    assert.equal(state.volume, 0);
+    assert.equal(state.sessionHigh, null);
+
+    scanner.applyMarketData({ event_type: 'aggregate', symbol: 'AAPL', timestamp: MINUTE - 86400000, open: 100, high: 101, low: 100, close: 101, volume: 40 });
+    assert.equal(state.volume, 40);
+});
+
+test('overlapping universe changes leave one subscription', async () => {
+    const scanner = createScanner();
+    const bridge = scanner.polygonBridge;
+    const subscribe = bridge.handleDataSubscribe;
+    bridge.handleDataSubscribe = async function (params) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return subscribe.call(this, params);
+    };
+
+    await scanner.start();
+
+    scanner.stateManager.set('scanner.universe', ['AAPL', 'MSFT']);
+    scanner.stateManager.set('scanner.universe', ['AAPL', 'NVDA']);
+    await scanner.subscriptionQueue;
+
+    assert.equal(bridge.subscriptions.length, 1);
+    assert.deepEqual(bridge.subscriptions[0].symbols, ['AAPL', 'NVDA']);
+
+    await scanner.stop();
+    assert.equal(bridge.subscriptions.length, 0);
+});
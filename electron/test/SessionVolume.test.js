@@ -0,0 +1,78 @@
+// electron/test/SessionVolume.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./fixtures/helpers');
+const SessionVolume = require('../src/main/SessionVolume');
+
+const MINUTE = Date.UTC(2025, 2, 12, 14, 30);
+
+test('second and minute aggregates of the same minute count once', () => {
+    const volume = new SessionVolume();
+
+    volume.addAggregate(MINUTE, 100);           // A at the minute's start
+    volume.addAggregate(MINUTE + 1000, 200);    // A
+    volume.addAggregate(MINUTE + 30000, 300);   // A
+    volume.addAggregate(MINUTE, 600);           // AM for the same minute
+
+    assert.equal(volume.volume, 600);
+});
+
+test('a minute aggregate covers seconds the stream missed', () => {
+    const volume = new SessionVolume();
+
+    volume.addAggregate(MINUTE + 5000, 100);
+    volume.addAggregate(MINUTE, 900);           // AM, first aggregate at the start
+
+    volume.addAggregate(MINUTE + 60000, 50);    // AM only, next minute
+    assert.equal(volume.volume, 950);
+});
+
+test('trades counted before the first aggregate are not counted again', () => {
+    const volume = new SessionVolume();
+
+    volume.addTrade(MINUTE + 2000, 100);
+    volume.addTrade(MINUTE + 2500, 200);
+    assert.equal(volume.volume, 300);
+
+    volume.addAggregate(MINUTE + 2000, 300);    // A holding both trades
+    assert.equal(volume.volume, 300);
+
+    volume.addTrade(MINUTE + 3000, 50);
+    volume.addAggregate(MINUTE + 3000, 50);
+    assert.equal(volume.volume, 350);
+});
+
+test('stream volume before the seed is left to the daily bar', () => {
+    const volume = new SessionVolume();
+
+    volume.addAggregate(MINUTE, 400);
+    volume.addAggregate(MINUTE + 60000, 100);
+
+    assert.equal(volume.seed(10000, MINUTE + 60000), 10100);
+
+    volume.addAggregate(MINUTE + 30000, 999);   // Before the seed
+    volume.addAggregate(MINUTE + 120000, 25);
+    assert.equal(volume.volume, 10125);
+});
+
+test('aggregates older than the kept minutes are ignored', () => {
+    const volume = new SessionVolume();
+
+    volume.addAggregate(MINUTE + 10 * 60000, 100);
+    volume.addAggregate(MINUTE, 500);
+
+    assert.equal(volume.volume, 100);
+});
+
+test('a clone carries on without affecting the original', () => {
+    const volume = new SessionVolume();
+    volume.addAggregate(MINUTE + 1000, 100);
+
+    const copy = volume.clone();
+    copy.addAggregate(MINUTE, 300);
+    copy.addAggregate(MINUTE, 300);
+
+    assert.equal(copy.volume, 300);
+    assert.equal(volume.volume, 100);
+});
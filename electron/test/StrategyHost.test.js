@@ -0,0 +1,92 @@
+// electron/test/StrategyHost.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createStateManager, createBridge } = require('./fixtures/helpers');
+const StrategyHost = require('../src/main/StrategyHost');
+const ReplayService = require('../src/main/ReplayService');
+
+const MINUTE = Date.UTC(2025, 2, 12, 14, 30);
+const FIVE_MINUTES = 5 * 60 * 1000;
+
+function createHost(bars = {}) {
+    return new StrategyHost({
+        polygonBridge: createBridge(bars),
+        windowManager: { broadcast() {} },
+        stateManager: createStateManager({ strategies: { symbols: ['AAPL'] } })
+    });
+}
+
+test('overlapping symbol changes leave one subscription', async () => {
+    const host = createHost();
+    const bridge = host.polygonBridge;
+    const subscribe = bridge.handleDataSubscribe;
+    bridge.handleDataSubscribe = async function (params) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return subscribe.call(this, params);
+    };
+
+    await host.start();
+
+    host.stateManager.set('strategies.symbols', ['AAPL', 'MSFT']);
+    host.stateManager.set('strategies.symbols', ['AAPL', 'NVDA']);
+    await host.subscriptionQueue;
+
+    assert.equal(bridge.subscriptions.length, 1);
+    assert.deepEqual(bridge.subscriptions[0].symbols, ['AAPL', 'NVDA']);
+
+    await host.stop();
+    assert.equal(bridge.subscriptions.length, 0);
+});
+
+test('replayed bars keep their volume in strategy bars', () => {
+    const host = createHost();
+    host.loadStrategies();
+    host.symbols = ['AAPL'];
+    host.subscriptionId = 'replay';
+
+    const replay = new ReplayService();
+    [4000, 6000, 8000].forEach((volume, i) => {
+        const bar = { timestamp: MINUTE + i * FIVE_MINUTES, open: 100, high: 101, low: 99, close: 100.5, volume };
+        for (const { data } of replay.barToTicks('AAPL', bar, FIVE_MINUTES)) {
+            host.handleMarketData({ subscriptionId: 'replay', data });
+        }
+    });
+
+    const { history, current } = host.bars.get('AAPL:5min');
+    assert.deepEqual(history.map(bar => bar.volume), [4000, 6000]);
+    assert.equal(current.volume, 8000);
+});
+
+test('a replay starts bars and strategy state over from the days before it', async () => {
+    const dayBefore = Date.UTC(2025, 2, 11, 19, 55);
+    const host = createHost({
+        AAPL: [
+            { timestamp: dayBefore, open: 99, high: 100, low: 98, close: 99.5, volume: 700 },
+            { timestamp: MINUTE, open: 100, high: 101, low: 99, close: 100.5, volume: 900 }
+        ]
+    });
+    host.loadStrategies();
+    host.running = true;
+    host.symbols = ['AAPL'];
+
+    const requests = [];
+    const fetchBars = host.polygonBridge.fetchBars;
+    host.polygonBridge.fetchBars = function (params) {
+        requests.push(params);
+        return fetchBars.call(this, params);
+    };
+
+    host.processTrade({ symbol: 'AAPL', price: 250, size: 100, timestamp: Date.now() });
+    const strategy = host.strategies.get('momentum-breakout');
+    strategy.scratch.set('AAPL', { breakout: true });
+
+    host.polygonBridge.replayDay = '2025-03-12';
+    await host.handleReplayChange(true);
+
+    const { history, current } = host.bars.get('AAPL:5min');
+    assert.deepEqual(history.map(bar => bar.timestamp), [dayBefore]);
+    assert.equal(current, null);
+    assert.equal(strategy.scratch.size, 0);
+    assert.ok(requests.every(request => request.endDate === '2025-03-12'));
+});
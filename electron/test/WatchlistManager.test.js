@@ -0,0 +1,103 @@
+// electron/test/WatchlistManager.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const { createStateManager, createIPCHandler, createBridge } = require('./fixtures/helpers');
+const WatchlistManager = require('../src/main/WatchlistManager');
+const DialogPaths = require('../src/main/DialogPaths');
+
+const MINUTE = Date.UTC(2025, 2, 12, 14, 30);
+
+function createManager(bars = {}, options = {}) {
+    return new WatchlistManager({
+        polygonBridge: createBridge(bars),
+        windowManager: { broadcast() {} },
+        stateManager: createStateManager({ workspace: { watchlists: { Default: { symbols: ['AAPL'] } } } }),
+        ipcHandler: createIPCHandler(),
+        ...options
+    });
+}
+
+function dailyBar(day, volume) {
+    return { timestamp: `${day}T00:00:00-05:00`, open: 100, high: 101, low: 99, close: 100, volume };
+}
+
+test('quote volume counts A and AM aggregates once', async () => {
+    const manager = createManager({ AAPL: [dailyBar('2025-01-02', 1000)] });
+    await manager.seedSymbol('AAPL');
+
+    manager.applyMarketData({ event_type: 'trade', symbol: 'AAPL', timestamp: MINUTE + 500, price: 100, size: 100 });
+    manager.applyMarketData({ event_type: 'aggregate', symbol: 'AAPL', timestamp: MINUTE, open: 100, high: 100, low: 100, close: 100, volume: 100 });
+    manager.applyMarketData({ event_type: 'aggregate', symbol: 'AAPL', timestamp: MINUTE + 1000, open: 100, high: 101, low: 100, close: 101, volume: 150 });
+    manager.applyMarketData({ event_type: 'aggregate', symbol: 'AAPL', timestamp: MINUTE, open: 100, high: 101, low: 100, close: 101, volume: 250 });
+
+    assert.equal(manager.quotes.get('AAPL').volume, 250);
+});
+
+test('trades already in the seeded daily bar are not added again', async () => {
+    const manager = createManager();
+    const today = manager.currentDay();
+    manager.polygonBridge.fetchBars = async () => [dailyBar('2025-01-02', 800), dailyBar(today, 1000)];
+
+    const before = Date.now() - 60 * 1000;
+    await manager.seedSymbol('AAPL');
+    const quote = manager.quotes.get('AAPL');
+    assert.equal(quote.volume, 1000);
+
+    manager.applyMarketData({ event_type: 'trade', symbol: 'AAPL', timestamp: before, price: 100, size: 100 });
+    assert.equal(quote.volume, 1000);
+
+    manager.applyMarketData({ event_type: 'trade', symbol: 'AAPL', timestamp: Date.now() + 1000, price: 100, size: 100 });
+    assert.equal(quote.volume, 1100);
+});
+
+test('overlapping list changes leave one subscription for the latest symbols', async () => {
+    const manager = createManager();
+    const bridge = manager.polygonBridge;
+    const subscribe = bridge.handleDataSubscribe;
+    bridge.handleDataSubscribe = async function (params) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return subscribe.call(this, params);
+    };
+
+    await manager.start();
+
+    manager.addSymbols('Default', ['MSFT']);
+    await manager.addSymbols('Default', ['NVDA']);
+
+    assert.equal(bridge.subscriptions.length, 1);
+    assert.deepEqual(bridge.subscriptions[0].symbols, ['AAPL', 'MSFT', 'NVDA']);
+
+    await manager.stop();
+    assert.equal(bridge.subscriptions.length, 0);
+    assert.deepEqual(manager.symbols, []);
+});
+
+test('import and export only use paths a dialog returned', async () => {
+    const dialogPaths = new DialogPaths();
+    const manager = createManager({}, { dialogPaths });
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'watchlists-'));
+
+    try {
+        const file = path.join(directory, 'Tech.txt');
+        await fs.writeFile(file, 'MSFT NVDA\n');
+
+        await assert.rejects(manager.importFile(file), /file dialog/);
+
+        dialogPaths.grant(file, 'watchlists:export');
+        await assert.rejects(manager.importFile(file), /file dialog/);
+
+        dialogPaths.grant(file, 'watchlists:import');
+        const result = await manager.importFile(file);
+        assert.deepEqual(result.added, ['MSFT', 'NVDA']);
+
+        // A grant is good for one request
+        await assert.rejects(manager.importFile(file), /file dialog/);
+        await assert.rejects(manager.exportFile(file, 'Tech'), /file dialog/);
+    } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,34 @@
+// electron/test/fixtures/electron.js
+/**
+ * Stand-in for the electron module, for services that only need
+ * Notification. Require this before the service under test.
+ *
+ * - notifications: options of every Notification shown
+ */
+
+const notifications = [];
+
+class Notification {
+    static isSupported() {
+        return true;
+    }
+
+    constructor(options) {
+        this.options = options;
+    }
+
+    show() {
+        notifications.push(this.options);
+    }
+}
+
+// Outside Electron the real module only exports the binary path
+const filename = require.resolve('electron');
+require.cache[filename] = {
+    id: filename,
+    filename,
+    loaded: true,
+    exports: { Notification }
+};
+
+module.exports = { notifications };
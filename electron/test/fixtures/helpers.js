@@ -0,0 +1,87 @@
+// electron/test/fixtures/helpers.js
+/**
+ * Fakes for unit-testing main-process services without Electron
+ *
+ * - createStateManager: dot-path get/set over a plain object, with the
+ *   'change:<key>' events StateManager emits
+ * - createIPCHandler: records registerHandler calls so tests can invoke them
+ * - createBridge: PolygonBridge stand-in serving bars from a map
+ */
+
+const EventEmitter = require('events');
+const log = require('electron-log');
+
+// Keep test output readable and off the log file
+log.transports.console.level = false;
+log.transports.file.level = false;
+
+function createStateManager(initial = {}) {
+    const state = JSON.parse(JSON.stringify(initial));
+    const emitter = new EventEmitter();
+
+    const resolve = (key) => {
+        const parts = key.split('.');
+        let target = state;
+        for (const part of parts.slice(0, -1)) {
+            if (typeof target[part] !== 'object' || target[part] === null) {
+                target[part] = {};
+            }
+            target = target[part];
+        }
+        return { target, last: parts[parts.length - 1] };
+    };
+
+    return Object.assign(emitter, {
+        state,
+        get(key, defaultValue) {
+            const value = key.split('.').reduce((item, part) => item?.[part], state);
+            return value === undefined ? defaultValue : value;
+        },
+        set(key, value) {
+            const oldValue = this.get(key);
+            const { target, last } = resolve(key);
+            target[last] = value;
+            emitter.emit('change', { key, oldValue, newValue: value });
+            emitter.emit(`change:${key}`, { oldValue, newValue: value });
+        },
+        async save() {}
+    });
+}
+
+function createIPCHandler() {
+    const handlers = new Map();
+
+    return Object.assign(new EventEmitter(), {
+        handlers,
+        registerHandler(channel, handler) {
+            handlers.set(channel, handler);
+        },
+        invoke(channel, params, event = { sender: { id: 1 } }) {
+            return handlers.get(channel)(event, params);
+        }
+    });
+}
+
+/**
+ * @param {Object} bars - symbol -> bars returned by fetchBars
+ */
+function createBridge(bars = {}) {
+    const IndicatorEngine = require('../../src/main/IndicatorEngine');
+
+    return Object.assign(new EventEmitter(), {
+        indicatorEngine: new IndicatorEngine(),
+        subscriptions: [],
+        async fetchBars({ symbol }) {
+            return bars[symbol] || [];
+        },
+        async prefetchBars() {},
+        async handleDataSubscribe(params) {
+            this.subscriptions.push(params);
+        },
+        async handleDataUnsubscribe({ subscriptionId }) {
+            this.subscriptions = this.subscriptions.filter(sub => sub.subscriptionId !== subscriptionId);
+        }
+    });
+}
+
+module.exports = { createStateManager, createIPCHandler, createBridge };
@@ -0,0 +1,118 @@
+// electron/test/mock-polygon.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+
+const MockPolygonServer = require('../mock/mock-polygon');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = new MockPolygonServer({ port: 0, interval: 10, now: '2025-01-15T15:00:00Z' });
+    baseUrl = `127.0.0.1:${await server.start()}`;
+});
+
+after(() => server.stop());
+
+async function fetchBars(body) {
+    const response = await fetch(`http://${baseUrl}/api/v1/bars`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    assert.equal(response.status, 200);
+    return (await response.json()).data;
+}
+
+/**
+ * Collect a socket's messages and wait for them by type
+ */
+function openClient(clientId) {
+    const socket = new WebSocket(`ws://${baseUrl}/ws/${clientId}`);
+    const received = [];
+    const waiters = [];
+
+    socket.on('message', (raw) => {
+        const message = JSON.parse(raw.toString());
+        received.push(message);
+        waiters.filter(waiter => waiter.test(message)).forEach(waiter => {
+            waiters.splice(waiters.indexOf(waiter), 1);
+            waiter.resolve(message);
+        });
+    });
+
+    const next = (type, test = () => true) => {
+        const matches = (message) => message.type === type && test(message);
+        const found = received.find(matches);
+        if (found) return Promise.resolve(found);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`No ${type} message`)), 5000);
+            waiters.push({
+                test: matches,
+                resolve: (message) => {
+                    clearTimeout(timer);
+                    resolve(message);
+                }
+            });
+        });
+    };
+
+    return { socket, next };
+}
+
+test('answers the health check', async () => {
+    const response = await fetch(`http://${baseUrl}/health`);
+
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, 'healthy');
+});
+
+test('serves the same bars whatever range they are requested in', async () => {
+    const request = { symbol: 'AAPL', timeframe: '5min', start_date: '2025-01-13', end_date: '2025-01-14' };
+
+    const bars = await fetchBars(request);
+    assert.ok(bars.length > 0);
+    assert.deepEqual(await fetchBars(request), bars);
+
+    const secondDay = await fetchBars({ ...request, start_date: '2025-01-14' });
+    assert.deepEqual(secondDay, bars.filter(bar => bar.timestamp.startsWith('2025-01-14')));
+
+    // Another server with the same seed serves the same history
+    const other = new MockPolygonServer({ port: 0 });
+    const port = await other.start();
+    try {
+        const response = await fetch(`http://127.0.0.1:${port}/api/v1/bars`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(request)
+        });
+        assert.deepEqual((await response.json()).data, bars);
+    } finally {
+        await other.stop();
+    }
+});
+
+test('streams subscribed symbols over the WebSocket protocol', async () => {
+    const { socket, next } = openClient('test-client');
+
+    try {
+        const connected = await next('connected');
+        assert.equal(connected.client_id, 'test-client');
+
+        socket.send(JSON.stringify({ action: 'subscribe', symbols: ['AAPL'], channels: ['T', 'Q'] }));
+        const subscribed = await next('subscribed');
+        assert.deepEqual(subscribed.symbols, ['AAPL']);
+        assert.deepEqual(subscribed.channels, ['T', 'Q']);
+
+        const trade = await next('market_data', ({ data }) => data.event_type === 'trade');
+        assert.equal(trade.data.symbol, 'AAPL');
+        assert.ok(trade.data.price > 0 && trade.data.size > 0);
+
+        socket.send(JSON.stringify({ action: 'ping' }));
+        await next('pong');
+    } finally {
+        socket.close();
+    }
+});